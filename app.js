@@ -11,22 +11,26 @@ const database = require('./modules/database');
 const languageProcessor = require('./modules/languageProcessor');
 const orderManager = require('./modules/orderManager');
 const conversationManager = require('./modules/conversationManager');
-const decisionEngine = require('./modules/decisionEngine');
-const paymentProcessor = require('./modules/paymentProcessor');
 const customerManager = require('./modules/customerManager');
-const restaurantManager = require('./modules/restaurantManager');
 const escalationManager = require('./modules/escalationManager');
-const logger = require('./utilities/logger');
+const intentRegistry = require('./modules/intentRegistry');
+const sessionStore = require('./modules/sessionStore');
+const sessionEvents = require('./modules/sessionEvents');
+const escalationQueue = require('./modules/escalationQueue');
+const evidenceManager = require('./modules/evidenceManager');
+const policyEngine = require('./modules/policyEngine');
+const creditsLedger = require('./modules/creditsLedger');
+const resolutionLedger = require('./modules/resolutionLedger');
+const refundTracker = require('./modules/refundTracker');
+const agentRoutes = require('./routes/agentRoutes');
 const config = require('./config/appConfig');
+const logger = require('./utilities/logger');
 
 // Initialize Express app
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
-// Initialize session store (for demo mode only)
-const sessions = {};
-
 // Initialize database connection
 (async () => {
   try {
@@ -38,6 +42,36 @@ const sessions = {};
   }
 })();
 
+// Expire sessions that have gone idle
+sessionStore.startExpirySweep();
+
+// Flag escalations that have waited longer than their SLA
+escalationQueue.startBreachMonitor();
+
+// Remove credits from wallets once they expire
+creditsLedger.startExpiryJob();
+
+// Save credits ledger entries for credits that were issued but couldn't be recorded
+creditsLedger.startReconcileJob();
+
+// Save resolutions that were paid out but couldn't be recorded in the ledger
+resolutionLedger.startReconcileJob();
+
+// Follow refunds at the payment gateway until they settle or fail
+refundTracker.startReconcileJob();
+
+// Send refunds queued while the payment gateway was down
+refundTracker.startQueueJob();
+
+// Load the compensation policy and pick up edits to it without a restart
+policyEngine.loadRules();
+policyEngine.watchRules();
+
+// Outside demo mode the agent API has no default token, so it refuses every request until agents are configured
+if (config.agents.apiTokens.length === 0 && !config.demoMode) {
+  logger.warn('AGENT_API_TOKENS is not set, so the agent API will refuse every request');
+}
+
 // API endpoints
 app.post('/api/conversation/start', async (req, res) => {
   try {
@@ -49,16 +83,20 @@ app.post('/api/conversation/start', async (req, res) => {
     // Get customer information
     const customerInfo = await customerManager.getCustomerInfo(customerId);
     
-    // Get order details if provided
+    // Get order details if provided, refusing orders that aren't the customer's
     let orderDetails = [];
     if (orderIds.length > 0) {
       orderDetails = await Promise.all(
-        orderIds.map(orderId => orderManager.getOrderDetails(orderId))
+        orderIds.map(orderId => orderManager.getCustomerOrderDetails(orderId, customerId))
       );
+      
+      if (orderDetails.some(order => !order)) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
     }
     
-    // Create session object
-    const sessionData = {
+    // Create and store the session
+    const session = await sessionStore.createSession({
       sessionId,
       customerId,
       customerInfo,
@@ -67,33 +105,22 @@ app.post('/api/conversation/start', async (req, res) => {
       conversationHistory: [],
       createdAt: new Date(),
       lastActivityAt: new Date(),
-      status: 'active',
       escalated: false,
-      resolutions: []
-    };
-    
-    // Store session - either in memory (demo mode) or database
-    if (config.demoMode) {
-      sessions[sessionId] = sessionData;
-    } else {
-      await database.createSession(sessionData);
-    }
+      handledEscalationReasons: [],
+      resolutions: [],
+      dialogueState: null,
+      pendingOffer: null
+    });
     
     // Generate welcome message
     const welcomeMessage = conversationManager.generateWelcomeMessage(customerInfo, orderDetails);
     
     // Add welcome message to conversation history
-    const assistantMessage = {
+    await sessionStore.addMessage(session, {
       role: 'assistant',
       content: welcomeMessage,
       timestamp: new Date()
-    };
-    
-    if (config.demoMode) {
-      sessions[sessionId].conversationHistory.push(assistantMessage);
-    } else {
-      await database.addMessageToSession(sessionId, assistantMessage);
-    }
+    });
     
     // Log the session creation
     logger.info('Session created', { sessionId, customerId, orderIds });
@@ -115,34 +142,33 @@ app.post('/api/conversation/message', async (req, res) => {
   try {
     const { sessionId, message } = req.body;
     
-    // Get session data - either from memory (demo mode) or database
-    let session;
-    if (config.demoMode) {
-      session = sessions[sessionId];
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-    } else {
-      session = await database.getSession(sessionId);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
+    // Get session data from the session store
+    const session = await sessionStore.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    // Update session last activity
-    session.lastActivityAt = new Date();
+    // Ended and expired sessions keep their history but take no new messages
+    if (!sessionStore.isActive(session)) {
+      return res.status(410).json({ error: 'Session has ended', reason: session.endReason });
+    }
     
     // Add user message to conversation history
-    const userMessage = {
+    await sessionStore.addMessage(session, {
       role: 'user',
       content: message,
       timestamp: new Date()
-    };
+    });
     
-    if (config.demoMode) {
-      session.conversationHistory.push(userMessage);
-    } else {
-      await database.addMessageToSession(sessionId, userMessage);
+    // A human agent is handling the conversation, so Zia stays out of it
+    if (session.assignedAgent) {
+      return res.json({
+        response: null,
+        escalated: session.escalated,
+        escalationReason: session.escalationReason || null,
+        assignedAgent: session.assignedAgent
+      });
     }
     
     // Process the message
@@ -158,57 +184,47 @@ app.post('/api/conversation/message', async (req, res) => {
       sentiment: sentiment.score 
     });
     
-    // For simplified prototype, we'll implement just a few intent handlers
+    // Run the handler registered for the detected intent
+    sessionEvents.publish(sessionId, sessionEvents.EVENT_TYPES.TYPING, { role: 'assistant', typing: true });
+    
+    // Remember the offer and resolutions from before the turn, to tell what the turn did
+    const previousOffer = session.pendingOffer;
+    const previousResolutionCount = session.resolutions.length;
+    
     let response;
+    try {
+      response = await intentRegistry.handleIntent(intent, session, entities);
+    } finally {
+      sessionEvents.publish(sessionId, sessionEvents.EVENT_TYPES.TYPING, { role: 'assistant', typing: false });
+    }
     
-    switch (intent.type) {
-      case 'WRONG_ORDER':
-        response = await handleWrongOrderIntent(session, entities);
-        break;
-        
-      case 'MISSING_ITEM':
-        response = "I understand there are missing items in your order. Let me help you with that. I'll process a refund for the missing items right away. You should receive the refund in your original payment method within 3-5 business days.";
-        break;
-        
-      case 'LATE_DELIVERY':
-        response = "I'm sorry your delivery was delayed. As compensation, I've added 100 Zomato credits to your account which you can use on your next order. These credits are valid for 3 months.";
-        break;
-        
-      case 'REFUND_REQUEST':
-        response = "I've processed a full refund for your order. The refund should be credited back to your original payment method within 3-5 business days. I apologize for the inconvenience caused.";
-        break;
-        
-      case 'ESCALATION_REQUEST':
-        session.escalated = true;
-        response = "I understand you'd like to speak with a human agent. I'm connecting you with our support team now. A support specialist will join this conversation shortly to assist you further.";
-        break;
-        
-      case 'ORDER_STATUS':
-        response = "Your order is currently being prepared by the restaurant and should be picked up by our delivery partner soon. The estimated delivery time is 30 minutes from now.";
-        break;
+    // Bring in a human when the conversation calls for it, even if the customer hasn't asked
+    if (!session.escalated) {
+      const escalationReason = escalationManager.getAutoEscalationReason(session, {
+        offerMade: Boolean(session.pendingOffer) && (!previousOffer || session.pendingOffer.offerId !== previousOffer.offerId),
+        resolutionApplied: session.resolutions.length > previousResolutionCount
+      });
+      
+      if (escalationReason) {
+        await sessionStore.setEscalated(session, true, escalationReason);
+        const escalationMessage = await escalationManager.initiateEscalation(session, escalationReason);
         
-      case 'GENERAL_QUERY':
-      default:
-        response = "Thank you for your message. How can I assist you with your Zomato order today?";
-        break;
+        logger.info('Session auto-escalated', { sessionId, reason: escalationReason });
+        response = `${response}\n\n${escalationMessage}`;
+      }
     }
     
     // Add AI response to conversation history
-    const assistantMessage = {
+    await sessionStore.addMessage(session, {
       role: 'assistant',
       content: response,
       timestamp: new Date()
-    };
-    
-    if (config.demoMode) {
-      session.conversationHistory.push(assistantMessage);
-    } else {
-      await database.addMessageToSession(sessionId, assistantMessage);
-    }
+    });
     
     res.json({ 
       response,
-      escalated: session.escalated
+      escalated: session.escalated,
+      escalationReason: session.escalationReason || null
     });
   } catch (error) {
     logger.error('Error processing message', { error: error.message });
@@ -219,111 +235,220 @@ app.post('/api/conversation/message', async (req, res) => {
   }
 });
 
-app.post('/api/conversation/end', async (req, res) => {
+// HTTP status for each evidence upload failure
+const EVIDENCE_ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_IMAGE: 400,
+  LIMIT_REACHED: 409,
+  UNSUPPORTED_TYPE: 415
+};
+
+// Photos are sent as the raw request body, with their type in Content-Type
+const parsePhoto = express.raw({
+  type: config.evidence.allowedTypes,
+  limit: `${config.evidence.maxFileSizeMb}mb`
+});
+
+app.post('/api/conversation/:sessionId/evidence', (req, res, next) => {
+  parsePhoto(req, res, error => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Photos must be under ${config.evidence.maxFileSizeMb} MB` });
+    }
+    
+    next(error);
+  });
+}, async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { sessionId } = req.params;
     
-    // Get session data - either from memory (demo mode) or database
-    let session;
-    if (config.demoMode) {
-      session = sessions[sessionId];
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-    } else {
-      session = await database.getSession(sessionId);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
+    // Get session data from the session store
+    const session = await sessionStore.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    // Update session status
-    if (config.demoMode) {
-      // Archive session data for analytics
-      logger.info('Session ended', { 
-        sessionId, 
-        duration: new Date() - session.createdAt,
-        messageCount: session.conversationHistory.length,
-        resolutionsApplied: session.resolutions.length,
-        wasEscalated: session.escalated
-      });
-      
-      // Remove session from memory
-      delete sessions[sessionId];
-    } else {
-      await database.updateSession(sessionId, { status: 'ended' });
-      
-      logger.info('Session ended', { 
-        sessionId, 
-        duration: new Date() - new Date(session.createdAt),
-        messageCount: session.conversationHistory.length,
-        resolutionsApplied: session.resolutions.length,
-        wasEscalated: session.escalated
+    if (!sessionStore.isActive(session)) {
+      return res.status(410).json({ error: 'Session has ended', reason: session.endReason });
+    }
+    
+    // The photo belongs to the order the conversation is about unless one is named
+    const orderId = req.query.orderId || session.orderIds[0];
+    
+    if (!orderId) {
+      return res.status(400).json({ error: 'orderId is required' });
+    }
+    
+    const orderDetails = await orderManager.getCustomerOrderDetails(orderId, session.customerId);
+    
+    if (!orderDetails) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    const result = await evidenceManager.saveEvidence(session, {
+      buffer: Buffer.isBuffer(req.body) ? req.body : null,
+      contentType: req.is(config.evidence.allowedTypes) || req.get('Content-Type'),
+      kind: req.query.kind,
+      orderDetails
+    });
+    
+    if (!result.success) {
+      return res.status(EVIDENCE_ERROR_STATUS[result.code] || 400).json({ error: result.error, code: result.code });
+    }
+    
+    await sessionStore.addMessage(session, {
+      role: 'system',
+      content: conversationManager.generateEvidenceReceivedMessage(result.evidence),
+      timestamp: new Date()
+    });
+    
+    // Pick up the claim that was waiting for a photo, unless an agent has taken over
+    let response = null;
+    if (!session.assignedAgent) {
+      response = await intentRegistry.handleEvidence(session, result.evidence);
+    }
+    
+    if (response) {
+      await sessionStore.addMessage(session, {
+        role: 'assistant',
+        content: response,
+        timestamp: new Date()
       });
     }
     
-    res.json({ success: true });
+    res.json({
+      evidence: {
+        evidenceId: result.evidence.evidenceId,
+        orderId: result.evidence.orderId,
+        kind: result.evidence.kind,
+        uploadedAt: result.evidence.uploadedAt
+      },
+      response,
+      escalated: session.escalated,
+      escalationReason: session.escalationReason || null
+    });
   } catch (error) {
-    logger.error('Error ending conversation', { error: error.message });
+    logger.error('Error uploading evidence', { error: error.message });
     res.status(500).json({
-      error: 'Failed to end conversation',
+      error: 'Failed to upload evidence',
       details: error.message
     });
   }
 });
 
-// Simplified wrong order intent handler
-async function handleWrongOrderIntent(session, entities) {
+app.get('/api/conversation/:sessionId/messages', async (req, res) => {
   try {
-    // Get order ID
-    const orderId = entities.orderId || (session.orderIds.length > 0 ? session.orderIds[0] : null);
+    const { sessionId } = req.params;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    const before = req.query.before ? parseInt(req.query.before, 10) : null;
     
-    if (!orderId) {
-      return "I don't see any recent orders associated with your account. Please provide your order number so I can help you better.";
+    if ((limit !== undefined && isNaN(limit)) || (before !== null && isNaN(before))) {
+      return res.status(400).json({ error: 'limit and before must be numbers' });
+    }
+    
+    // Get session data from the session store
+    const session = await sessionStore.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    // Ended sessions can still be read back
+    const page = await sessionStore.getMessages(session, { limit, before });
+    
+    res.json(page);
+  } catch (error) {
+    logger.error('Error retrieving messages', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to retrieve messages',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/conversation/:sessionId/stream', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Get session data from the session store
+    const session = await sessionStore.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    // Get mock order details
-    const orderDetails = await orderManager.getOrderDetails(orderId);
+    if (!sessionStore.isActive(session)) {
+      return res.status(410).json({ error: 'Session has ended', reason: session.endReason });
+    }
+    
+    // Server-Sent Events: one long-lived response per client
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
     
-    // Record a resolution
-    const resolution = {
-      type: 'REFUND',
-      orderId,
-      amount: orderDetails.totalAmount,
-      timestamp: new Date(),
-      success: true
+    const send = ({ type, data }) => {
+      if (data && data.id) {
+        res.write(`id: ${data.id}\n`);
+      }
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
     };
     
-    if (config.demoMode) {
-      session.resolutions.push(resolution);
-    } else {
-      await database.addResolutionToSession(session.sessionId, resolution);
+    // Tell the client where things stand when it (re)connects
+    send({ type: sessionEvents.EVENT_TYPES.ESCALATION, data: { escalated: session.escalated, assignedAgent: session.assignedAgent || null } });
+    
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.streaming.heartbeatSeconds * 1000);
+    const unsubscribe = sessionEvents.subscribe(sessionId, event => {
+      send(event);
       
-      // Log resolution for analytics
-      await database.logResolution({
-        sessionId: session.sessionId,
-        customerId: session.customerId,
-        orderId,
-        resolutionType: 'REFUND',
-        amount: orderDetails.totalAmount,
-        reason: 'Wrong order received',
-        agentType: 'AI',
-        success: true,
-        metadata: {
-          restaurantId: orderDetails.restaurantId,
-          issueType: 'WRONG_ORDER',
-          items: entities.wrongItems
-        }
-      });
+      if (event.type === sessionEvents.EVENT_TYPES.SESSION) {
+        res.end();
+      }
+    });
+    
+    logger.info('Event stream opened', { sessionId, listeners: sessionEvents.getListenerCount(sessionId) });
+    
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.info('Event stream closed', { sessionId });
+    });
+  } catch (error) {
+    logger.error('Error opening event stream', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/conversation/end', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
+    // Get session data from the session store
+    const session = await sessionStore.getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    // Generate response
-    return `I'm very sorry about the wrong order you received. I've processed a full refund of ₹${orderDetails.totalAmount.toFixed(2)} for your order from ${orderDetails.restaurantName}. The refund should be credited back to your original payment method within 3-5 business days. I've also notified the restaurant about this issue to prevent it from happening again. Is there anything else I can help you with today?`;
+    // Ending a session that has already ended leaves it as it was
+    await sessionStore.endSession(session, sessionStore.END_REASONS.CUSTOMER);
+    
+    res.json({ success: true });
   } catch (error) {
-    logger.error('Error handling wrong order intent', { error: error.message });
-    return "I apologize, but I'm experiencing a technical issue while processing your request. Please try again in a few moments or contact our customer support team directly.";
+    logger.error('Error ending conversation', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to end conversation',
+      details: error.message
+    });
   }
-}
+});
+
+// Human agent console API
+app.use('/api/agent', agentRoutes);
 
 // Add a simple frontend for testing
 app.use(express.static('public'));
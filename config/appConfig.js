@@ -15,6 +15,12 @@ module.exports = {
     apiKey: process.env.SUPABASE_KEY || 'your-supabase-anon-key',
   },
   
+  // Storage configuration
+  storage: {
+    adapter: process.env.STORAGE_ADAPTER || 'supabase', // Storage backend (supabase, local)
+    localDataDir: process.env.LOCAL_DATA_DIR || 'data' // Directory for the local adapter's files
+  },
+  
   // API base URLs
   apiBaseUrl: 'https://api.zomato.com/v2',
   supportApiBaseUrl: 'https://support.zomato.com/api/v1',
@@ -22,11 +28,27 @@ module.exports = {
   // API keys (these would be environment variables in production)
   internalApiKey: process.env.INTERNAL_API_KEY || 'demo_internal_api_key',
   
+  // Human agents allowed to use the agent API, each identified by their own token
+  // (AGENT_API_TOKENS is a JSON array of { token, agentId, agentName })
+  agents: {
+    apiTokens: process.env.AGENT_API_TOKENS ? JSON.parse(process.env.AGENT_API_TOKENS) : [], // None means every request is refused
+    demoApiTokens: [ // Used instead in demo mode when AGENT_API_TOKENS is not set
+      { token: 'demo_agent_token', agentId: 'agent_1', agentName: 'Priya' }
+    ]
+  },
+  
   // Payment gateway configuration
   paymentGateway: {
     baseUrl: 'https://payments.zomato.com/api',
     merchantId: process.env.PAYMENT_MERCHANT_ID || 'zomato_merchant_123',
-    apiKey: process.env.PAYMENT_API_KEY || 'demo_payment_gateway_key'
+    apiKey: process.env.PAYMENT_API_KEY || 'demo_payment_gateway_key',
+    timeoutMs: 10000, // Time to wait for the gateway before treating a request as failed
+    maxRetries: 2, // Extra attempts after a timeout, network error, 429 or 5xx
+    retryBaseDelayMs: 500, // Wait before the first retry, doubling for each one after
+    circuitBreaker: {
+      failureThreshold: 5, // Failed requests in a row that open the circuit
+      resetSeconds: 60 // Time the circuit stays open before a trial request is let through
+    }
   },
   
   // Verification windows (time limits for various actions)
@@ -39,28 +61,147 @@ module.exports = {
   
   // Thresholds for various decisions
   thresholds: {
-    fraudRiskScore: 0.7, // Score above which customer requires additional verification
     complaintFrequency: 5, // Complaints per month that trigger additional verification
     acceptableLateness: 10, // Minutes of lateness that are considered acceptable
     redeliveryWindowMinutes: 120, // Minutes after order when redelivery is possible
     refundEligibilityDays: 7, // Days after order when refund is possible
-    maxLateFee: 200, // Maximum amount for late delivery compensation
     maxBonusAmount: 100, // Maximum bonus amount for premium customers
     highValueOrder: 1000 // Threshold for high-value order (in INR)
   },
   
-  // Compensation rates for different issues
+  // Claim risk scoring (scores run from 0 to 1)
+  riskScoring: {
+    lookbackDays: 30, // Days of complaint and resolution history considered
+    historyLimit: 50, // Most recent resolutions read per customer
+    compensationLimit: 1500, // Compensation in the lookback period that counts as the maximum (in INR)
+    restaurantClaimLimit: 2, // Claims against one restaurant in the lookback period before it looks like a pattern
+    newAccountDays: 30, // Accounts younger than this are treated as new
+    weights: { // Largest contribution of each factor to the score
+      externalScore: 0.35,
+      complaintFrequency: 0.2,
+      recentCompensation: 0.2,
+      restaurantPattern: 0.15,
+      newAccount: 0.1
+    },
+    proofScore: 0.5, // Score at which a claim needs extra proof
+    escalateScore: 0.75 // Score at which a claim goes to a human instead
+  },
+  
+  // What to do with a claim when verifying or deciding it fails unexpectedly
+  failurePolicy: {
+    // Bands per issue type, checked in order: the first whose maxAmount covers the
+    // order total applies (an order total that can't be read matches no maxAmount)
+    rules: {
+      WRONG_ORDER: [{ maxAmount: 150, action: 'APPROVE' }, { action: 'ESCALATE' }],
+      MISSING_ITEM: [{ maxAmount: 150, action: 'APPROVE' }, { action: 'ESCALATE' }],
+      LATE_DELIVERY: [{ action: 'ESCALATE' }],
+      REFUND_REQUEST: [{ action: 'DENY' }]
+    },
+    defaultAction: 'ESCALATE', // Action for issue types without rules (APPROVE, DENY, ESCALATE)
+    fallbackAmount: 100 // Compensation granted when a claim is approved but its amount couldn't be worked out (in INR)
+  },
+  
+  // Photo evidence for complaints
+  evidence: {
+    storageDir: process.env.EVIDENCE_DIR || 'uploads/evidence', // Where uploaded photos are kept
+    allowedTypes: ['image/jpeg', 'image/png'], // Photo formats accepted
+    maxFileSizeMb: 8, // Largest photo accepted
+    maxPhotosPerSession: 10, // Photos one conversation can upload
+    duplicateDistance: 0.1, // Perceptual hash distance (0 to 1) at or below which two photos count as the same
+    photoRequiredAmount: 500 // Claims worth at least this much need a photo (in INR)
+  },
+  
+  // Compensation policy rules (see config/compensationRules.json)
+  policy: {
+    rulesFile: process.env.POLICY_RULES_FILE || 'config/compensationRules.json', // Rules document, reloaded when it changes
+    reloadCheckSeconds: 5 // How often the rules file is checked for changes
+  },
+  
+  // Bonus rates for credits offered alongside other solutions
   compensationRates: {
-    slightlyLate: 0.1, // 10% of order total for slightly late delivery
-    moderatelyLate: 0.2, // 20% of order total for moderately late delivery
-    veryLate: 0.3, // 30% of order total for very late delivery
-    premiumBonus: 0.2 // 20% bonus for premium members
+    premiumBonus: 0.2, // 20% bonus for premium members
+    creditChoiceBonus: 0.1 // 10% bonus for choosing credits over a refund
+  },
+  
+  // Refund tracking
+  refunds: {
+    defaultCreditDays: 5, // Days quoted for a refund to arrive when the gateway doesn't give an estimate
+    // Business days for a refund to reach each payment method (cash on delivery has none, so refunds go to the wallet)
+    sourceTimelines: {
+      UPI: { minDays: 1, maxDays: 3 },
+      CREDIT_CARD: { minDays: 5, maxDays: 7 },
+      DEBIT_CARD: { minDays: 5, maxDays: 7 },
+      NETBANKING: { minDays: 3, maxDays: 5 },
+      default: { minDays: 3, maxDays: 5 }
+    },
+    bankTransferTimeline: { minDays: 1, maxDays: 3 }, // Business days for a bank transfer to a cash on delivery customer
+    reconcileMinutes: 15, // How often refunds still on their way are checked with the payment gateway
+    queueRetrySeconds: 60, // How often refunds queued while the gateway was down are sent again
+    demoProcessingMinutes: 5, // Demo gateway: minutes before a refund is passed to the bank
+    demoSettlementMinutes: 60 // Demo gateway: minutes before a refund settles
+  },
+  
+  // Zomato credits wallet
+  credits: {
+    expiryDays: 90, // Days credits can be used before they expire
+    expiringSoonDays: 14, // Credits expiring within this many days are pointed out to the customer
+    expiryCheckMinutes: 60, // How often expired credits are removed from wallets
+    reconcileMinutes: 5 // How often ledger entries that failed to save are written again
+  },
+  
+  // Compensation recorded per order and issue
+  resolutionLedger: {
+    reconcileMinutes: 5 // How often resolutions that were paid out but failed to save are written again
+  },
+  
+  // Valuing the items a claim is about
+  itemRefunds: {
+    apportionDeliveryFee: true // Give each affected item its share of the delivery fee, as well as of taxes and discounts
+  },
+  
+  // Resolution offers awaiting the customer's confirmation
+  offers: {
+    expiryMinutes: 15 // Minutes an offer can be accepted before it has to be re-checked
+  },
+  
+  // Multi-turn dialogue settings
+  dialogue: {
+    pendingIntentTtlMinutes: 10, // Minutes a question to the customer stays open
+    maxSlotPrompts: 2 // Times we ask for the same missing detail before moving on
+  },
+  
+  // Session lifecycle settings
+  sessions: {
+    idleTtlMinutes: parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30, // Minutes without activity before a session expires
+    archiveRetentionMinutes: 60, // Minutes an ended session stays in memory before it is dropped
+    sweepIntervalMinutes: 5, // How often the in-memory store looks for expired sessions
+    historyWindow: 50, // Most recent messages loaded with a session
+    messagePageSize: 20, // Messages per page when a client pages through history
+    maxMessagePageSize: 100 // Largest page a client can ask for
+  },
+  
+  // Real-time streaming settings
+  streaming: {
+    heartbeatSeconds: 25 // Seconds between keep-alive comments on an open event stream
   },
   
   // Escalation thresholds
   escalationThresholds: {
     sentiment: -0.5, // Sentiment score below which to auto-escalate
-    messageCount: 10 // Number of messages after which to suggest escalation
+    sentimentWindow: 3, // Recent customer messages averaged for the sentiment trend
+    messageCount: 10 // Number of customer messages after which to suggest escalation
+  },
+  
+  // In-process escalation queue
+  escalationQueue: {
+    slaMinutes: { // Time a ticket may wait for an agent, by priority
+      HIGH: 5,
+      MEDIUM: 15,
+      LOW: 30
+    },
+    averageHandleMinutes: 10, // Average time an agent spends on a ticket
+    availableAgents: parseInt(process.env.AVAILABLE_AGENTS, 10) || 2, // Agents taking escalations
+    breachCheckSeconds: 30 // How often waiting tickets are checked against their SLA
   },
   
   // Logging configuration
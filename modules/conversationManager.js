@@ -1,6 +1,21 @@
 // modules/conversationManager.js
 
 const logger = require('../utilities/logger');
+const paymentProcessor = require('./paymentProcessor');
+
+// Most recent refunds listed when a customer asks where their refunds are
+const REFUND_STATUS_LIMIT = 3;
+
+// Most orders answered for when a customer asks where their orders are
+const ORDER_STATUS_LIMIT = 5;
+
+// What each payment method is called when telling the customer where a refund goes
+const PAYMENT_METHOD_NAMES = {
+  UPI: 'UPI account',
+  CREDIT_CARD: 'credit card',
+  DEBIT_CARD: 'debit card',
+  NETBANKING: 'bank account'
+};
 
 /**
  * Generate a welcome message for the customer
@@ -76,8 +91,24 @@ function generateResolutionResponse(solution, resolutionResult, orderDetails) {
     const formattedAmount = formatCurrency(solution.amount);
     
     switch (solution.type) {
-      case 'REFUND':
-        return `I've processed a refund of ${formattedAmount} for your order from ${restaurantName}. The refund should be credited back to your original payment method within 3-5 business days, though it's often much quicker. I've also made a note about this issue to help prevent similar problems in the future. Is there anything else I can assist you with today?`;
+      case 'REFUND': {
+        const route = getResultRoute(resolutionResult, orderDetails);
+        const destination = describeRefundDestination(route);
+        
+        if (resolutionResult.pending) {
+          return `I've approved a refund of ${formattedAmount} for your order from ${restaurantName}. Our payment partner is having a temporary issue, so the refund is queued and will be sent automatically as soon as it's back; you don't need to do anything. Once it's sent, it should reach ${destination} ${describeRefundTimeline(route)}. Is there anything else I can assist you with today?`;
+        }
+        
+        if (route.destination === 'WALLET') {
+          return `I've refunded ${formattedAmount} for your order from ${restaurantName} to your Zomato wallet. It's there now, ready to use on your next order. I've also made a note about this issue to help prevent similar problems in the future. Is there anything else I can assist you with today?`;
+        }
+        
+        if (route.destination === 'BANK_TRANSFER') {
+          return `I've sent ${formattedAmount} for your order from ${restaurantName} by bank transfer to ${destination}. It should arrive ${describeRefundTimeline(route)}. I've also made a note about this issue to help prevent similar problems in the future. Is there anything else I can assist you with today?`;
+        }
+        
+        return `I've processed a refund of ${formattedAmount} for your order from ${restaurantName}. The refund should be credited back to ${destination} ${describeRefundTimeline(route)}, though it's often much quicker. I've also made a note about this issue to help prevent similar problems in the future. Is there anything else I can assist you with today?`;
+      }
         
       case 'REDELIVERY':
         return `I've arranged for a redelivery of the correct items from ${restaurantName}. Your food should arrive in approximately ${solution.estimatedTime} minutes. You'll receive tracking updates just like a regular order. I've also notified the restaurant about the issue to ensure they get it right this time. Is there anything else you need while you wait for your redelivery?`;
@@ -87,7 +118,11 @@ function generateResolutionResponse(solution, resolutionResult, orderDetails) {
           ? ` (including a bonus of ${formatCurrency(solution.bonusAmount)} for the inconvenience)`
           : '';
           
-        return `I've added ${formattedAmount} in Zomato credits to your account${bonusMessage}. These credits will be automatically applied to your next order and are valid for 3 months. I've also reported this issue to help improve our service. Is there anything else I can help you with today?`;
+        const validity = resolutionResult.expiryDate
+          ? `are valid until ${formatDate(resolutionResult.expiryDate)}`
+          : 'are valid for 3 months';
+          
+        return `I've added ${formattedAmount} in Zomato credits to your account${bonusMessage}. These credits will be automatically applied to your next order and ${validity}. I've also reported this issue to help improve our service. Is there anything else I can help you with today?`;
         
       default:
         return `I've processed a solution for the issue with your order from ${restaurantName}. Is there anything else I can assist you with today?`;
@@ -100,6 +135,139 @@ function generateResolutionResponse(solution, resolutionResult, orderDetails) {
   }
 }
 
+/**
+ * Generate a response proposing resolution options for the customer to choose from
+ * @param {object} offer - Pending offer (options, createdAt, expiresAt)
+ * @param {object} orderDetails - Order details
+ * @returns {string} Response message
+ */
+function generateResolutionOfferResponse(offer, orderDetails) {
+  try {
+    const restaurantName = orderDetails.restaurantName;
+    const holdMinutes = Math.round((new Date(offer.expiresAt) - new Date(offer.createdAt)) / (1000 * 60));
+    const options = offer.options;
+    
+    // Show how the affected items were valued, when the claim was about particular items
+    const apology = `I'm sorry about the trouble with your order from ${restaurantName}.`;
+    const breakdownText = describeBreakdown(options[0].breakdown);
+    const unpaidNote = options[0].paymentCollected === false
+      ? ` As the cash for this order hasn't been collected, I can't offer money back, but I can make it up to you with credits.`
+      : '';
+    const opening = breakdownText
+      ? `${apology}${unpaidNote} Here's what the affected items came to:\n${breakdownText}\n`
+      : `${apology}${unpaidNote} `;
+    
+    if (options.length === 1) {
+      return `${opening}I can offer you ${describeSolutionOption(options[0], orderDetails)}. Would you like me to go ahead with this?`;
+    }
+    
+    const optionLines = options
+      .map((option, index) => `${index + 1}. ${capitalize(describeSolutionOption(option, orderDetails))}${index === 0 ? ' (recommended)' : ''}`)
+      .join('\n');
+    
+    return `${opening}Here's what I can do for you:\n${optionLines}\nJust let me know which option you'd prefer. I'll hold this offer for the next ${holdMinutes} minutes.`;
+  } catch (error) {
+    logger.error('Error generating resolution offer response', { error: error.message });
+    
+    // Fallback offer message
+    return `I can help resolve the issue with your order. Would you like me to go ahead?`;
+  }
+}
+
+/**
+ * Generate a response when the customer turns down a resolution offer
+ * @returns {string} Response message
+ */
+function generateOfferDeclinedResponse() {
+  return `No problem, I haven't applied anything to your account. If you'd like a different resolution, just let me know what would work better for you, or I can connect you with our support team. Is there anything else I can help you with?`;
+}
+
+/**
+ * Generate a response when the customer turns down some of the offered options
+ * @param {object} offer - Pending offer
+ * @param {object} orderDetails - Order details
+ * @param {array} rejectedOptions - Indexes of the options turned down
+ * @returns {string} Response message
+ */
+function generateRemainingOptionsResponse(offer, orderDetails, rejectedOptions) {
+  try {
+    // Options keep their numbers, so "2" still means the second option offered
+    const optionLines = offer.options
+      .map((option, index) => ({ option, index }))
+      .filter(({ index }) => !rejectedOptions.includes(index))
+      .map(({ option, index }) => `${index + 1}. ${capitalize(describeSolutionOption(option, orderDetails))}`)
+      .join('\n');
+    
+    return `No problem, I won't go ahead with that. You can still choose:\n${optionLines}\nJust let me know which you'd prefer, or say no if none of these work for you.`;
+  } catch (error) {
+    logger.error('Error generating remaining options response', { error: error.message });
+    
+    return `No problem, I won't go ahead with that. Which of the other options would you prefer?`;
+  }
+}
+
+/**
+ * Generate a response asking where to send a bank transfer the customer chose
+ * @param {object} option - Chosen bank transfer option
+ * @param {boolean} retry - Whether the customer's last reply didn't give usable details
+ * @returns {string} Response message
+ */
+function generatePayoutAccountRequest(option, retry) {
+  if (retry) {
+    return `I couldn't find complete account details in that. Please share your UPI ID (like name@okbank), or your bank account number together with its IFSC code (like 123456789012 HDFC0001234). If you'd rather have the refund in your Zomato wallet instead, just say so.`;
+  }
+  
+  return `Sure, I'll send ${formatCurrency(option.amount)} by bank transfer. Where should it go? Please share your UPI ID (like name@okbank), or your bank account number with its IFSC code. I only use these details for this transfer.`;
+}
+
+/**
+ * Generate a response when the customer answers an offer that has expired
+ * @returns {string} Response message
+ */
+function generateOfferExpiredResponse() {
+  return `I'm sorry, but that offer has expired, so I haven't applied anything yet. If you tell me about the issue again, I'll re-check your order and suggest the best option available now.`;
+}
+
+/**
+ * Generate a response when the issue was already resolved earlier
+ * @param {object} existingResolution - Ledger entry for the earlier resolution
+ * @param {object} orderDetails - Order details
+ * @returns {string} Response message
+ */
+function generateExistingResolutionResponse(existingResolution, orderDetails) {
+  try {
+    const restaurantName = orderDetails.restaurantName;
+    const resolvedOn = formatDate(existingResolution.createdAt);
+    
+    switch (existingResolution.resolutionType) {
+      case 'REFUND':
+        return `I can see this issue with your order from ${restaurantName} was already resolved on ${resolvedOn} with a refund of ${formatCurrency(existingResolution.amount)} to your original payment method. Refunds can take 3-5 business days to appear, depending on your bank. If you haven't received it after that, please let me know.`;
+        
+      case 'CREDIT':
+        return `I can see this issue with your order from ${restaurantName} was already resolved on ${resolvedOn} with ${formatCurrency(existingResolution.amount)} in Zomato credits, which are already in your account. Is there anything else I can help you with?`;
+        
+      case 'REDELIVERY':
+        return `I can see a redelivery was already arranged on ${resolvedOn} for this issue with your order from ${restaurantName}. If there's a problem with the redelivery itself, please let me know and I'll connect you with our support team.`;
+        
+      default:
+        return `I can see this issue with your order from ${restaurantName} was already resolved on ${resolvedOn}. Is there anything else I can help you with?`;
+    }
+  } catch (error) {
+    logger.error('Error generating existing resolution response', { error: error.message });
+    
+    return `I can see this issue with your order has already been resolved. Is there anything else I can help you with?`;
+  }
+}
+
+/**
+ * Generate a response when an order has received all the compensation it can
+ * @param {object} orderDetails - Order details
+ * @returns {string} Response message
+ */
+function generateFullyCompensatedResponse(orderDetails) {
+  return `I've checked your order from ${orderDetails.restaurantName}, and the compensation already issued for it covers the full order value of ${formatCurrency(orderDetails.totalAmount)}, so I can't add anything further. If you think something has gone wrong, I can connect you with our support team.`;
+}
+
 /**
  * Generate a response for a refund
  * @param {object} refundResult - Result of the refund process
@@ -115,8 +283,22 @@ function generateRefundResponse(refundResult, orderDetails) {
     const restaurantName = orderDetails.restaurantName;
     const formattedAmount = formatCurrency(refundResult.amount);
     const orderId = orderDetails.id;
+    const route = getResultRoute(refundResult, orderDetails);
+    const destination = describeRefundDestination(route);
+    
+    if (refundResult.pending) {
+      return `I've approved a refund of ${formattedAmount} for your order #${orderId} from ${restaurantName}. Our payment partner is having a temporary issue, so the refund is queued and will be sent automatically as soon as it's back; you don't need to do anything. Once it's sent, it should reach ${destination} ${describeRefundTimeline(route)}. Is there anything else I can assist you with today?`;
+    }
+    
+    if (route.destination === 'WALLET') {
+      return `I've refunded ${formattedAmount} for your order #${orderId} from ${restaurantName} to your Zomato wallet. It's there now, ready to use on your next order. I've sent a confirmation email with all the refund details to your registered email address. Is there anything else I can assist you with today?`;
+    }
+    
+    if (route.destination === 'BANK_TRANSFER') {
+      return `I've sent ${formattedAmount} for your order #${orderId} from ${restaurantName} by bank transfer to ${destination}. It should arrive ${describeRefundTimeline(route)}. I've sent a confirmation email with all the refund details to your registered email address. Is there anything else I can assist you with today?`;
+    }
     
-    return `I've processed a refund of ${formattedAmount} for your order #${orderId} from ${restaurantName}. The refund will be credited back to your original payment method within 3-5 business days, though it's often much quicker. I've sent a confirmation email with all the refund details to your registered email address. Is there anything else I can assist you with today?`;
+    return `I've processed a refund of ${formattedAmount} for your order #${orderId} from ${restaurantName}. The refund will be credited back to ${destination} ${describeRefundTimeline(route)}, though it's often much quicker. I've sent a confirmation email with all the refund details to your registered email address. Is there anything else I can assist you with today?`;
   } catch (error) {
     logger.error('Error generating refund response', { error: error.message });
     
@@ -125,6 +307,35 @@ function generateRefundResponse(refundResult, orderDetails) {
   }
 }
 
+/**
+ * Generate a response telling the customer where their refunds have got to
+ * @param {array} refunds - Tracked refunds, newest first
+ * @returns {string} Response message
+ */
+function generateRefundStatusResponse(refunds) {
+  try {
+    if (refunds.length === 0) {
+      return `I couldn't find any refunds on your recent orders. If you've been told a refund is on its way, could you share the order number so I can look into it?`;
+    }
+    
+    // A failed refund is handed to the support team, so there's no need to ask what's next
+    const closing = refunds.some(refund => refund.state === 'FAILED') ? '' : 'Is there anything else I can help you with?';
+    
+    if (refunds.length === 1) {
+      return `${describeRefund(refunds[0])} ${closing}`.trim();
+    }
+    
+    const shown = refunds.slice(0, REFUND_STATUS_LIMIT);
+    const lines = shown.map(refund => `- Order #${refund.orderId}: ${describeRefund(refund)}`);
+    
+    return `Here's where your recent refunds are:\n${lines.join('\n')}\n${closing}`.trim();
+  } catch (error) {
+    logger.error('Error generating refund status response', { error: error.message });
+    
+    return `I'm having trouble retrieving your refund details right now. Refunds usually reach your original payment method within 3-5 business days. Is there anything else I can help you with?`;
+  }
+}
+
 /**
  * Generate a response for order status
  * @param {object} currentStatus - Current status of the order
@@ -169,6 +380,62 @@ function generateOrderStatusResponse(currentStatus, orderDetails) {
   }
 }
 
+/**
+ * Generate a response for the status of one or more orders
+ * @param {array} orderStatuses - Status of each order ({ currentStatus, orderDetails })
+ * @returns {string} Response message
+ */
+function generateOrderStatusesResponse(orderStatuses) {
+  try {
+    if (orderStatuses.length === 1) {
+      return generateOrderStatusResponse(orderStatuses[0].currentStatus, orderStatuses[0].orderDetails);
+    }
+    
+    const shown = orderStatuses.slice(0, ORDER_STATUS_LIMIT);
+    const lines = shown.map(({ currentStatus, orderDetails }) => `- ${generateOrderStatusResponse(currentStatus, orderDetails)}`);
+    
+    return `Here's where your orders are:\n${lines.join('\n')}`;
+  } catch (error) {
+    logger.error('Error generating order statuses response', { error: error.message });
+    
+    return `I'm having trouble retrieving the status of your orders right now. You can check the latest status in your Zomato app. Is there something specific you'd like to know about them?`;
+  }
+}
+
+/**
+ * Generate a response telling the customer how many Zomato credits they have
+ * @param {object} balance - Balance from the credits ledger
+ * @returns {string} Response message
+ */
+function generateCreditBalanceResponse(balance) {
+  try {
+    if (balance.balance <= 0) {
+      return `You don't have any Zomato credits in your account at the moment. Credits we add for issues with your orders will show up here and are applied automatically at checkout. Is there anything else I can help you with?`;
+    }
+    
+    let response = `You have ${formatCurrency(balance.balance)} in Zomato credits, which will be applied automatically to your next order.`;
+    
+    // Refunds paid into the wallet never expire, so they have no date to mention
+    const expiringCredits = balance.credits.filter(credit => credit.expiresAt);
+    
+    if (balance.refundedAmount > 0) {
+      response += ` ${formatCurrency(balance.refundedAmount)} of this was refunded to your wallet and doesn't expire.`;
+    }
+    
+    if (balance.expiringSoon.amount > 0) {
+      response += ` ${formatCurrency(balance.expiringSoon.amount)} of this expires soon, starting on ${formatDate(balance.expiringSoon.expiresAt)}, so it's worth using before then.`;
+    } else if (expiringCredits.length > 0) {
+      response += ` The earliest of these credits expire on ${formatDate(expiringCredits[0].expiresAt)}.`;
+    }
+    
+    return `${response} Is there anything else I can help you with?`;
+  } catch (error) {
+    logger.error('Error generating credit balance response', { error: error.message });
+    
+    return `You can see your Zomato credits balance in the Zomato app under your account. Is there anything else I can help you with?`;
+  }
+}
+
 /**
  * Generate a response when no order is found
  * @returns {string} Response message
@@ -177,16 +444,64 @@ function generateNoOrderFoundResponse() {
   return `I don't see any recent orders associated with your account. If you're inquiring about a specific order, could you please provide the order number? You can find this in your order confirmation email or in the Zomato app under your order history.`;
 }
 
+/**
+ * Generate a response for an order number that isn't on the customer's account
+ * @param {string} orderId - Order number the customer gave
+ * @returns {string} Response message
+ */
+function generateOrderNotFoundResponse(orderId) {
+  return `I couldn't find order #${orderId} on your account. Could you double-check the order number? You can find it in your order confirmation email or in the Zomato app under your order history.`;
+}
+
+/**
+ * Generate a response asking which items were missing from an order
+ * @param {object} orderDetails - Order details
+ * @returns {string} Response message
+ */
+function generateMissingItemsPromptResponse(orderDetails) {
+  const itemNames = (orderDetails.items || []).map(item => item.name);
+  
+  if (itemNames.length === 0) {
+    return `I'm sorry to hear that something is missing from your order. Could you please tell me which items you didn't receive?`;
+  }
+  
+  return `I'm sorry to hear that something is missing from your order from ${orderDetails.restaurantName}. Your order included: ${itemNames.join(', ')}. Could you please tell me which of these items you didn't receive?`;
+}
+
+/**
+ * Generate a response when an issue is valid but doesn't qualify for compensation
+ * @param {object} orderDetails - Order details
+ * @returns {string} Response message
+ */
+function generateNoCompensationResponse(orderDetails) {
+  return `I'm sorry your order from ${orderDetails.restaurantName} didn't arrive when expected. The delay was within the range where we don't offer compensation, but I've shared your feedback with our delivery team. Is there anything else I can help you with today?`;
+}
+
 /**
  * Generate a response when verification fails
  * @param {string} reason - Reason for verification failure
+ * @param {object} orderDetails - Order details (optional)
  * @returns {string} Response message
  */
-function generateVerificationFailedResponse(reason) {
-  if (reason === 'Complaint received too long after delivery') {
+function generateVerificationFailedResponse(reason, orderDetails) {
+  if (reason === 'Delivery was on time or early') {
+    if (orderDetails && !orderDetails.deliveredAt && orderDetails.estimatedDeliveryTime) {
+      return `I checked your order from ${orderDetails.restaurantName}, and it's still on schedule. The estimated delivery time is ${formatTime(orderDetails.estimatedDeliveryTime)}. If it hasn't arrived by then, please let me know and I'll look into it right away.`;
+    }
+    
+    return `I checked our delivery records, and your order was delivered on time. If something else went wrong with your order, please let me know and I'll be happy to help.`;
+  } else if (reason && reason.includes('within acceptable range')) {
+    return `I checked our delivery records, and your order arrived only a few minutes after the estimated time, which is within our delivery window. I'm sorry for the wait, and I've shared your feedback with our delivery team. Is there anything else I can help you with?`;
+  } else if (reason === 'Order has not been delivered yet') {
+    return `It looks like your order hasn't been delivered yet, so I can't check the items just yet. Once it arrives, let me know if anything is wrong or missing and I'll sort it out right away. Is there anything else I can help you with?`;
+  } else if (reason === 'Complaint received too long after delivery') {
     return `I apologize, but I'm unable to process this request as it's been too long since the order was delivered. For food quality and accuracy issues, we require customers to report them within 60 minutes of delivery. Is there anything else I can help you with today?`;
   } else if (reason === 'Customer risk score exceeds threshold') {
-    return `I'm unable to process this request automatically at this time. I'm escalating this to our support team for further review, and someone will contact you shortly. Thank you for your patience.`;
+    return `I'm unable to approve this request automatically, so I'd like one of our specialists to review it with you.`;
+  } else if (reason === 'Photo evidence required') {
+    return `Before I can approve this claim, I'll need a photo of the food or packaging you received. Please upload one using the photo button and I'll pick up right where we left off.`;
+  } else if (reason === 'Photo evidence was used in another claim') {
+    return `I'm unable to accept the photo you shared for this claim, so I'd like one of our specialists to review it with you.`;
   } else if (reason === 'Claimed missing items were not in the original order') {
     return `I've checked your order details, and I don't see the items you mentioned in your original order. Could you please confirm which items from your order are missing so I can help you better?`;
   } else {
@@ -197,11 +512,18 @@ function generateVerificationFailedResponse(reason) {
 /**
  * Generate a response when a refund is rejected
  * @param {string} reason - Reason for refund rejection
+ * @param {object} refund - Tracked refund already made for the order, if there is one
  * @returns {string} Response message
  */
-function generateRefundRejectionResponse(reason) {
-  if (reason === 'Order has already been refunded') {
-    return `I checked our records and found that a refund for this order has already been processed. It can take 3-5 business days for the refund to appear in your account, depending on your bank's processing times. If you haven't received it after 5 business days, please let me know.`;
+function generateRefundRejectionResponse(reason, refund = null) {
+  if (reason === 'Order has already been refunded' && refund) {
+    return `I checked our records, and everything you paid for this order has already been refunded, so there's nothing left to refund. ${describeRefund(refund)}`;
+  } else if (reason === 'Order has already been refunded') {
+    return `I checked our records, and everything you paid for this order has already been refunded, so there's nothing left to refund. It can take 3-5 business days for the refund to appear in your account, depending on your bank's processing times. If you haven't received it after 5 business days, please let me know.`;
+  } else if (reason === 'Payment was not collected') {
+    return `I checked our records, and the cash for this order hasn't been collected, so there's no payment to refund. If you did pay the delivery partner, please let me know and I'll connect you with our support team to look into it.`;
+  } else if (reason === 'Order has already been fully compensated') {
+    return `I checked our records, and the refunds and credits already issued for this order cover its full value, so I'm unable to process a further refund. If you think something has gone wrong, I can connect you with our support team.`;
   } else if (reason.includes('Order is more than')) {
     return `I apologize, but I'm unable to process a refund for this order as it exceeds our refund eligibility period. Our policy allows refunds for orders placed within the last 7 days. If you'd like to discuss this further, I can connect you with our support team.`;
   } else {
@@ -242,6 +564,46 @@ function generateResponse(intent, entities, session) {
   }
 }
 
+/**
+ * Generate the notice shown when a support agent joins the conversation
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @returns {string} System message
+ */
+function generateAgentJoinedMessage(agent) {
+  return `${agent.agentName} from Zomato support has joined the conversation.`;
+}
+
+/**
+ * Generate the notice shown when a support agent hands the conversation back to Zia
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @returns {string} System message
+ */
+function generateHandBackMessage(agent) {
+  return `${agent.agentName} has left the conversation. Zia is here to help with anything else you need.`;
+}
+
+/**
+ * Generate the notice shown when the customer uploads a photo
+ * @param {object} evidence - Stored evidence record (see evidenceManager)
+ * @returns {string} System message
+ */
+function generateEvidenceReceivedMessage(evidence) {
+  return `Photo of the ${evidence.kind === 'PACKAGE' ? 'packaging' : 'food'} received for order ${evidence.orderId}.`;
+}
+
+/**
+ * Generate a response when a claim couldn't be checked and wasn't approved
+ * @param {string} action - Failure policy action (DENY or ESCALATE)
+ * @returns {string} Response message
+ */
+function generateFailurePolicyResponse(action) {
+  if (action === 'ESCALATE') {
+    return `I wasn't able to check this claim automatically just now, so I'd like one of our specialists to review it with you.`;
+  }
+  
+  return `I'm sorry, I wasn't able to check this claim automatically just now, so I can't approve it at the moment. Please try again in a little while, or I can connect you with our support team.`;
+}
+
 /**
  * Generate an error response
  * @returns {string} Error response message
@@ -250,6 +612,177 @@ function generateErrorResponse() {
   return `I apologize, but I'm experiencing a technical issue while processing your request. I'm escalating this to our support team, and someone will contact you shortly to resolve this issue. Thank you for your patience.`;
 }
 
+/**
+ * Describe a solution option in a sentence fragment
+ * @param {object} option - Solution option
+ * @param {object} orderDetails - Order details
+ * @returns {string} Description
+ */
+function describeSolutionOption(option, orderDetails) {
+  switch (option.type) {
+    case 'REFUND': {
+      const route = paymentProcessor.getRefundRoute(orderDetails.paymentMethod, option.destination);
+      
+      if (route.destination === 'WALLET') {
+        return `an instant refund of ${formatCurrency(option.amount)} to your Zomato wallet`;
+      }
+      
+      if (route.destination === 'BANK_TRANSFER') {
+        return `a bank transfer of ${formatCurrency(option.amount)} to your bank account or UPI ID (${route.minDays}-${route.maxDays} business days once you share the details)`;
+      }
+      
+      return `a refund of ${formatCurrency(option.amount)} to ${describeRefundDestination(route)} (${route.minDays}-${route.maxDays} business days)`;
+    }
+      
+    case 'CREDIT':
+      return option.bonusAmount
+        ? `${formatCurrency(option.amount)} in Zomato credits, including a ${formatCurrency(option.bonusAmount)} bonus, available instantly`
+        : `${formatCurrency(option.amount)} in Zomato credits, available instantly`;
+      
+    case 'REDELIVERY':
+      return `a redelivery of the affected items in about ${option.estimatedTime} minutes`;
+      
+    default:
+      return `a ${option.type.toLowerCase()} for your order`;
+  }
+}
+
+/**
+ * Describe how the affected items of a claim were valued, one line per item
+ * @param {object} breakdown - Breakdown from refundCalculator.calculateItemRefund
+ * @returns {string} Breakdown text, empty when there's nothing to show
+ */
+function describeBreakdown(breakdown) {
+  if (!breakdown || breakdown.lines.length === 0) {
+    return '';
+  }
+  
+  const lines = breakdown.lines.map(line => {
+    let text = `- ${line.quantity} x ${line.name}: ${formatCurrency(line.itemAmount)}`;
+    
+    if (line.discount > 0) {
+      text += ` - ${formatCurrency(line.discount)} discount`;
+    }
+    
+    if (line.taxes > 0) {
+      text += ` + ${formatCurrency(line.taxes)} taxes`;
+    }
+    
+    if (line.deliveryFee > 0) {
+      text += ` + ${formatCurrency(line.deliveryFee)} delivery fee share`;
+    }
+    
+    return `${text} = ${formatCurrency(line.total)}`;
+  });
+  
+  return `${lines.join('\n')}\nTotal: ${formatCurrency(breakdown.total)}`;
+}
+
+/**
+ * Describe where a refund has got to in a sentence or two
+ * @param {object} refund - Tracked refund
+ * @returns {string} Description
+ */
+function describeRefund(refund) {
+  const amount = formatCurrency(refund.amount);
+  const initiatedOn = formatDate(refund.createdAt);
+  const reference = refund.gatewayRefundId || refund.refundId;
+  const route = paymentProcessor.getRefundRoute(refund.paymentMethod, refund.destination);
+  const destination = describeRefundDestination(route);
+  
+  // Wallet refunds arrive straight away, so there's no journey to describe
+  if (route.destination === 'WALLET' && refund.state === 'SETTLED') {
+    return `Your refund of ${amount} was added to your Zomato wallet on ${formatDate(refund.settledAt)}, and is ready to use on your next order.`;
+  }
+  
+  switch (refund.state) {
+    case 'QUEUED':
+      return `Your refund of ${amount} was approved on ${initiatedOn} and is queued to be sent; our payment partner had a temporary issue, and it will go out automatically as soon as they're back. You don't need to do anything.`;
+      
+    case 'SETTLED':
+      return `Your refund of ${amount} was credited to ${destination} on ${formatDate(refund.settledAt)}. If you can't see it, your bank can trace it with reference ${reference}.`;
+      
+    case 'FAILED':
+      return `Your refund of ${amount} from ${initiatedOn} couldn't be completed by the payment gateway (${refund.failureReason}), so the money hasn't reached you yet. I'm sorry about this.`;
+      
+    default: {
+      const stage = refund.state === 'PROCESSING'
+        ? `was sent to your bank on ${initiatedOn}`
+        : `was initiated on ${initiatedOn} and is with our payment partner`;
+      
+      // Overdue refunds shouldn't quote a date that has already passed
+      if (new Date(refund.expectedBy) < new Date()) {
+        return `Your refund of ${amount} ${stage}. It's taking longer than the usual ${refund.estimatedCreditDays} days; banks sometimes take a little extra time, and you can quote reference ${reference} to yours.`;
+      }
+      
+      return `Your refund of ${amount} ${stage}, and should reach ${destination} by ${formatDate(refund.expectedBy)}.`;
+    }
+  }
+}
+
+/**
+ * Work out where a processed refund went
+ * @param {object} refundResult - Result from paymentProcessor.processRefund
+ * @param {object} orderDetails - Order details
+ * @returns {object} Refund route ({ destination, paymentMethod, minDays, maxDays, accountDisplay })
+ */
+function getResultRoute(refundResult, orderDetails) {
+  const route = {
+    ...paymentProcessor.getRefundRoute(refundResult.paymentMethod || orderDetails.paymentMethod, refundResult.destination),
+    accountDisplay: refundResult.accountDisplay || null
+  };
+  
+  // The gateway's own estimate beats the usual timeline for the payment method
+  if (route.destination !== 'WALLET' && refundResult.estimatedCreditDays) {
+    return { ...route, maxDays: Math.max(route.minDays, refundResult.estimatedCreditDays) };
+  }
+  
+  return route;
+}
+
+/**
+ * Describe where a refund goes
+ * @param {object} route - Refund route from paymentProcessor.getRefundRoute
+ * @returns {string} Destination, e.g. "your UPI account"
+ */
+function describeRefundDestination(route) {
+  if (route.destination === 'WALLET') {
+    return 'your Zomato wallet';
+  }
+  
+  if (route.destination === 'BANK_TRANSFER') {
+    return route.accountDisplay ? `your ${route.accountDisplay}` : 'your bank account';
+  }
+  
+  const methodName = PAYMENT_METHOD_NAMES[route.paymentMethod];
+  
+  return methodName ? `your ${methodName}` : 'your original payment method';
+}
+
+/**
+ * Describe how long a refund takes to arrive
+ * @param {object} route - Refund route from paymentProcessor.getRefundRoute
+ * @returns {string} Timeline, e.g. "within 1-3 business days"
+ */
+function describeRefundTimeline(route) {
+  if (route.destination === 'WALLET') {
+    return 'instantly';
+  }
+  
+  return route.minDays === route.maxDays
+    ? `within ${route.maxDays} business days`
+    : `within ${route.minDays}-${route.maxDays} business days`;
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 /**
  * Format currency value
  * @param {number} amount - Amount to format
@@ -259,6 +792,18 @@ function formatCurrency(amount) {
   return `₹${amount.toFixed(2)}`;
 }
 
+/**
+ * Format date value
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(date) {
+  const value = typeof date === 'string' ? new Date(date) : date;
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  
+  return `${value.getDate()} ${months[value.getMonth()]}`;
+}
+
 /**
  * Format time value
  * @param {Date|string} time - Time to format
@@ -280,11 +825,28 @@ function formatTime(time) {
 module.exports = {
   generateWelcomeMessage,
   generateResolutionResponse,
+  generateResolutionOfferResponse,
+  generateOfferDeclinedResponse,
+  generateRemainingOptionsResponse,
+  generatePayoutAccountRequest,
+  generateOfferExpiredResponse,
+  generateExistingResolutionResponse,
+  generateFullyCompensatedResponse,
   generateRefundResponse,
+  generateRefundStatusResponse,
   generateOrderStatusResponse,
+  generateOrderStatusesResponse,
+  generateCreditBalanceResponse,
   generateNoOrderFoundResponse,
+  generateOrderNotFoundResponse,
+  generateMissingItemsPromptResponse,
+  generateNoCompensationResponse,
   generateVerificationFailedResponse,
   generateRefundRejectionResponse,
   generateResponse,
+  generateAgentJoinedMessage,
+  generateHandBackMessage,
+  generateEvidenceReceivedMessage,
+  generateFailurePolicyResponse,
   generateErrorResponse
 };
\ No newline at end of file
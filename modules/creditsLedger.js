@@ -0,0 +1,591 @@
+// modules/creditsLedger.js
+
+const axios = require('axios');
+const logger = require('../utilities/logger');
+const clock = require('../utilities/clock');
+const config = require('../config/appConfig');
+const database = require('./database');
+
+// Kinds of entry in a customer's credits ledger
+const ENTRY_TYPES = {
+  GRANT: 'GRANT', // Credits added to the wallet
+  EXPIRY: 'EXPIRY', // Unused credits removed once they passed their expiry date
+  REVERSAL: 'REVERSAL', // Unused credits clawed back after the resolution was overturned
+  REFUND: 'REFUND' // Money refunded into the wallet, which never expires
+};
+
+// Ledger entries by customer ID (only used without persistent storage)
+const demoLedger = {};
+
+// Pending work per customer, so balance changes for one customer never interleave
+const customerLocks = {};
+
+// Entries for money that was issued or paid but couldn't be saved, held here
+// only when they couldn't be queued in storage either (or there is no storage)
+const heldEntries = [];
+
+/**
+ * Add credits to a customer's wallet and record the grant
+ *
+ * The credits API issues the credits outside demo mode; the ledger keeps its
+ * own copy so balances and expiry can be answered without calling it.
+ *
+ * @param {string} customerId - ID of the customer
+ * @param {number} requestedAmount - Amount of credits
+ * @param {string} reason - Reason for the credits
+ * @param {object} source - What the credits are for ({ orderId, issueType, sessionId })
+ * @returns {object} Result ({ success, creditId, amount, timestamp, expiryDate, error })
+ */
+async function grantCredits(customerId, requestedAmount, reason, source = {}) {
+  const amount = roundAmount(requestedAmount);
+
+  try {
+    logger.info('Granting Zomato credits', { customerId, amount, reason, orderId: source.orderId });
+
+    const issued = await issueCredits(customerId, amount, reason);
+
+    // The credits are in the customer's wallet now, so a failed write is
+    // reconciled later rather than reported as a failed grant
+    const recorded = await withCustomerLock(customerId, () => addEntryOrQueue({
+      entryId: createEntryId(),
+      customerId,
+      creditId: issued.creditId,
+      type: ENTRY_TYPES.GRANT,
+      amount,
+      remainingAmount: amount,
+      reason,
+      orderId: source.orderId || null,
+      issueType: source.issueType || null,
+      sessionId: source.sessionId || null,
+      expiresAt: issued.expiryDate,
+      createdAt: clock.now()
+    }));
+
+    return {
+      success: true,
+      creditId: issued.creditId,
+      amount,
+      timestamp: clock.now(),
+      expiryDate: issued.expiryDate,
+      needsReconciliation: !recorded
+    };
+  } catch (error) {
+    logger.error('Error granting Zomato credits', { error: error.message, customerId });
+
+    return {
+      success: false,
+      error: 'Unable to add Zomato credits'
+    };
+  }
+}
+
+/**
+ * Record money refunded into a customer's wallet, so it shows in their balance
+ *
+ * The payment gateway pays the refund (see paymentProcessor.executeWalletRefund);
+ * the ledger keeps its own copy, keyed by the refund's idempotency key, so a
+ * queued refund that is sent again is only recorded once. Like grants, an
+ * entry that fails to save is written again by reconcileEntries.
+ *
+ * @param {string} customerId - ID of the customer
+ * @param {number} requestedAmount - Amount refunded
+ * @param {string} reason - Reason for the refund
+ * @param {string} refundKey - Idempotency key of the wallet refund
+ * @param {object} source - What the refund is for ({ orderId, issueType, sessionId })
+ * @returns {boolean} Whether the refund is recorded (false when it's waiting to be reconciled)
+ */
+async function recordWalletRefund(customerId, requestedAmount, reason, refundKey, source = {}) {
+  const amount = roundAmount(requestedAmount);
+
+  return withCustomerLock(customerId, async () => {
+    const entry = {
+      entryId: createEntryId(),
+      customerId,
+      creditId: refundKey,
+      type: ENTRY_TYPES.REFUND,
+      amount,
+      remainingAmount: amount,
+      reason,
+      orderId: source.orderId || null,
+      issueType: source.issueType || null,
+      sessionId: source.sessionId || null,
+      expiresAt: null,
+      createdAt: clock.now()
+    };
+
+    const recorded = await addEntryOrQueue(entry);
+
+    if (recorded) {
+      logger.info('Wallet refund recorded', { customerId, refundKey, amount, orderId: source.orderId });
+    }
+
+    return recorded;
+  });
+}
+
+/**
+ * Write ledger entries that failed to save when their money was issued
+ *
+ * Entries queued in storage are read back from there, so they are written
+ * even after a restart or by another instance.
+ *
+ * @returns {object} Summary ({ pending, recorded })
+ */
+async function reconcileEntries() {
+  const queued = await getQueuedEntries();
+  let recorded = 0;
+
+  for (const entry of queued) {
+    const saved = await withCustomerLock(entry.customerId, async () => {
+      try {
+        await storeEntry(entry);
+      } catch (error) {
+        return false;
+      }
+
+      await database.removeUnrecordedCreditEntry(entry.entryId);
+
+      return true;
+    });
+
+    recorded += saved ? 1 : 0;
+  }
+
+  const held = heldEntries.splice(0, heldEntries.length);
+
+  for (const entry of held) {
+    const saved = await withCustomerLock(entry.customerId, () => addEntryOrQueue(entry));
+
+    recorded += saved ? 1 : 0;
+  }
+
+  const pending = (await getQueuedEntries()).length + heldEntries.length;
+
+  if (recorded > 0) {
+    logger.info('Reconciled credits ledger entries', { recorded, pending });
+  }
+
+  return { pending, recorded };
+}
+
+/**
+ * Get a customer's usable credits
+ * @param {string} customerId - ID of the customer
+ * @returns {object} Balance ({ customerId, balance, credits, refundedAmount, expiringSoon })
+ */
+async function getBalance(customerId) {
+  const now = clock.now();
+  const soon = new Date(now.getTime() + config.credits.expiringSoonDays * 24 * 60 * 60 * 1000);
+  const entries = await getCustomerLedger(customerId);
+
+  // Credits past their expiry date don't count, even before the expiry job has run;
+  // refunded money never expires, so it's used after everything that does
+  const usable = entries.filter(entry => entry.remainingAmount > 0 && (
+    entry.type === ENTRY_TYPES.REFUND ||
+    (entry.type === ENTRY_TYPES.GRANT && new Date(entry.expiresAt) > now)
+  ));
+  const expiryTime = entry => (entry.expiresAt ? new Date(entry.expiresAt).getTime() : Infinity);
+
+  const credits = usable
+    .sort((a, b) => expiryTime(a) - expiryTime(b))
+    .map(entry => ({
+      creditId: entry.creditId,
+      amount: entry.amount,
+      remainingAmount: entry.remainingAmount,
+      reason: entry.reason,
+      orderId: entry.orderId,
+      grantedAt: entry.createdAt,
+      expiresAt: entry.expiresAt
+    }));
+
+  const expiring = credits.filter(credit => credit.expiresAt && new Date(credit.expiresAt) <= soon);
+
+  return {
+    customerId,
+    balance: sumAmounts(credits),
+    credits,
+    refundedAmount: sumAmounts(usable.filter(entry => entry.type === ENTRY_TYPES.REFUND)),
+    expiringSoon: {
+      amount: sumAmounts(expiring),
+      expiresAt: expiring.length > 0 ? expiring[0].expiresAt : null
+    }
+  };
+}
+
+/**
+ * Remove unused credits that have passed their expiry date
+ * @param {Date} asOf - Time to expire credits up to
+ * @returns {object} Summary ({ expiredCredits, expiredAmount })
+ */
+async function expireCredits(asOf = clock.now()) {
+  const grants = await getExpiredGrants(asOf);
+  let expiredAmount = 0;
+
+  for (const grant of grants) {
+    const amount = await withCustomerLock(grant.customerId, () =>
+      clearRemaining(grant.customerId, grant.creditId, ENTRY_TYPES.EXPIRY, 'Credits expired', {})
+    );
+
+    expiredAmount += amount;
+  }
+
+  if (grants.length > 0) {
+    logger.info('Expired Zomato credits', { expiredCredits: grants.length, expiredAmount: roundAmount(expiredAmount) });
+  }
+
+  return {
+    expiredCredits: grants.length,
+    expiredAmount: roundAmount(expiredAmount)
+  };
+}
+
+/**
+ * Claw back credits granted for a resolution that has been overturned
+ *
+ * Only the unused part can be recovered; anything already spent or expired is
+ * reported as unrecovered.
+ *
+ * @param {string} customerId - ID of the customer
+ * @param {string} creditId - ID of the credits to reverse
+ * @param {string} reason - Why the resolution was overturned
+ * @param {object} source - Overturned resolution ({ orderId, issueType, sessionId })
+ * @returns {object} Result ({ success, creditId, reversedAmount, unrecoveredAmount, balance, error, code })
+ */
+async function reverseCredits(customerId, creditId, reason, source = {}) {
+  return withCustomerLock(customerId, async () => {
+    const entries = await getCustomerLedger(customerId);
+    const grant = entries.find(entry => entry.type === ENTRY_TYPES.GRANT && entry.creditId === creditId);
+
+    if (!grant) {
+      return { success: false, code: 'NOT_FOUND', error: `No credits found with ID ${creditId}` };
+    }
+
+    if (entries.some(entry => entry.type === ENTRY_TYPES.REVERSAL && entry.creditId === creditId)) {
+      return { success: false, code: 'ALREADY_REVERSED', error: 'These credits have already been reversed' };
+    }
+
+    if (!config.demoMode) {
+      try {
+        await axios.post(
+          `${config.apiBaseUrl}/customers/${customerId}/credits/${creditId}/reversal`,
+          { amount: grant.remainingAmount, reason },
+          { headers: { 'Authorization': `Bearer ${config.internalApiKey}` } }
+        );
+      } catch (error) {
+        logger.error('Error reversing Zomato credits', { error: error.message, customerId, creditId });
+        return { success: false, code: 'REVERSAL_FAILED', error: 'Unable to reverse Zomato credits' };
+      }
+    }
+
+    // Recorded even when nothing is left, so the credits can't be reversed twice
+    const reversedAmount = await clearRemaining(customerId, creditId, ENTRY_TYPES.REVERSAL, reason, source, true);
+
+    logger.info('Zomato credits reversed', {
+      customerId,
+      creditId,
+      reversedAmount,
+      orderId: source.orderId
+    });
+
+    return {
+      success: true,
+      creditId,
+      reversedAmount,
+      unrecoveredAmount: roundAmount(grant.amount - reversedAmount),
+      balance: (await getBalance(customerId)).balance
+    };
+  });
+}
+
+/**
+ * Check for expired credits on a timer for as long as the process runs
+ * @returns {object} Interval timer
+ */
+function startExpiryJob() {
+  const timer = setInterval(() => {
+    expireCredits().catch(error => {
+      logger.error('Error expiring Zomato credits', { error: error.message });
+    });
+  }, config.credits.expiryCheckMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Write unsaved ledger entries on a timer for as long as the process runs
+ * @returns {object} Interval timer
+ */
+function startReconcileJob() {
+  const timer = setInterval(() => {
+    reconcileEntries().catch(error => {
+      logger.error('Error reconciling credits ledger entries', { error: error.message });
+    });
+  }, config.credits.reconcileMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Issue credits with the credits API, or locally in demo mode
+ * @param {string} customerId - ID of the customer
+ * @param {number} amount - Amount of credits
+ * @param {string} reason - Reason for the credits
+ * @returns {object} Issued credits ({ creditId, expiryDate })
+ */
+async function issueCredits(customerId, amount, reason) {
+  if (config.demoMode) {
+    return {
+      creditId: `zc_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      expiryDate: new Date(clock.now().getTime() + config.credits.expiryDays * 24 * 60 * 60 * 1000)
+    };
+  }
+
+  const response = await axios.post(
+    `${config.apiBaseUrl}/customers/${customerId}/credits`,
+    {
+      amount,
+      reason,
+      expiryDays: config.credits.expiryDays
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${config.internalApiKey}`
+      }
+    }
+  );
+
+  return {
+    creditId: response.data.creditId,
+    expiryDate: new Date(response.data.expiryDate)
+  };
+}
+
+/**
+ * Take what's left of a grant out of the wallet and record why
+ * @param {string} customerId - ID of the customer
+ * @param {string} creditId - ID of the credits
+ * @param {string} type - Entry type (EXPIRY or REVERSAL)
+ * @param {string} reason - Reason for the entry
+ * @param {object} source - Related resolution ({ orderId, issueType, sessionId })
+ * @param {boolean} recordEmpty - Whether to record the entry when nothing is left
+ * @returns {number} Amount removed
+ */
+async function clearRemaining(customerId, creditId, type, reason, source, recordEmpty = false) {
+  const entries = await getCustomerLedger(customerId);
+  const grant = entries.find(entry => entry.type === ENTRY_TYPES.GRANT && entry.creditId === creditId);
+  const amount = grant ? grant.remainingAmount : 0;
+
+  if (!grant || (amount <= 0 && !recordEmpty)) {
+    return 0;
+  }
+
+  await updateRemaining(grant, 0);
+  await addEntry({
+    entryId: createEntryId(),
+    customerId,
+    creditId,
+    type,
+    amount,
+    remainingAmount: null,
+    reason,
+    orderId: source.orderId || grant.orderId,
+    issueType: source.issueType || grant.issueType,
+    sessionId: source.sessionId || null,
+    expiresAt: null,
+    createdAt: clock.now()
+  });
+
+  return amount;
+}
+
+/**
+ * Get every entry in a customer's credits ledger
+ * @param {string} customerId - ID of the customer
+ * @returns {array} Ledger entries, oldest first
+ */
+async function getCustomerLedger(customerId) {
+  if (!database.isPersistent()) {
+    return demoLedger[customerId] || [];
+  }
+
+  return database.getCreditLedgerEntries(customerId);
+}
+
+/**
+ * Get grants with credits left that have passed their expiry date
+ * @param {Date} asOf - Time to compare expiry dates with
+ * @returns {array} Grant entries
+ */
+async function getExpiredGrants(asOf) {
+  if (!database.isPersistent()) {
+    return Object.values(demoLedger)
+      .reduce((all, entries) => all.concat(entries), [])
+      .filter(entry => entry.type === ENTRY_TYPES.GRANT && entry.remainingAmount > 0 && new Date(entry.expiresAt) <= asOf);
+  }
+
+  return database.getExpiredCreditGrants(asOf);
+}
+
+/**
+ * Store a ledger entry
+ * @param {object} entry - Ledger entry
+ */
+async function addEntry(entry) {
+  if (!database.isPersistent()) {
+    demoLedger[entry.customerId] = [...(demoLedger[entry.customerId] || []), entry];
+    return;
+  }
+
+  await database.addCreditLedgerEntry(entry);
+}
+
+/**
+ * Store a ledger entry for money that has already been issued, queueing it
+ * for reconciliation when the write fails
+ * @param {object} entry - Ledger entry (GRANT or REFUND)
+ * @returns {boolean} Whether the entry was stored
+ */
+async function addEntryOrQueue(entry) {
+  try {
+    await storeEntry(entry);
+
+    return true;
+  } catch (error) {
+    logger.error('Error saving credits ledger entry, queued for reconciliation', {
+      error: error.message,
+      customerId: entry.customerId,
+      creditId: entry.creditId,
+      type: entry.type,
+      amount: entry.amount
+    });
+
+    await queueEntry(entry);
+
+    return false;
+  }
+}
+
+/**
+ * Store a ledger entry for money that has already been issued, unless it is
+ * already in the ledger
+ *
+ * Entries are only stored once, so a retried write can't add to the balance
+ * twice; refunds are also matched by their key, so a resent refund can't either.
+ *
+ * @param {object} entry - Ledger entry (GRANT or REFUND)
+ */
+async function storeEntry(entry) {
+  const entries = await getCustomerLedger(entry.customerId);
+  const stored = entries.some(existing => existing.entryId === entry.entryId || (
+    entry.type === ENTRY_TYPES.REFUND && existing.type === ENTRY_TYPES.REFUND && existing.creditId === entry.creditId
+  ));
+
+  if (!stored) {
+    await addEntry(entry);
+  }
+}
+
+/**
+ * Queue a ledger entry that failed to save in storage for reconcileEntries,
+ * holding it in memory when it can't be queued there either
+ * @param {object} entry - Ledger entry (GRANT or REFUND)
+ */
+async function queueEntry(entry) {
+  if (!database.isPersistent()) {
+    heldEntries.push(entry);
+    return;
+  }
+
+  try {
+    await database.addUnrecordedCreditEntry(entry);
+  } catch (error) {
+    heldEntries.push(entry);
+  }
+}
+
+/**
+ * Get the ledger entries queued in storage for reconciliation
+ * @returns {array} Ledger entries, oldest first
+ */
+async function getQueuedEntries() {
+  if (!database.isPersistent()) {
+    return [];
+  }
+
+  return database.getUnrecordedCreditEntries();
+}
+
+/**
+ * Change how much of a grant is left
+ * @param {object} grant - Grant entry
+ * @param {number} remainingAmount - Amount left
+ */
+async function updateRemaining(grant, remainingAmount) {
+  if (!database.isPersistent()) {
+    grant.remainingAmount = remainingAmount;
+    return;
+  }
+
+  await database.updateCreditGrant(grant.creditId, { remainingAmount });
+}
+
+/**
+ * Serialize work for one customer within this process
+ * @param {string} customerId - ID of the customer
+ * @param {function} task - Async work to run
+ * @returns {*} Result of the task
+ */
+async function withCustomerLock(customerId, task) {
+  const previous = customerLocks[customerId] || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+
+  customerLocks[customerId] = current;
+
+  try {
+    return await current;
+  } finally {
+    if (customerLocks[customerId] === current) {
+      delete customerLocks[customerId];
+    }
+  }
+}
+
+/**
+ * Create an ID for a ledger entry
+ * @returns {string} Entry ID
+ */
+function createEntryId() {
+  return `credit_entry_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+}
+
+/**
+ * Add up the credits left on a set of grants
+ * @param {array} credits - Credits ({ remainingAmount })
+ * @returns {number} Total
+ */
+function sumAmounts(credits) {
+  return roundAmount(credits.reduce((total, credit) => total + credit.remainingAmount, 0));
+}
+
+/**
+ * Round an amount to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  grantCredits,
+  recordWalletRefund,
+  getBalance,
+  expireCredits,
+  reverseCredits,
+  reconcileEntries,
+  startExpiryJob,
+  startReconcileJob
+};
\ No newline at end of file
@@ -3,6 +3,7 @@
 const logger = require('../utilities/logger');
 const config = require('../config/appConfig');
 const axios = require('axios');
+const creditsLedger = require('./creditsLedger');
 
 /**
  * Get customer information
@@ -51,48 +52,21 @@ async function getCustomerInfo(customerId) {
  * @returns {object} Result of the credit addition
  */
 async function addZomatoCredits(customerId, amount, reason) {
-  try {
-    logger.info('Adding Zomato credits', { customerId, amount, reason });
-    
-    // In demo mode, return success
-    if (config.demoMode) {
-      return {
-        success: true,
-        creditId: `cred_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-        amount,
-        expiryDate: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000) // 90 days from now
-      };
-    }
-    
-    // In production, call the credits API
-    const response = await axios.post(
-      `${config.apiBaseUrl}/customers/${customerId}/credits`,
-      {
-        amount,
-        reason,
-        expiryDays: 90
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${config.internalApiKey}`
-        }
-      }
-    );
-    
-    return {
-      success: true,
-      creditId: response.data.creditId,
-      amount,
-      expiryDate: new Date(response.data.expiryDate)
-    };
-  } catch (error) {
-    logger.error('Error adding Zomato credits', { error: error.message, customerId });
-    
-    return {
-      success: false,
-      error: 'Unable to add Zomato credits'
-    };
+  logger.info('Adding Zomato credits', { customerId, amount, reason });
+  
+  // Same wallet as credits granted for resolutions, so they count towards the balance and expire alike
+  const result = await creditsLedger.grantCredits(customerId, amount, reason);
+  
+  if (!result.success) {
+    return result;
   }
+  
+  return {
+    success: true,
+    creditId: result.creditId,
+    amount,
+    expiryDate: result.expiryDate
+  };
 }
 
 /**
@@ -1,37 +1,60 @@
 // modules/database.js
 
-const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utilities/logger');
 const config = require('../config/appConfig');
 
-// Initialize Supabase client
-const supabase = createClient(
-  config.supabase.url,
-  config.supabase.apiKey
-);
+// Storage backends, loaded on demand so the Supabase client is only created when it's used
+const ADAPTERS = {
+  supabase: './storage/supabaseAdapter',
+  local: './storage/localAdapter'
+};
+
+let adapter = null;
+
+/**
+ * Get the storage adapter selected in the app config
+ * @returns {object} Storage adapter
+ */
+function getAdapter() {
+  if (adapter) {
+    return adapter;
+  }
+
+  const adapterPath = ADAPTERS[config.storage.adapter];
+
+  if (!adapterPath) {
+    throw new Error(`Unknown storage adapter: ${config.storage.adapter}`);
+  }
+
+  adapter = require(adapterPath);
+  return adapter;
+}
+
+/**
+ * Check whether data is actually stored
+ *
+ * Demo mode skips Supabase, but the local adapter still persists so demo
+ * environments can survive a restart.
+ *
+ * @returns {boolean} Whether reads and writes reach a storage backend
+ */
+function isPersistent() {
+  return config.storage.adapter === 'local' || !config.demoMode;
+}
 
 /**
  * Initialize database connections and tables
  */
 async function initializeDatabase() {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
       logger.info('Running in demo mode, database initialization skipped');
       return true;
     }
     
-    logger.info('Checking Supabase connection');
-    const { error } = await supabase.from('sessions').select('count');
-    
-    if (error) {
-      logger.error('Error connecting to Supabase', { error: error.message });
-      return false;
-    }
-    
-    logger.info('Connected to Supabase successfully');
-    return true;
+    return await getAdapter().initialize();
   } catch (error) {
-    logger.error('Failed to initialize Supabase', { error: error.message });
+    logger.error('Failed to initialize database', { adapter: config.storage.adapter, error: error.message });
     return false;
   }
 }
@@ -39,35 +62,11 @@ async function initializeDatabase() {
 // Session operations
 async function createSession(sessionData) {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
       return { id: sessionData.sessionId };
     }
     
-    // Store session in Supabase
-    const { data, error } = await supabase
-      .from('sessions')
-      .insert([
-        {
-          session_id: sessionData.sessionId,
-          customer_id: sessionData.customerId,
-          customer_info: sessionData.customerInfo,
-          order_ids: sessionData.orderIds,
-          order_details: sessionData.orderDetails,
-          conversation_history: sessionData.conversationHistory || [],
-          created_at: new Date().toISOString(),
-          last_activity_at: new Date().toISOString(),
-          status: 'active',
-          escalated: false,
-          resolutions: []
-        }
-      ]);
-    
-    if (error) {
-      logger.error('Error creating session in Supabase', { error: error.message });
-      throw error;
-    }
-    
-    return { id: sessionData.sessionId };
+    return await getAdapter().createSession(sessionData);
   } catch (error) {
     logger.error('Error creating session', { error: error.message });
     throw error;
@@ -76,207 +75,466 @@ async function createSession(sessionData) {
 
 async function getSession(sessionId) {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
       return null; // In demo mode, sessions are stored in memory
     }
     
-    // Get session from Supabase
-    const { data, error } = await supabase
-      .from('sessions')
-      .select('*')
-      .eq('session_id', sessionId)
-      .single();
+    return await getAdapter().getSession(sessionId);
+  } catch (error) {
+    logger.error('Error retrieving session', { error: error.message });
+    throw error;
+  }
+}
+
+async function updateSession(sessionId, updateData) {
+  try {
+    if (!isPersistent()) {
+      return true;
+    }
     
-    if (error) {
-      logger.error('Error retrieving session from Supabase', { error: error.message });
-      throw error;
+    return await getAdapter().updateSession(sessionId, updateData);
+  } catch (error) {
+    logger.error('Error updating session', { error: error.message });
+    throw error;
+  }
+}
+
+async function getEscalatedSessionIds() {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    if (!data) {
-      return null;
+    return await getAdapter().getEscalatedSessionIds();
+  } catch (error) {
+    logger.error('Error retrieving escalated sessions', { error: error.message });
+    throw error;
+  }
+}
+
+// Message operations
+async function addMessageToSession(sessionId, message) {
+  try {
+    if (!isPersistent()) {
+      return { id: null };
     }
     
-    // Convert from Supabase snake_case format to camelCase
-    return {
-      sessionId: data.session_id,
-      customerId: data.customer_id,
-      customerInfo: data.customer_info,
-      orderIds: data.order_ids,
-      orderDetails: data.order_details,
-      conversationHistory: data.conversation_history || [],
-      createdAt: data.created_at,
-      lastActivityAt: data.last_activity_at,
-      status: data.status,
-      escalated: data.escalated,
-      resolutions: data.resolutions || []
-    };
+    return await getAdapter().addMessageToSession(sessionId, message);
   } catch (error) {
-    logger.error('Error retrieving session', { error: error.message });
+    logger.error('Error adding message to session', { error: error.message });
     throw error;
   }
 }
 
-async function updateSession(sessionId, updateData) {
+async function getSessionMessages(sessionId, { limit = config.sessions.messagePageSize, before = null } = {}) {
   try {
-    if (config.demoMode) {
-      return true;
+    if (!isPersistent()) {
+      return { messages: [], hasMore: false };
     }
     
-    // Convert camelCase to snake_case for Supabase
-    const supabaseUpdateData = {};
+    return await getAdapter().getSessionMessages(sessionId, { limit, before });
+  } catch (error) {
+    logger.error('Error retrieving session messages', { error: error.message });
+    throw error;
+  }
+}
+
+// Session resolution operations
+async function addResolutionToSession(sessionId, resolution) {
+  try {
+    if (!isPersistent()) {
+      return { id: null };
+    }
     
-    if (updateData.lastActivityAt) {
-      supabaseUpdateData.last_activity_at = updateData.lastActivityAt;
+    return await getAdapter().addResolutionToSession(sessionId, resolution);
+  } catch (error) {
+    logger.error('Error adding resolution to session', { error: error.message });
+    throw error;
+  }
+}
+
+// Turn record operations
+async function addSessionTurn(sessionId, turn) {
+  try {
+    if (!isPersistent()) {
+      return { id: null };
     }
     
-    if (updateData.status) {
-      supabaseUpdateData.status = updateData.status;
+    return await getAdapter().addSessionTurn(sessionId, turn);
+  } catch (error) {
+    logger.error('Error adding turn to session', { error: error.message });
+    throw error;
+  }
+}
+
+async function getSessionTurns(sessionId) {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    if (updateData.escalated !== undefined) {
-      supabaseUpdateData.escalated = updateData.escalated;
+    return await getAdapter().getSessionTurns(sessionId);
+  } catch (error) {
+    logger.error('Error retrieving session turns', { error: error.message, sessionId });
+    throw error;
+  }
+}
+
+async function getTurnsBetween(startDate, endDate) {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    // Always update last activity time
-    supabaseUpdateData.last_activity_at = new Date().toISOString();
+    return await getAdapter().getTurnsBetween(startDate, endDate);
+  } catch (error) {
+    logger.error('Error retrieving turns for period', { error: error.message });
+    throw error;
+  }
+}
+
+// Photo evidence operations
+async function addEvidence(evidence) {
+  try {
+    if (!isPersistent()) {
+      return { id: evidence.evidenceId };
+    }
     
-    // Update session in Supabase
-    const { error } = await supabase
-      .from('sessions')
-      .update(supabaseUpdateData)
-      .eq('session_id', sessionId);
+    return await getAdapter().addEvidence(evidence);
+  } catch (error) {
+    logger.error('Error adding evidence', { error: error.message });
+    throw error;
+  }
+}
+
+async function getSessionEvidence(sessionId) {
+  try {
+    if (!isPersistent()) {
+      return [];
+    }
     
-    if (error) {
-      logger.error('Error updating session in Supabase', { error: error.message });
-      throw error;
+    return await getAdapter().getSessionEvidence(sessionId);
+  } catch (error) {
+    logger.error('Error retrieving session evidence', { error: error.message, sessionId });
+    throw error;
+  }
+}
+
+async function getEvidenceFingerprints() {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    return true;
+    return await getAdapter().getEvidenceFingerprints();
   } catch (error) {
-    logger.error('Error updating session', { error: error.message });
+    logger.error('Error retrieving evidence fingerprints', { error: error.message });
     throw error;
   }
 }
 
-async function addMessageToSession(sessionId, message) {
+// Resolution logging
+async function logResolution(resolutionData) {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
+      return { id: `res_log_${Date.now()}` };
+    }
+    
+    return await getAdapter().logResolution(resolutionData);
+  } catch (error) {
+    logger.error('Error logging resolution', { error: error.message });
+    throw error;
+  }
+}
+
+// Resolution ledger operations
+async function getResolutionLedgerEntries(orderId) {
+  try {
+    if (!isPersistent()) {
+      return [];
+    }
+    
+    return await getAdapter().getResolutionLedgerEntries(orderId);
+  } catch (error) {
+    logger.error('Error retrieving resolution ledger', { error: error.message, orderId });
+    throw error;
+  }
+}
+
+async function addResolutionLedgerEntry(entry) {
+  try {
+    if (!isPersistent()) {
+      return { id: entry.entryId };
+    }
+    
+    return await getAdapter().addResolutionLedgerEntry(entry);
+  } catch (error) {
+    logger.error('Error adding resolution ledger entry', { error: error.message });
+    throw error;
+  }
+}
+
+async function removeResolutionLedgerEntry(entryId) {
+  try {
+    if (!isPersistent()) {
       return true;
     }
     
-    // First get the current session
-    const { data: session, error: getError } = await supabase
-      .from('sessions')
-      .select('conversation_history')
-      .eq('session_id', sessionId)
-      .single();
+    return await getAdapter().removeResolutionLedgerEntry(entryId);
+  } catch (error) {
+    logger.error('Error removing resolution ledger entry', { error: error.message, entryId });
+    throw error;
+  }
+}
+
+// Resolutions paid out but waiting to be recorded in the ledger
+async function addUnrecordedResolution(entry) {
+  try {
+    if (!isPersistent()) {
+      return { id: entry.entryId };
+    }
     
-    if (getError) {
-      logger.error('Error retrieving session for message addition', { error: getError.message });
-      throw getError;
+    return await getAdapter().addUnrecordedResolution(entry);
+  } catch (error) {
+    logger.error('Error queueing resolution ledger entry', { error: error.message });
+    throw error;
+  }
+}
+
+async function getUnrecordedResolutions() {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    // Add the new message
-    const conversationHistory = session.conversation_history || [];
-    conversationHistory.push(message);
+    return await getAdapter().getUnrecordedResolutions();
+  } catch (error) {
+    logger.error('Error retrieving queued resolution ledger entries', { error: error.message });
+    throw error;
+  }
+}
+
+async function removeUnrecordedResolution(entryId) {
+  try {
+    if (!isPersistent()) {
+      return true;
+    }
     
-    // Update the session
-    const { error: updateError } = await supabase
-      .from('sessions')
-      .update({
-        conversation_history: conversationHistory,
-        last_activity_at: new Date().toISOString()
-      })
-      .eq('session_id', sessionId);
+    return await getAdapter().removeUnrecordedResolution(entryId);
+  } catch (error) {
+    logger.error('Error removing queued resolution ledger entry', { error: error.message, entryId });
+    throw error;
+  }
+}
+
+// Credits ledger operations
+async function getCreditLedgerEntries(customerId) {
+  try {
+    if (!isPersistent()) {
+      return [];
+    }
     
-    if (updateError) {
-      logger.error('Error adding message to session', { error: updateError.message });
-      throw updateError;
+    return await getAdapter().getCreditLedgerEntries(customerId);
+  } catch (error) {
+    logger.error('Error retrieving credits ledger', { error: error.message, customerId });
+    throw error;
+  }
+}
+
+async function getExpiredCreditGrants(asOf) {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    return true;
+    return await getAdapter().getExpiredCreditGrants(asOf);
   } catch (error) {
-    logger.error('Error adding message to session', { error: error.message });
+    logger.error('Error retrieving expired credits', { error: error.message });
     throw error;
   }
 }
 
-async function addResolutionToSession(sessionId, resolution) {
+async function addCreditLedgerEntry(entry) {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
+      return { id: entry.entryId };
+    }
+    
+    return await getAdapter().addCreditLedgerEntry(entry);
+  } catch (error) {
+    logger.error('Error adding credits ledger entry', { error: error.message });
+    throw error;
+  }
+}
+
+async function updateCreditGrant(creditId, updateData) {
+  try {
+    if (!isPersistent()) {
+      return true;
+    }
+    
+    return await getAdapter().updateCreditGrant(creditId, updateData);
+  } catch (error) {
+    logger.error('Error updating credits grant', { error: error.message, creditId });
+    throw error;
+  }
+}
+
+// Credits ledger entries waiting to be written again
+async function addUnrecordedCreditEntry(entry) {
+  try {
+    if (!isPersistent()) {
+      return { id: entry.entryId };
+    }
+    
+    return await getAdapter().addUnrecordedCreditEntry(entry);
+  } catch (error) {
+    logger.error('Error queueing credits ledger entry', { error: error.message });
+    throw error;
+  }
+}
+
+async function getUnrecordedCreditEntries() {
+  try {
+    if (!isPersistent()) {
+      return [];
+    }
+    
+    return await getAdapter().getUnrecordedCreditEntries();
+  } catch (error) {
+    logger.error('Error retrieving queued credits ledger entries', { error: error.message });
+    throw error;
+  }
+}
+
+async function removeUnrecordedCreditEntry(entryId) {
+  try {
+    if (!isPersistent()) {
       return true;
     }
     
-    // First get the current session
-    const { data: session, error: getError } = await supabase
-      .from('sessions')
-      .select('resolutions')
-      .eq('session_id', sessionId)
-      .single();
+    return await getAdapter().removeUnrecordedCreditEntry(entryId);
+  } catch (error) {
+    logger.error('Error removing queued credits ledger entry', { error: error.message, entryId });
+    throw error;
+  }
+}
+
+// Refund tracking operations
+async function addRefund(refund) {
+  try {
+    if (!isPersistent()) {
+      return { id: refund.refundId };
+    }
+    
+    return await getAdapter().addRefund(refund);
+  } catch (error) {
+    logger.error('Error adding refund', { error: error.message });
+    throw error;
+  }
+}
+
+async function updateRefund(refundId, updateData) {
+  try {
+    if (!isPersistent()) {
+      return true;
+    }
     
-    if (getError) {
-      logger.error('Error retrieving session for resolution addition', { error: getError.message });
-      throw getError;
+    return await getAdapter().updateRefund(refundId, updateData);
+  } catch (error) {
+    logger.error('Error updating refund', { error: error.message, refundId });
+    throw error;
+  }
+}
+
+async function getCustomerRefunds(customerId) {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    // Add the new resolution
-    const resolutions = session.resolutions || [];
-    resolutions.push(resolution);
+    return await getAdapter().getCustomerRefunds(customerId);
+  } catch (error) {
+    logger.error('Error retrieving customer refunds', { error: error.message, customerId });
+    throw error;
+  }
+}
+
+async function getOrderRefunds(orderId) {
+  try {
+    if (!isPersistent()) {
+      return [];
+    }
     
-    // Update the session
-    const { error: updateError } = await supabase
-      .from('sessions')
-      .update({
-        resolutions,
-        last_activity_at: new Date().toISOString()
-      })
-      .eq('session_id', sessionId);
+    return await getAdapter().getOrderRefunds(orderId);
+  } catch (error) {
+    logger.error('Error retrieving order refunds', { error: error.message, orderId });
+    throw error;
+  }
+}
+
+async function getOpenRefunds() {
+  try {
+    if (!isPersistent()) {
+      return [];
+    }
     
-    if (updateError) {
-      logger.error('Error adding resolution to session', { error: updateError.message });
-      throw updateError;
+    return await getAdapter().getOpenRefunds();
+  } catch (error) {
+    logger.error('Error retrieving open refunds', { error: error.message });
+    throw error;
+  }
+}
+
+async function getQueuedRefunds() {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    return true;
+    return await getAdapter().getQueuedRefunds();
   } catch (error) {
-    logger.error('Error adding resolution to session', { error: error.message });
+    logger.error('Error retrieving queued refunds', { error: error.message });
     throw error;
   }
 }
 
-// Resolution logging
-async function logResolution(resolutionData) {
+// Escalation queue operations
+async function createEscalationTicket(ticket) {
   try {
-    if (config.demoMode) {
-      return { id: `res_log_${Date.now()}` };
+    if (!isPersistent()) {
+      return { id: ticket.ticketId };
     }
     
-    // Store in Supabase
-    const { data, error } = await supabase
-      .from('resolution_logs')
-      .insert([
-        {
-          session_id: resolutionData.sessionId,
-          customer_id: resolutionData.customerId,
-          order_id: resolutionData.orderId,
-          resolution_type: resolutionData.resolutionType,
-          amount: resolutionData.amount,
-          reason: resolutionData.reason,
-          agent_type: resolutionData.agentType || 'AI',
-          created_at: new Date().toISOString(),
-          success: resolutionData.success,
-          metadata: resolutionData.metadata
-        }
-      ]);
+    return await getAdapter().createEscalationTicket(ticket);
+  } catch (error) {
+    logger.error('Error creating escalation ticket', { error: error.message });
+    throw error;
+  }
+}
+
+async function updateEscalationTicket(ticketId, updateData) {
+  try {
+    if (!isPersistent()) {
+      return true;
+    }
     
-    if (error) {
-      logger.error('Error logging resolution in Supabase', { error: error.message });
-      throw error;
+    return await getAdapter().updateEscalationTicket(ticketId, updateData);
+  } catch (error) {
+    logger.error('Error updating escalation ticket', { error: error.message, ticketId });
+    throw error;
+  }
+}
+
+async function getOpenEscalationTickets() {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    return { id: data[0].id };
+    return await getAdapter().getOpenEscalationTickets();
   } catch (error) {
-    logger.error('Error logging resolution', { error: error.message });
+    logger.error('Error retrieving escalation tickets', { error: error.message });
     throw error;
   }
 }
@@ -284,33 +542,33 @@ async function logResolution(resolutionData) {
 // Analytics operations
 async function getCustomerResolutionHistory(customerId, limit = 10) {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
       return [];
     }
     
-    // Get from Supabase
-    const { data, error } = await supabase
-      .from('resolution_logs')
-      .select('*')
-      .eq('customer_id', customerId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-    
-    if (error) {
-      logger.error('Error retrieving customer resolution history', { error: error.message });
-      throw error;
+    return await getAdapter().getCustomerResolutionHistory(customerId, limit);
+  } catch (error) {
+    logger.error('Error retrieving customer resolution history', { error: error.message });
+    throw error;
+  }
+}
+
+async function getResolutionLogs(startDate, endDate) {
+  try {
+    if (!isPersistent()) {
+      return [];
     }
     
-    return data;
+    return await getAdapter().getResolutionLogs(startDate, endDate);
   } catch (error) {
-    logger.error('Error retrieving customer resolution history', { error: error.message });
+    logger.error('Error retrieving resolution logs', { error: error.message });
     throw error;
   }
 }
 
 async function getRestaurantResolutionStats(restaurantId, startDate, endDate) {
   try {
-    if (config.demoMode) {
+    if (!isPersistent()) {
       return {
         totalResolutions: 0,
         refundCount: 0,
@@ -320,40 +578,7 @@ async function getRestaurantResolutionStats(restaurantId, startDate, endDate) {
       };
     }
     
-    // Query Supabase for resolution stats
-    const { data, error } = await supabase
-      .from('resolution_logs')
-      .select('resolution_type, amount')
-      .eq('metadata->restaurantId', restaurantId)
-      .gte('created_at', startDate.toISOString())
-      .lte('created_at', endDate.toISOString());
-    
-    if (error) {
-      logger.error('Error retrieving restaurant resolution stats', { error: error.message });
-      throw error;
-    }
-    
-    // Process results
-    const result = {
-      totalResolutions: data.length,
-      refundCount: 0,
-      redeliveryCount: 0,
-      creditCount: 0,
-      totalRefundAmount: 0
-    };
-    
-    data.forEach(item => {
-      if (item.resolution_type === 'REFUND') {
-        result.refundCount++;
-        result.totalRefundAmount += item.amount || 0;
-      } else if (item.resolution_type === 'REDELIVERY') {
-        result.redeliveryCount++;
-      } else if (item.resolution_type === 'CREDIT') {
-        result.creditCount++;
-      }
-    });
-    
-    return result;
+    return await getAdapter().getRestaurantResolutionStats(restaurantId, startDate, endDate);
   } catch (error) {
     logger.error('Error retrieving restaurant resolution stats', { error: error.message });
     throw error;
@@ -362,12 +587,44 @@ async function getRestaurantResolutionStats(restaurantId, startDate, endDate) {
 
 module.exports = {
   initializeDatabase,
+  isPersistent,
   createSession,
   getSession,
   updateSession,
+  getEscalatedSessionIds,
   addMessageToSession,
+  getSessionMessages,
   addResolutionToSession,
+  addSessionTurn,
+  getSessionTurns,
+  getTurnsBetween,
+  addEvidence,
+  getSessionEvidence,
+  getEvidenceFingerprints,
   logResolution,
+  getResolutionLedgerEntries,
+  addResolutionLedgerEntry,
+  removeResolutionLedgerEntry,
+  addUnrecordedResolution,
+  getUnrecordedResolutions,
+  removeUnrecordedResolution,
+  getCreditLedgerEntries,
+  getExpiredCreditGrants,
+  addCreditLedgerEntry,
+  updateCreditGrant,
+  addUnrecordedCreditEntry,
+  getUnrecordedCreditEntries,
+  removeUnrecordedCreditEntry,
+  addRefund,
+  updateRefund,
+  getCustomerRefunds,
+  getOrderRefunds,
+  getOpenRefunds,
+  getQueuedRefunds,
+  createEscalationTicket,
+  updateEscalationTicket,
+  getOpenEscalationTickets,
   getCustomerResolutionHistory,
+  getResolutionLogs,
   getRestaurantResolutionStats
 };
\ No newline at end of file
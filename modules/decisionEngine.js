@@ -1,17 +1,43 @@
 // modules/decisionEngine.js
 
 const logger = require('../utilities/logger');
+const clock = require('../utilities/clock');
 const config = require('../config/appConfig');
+const resolutionLedger = require('./resolutionLedger');
+const riskScorer = require('./riskScorer');
+const failurePolicy = require('./failurePolicy');
+const policyEngine = require('./policyEngine');
+const refundCalculator = require('./refundCalculator');
+const paymentProcessor = require('./paymentProcessor');
+
+// Issues about particular items, valued line by line (see refundCalculator)
+const ITEM_ISSUE_TYPES = ['WRONG_ORDER', 'MISSING_ITEM'];
+
+// Dates a claim can't be checked without, beyond the order time every claim needs
+const REQUIRED_DATES = {
+  LATE_DELIVERY: ['estimatedDeliveryTime']
+};
 
 /**
  * Verify that a wrong order issue is valid
  * @param {object} orderDetails - Details of the order
- * @param {array} wrongItems - List of items claimed to be wrong
+ * @param {array} wrongItems - Items claimed to be wrong (names, or { name, quantity } mentions)
  * @param {object} customerInfo - Customer information
+ * @param {array} evidence - Photos uploaded for this order (see evidenceManager)
  * @returns {object} Verification result
  */
-async function verifyWrongOrderIssue(orderDetails, wrongItems, customerInfo) {
+async function verifyWrongOrderIssue(orderDetails, wrongItems, customerInfo, evidence = []) {
   try {
+    validateOrderDetails('WRONG_ORDER', orderDetails);
+    
+    // Items can't be wrong on an order that hasn't arrived yet
+    if (!orderDetails.deliveredAt) {
+      return {
+        verified: false,
+        reason: 'Order has not been delivered yet'
+      };
+    }
+    
     // If order is already marked as problematic, automatically verify
     if (orderDetails.problemFlag) {
       return {
@@ -20,45 +46,44 @@ async function verifyWrongOrderIssue(orderDetails, wrongItems, customerInfo) {
       };
     }
     
+    // Score the claim against the customer's complaint and compensation history
+    const risk = await riskScorer.assessClaimRisk(customerInfo, orderDetails);
+    const riskRejection = checkClaimRisk(risk);
+    
+    if (riskRejection) {
+      return riskRejection;
+    }
+    
+    // Risky or expensive claims need a photo, whatever the customer's tier
+    const claimAmount = getItemBreakdown('WRONG_ORDER', orderDetails, { wrongItems }).total;
+    const evidenceRejection = checkEvidence(risk, claimAmount, evidence);
+    
+    if (evidenceRejection) {
+      return evidenceRejection;
+    }
+    
     // If customer is a high-tier member (e.g., Zomato Pro), trust them
     if (customerInfo.membershipTier === 'PRO' || customerInfo.membershipTier === 'PRO_PLUS') {
       return {
         verified: true,
-        reason: 'Trusted customer tier'
+        reason: 'Trusted customer tier',
+        risk
       };
     }
     
     // Check if order was delivered recently (within verification window)
     const deliveryTime = new Date(orderDetails.deliveredAt);
-    const now = new Date();
+    const now = clock.now();
     const minutesSinceDelivery = (now - deliveryTime) / (1000 * 60);
     
     if (minutesSinceDelivery > config.verificationWindows.wrongOrder) {
       return {
         verified: false,
-        reason: 'Complaint received too long after delivery'
-      };
-    }
-    
-    // Check customer history for fraudulent behavior
-    if (customerInfo.fraudRiskScore > config.thresholds.fraudRiskScore) {
-      return {
-        verified: false,
-        reason: 'Customer risk score exceeds threshold'
+        reason: 'Complaint received too long after delivery',
+        risk
       };
     }
     
-    // Check if complaint frequency is excessive
-    if (customerInfo.complaintFrequency > config.thresholds.complaintFrequency) {
-      // Add extra verification for frequent complainers
-      // For demo purposes, we're just returning verified: true
-      // In a real system, this might require additional proof
-      logger.warn('High complaint frequency customer', { 
-        customerId: customerInfo.id, 
-        complaintFrequency: customerInfo.complaintFrequency 
-      });
-    }
-    
     // In a real implementation, we might have more sophisticated checks:
     // - Driver GPS verification
     // - Restaurant order confirmation
@@ -67,38 +92,35 @@ async function verifyWrongOrderIssue(orderDetails, wrongItems, customerInfo) {
     // For now, we'll trust the customer's report
     return {
       verified: true,
-      reason: 'Customer report accepted'
+      reason: 'Customer report accepted',
+      risk
     };
   } catch (error) {
     logger.error('Error verifying wrong order issue', { error: error.message });
     
-    // Default to verification passed on error
-    return {
-      verified: true,
-      reason: 'Verification error, giving benefit of doubt to customer'
-    };
+    return handleVerificationError('WRONG_ORDER', orderDetails, error);
   }
 }
 
 /**
  * Verify that a missing item issue is valid
  * @param {object} orderDetails - Details of the order
- * @param {array} missingItems - List of items claimed to be missing
+ * @param {array} missingItems - Items claimed to be missing (names, or { name, quantity } mentions)
  * @param {object} customerInfo - Customer information
+ * @param {array} evidence - Photos uploaded for this order (see evidenceManager)
  * @returns {object} Verification result
  */
-async function verifyMissingItemIssue(orderDetails, missingItems, customerInfo) {
+async function verifyMissingItemIssue(orderDetails, missingItems, customerInfo, evidence = []) {
   try {
+    validateOrderDetails('MISSING_ITEM', orderDetails);
+    
     // Similar logic to verifyWrongOrderIssue
     
-    // Check if the items claimed to be missing were actually ordered
-    const orderedItems = orderDetails.items.map(item => item.name.toLowerCase());
-    const validMissingItems = missingItems.filter(item =>
-      orderedItems.includes(item.toLowerCase())
-    );
+    // Check if the items claimed to be missing were actually ordered, and how many of each
+    const validMissingItems = refundCalculator.resolveClaimItems(orderDetails, missingItems).items;
     
     // If none of the claimed missing items were ordered, reject
-    if (validMissingItems.length === 0 && missingItems.length > 0) {
+    if (validMissingItems.length === 0 && refundCalculator.normalizeItemMentions(missingItems).length > 0) {
       return {
         verified: false,
         reason: 'Claimed missing items were not in the original order'
@@ -106,6 +128,13 @@ async function verifyMissingItemIssue(orderDetails, missingItems, customerInfo)
     }
     
     // Apply standard verification checks
+    if (!orderDetails.deliveredAt) {
+      return {
+        verified: false,
+        reason: 'Order has not been delivered yet'
+      };
+    }
+    
     if (orderDetails.problemFlag) {
       return {
         verified: true,
@@ -113,44 +142,107 @@ async function verifyMissingItemIssue(orderDetails, missingItems, customerInfo)
       };
     }
     
+    const risk = await riskScorer.assessClaimRisk(customerInfo, orderDetails);
+    const riskRejection = checkClaimRisk(risk);
+    
+    if (riskRejection) {
+      return riskRejection;
+    }
+    
+    const claimAmount = getItemBreakdown('MISSING_ITEM', orderDetails, { missingItems: validMissingItems }).total;
+    const evidenceRejection = checkEvidence(risk, claimAmount, evidence);
+    
+    if (evidenceRejection) {
+      return evidenceRejection;
+    }
+    
     if (customerInfo.membershipTier === 'PRO' || customerInfo.membershipTier === 'PRO_PLUS') {
       return {
         verified: true,
-        reason: 'Trusted customer tier'
+        reason: 'Trusted customer tier',
+        validMissingItems,
+        risk
       };
     }
     
     const deliveryTime = new Date(orderDetails.deliveredAt);
-    const now = new Date();
+    const now = clock.now();
     const minutesSinceDelivery = (now - deliveryTime) / (1000 * 60);
     
     if (minutesSinceDelivery > config.verificationWindows.missingItem) {
       return {
         verified: false,
-        reason: 'Complaint received too long after delivery'
-      };
-    }
-    
-    if (customerInfo.fraudRiskScore > config.thresholds.fraudRiskScore) {
-      return {
-        verified: false,
-        reason: 'Customer risk score exceeds threshold'
+        reason: 'Complaint received too long after delivery',
+        risk
       };
     }
     
     return {
       verified: true,
       reason: 'Customer report accepted',
-      validMissingItems
+      validMissingItems,
+      risk
     };
   } catch (error) {
     logger.error('Error verifying missing item issue', { error: error.message });
     
+    return handleVerificationError('MISSING_ITEM', orderDetails, error);
+  }
+}
+
+/**
+ * Turn a high-risk claim into a verification failure that hands it to the support team
+ * @param {object} risk - Risk assessment from riskScorer
+ * @returns {object|null} Verification result, or null when the claim can be verified as usual
+ */
+function checkClaimRisk(risk) {
+  if (risk.action === riskScorer.RISK_ACTIONS.ESCALATE) {
     return {
-      verified: true,
-      reason: 'Verification error, giving benefit of doubt to customer'
+      verified: false,
+      reason: 'Customer risk score exceeds threshold',
+      escalationReason: 'HIGH_RISK_CLAIM',
+      risk
     };
   }
+  
+  return null;
+}
+
+/**
+ * Check that a claim which needs a photo has one that can be trusted
+ * @param {object} risk - Risk assessment from riskScorer
+ * @param {number} claimAmount - Value of the items the claim is about
+ * @param {array} evidence - Photos uploaded for the order
+ * @returns {object|null} Verification result, or null when the claim can be verified as usual
+ */
+function checkEvidence(risk, claimAmount, evidence) {
+  const photoRequired = risk.action === riskScorer.RISK_ACTIONS.REQUIRE_PROOF ||
+    claimAmount >= config.evidence.photoRequiredAmount;
+  
+  if (!photoRequired) {
+    return null;
+  }
+  
+  if (evidence.length === 0) {
+    return {
+      verified: false,
+      reason: 'Photo evidence required',
+      requiresEvidence: true,
+      risk
+    };
+  }
+  
+  // Photos reused from other claims, or taken before the order, prove nothing
+  if (evidence.every(item => item.flags.length > 0)) {
+    return {
+      verified: false,
+      reason: 'Photo evidence was used in another claim',
+      escalationReason: 'DUPLICATE_EVIDENCE',
+      risk
+    };
+  }
+  
+  return null;
 }
 
 /**
@@ -161,9 +253,13 @@ async function verifyMissingItemIssue(orderDetails, missingItems, customerInfo)
  */
 async function verifyLateDeliveryIssue(orderDetails, customerInfo) {
   try {
+    validateOrderDetails('LATE_DELIVERY', orderDetails);
+    
     // Check if the delivery was actually late
     const estimatedDeliveryTime = new Date(orderDetails.estimatedDeliveryTime);
-    const actualDeliveryTime = new Date(orderDetails.deliveredAt);
+    
+    // Orders that haven't arrived yet are measured against the current time
+    const actualDeliveryTime = orderDetails.deliveredAt ? new Date(orderDetails.deliveredAt) : clock.now();
     
     // Calculate lateness in minutes
     const latenessMinutes = (actualDeliveryTime - estimatedDeliveryTime) / (1000 * 60);
@@ -187,7 +283,7 @@ async function verifyLateDeliveryIssue(orderDetails, customerInfo) {
     }
     
     // Verify if this complaint is being made within a reasonable timeframe
-    const now = new Date();
+    const now = clock.now();
     const hoursSinceDelivery = (now - actualDeliveryTime) / (1000 * 60 * 60);
     
     if (hoursSinceDelivery > config.verificationWindows.lateDeliveryHours) {
@@ -207,8 +303,7 @@ async function verifyLateDeliveryIssue(orderDetails, customerInfo) {
     logger.error('Error verifying late delivery issue', { error: error.message });
     
     return {
-      verified: true,
-      reason: 'Verification error, giving benefit of doubt to customer',
+      ...handleVerificationError('LATE_DELIVERY', orderDetails, error),
       latenessMinutes: 0
     };
   }
@@ -219,10 +314,13 @@ async function verifyLateDeliveryIssue(orderDetails, customerInfo) {
  * @param {object} orderDetails - Details of the order
  * @param {object} customerInfo - Customer information
  * @param {string} reason - Reason for the refund
+ * @param {array} evidence - Photos uploaded for this order (see evidenceManager)
  * @returns {object} Eligibility result
  */
-async function checkRefundEligibility(orderDetails, customerInfo, reason) {
+async function checkRefundEligibility(orderDetails, customerInfo, reason, evidence = []) {
   try {
+    validateOrderDetails('REFUND_REQUEST', orderDetails);
+    
     // Check if order is already refunded
     if (orderDetails.refunded) {
       return {
@@ -231,47 +329,133 @@ async function checkRefundEligibility(orderDetails, customerInfo, reason) {
       };
     }
     
-    // Check if order is too old for refund
-    const orderDate = new Date(orderDetails.orderedAt);
-    const now = new Date();
-    const daysSinceOrder = (now - orderDate) / (1000 * 60 * 60 * 24);
+    // Asking again for a refund already granted gets that refund
+    const existingResolution = await resolutionLedger.findResolution(orderDetails.id, 'REFUND_REQUEST');
+    
+    if (existingResolution) {
+      return {
+        eligible: true,
+        amount: existingResolution.amount,
+        existingResolution
+      };
+    }
+    
+    // Earlier refunds and credits only leave less to refund
+    const remainingCompensation = await resolutionLedger.getRemainingCompensation(orderDetails);
+    
+    if (remainingCompensation <= 0) {
+      const ledgerEntries = await resolutionLedger.getOrderLedger(orderDetails.id);
+      const refundedAmount = ledgerEntries
+        .filter(entry => entry.resolutionType === 'REFUND')
+        .reduce((total, entry) => total + entry.amount, 0);
+      
+      return {
+        eligible: false,
+        reason: refundedAmount >= orderDetails.totalAmount ? 'Order has already been refunded' : 'Order has already been fully compensated'
+      };
+    }
     
-    if (daysSinceOrder > config.thresholds.refundEligibilityDays) {
+    // A cash on delivery order the customer never paid for has nothing to refund
+    if (!(await paymentProcessor.isPaymentCollected(orderDetails))) {
       return {
         eligible: false,
-        reason: `Order is more than ${config.thresholds.refundEligibilityDays} days old`
+        reason: 'Payment was not collected'
       };
     }
     
-    // Calculate refund amount based on order age
-    let refundPercentage = 100;
+    const refund = calculateRefund(orderDetails, customerInfo, remainingCompensation);
     
-    // Reduce refund amount for older orders (unless customer is premium)
-    if (customerInfo.membershipTier !== 'PRO' && customerInfo.membershipTier !== 'PRO_PLUS') {
-      if (daysSinceOrder > 3) {
-        refundPercentage = 50;
-      } else if (daysSinceOrder > 1) {
-        refundPercentage = 75;
-      }
+    if (!refund.eligible) {
+      return refund;
     }
     
-    const refundAmount = (orderDetails.totalAmount * refundPercentage) / 100;
+    // A refund pays out at least as much as a claim would, so it goes through the same risk and photo checks
+    const risk = await riskScorer.assessClaimRisk(customerInfo, orderDetails);
+    const riskRejection = checkClaimRisk(risk);
     
-    return {
-      eligible: true,
-      amount: refundAmount,
-      percentage: refundPercentage
-    };
+    if (riskRejection) {
+      const { verified, ...rejection } = riskRejection;
+      
+      return { eligible: false, ...rejection };
+    }
+    
+    const evidenceRejection = checkEvidence(risk, refund.amount, evidence);
+    
+    if (evidenceRejection) {
+      const { verified, ...rejection } = evidenceRejection;
+      
+      return { eligible: false, ...rejection };
+    }
+    
+    return { ...refund, risk };
   } catch (error) {
     logger.error('Error checking refund eligibility', { error: error.message });
     
+    const failure = failurePolicy.evaluateFailure(failurePolicy.FAILURE_STAGES.ELIGIBILITY, 'REFUND_REQUEST', orderDetails, error);
+    
+    if (failure.action === failurePolicy.FAILURE_ACTIONS.APPROVE) {
+      return {
+        eligible: true,
+        amount: getFallbackAmount(orderDetails),
+        percentage: null,
+        failure
+      };
+    }
+    
     return {
       eligible: false,
-      reason: 'Error determining eligibility'
+      reason: 'Error determining eligibility',
+      failure
     };
   }
 }
 
+/**
+ * Work out how much of an order can be refunded, before ledger checks
+ * @param {object} orderDetails - Details of the order
+ * @param {object} customerInfo - Customer information
+ * @param {number} remainingCompensation - Amount the order can still receive
+ * @returns {object} Eligibility result
+ */
+function calculateRefund(orderDetails, customerInfo, remainingCompensation) {
+  // Check if order is too old for refund
+  const orderDate = new Date(orderDetails.orderedAt);
+  const now = clock.now();
+  const daysSinceOrder = (now - orderDate) / (1000 * 60 * 60 * 24);
+  
+  if (daysSinceOrder > config.thresholds.refundEligibilityDays) {
+    return {
+      eligible: false,
+      reason: `Order is more than ${config.thresholds.refundEligibilityDays} days old`
+    };
+  }
+  
+  // The refund rules decide how much of the order comes back, e.g. by its age
+  const evaluation = policyEngine.evaluate(
+    policyEngine.RULE_SETS.REFUND,
+    buildPolicyFacts('REFUND_REQUEST', orderDetails, customerInfo, {})
+  );
+  
+  if (!evaluation.rule) {
+    throw new Error('No refund rule matched');
+  }
+  
+  const refundPercentage = evaluation.rule.then.percentage;
+  
+  // Compensation already granted for other issues comes off the refund
+  const refundAmount = Math.min(
+    (orderDetails.totalAmount * refundPercentage) / 100,
+    remainingCompensation
+  );
+  
+  return {
+    eligible: true,
+    amount: refundAmount,
+    percentage: refundPercentage,
+    policy: { version: evaluation.version, ruleId: evaluation.rule.id }
+  };
+}
+
 /**
  * Decide on the best solution for an issue
  * @param {string} issueType - Type of issue
@@ -282,154 +466,506 @@ async function checkRefundEligibility(orderDetails, customerInfo, reason) {
  */
 async function decideSolution(issueType, orderDetails, customerInfo, entities) {
   try {
-    // Get current time to check if redelivery is an option
-    const now = new Date();
-    const deliveryTime = orderDetails.deliveredAt ? new Date(orderDetails.deliveredAt) : null;
+    validateOrderDetails(issueType, orderDetails);
     
-    // Determine if the restaurant is still open
-    const restaurantOpenUntil = new Date(orderDetails.restaurantCloseTime);
-    const restaurantIsOpen = now < restaurantOpenUntil;
+    // Repeat complaints about the same issue get the resolution already granted
+    const existingResolution = await resolutionLedger.findResolution(orderDetails.id, issueType);
     
-    // Calculate minutes since delivery (if delivered)
-    const minutesSinceDelivery = deliveryTime ? (now - deliveryTime) / (1000 * 60) : 0;
+    if (existingResolution) {
+      return {
+        type: existingResolution.resolutionType,
+        amount: existingResolution.amount,
+        reason: 'Issue already resolved',
+        existingResolution
+      };
+    }
     
-    // Determine if redelivery is an option based on time
-    const redeliveryIsPossible = restaurantIsOpen && 
-                               minutesSinceDelivery < config.thresholds.redeliveryWindowMinutes;
+    // Total compensation across all issues is capped at the order total
+    const remainingCompensation = await resolutionLedger.getRemainingCompensation(orderDetails);
     
-    // For wrong orders or missing items
-    if (issueType === 'WRONG_ORDER' || issueType === 'MISSING_ITEM') {
-      // Start with determining the affected amount
-      let affectedAmount = 0;
-      
-      if (issueType === 'WRONG_ORDER') {
-        // For wrong orders, default to full refund unless specific items are mentioned
-        affectedAmount = entities.wrongItems && entities.wrongItems.length > 0
-          ? calculateAffectedItemsAmount(orderDetails, entities.wrongItems)
-          : orderDetails.totalAmount;
-      } else {
-        // For missing items, calculate the value of the missing items
-        affectedAmount = calculateAffectedItemsAmount(orderDetails, entities.missingItems);
-      }
-      
-      // If redelivery is possible, offer it as an option
-      if (redeliveryIsPossible) {
-        return {
-          type: 'REDELIVERY',
-          amount: affectedAmount,
-          reason: `${issueType === 'WRONG_ORDER' ? 'Wrong items' : 'Missing items'} in order`,
-          estimatedTime: 35 // minutes, would be calculated based on restaurant metrics
-        };
-      }
-      
-      // If customer is a premium member, give extra credit
-      if (customerInfo.membershipTier === 'PRO' || customerInfo.membershipTier === 'PRO_PLUS') {
-        const bonusAmount = Math.min(
-          affectedAmount * config.compensationRates.premiumBonus, 
-          config.thresholds.maxBonusAmount
-        );
-        
-        return {
-          type: 'CREDIT',
-          amount: affectedAmount + bonusAmount,
-          reason: `${issueType === 'WRONG_ORDER' ? 'Wrong items' : 'Missing items'} in order`,
-          bonusAmount
-        };
-      }
-      
-      // Default to refund
+    if (remainingCompensation <= 0) {
       return {
-        type: 'REFUND',
-        amount: affectedAmount,
-        reason: `${issueType === 'WRONG_ORDER' ? 'Wrong items' : 'Missing items'} in order`
+        type: 'NONE',
+        amount: 0,
+        reason: 'Order has already been fully compensated'
       };
     }
     
-    // For late delivery
-    if (issueType === 'LATE_DELIVERY') {
-      const latenessMinutes = entities.latenessMinutes || 0;
-      
-      // Calculate compensation based on lateness
-      let compensationRate = 0;
-      
-      if (latenessMinutes > 60) {
-        compensationRate = config.compensationRates.veryLate;
-      } else if (latenessMinutes > 30) {
-        compensationRate = config.compensationRates.moderatelyLate;
-      } else if (latenessMinutes > 15) {
-        compensationRate = config.compensationRates.slightlyLate;
-      }
-      
-      const compensationAmount = Math.min(
-        orderDetails.totalAmount * compensationRate,
-        config.thresholds.maxLateFee
-      );
-      
-      // For extreme lateness, offer full refund
-      if (latenessMinutes > 90) {
-        return {
-          type: 'REFUND',
-          amount: orderDetails.totalAmount,
-          reason: `Extreme delivery delay (${Math.round(latenessMinutes)} minutes late)`
-        };
-      }
-      
-      // For moderate to significant lateness, offer credit with bonus
+    const solution = capSolution(await decideCompensation(issueType, orderDetails, customerInfo, entities), remainingCompensation);
+    
+    // Money only goes back to customers who paid, so unpaid cash on delivery orders get credits instead
+    if (!(await paymentProcessor.isPaymentCollected(orderDetails))) {
+      return {
+        ...solution,
+        type: solution.type === 'REFUND' ? 'CREDIT' : solution.type,
+        paymentCollected: false
+      };
+    }
+    
+    return solution;
+  } catch (error) {
+    logger.error('Error deciding solution', { error: error.message });
+    
+    const failure = failurePolicy.evaluateFailure(failurePolicy.FAILURE_STAGES.DECISION, issueType, orderDetails, error);
+    
+    if (failure.action === failurePolicy.FAILURE_ACTIONS.APPROVE) {
       return {
         type: 'CREDIT',
-        amount: compensationAmount,
-        reason: `Delivery delay (${Math.round(latenessMinutes)} minutes late)`
+        amount: getFallbackAmount(orderDetails),
+        reason: 'Standard compensation',
+        failure
       };
     }
     
-    // Default solution if no specific logic matches
+    // Nothing is granted; the turn reports the failure instead
     return {
-      type: 'CREDIT',
-      amount: orderDetails.deliveryFee || 50,
-      reason: 'Compensation for inconvenience'
+      type: 'NONE',
+      amount: 0,
+      reason: 'Error deciding solution',
+      failure
     };
+  }
+}
+
+/**
+ * Check that an order payload has what a claim is worked out from
+ *
+ * A malformed payload (a missing or non-numeric total, broken items, dates
+ * that can't be read) would otherwise turn into NaN amounts and comparisons
+ * that quietly pass, so it's thrown to the failure policy instead.
+ *
+ * @param {string} issueType - Type of issue being claimed
+ * @param {object} orderDetails - Details of the order
+ * @throws {Error} When the order can't be relied on
+ */
+function validateOrderDetails(issueType, orderDetails) {
+  if (!orderDetails || typeof orderDetails !== 'object') {
+    throw new Error('Malformed order: no order details');
+  }
+  
+  if (typeof orderDetails.totalAmount !== 'number' || !Number.isFinite(orderDetails.totalAmount) || orderDetails.totalAmount <= 0) {
+    throw new Error('Malformed order: total amount must be a positive number');
+  }
+  
+  const items = orderDetails.items;
+  const validItem = item => item && typeof item.name === 'string' &&
+    typeof item.price === 'number' && Number.isFinite(item.price) && item.price >= 0 &&
+    Number.isInteger(item.quantity) && item.quantity > 0;
+  
+  if (!Array.isArray(items) || items.length === 0 || !items.every(validItem)) {
+    throw new Error('Malformed order: items must each have a name, price and quantity');
+  }
+  
+  const requiredDates = ['orderedAt', ...(REQUIRED_DATES[issueType] || [])];
+  const invalidDate = requiredDates.find(field => !isValidDate(orderDetails[field])) ||
+    (orderDetails.deliveredAt && !isValidDate(orderDetails.deliveredAt) ? 'deliveredAt' : null);
+  
+  if (invalidDate) {
+    throw new Error(`Malformed order: ${invalidDate} is not a valid date`);
+  }
+}
+
+/**
+ * Check whether a value can be read as a date
+ * @param {*} value - Date, timestamp or date string
+ * @returns {boolean} Whether it's a real date
+ */
+function isValidDate(value) {
+  if (!(value instanceof Date) && typeof value !== 'string' && typeof value !== 'number') {
+    return false;
+  }
+  
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Turn an error thrown while verifying a claim into the result the failure policy calls for
+ * @param {string} issueType - Type of issue being verified
+ * @param {object} orderDetails - Details of the order
+ * @param {Error} error - Error that was thrown
+ * @returns {object} Verification result, carrying the failure
+ */
+function handleVerificationError(issueType, orderDetails, error) {
+  const failure = failurePolicy.evaluateFailure(failurePolicy.FAILURE_STAGES.VERIFICATION, issueType, orderDetails, error);
+  
+  return {
+    verified: failure.action === failurePolicy.FAILURE_ACTIONS.APPROVE,
+    reason: 'Verification error',
+    failure
+  };
+}
+
+/**
+ * Get the amount granted for a claim approved without knowing what it's worth
+ * @param {object} orderDetails - Details of the order
+ * @returns {number} Amount, never more than the order total when that can be read
+ */
+function getFallbackAmount(orderDetails) {
+  const orderTotal = orderDetails && Number.isFinite(orderDetails.totalAmount) ? orderDetails.totalAmount : Infinity;
+  
+  return Math.min(config.failurePolicy.fallbackAmount, orderTotal);
+}
+
+/**
+ * Decide on compensation for an issue, before ledger limits are applied
+ * @param {string} issueType - Type of issue
+ * @param {object} orderDetails - Details of the order
+ * @param {object} customerInfo - Customer information
+ * @param {object} entities - Extracted entities
+ * @returns {object} Solution details
+ */
+async function decideCompensation(issueType, orderDetails, customerInfo, entities) {
+  try {
+    const facts = buildPolicyFacts(issueType, orderDetails, customerInfo, entities);
+    const evaluation = policyEngine.evaluate(policyEngine.RULE_SETS.COMPENSATION, facts);
+    
+    // A policy that doesn't cover the issue is treated like any other failure
+    if (!evaluation.rule) {
+      throw new Error(`No compensation rule matched ${issueType}`);
+    }
+    
+    return buildSolution(evaluation, facts, getItemBreakdown(issueType, orderDetails, entities));
   } catch (error) {
-    logger.error('Error deciding solution', { error: error.message });
+    logger.error('Error deciding compensation', { error: error.message, issueType });
+    
+    // decideSolution applies the failure policy
+    throw error;
+  }
+}
+
+/**
+ * Gather the facts the policy rules can put conditions on
+ * @param {string} issueType - Type of issue
+ * @param {object} orderDetails - Details of the order
+ * @param {object} customerInfo - Customer information
+ * @param {object} entities - Extracted entities
+ * @returns {object} Facts (see policyEngine.POLICY_FACTS)
+ */
+function buildPolicyFacts(issueType, orderDetails, customerInfo, entities) {
+  const now = clock.now();
+  const orderedAt = orderDetails.orderedAt ? new Date(orderDetails.orderedAt) : null;
+  const deliveryTime = orderDetails.deliveredAt ? new Date(orderDetails.deliveredAt) : null;
+  
+  // Calculate minutes since delivery (if delivered)
+  const minutesSinceDelivery = deliveryTime ? (now - deliveryTime) / (1000 * 60) : 0;
+  
+  // Redelivery needs the restaurant open and the order still fresh
+  const restaurantIsOpen = now < new Date(orderDetails.restaurantCloseTime);
+  const redeliveryPossible = restaurantIsOpen &&
+                             minutesSinceDelivery < config.thresholds.redeliveryWindowMinutes;
+  
+  // What the affected items cost, with their share of taxes, fees and discounts
+  const breakdown = getItemBreakdown(issueType, orderDetails, entities);
+  const affectedAmount = breakdown ? breakdown.total : orderDetails.totalAmount;
+  
+  return {
+    issueType,
+    membershipTier: customerInfo.membershipTier || 'REGULAR',
+    latenessMinutes: entities.latenessMinutes || 0,
+    orderValue: orderDetails.totalAmount,
+    affectedAmount,
+    deliveryFee: orderDetails.deliveryFee,
+    city: orderDetails.city || null,
+    orderHour: orderedAt ? orderedAt.getHours() : null,
+    currentHour: now.getHours(),
+    dayOfWeek: now.getDay(),
+    daysSinceOrder: orderedAt ? (now - orderedAt) / (1000 * 60 * 60 * 24) : null,
+    minutesSinceDelivery,
+    paymentMethod: orderDetails.paymentMethod || null,
+    redeliveryPossible
+  };
+}
+
+/**
+ * Turn the compensation rule that fired into a solution
+ * @param {object} evaluation - Policy evaluation ({ version, rule })
+ * @param {object} facts - Facts the rule was evaluated against
+ * @param {object} breakdown - Line-item valuation of the affected items, null for whole-order issues
+ * @returns {object} Solution details, tagged with the policy version and rule
+ */
+function buildSolution(evaluation, facts, breakdown = null) {
+  const outcome = evaluation.rule.then;
+  const amount = policyEngine.calculateAmount(outcome.amount, facts);
+  const solution = {
+    type: outcome.type,
+    amount,
+    reason: policyEngine.formatTemplate(outcome.reason, facts),
+    policy: { version: evaluation.version, ruleId: evaluation.rule.id }
+  };
+  
+  if (outcome.bonus) {
+    solution.bonusAmount = policyEngine.calculateAmount(outcome.bonus, facts);
+    solution.amount = amount + solution.bonusAmount;
+  }
+  
+  if (outcome.estimatedTime) {
+    solution.estimatedTime = outcome.estimatedTime; // minutes, would be calculated based on restaurant metrics
+  }
+  
+  // Shown to the customer and logged with the resolution
+  if (breakdown) {
+    solution.breakdown = breakdown;
+  }
+  
+  return solution;
+}
+
+/**
+ * Show which policy rule fires for an order, without deciding or applying anything
+ * @param {string} issueType - Type of issue, or REFUND_REQUEST for a refund
+ * @param {object} orderDetails - Details of the order
+ * @param {object} customerInfo - Customer information
+ * @param {object} entities - Extracted entities (e.g. missingItems, latenessMinutes)
+ * @returns {object} Dry run ({ version, ruleSet, facts, rule, trace, outcome })
+ */
+async function dryRunPolicy(issueType, orderDetails, customerInfo, entities) {
+  const isRefund = issueType === 'REFUND_REQUEST';
+  const ruleSet = isRefund ? policyEngine.RULE_SETS.REFUND : policyEngine.RULE_SETS.COMPENSATION;
+  
+  // Measure the delay the way a real claim would, unless the caller wants to try a value
+  if (issueType === 'LATE_DELIVERY' && entities.latenessMinutes === undefined) {
+    const verification = await verifyLateDeliveryIssue(orderDetails, customerInfo);
+    entities = { ...entities, latenessMinutes: verification.latenessMinutes };
+  }
+  
+  const facts = buildPolicyFacts(issueType, orderDetails, customerInfo, entities);
+  const evaluation = policyEngine.evaluate(ruleSet, facts);
+  
+  let outcome = null;
+  if (evaluation.rule) {
+    outcome = isRefund
+      ? { percentage: evaluation.rule.then.percentage, amount: (orderDetails.totalAmount * evaluation.rule.then.percentage) / 100 }
+      : buildSolution(evaluation, facts, getItemBreakdown(issueType, orderDetails, entities));
+  }
+  
+  return {
+    version: evaluation.version,
+    ruleSet,
+    facts,
+    rule: evaluation.rule,
+    trace: evaluation.trace,
+    outcome
+  };
+}
+
+/**
+ * Run a past claim through verification and the compensation policy again, for backtesting
+ *
+ * Nothing is recorded and the ledger is ignored, since it already holds what was
+ * actually granted for the claim; the caller tracks what the replay has granted
+ * on the order instead. Run it inside clock.runAt to check the claim as of when
+ * it was made.
+ *
+ * @param {string} issueType - Type of issue, or REFUND_REQUEST for a refund
+ * @param {object} orderDetails - Details of the order
+ * @param {object} customerInfo - Customer information
+ * @param {object} entities - Entities recorded with the claim (e.g. missingItems)
+ * @param {array} evidence - Photos uploaded for the claim (see evidenceManager)
+ * @param {number} remainingCompensation - Amount the order can still receive in the replay
+ * @returns {object} Replay ({ approved, reason, solution, escalationReason, failure })
+ */
+async function replayClaim(issueType, orderDetails, customerInfo, entities, evidence = [], remainingCompensation = orderDetails.totalAmount) {
+  if (remainingCompensation <= 0) {
+    return {
+      approved: false,
+      reason: 'Order has already been fully compensated',
+      solution: null
+    };
+  }
+  
+  if (issueType === 'REFUND_REQUEST') {
+    const refund = calculateRefund(orderDetails, customerInfo, remainingCompensation);
     
-    // Default solution on error
     return {
-      type: 'CREDIT',
-      amount: 100,
-      reason: 'Standard compensation'
+      approved: refund.eligible,
+      reason: refund.reason || `${refund.percentage}% refund`,
+      solution: refund.eligible
+        ? { type: 'REFUND', amount: refund.amount, reason: entities.reason || 'Customer requested refund', policy: refund.policy }
+        : null
     };
   }
+  
+  let verification;
+  let claimEntities = entities;
+  
+  switch (issueType) {
+    case 'WRONG_ORDER':
+      verification = await verifyWrongOrderIssue(orderDetails, entities.wrongItems, customerInfo, evidence);
+      break;
+    
+    case 'MISSING_ITEM':
+      verification = await verifyMissingItemIssue(orderDetails, entities.missingItems || [], customerInfo, evidence);
+      claimEntities = { ...entities, missingItems: verification.validMissingItems || entities.missingItems || [] };
+      break;
+    
+    case 'LATE_DELIVERY':
+      verification = await verifyLateDeliveryIssue(orderDetails, customerInfo);
+      claimEntities = { ...entities, latenessMinutes: verification.latenessMinutes };
+      break;
+    
+    default:
+      throw new Error(`Cannot replay ${issueType} claims`);
+  }
+  
+  if (!verification.verified) {
+    return {
+      approved: false,
+      reason: verification.reason,
+      solution: null,
+      escalationReason: verification.escalationReason || null,
+      failure: verification.failure || null
+    };
+  }
+  
+  // Compensation is still capped at the order total
+  const solution = capSolution(
+    await decideCompensation(issueType, orderDetails, customerInfo, claimEntities),
+    remainingCompensation
+  );
+  
+  return {
+    approved: solution.amount > 0,
+    reason: solution.reason,
+    solution,
+    failure: verification.failure || null
+  };
 }
 
 /**
- * Calculate the amount for affected items
+ * Limit a solution to the compensation an order can still receive
+ * @param {object} solution - Solution details
+ * @param {number} remainingCompensation - Amount the order can still receive
+ * @returns {object} Capped solution
+ */
+function capSolution(solution, remainingCompensation) {
+  if (solution.amount <= remainingCompensation) {
+    return { ...solution, remainingCompensation };
+  }
+  
+  logger.info('Solution capped at remaining order compensation', {
+    solutionType: solution.type,
+    requestedAmount: solution.amount,
+    remainingCompensation
+  });
+  
+  const cappedSolution = {
+    ...solution,
+    amount: remainingCompensation,
+    remainingCompensation,
+    capped: true
+  };
+  
+  // Any bonus is the first thing to go
+  if (solution.bonusAmount) {
+    const baseAmount = solution.amount - solution.bonusAmount;
+    cappedSolution.bonusAmount = Math.max(0, remainingCompensation - baseAmount);
+  }
+  
+  return cappedSolution;
+}
+
+/**
+ * Build the set of options offered to the customer for a decided solution
+ * @param {string} issueType - Type of issue
  * @param {object} orderDetails - Details of the order
- * @param {array} itemNames - Names of affected items
- * @returns {number} Total amount for affected items
+ * @param {object} customerInfo - Customer information
+ * @param {object} solution - Solution chosen by decideSolution
+ * @returns {array} Options, with the decided solution first (refunds once per destination)
  */
-function calculateAffectedItemsAmount(orderDetails, itemNames) {
-  if (!itemNames || itemNames.length === 0) {
-    return 0;
+function getSolutionOptions(issueType, orderDetails, customerInfo, solution) {
+  const options = [solution];
+  
+  // Goodwill credit for a delay has no cash alternative
+  if (issueType === 'LATE_DELIVERY' && solution.type === 'CREDIT') {
+    return options;
+  }
+  
+  // Compare alternatives against the value of the issue, without any bonus
+  const baseAmount = solution.bonusAmount ? solution.amount - solution.bonusAmount : solution.amount;
+  
+  // Alternatives can't go past what the order can still receive either
+  const maxAmount = solution.remainingCompensation !== undefined ? solution.remainingCompensation : Infinity;
+  
+  // Unpaid cash on delivery orders can't be offered money back
+  if (solution.type !== 'REFUND' && solution.paymentCollected !== false) {
+    options.push({
+      type: 'REFUND',
+      amount: Math.min(baseAmount, maxAmount),
+      reason: solution.reason,
+      breakdown: solution.breakdown,
+      policy: solution.policy
+    });
   }
   
-  let totalAmount = 0;
+  if (solution.type !== 'CREDIT') {
+    // Customers who take credits instead of cash get a bonus on top
+    const bonusRate = customerInfo.membershipTier === 'PRO' || customerInfo.membershipTier === 'PRO_PLUS'
+      ? config.compensationRates.premiumBonus
+      : config.compensationRates.creditChoiceBonus;
+    
+    const creditBase = Math.min(baseAmount, maxAmount);
+    const bonusAmount = Math.min(
+      baseAmount * bonusRate,
+      config.thresholds.maxBonusAmount,
+      maxAmount - creditBase
+    );
+    
+    options.push({
+      type: 'CREDIT',
+      amount: creditBase + bonusAmount,
+      reason: solution.reason,
+      bonusAmount,
+      breakdown: solution.breakdown,
+      policy: solution.policy
+    });
+  }
   
-  // Convert item names to lowercase for case-insensitive matching
-  const lowerCaseItemNames = itemNames.map(name => name.toLowerCase());
+  return addRefundDestinations(options, orderDetails);
+}
+
+/**
+ * Offer each refund to every destination the order allows
+ *
+ * The original payment method comes first, followed by an instant refund to
+ * the Zomato wallet; cash on delivery orders can only be refunded to the wallet.
+ *
+ * @param {array} options - Solution options
+ * @param {object} orderDetails - Details of the order
+ * @returns {array} Options, with refunds expanded per destination
+ */
+function addRefundDestinations(options, orderDetails) {
+  const destinations = paymentProcessor.getRefundDestinations(orderDetails.paymentMethod);
   
-  // Calculate total for affected items
-  orderDetails.items.forEach(item => {
-    if (lowerCaseItemNames.some(name => item.name.toLowerCase().includes(name))) {
-      totalAmount += item.price * item.quantity;
+  return options.reduce((expanded, option) => {
+    if (option.type !== 'REFUND') {
+      return [...expanded, option];
     }
-  });
+    
+    return [...expanded, ...destinations.map(destination => ({ ...option, destination }))];
+  }, []);
+}
+
+/**
+ * Value the items an item-level claim is about, line by line
+ * @param {string} issueType - Type of issue
+ * @param {object} orderDetails - Details of the order
+ * @param {object} entities - Extracted entities (wrongItems or missingItems)
+ * @returns {object|null} Breakdown from refundCalculator, null for issues about the whole order
+ */
+function getItemBreakdown(issueType, orderDetails, entities) {
+  if (!ITEM_ISSUE_TYPES.includes(issueType)) {
+    return null;
+  }
+  
+  const mentions = issueType === 'WRONG_ORDER' ? entities.wrongItems : entities.missingItems;
+  let claimItems = refundCalculator.resolveClaimItems(orderDetails, mentions).items;
   
-  // If no specific items were matched but items were specified,
-  // return a percentage of the total order
-  if (totalAmount === 0 && itemNames.length > 0) {
-    return orderDetails.totalAmount * 0.3; // 30% of order value as default
+  // For wrong orders, default to the whole order unless specific items are mentioned
+  if (issueType === 'WRONG_ORDER' && claimItems.length === 0) {
+    claimItems = (orderDetails.items || []).map(item => ({ name: item.name, quantity: item.quantity }));
   }
   
-  return totalAmount;
+  return refundCalculator.calculateItemRefund(orderDetails, claimItems);
 }
 
 module.exports = {
@@ -437,5 +973,8 @@ module.exports = {
   verifyMissingItemIssue,
   verifyLateDeliveryIssue,
   checkRefundEligibility,
-  decideSolution
+  decideSolution,
+  getSolutionOptions,
+  dryRunPolicy,
+  replayClaim
 };
\ No newline at end of file
@@ -0,0 +1,285 @@
+// modules/dialogueManager.js
+
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const database = require('./database');
+const languageProcessor = require('./languageProcessor');
+
+// How each slot is filled from a free-text reply
+const SLOT_EXTRACTORS = {
+  orderId: message => languageProcessor.extractOrderIdFromReply(message),
+  missingItems: (message, orderDetails) =>
+    orderDetails ? languageProcessor.matchClaimedItems(message, orderDetails.items) : [],
+  wrongItems: (message, orderDetails) =>
+    orderDetails ? languageProcessor.matchClaimedItems(message, orderDetails.items) : []
+};
+
+/**
+ * Get the intent waiting for more information, if it hasn't expired
+ * @param {object} session - Session data
+ * @returns {object|null} Dialogue state ({ pendingIntent, slots, awaitingSlot, attempts, updatedAt })
+ */
+function getPendingIntent(session) {
+  const state = session.dialogueState;
+
+  if (!state || !state.pendingIntent) {
+    return null;
+  }
+
+  const minutesSinceUpdate = (new Date() - new Date(state.updatedAt)) / (1000 * 60);
+
+  if (minutesSinceUpdate > config.dialogue.pendingIntentTtlMinutes) {
+    logger.info('Pending intent expired', {
+      sessionId: session.sessionId,
+      pendingIntent: state.pendingIntent
+    });
+
+    return null;
+  }
+
+  return state;
+}
+
+/**
+ * Remember that an intent is waiting for a slot the customer hasn't provided
+ * @param {object} session - Session data
+ * @param {string} intentType - Intent waiting for the slot
+ * @param {object} entities - Entities collected so far
+ * @param {string} slot - Slot being asked for
+ * @returns {object} Updated dialogue state
+ */
+async function awaitSlot(session, intentType, entities, slot) {
+  const previous = getPendingIntent(session);
+  const askedBefore = previous && previous.pendingIntent === intentType && previous.awaitingSlot === slot;
+
+  session.dialogueState = {
+    pendingIntent: intentType,
+    slots: collectSlots(entities),
+    awaitingSlot: slot,
+    attempts: askedBefore ? previous.attempts + 1 : 1,
+    updatedAt: new Date()
+  };
+
+  await saveDialogueState(session);
+
+  return session.dialogueState;
+}
+
+/**
+ * Clear any pending intent from the session
+ * @param {object} session - Session data
+ */
+async function clearDialogueState(session) {
+  if (!session.dialogueState) {
+    return;
+  }
+
+  session.dialogueState = null;
+  await saveDialogueState(session);
+}
+
+/**
+ * Try to fill a slot from a message
+ * @param {string} slot - Slot to fill
+ * @param {string} message - Customer message
+ * @param {object} orderDetails - Order the slot refers to (for item slots)
+ * @returns {string|array|null} Slot value, or null when the message doesn't fill it
+ */
+function extractSlotValue(slot, message, orderDetails) {
+  const extractor = SLOT_EXTRACTORS[slot];
+
+  if (!extractor || !message) {
+    return null;
+  }
+
+  const value = extractor(message, orderDetails);
+
+  return isSlotFilled(value) ? value : null;
+}
+
+/**
+ * Check whether a slot value is present
+ * @param {string|array|null} value - Slot value
+ * @returns {boolean} Whether the slot is filled
+ */
+function isSlotFilled(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Merge the slots collected on earlier turns into this turn's entities
+ * @param {object} entities - Entities extracted from the current message
+ * @param {object} slots - Slots collected on earlier turns
+ * @returns {object} Merged entities
+ */
+function mergeSlots(entities, slots) {
+  const merged = { ...entities };
+
+  Object.keys(slots || {}).forEach(slot => {
+    if (isSlotFilled(slots[slot]) && !isSlotFilled(merged[slot])) {
+      merged[slot] = slots[slot];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Store a resolution offer on the session until the customer accepts, declines or it expires
+ * @param {object} session - Session data
+ * @param {object} offer - Offer details ({ intent, orderId, entities, affectedItems, options })
+ * @returns {object} Stored offer
+ */
+async function createOffer(session, offer) {
+  const createdAt = new Date();
+
+  session.pendingOffer = {
+    offerId: `offer_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    ...offer,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + config.offers.expiryMinutes * 60 * 1000)
+  };
+
+  logger.info('Resolution offered', {
+    sessionId: session.sessionId,
+    offerId: session.pendingOffer.offerId,
+    intent: offer.intent,
+    orderId: offer.orderId,
+    options: offer.options.map(option => option.type)
+  });
+
+  await saveOfferState(session);
+
+  return session.pendingOffer;
+}
+
+/**
+ * Get the resolution offer waiting for the customer's answer
+ * @param {object} session - Session data
+ * @returns {object|null} Pending offer
+ */
+function getPendingOffer(session) {
+  return session.pendingOffer || null;
+}
+
+/**
+ * Check whether an offer can no longer be accepted
+ * @param {object} offer - Pending offer
+ * @returns {boolean} Whether the offer has expired
+ */
+function isOfferExpired(offer) {
+  return new Date() > new Date(offer.expiresAt);
+}
+
+/**
+ * Remove the pending offer from the session
+ * @param {object} session - Session data
+ */
+async function clearOffer(session) {
+  if (!session.pendingOffer) {
+    return;
+  }
+
+  session.pendingOffer = null;
+  await saveOfferState(session);
+}
+
+/**
+ * Hold the pending offer open while the customer gives the account for a bank transfer
+ * @param {object} session - Session data
+ * @param {number} optionIndex - Index of the chosen bank transfer option
+ * @returns {object} Updated offer
+ */
+async function awaitPayoutAccount(session, optionIndex) {
+  session.pendingOffer = { ...session.pendingOffer, accountOptionIndex: optionIndex };
+  await saveOfferState(session);
+
+  return session.pendingOffer;
+}
+
+/**
+ * Get the offered option waiting for the customer's account details, if there is one
+ * @param {object} offer - Pending offer
+ * @returns {object|null} Chosen bank transfer option
+ */
+function getAccountOption(offer) {
+  return Number.isInteger(offer.accountOptionIndex) ? offer.options[offer.accountOptionIndex] : null;
+}
+
+/**
+ * Add an order the customer referred to during the conversation to the session
+ * @param {object} session - Session data
+ * @param {string} orderId - ID of the order
+ */
+async function rememberOrder(session, orderId) {
+  if (session.orderIds.includes(orderId)) {
+    return;
+  }
+
+  session.orderIds = [orderId, ...session.orderIds];
+
+  if (database.isPersistent()) {
+    await database.updateSession(session.sessionId, { orderIds: session.orderIds });
+  }
+}
+
+/**
+ * Keep only the slot-filling entities
+ * @param {object} entities - Extracted entities
+ * @returns {object} Slots
+ */
+function collectSlots(entities) {
+  const slots = {};
+
+  Object.keys(SLOT_EXTRACTORS).forEach(slot => {
+    if (isSlotFilled(entities[slot])) {
+      slots[slot] = entities[slot];
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Persist the dialogue state when storage is persistent
+ * @param {object} session - Session data
+ */
+async function saveDialogueState(session) {
+  if (!database.isPersistent()) {
+    return;
+  }
+
+  await database.updateSession(session.sessionId, { dialogueState: session.dialogueState });
+}
+
+/**
+ * Persist the pending offer when storage is persistent
+ * @param {object} session - Session data
+ */
+async function saveOfferState(session) {
+  if (!database.isPersistent()) {
+    return;
+  }
+
+  await database.updateSession(session.sessionId, { pendingOffer: session.pendingOffer });
+}
+
+module.exports = {
+  getPendingIntent,
+  awaitSlot,
+  clearDialogueState,
+  extractSlotValue,
+  isSlotFilled,
+  mergeSlots,
+  createOffer,
+  getPendingOffer,
+  isOfferExpired,
+  clearOffer,
+  awaitPayoutAccount,
+  getAccountOption,
+  rememberOrder
+};
\ No newline at end of file
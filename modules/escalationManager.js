@@ -3,72 +3,98 @@
 const logger = require('../utilities/logger');
 const config = require('../config/appConfig');
 const axios = require('axios');
+const languageProcessor = require('./languageProcessor');
+const escalationQueue = require('./escalationQueue');
+const turnLog = require('./turnLog');
+const evidenceManager = require('./evidenceManager');
+
+// Why a session was handed to a human, with the description shown to agents
+const ESCALATION_REASONS = {
+  CUSTOMER_REQUEST: 'Customer asked for a human agent',
+  RESOLUTION_FAILED: 'A resolution could not be applied',
+  REFUND_FAILED: 'A refund failed at the payment gateway',
+  PREMIUM_CUSTOMER: 'PRO_PLUS customer showed signs of frustration',
+  NEGATIVE_SENTIMENT: 'Customer sentiment has been consistently negative',
+  CUSTOMER_FRUSTRATION: 'Customer repeatedly expressed frustration',
+  HIGH_VALUE_ORDER: 'High-value order involved',
+  REPEATED_RESOLUTIONS: 'Multiple resolutions applied in this conversation',
+  LONG_CONVERSATION: 'Conversation is running long without being resolved',
+  DUPLICATE_EVIDENCE: 'Photo evidence was reused from another claim or predates the order',
+  HIGH_RISK_CLAIM: 'Claim was flagged by risk scoring',
+  SYSTEM_FAILURE: 'Zia hit an error checking the claim'
+};
+
+// Phrases that suggest the customer is losing patience with Zia
+const FRUSTRATION_INDICATORS = [
+  'speak to a human', 'speak to a person', 'talk to a manager', 
+  'talk to a supervisor', 'this is ridiculous', 'this is unacceptable',
+  'unhelpful', 'useless', 'waste of time', 'are you a bot'
+];
 
 /**
  * Initiate escalation to human support
  * @param {object} session - Current session data
+ * @param {string} reason - Why the session is being escalated (see ESCALATION_REASONS)
  * @returns {string} Escalation response message
  */
-async function initiateEscalation(session) {
+async function initiateEscalation(session, reason = 'CUSTOMER_REQUEST') {
   try {
     logger.info('Initiating escalation to human support', { 
       sessionId: session.sessionId,
       customerId: session.customerId,
-      orderIds: session.orderIds
+      orderIds: session.orderIds,
+      reason
     });
     
     // Get customer's first name
     const firstName = session.customerInfo.name.split(' ')[0];
     
-    // In demo mode, simulate escalation
-    if (config.demoMode) {
-      // Log the escalation
-      logger.info('Escalation initiated (DEMO MODE)', {
-        sessionId: session.sessionId,
-        escalationType: 'CUSTOMER_REQUEST',
-        ticketId: `esc_${Date.now()}_${Math.floor(Math.random() * 1000)}`
-      });
+    // The customer asked for a human; otherwise we're bringing one in on their behalf
+    const introduction = reason === 'CUSTOMER_REQUEST'
+      ? `I understand you'd like to speak with a human support agent, ${firstName}. I'm escalating your case to our support team now.`
+      : `I want to make sure this gets sorted out properly, ${firstName}, so I'm bringing in a member of our support team.`;
+    
+    // Queue the session for our agents; the wait time comes from the queue itself
+    const ticket = await queueEscalation(session, reason);
+    
+    // In production, mirror the ticket in the support system
+    if (!config.demoMode) {
+      const escalationData = {
+        ticketId: ticket.ticketId,
+        customerId: session.customerId,
+        orderIds: session.orderIds,
+        conversationHistory: session.conversationHistory,
+        resolutions: session.resolutions,
+        handoff: await buildHandoffPacket(session),
+        priority: ticket.priority,
+        slaDeadline: ticket.slaDeadline,
+        escalationType: reason,
+        timestamp: new Date()
+      };
       
-      // Return escalation message
-      return `I understand you'd like to speak with a human support agent, ${firstName}. I'm escalating your case to our support team now. A support specialist will join this conversation shortly to assist you further. They'll have full access to our conversation history so you won't need to repeat your issue. Thank you for your patience.`;
-    }
-    
-    // In production, create an escalation ticket in the support system
-    const escalationData = {
-      customerId: session.customerId,
-      orderIds: session.orderIds,
-      conversationHistory: session.conversationHistory,
-      resolutions: session.resolutions,
-      priority: determinePriority(session),
-      escalationType: 'CUSTOMER_REQUEST',
-      timestamp: new Date()
-    };
-    
-    // Call the escalation API
-    const response = await axios.post(
-      `${config.supportApiBaseUrl}/escalations`,
-      escalationData,
-      {
-        headers: {
-          'Authorization': `Bearer ${config.internalApiKey}`
+      // Call the escalation API
+      await axios.post(
+        `${config.supportApiBaseUrl}/escalations`,
+        escalationData,
+        {
+          headers: {
+            'Authorization': `Bearer ${config.internalApiKey}`
+          }
         }
-      }
-    );
-    
-    logger.info('Escalation created successfully', {
-      ticketId: response.data.ticketId,
-      estimatedWaitTime: response.data.estimatedWaitTime
-    });
+      );
+      
+      logger.info('Escalation sent to support system', { ticketId: ticket.ticketId });
+    }
     
     // Format wait time message
     let waitTimeMessage = '';
-    if (response.data.estimatedWaitTime) {
-      const waitMinutes = Math.ceil(response.data.estimatedWaitTime / 60);
+    if (ticket.estimatedWaitSeconds) {
+      const waitMinutes = Math.ceil(ticket.estimatedWaitSeconds / 60);
       waitTimeMessage = ` The current estimated wait time is ${waitMinutes} minute${waitMinutes !== 1 ? 's' : ''}.`;
     }
     
     // Return escalation message with ticket ID and wait time
-    return `I understand you'd like to speak with a human support agent, ${firstName}. I'm escalating your case to our support team now. Your ticket ID is ${response.data.ticketId}.${waitTimeMessage} A support specialist will join this conversation shortly to assist you further. They'll have full access to our conversation history so you won't need to repeat your issue. Thank you for your patience.`;
+    return `${introduction} Your ticket ID is ${ticket.ticketId}.${waitTimeMessage} A support specialist will join this conversation shortly to assist you further. They'll have full access to our conversation history so you won't need to repeat your issue. Thank you for your patience.`;
   } catch (error) {
     logger.error('Error initiating escalation', { error: error.message });
     
@@ -79,66 +105,141 @@ async function initiateEscalation(session) {
   }
 }
 
+/**
+ * Put an escalated session in the agent queue at its priority
+ * @param {object} session - Current session data
+ * @param {string} reason - Why the session is being escalated (see ESCALATION_REASONS)
+ * @returns {object} Queue ticket with its estimated wait time in seconds
+ */
+async function queueEscalation(session, reason) {
+  return escalationQueue.enqueue(session, reason, determinePriority(session));
+}
+
 /**
  * Check if a session should be auto-escalated
  * @param {object} session - Current session data
  * @returns {boolean} Whether the session should be escalated
  */
 function shouldAutoEscalate(session) {
+  return getAutoEscalationReason(session) !== null;
+}
+
+/**
+ * Find the first reason a session should be handed to a human without being asked
+ *
+ * Reasons about the conversation are checked on turns that offered nothing,
+ * so the customer can answer an offer or read a confirmation first. Reasons
+ * about the order, which hold for the whole session, are only checked when
+ * Zia offers or pays out compensation. Reasons an agent already dealt with
+ * before handing the session back don't bring it back to them.
+ *
+ * @param {object} session - Current session data
+ * @param {object} turn - What the turn just handled did ({ offerMade, resolutionApplied })
+ * @returns {string|null} Reason code (see ESCALATION_REASONS), or null to keep going with Zia
+ */
+function getAutoEscalationReason(session, turn = {}) {
   try {
-    // Check if customer is premium tier
-    if (session.customerInfo.membershipTier === 'PRO_PLUS') {
-      return true;
-    }
-    
-    // Check conversation history for signs of frustration
-    const userMessages = session.conversationHistory
-      .filter(msg => msg.role === 'user')
-      .map(msg => msg.content.toLowerCase());
-    
-    // Count messages with frustration indicators
-    const frustrationIndicators = [
-      'speak to a human', 'speak to a person', 'talk to a manager', 
-      'talk to a supervisor', 'this is ridiculous', 'this is unacceptable',
-      'unhelpful', 'useless', 'waste of time', 'are you a bot'
-    ];
+    const handledReasons = session.handledEscalationReasons || [];
+    const reasons = turn.offerMade || turn.resolutionApplied
+      ? getOrderEscalationReasons(session)
+      : getConversationEscalationReasons(session);
     
-    const frustrationCount = userMessages.reduce((count, message) => {
-      if (frustrationIndicators.some(indicator => message.includes(indicator))) {
-        return count + 1;
-      }
-      return count;
-    }, 0);
-    
-    // Auto-escalate if multiple signs of frustration
-    if (frustrationCount >= 2) {
-      return true;
-    }
-    
-    // Check for high-value orders
-    if (session.orderDetails && session.orderDetails.length > 0) {
-      const highValueOrder = session.orderDetails.some(
-        order => order.totalAmount > config.thresholds.highValueOrder
-      );
-      
-      if (highValueOrder) {
-        return true;
-      }
-    }
-    
-    // Check for multiple resolutions in same session
-    if (session.resolutions && session.resolutions.length >= 2) {
-      return true;
-    }
-    
-    // Default to no auto-escalation
-    return false;
+    return reasons.find(reason => !handledReasons.includes(reason)) || null;
   } catch (error) {
     logger.error('Error checking auto-escalation', { error: error.message });
     
     // Default to no auto-escalation on error
-    return false;
+    return null;
+  }
+}
+
+/**
+ * Get the reasons the conversation itself gives for bringing in a human
+ * @param {object} session - Current session data
+ * @returns {array} Reason codes, most important first
+ */
+function getConversationEscalationReasons(session) {
+  const reasons = [];
+  const sentimentTrend = getSentimentTrend(session);
+  
+  // Check conversation history for signs of frustration
+  const userMessages = session.conversationHistory
+    .filter(msg => msg.role === 'user')
+    .map(msg => msg.content.toLowerCase());
+  
+  // Count messages with frustration indicators
+  const frustrationCount = userMessages.reduce((count, message) => {
+    if (FRUSTRATION_INDICATORS.some(indicator => message.includes(indicator))) {
+      return count + 1;
+    }
+    return count;
+  }, 0);
+  
+  // PRO_PLUS customers get a human at the first sign of trouble, not the second
+  if (session.customerInfo.membershipTier === 'PRO_PLUS' &&
+      (frustrationCount > 0 || (sentimentTrend.messageCount > 0 && sentimentTrend.latestScore <= config.escalationThresholds.sentiment))) {
+    reasons.push('PREMIUM_CUSTOMER');
+  }
+  
+  // Check whether the customer's recent messages have stayed negative
+  if (sentimentTrend.messageCount > 0 && sentimentTrend.averageScore <= config.escalationThresholds.sentiment) {
+    reasons.push('NEGATIVE_SENTIMENT');
+  }
+  
+  // Auto-escalate if multiple signs of frustration
+  if (frustrationCount >= 2) {
+    reasons.push('CUSTOMER_FRUSTRATION');
+  }
+  
+  // Check whether the customer has had to send too many messages; Zia's replies don't count
+  if (userMessages.length > config.escalationThresholds.messageCount) {
+    reasons.push('LONG_CONVERSATION');
+  }
+  
+  return reasons;
+}
+
+/**
+ * Get the reasons the session's orders and compensation give for a human to check a payout
+ * @param {object} session - Current session data
+ * @returns {array} Reason codes, most important first
+ */
+function getOrderEscalationReasons(session) {
+  const reasons = [];
+  
+  // Check for high-value orders
+  if (session.orderDetails && session.orderDetails.some(order => order.totalAmount > config.thresholds.highValueOrder)) {
+    reasons.push('HIGH_VALUE_ORDER');
+  }
+  
+  // Check for multiple resolutions in same session
+  if (session.resolutions && session.resolutions.length >= 2) {
+    reasons.push('REPEATED_RESOLUTIONS');
   }
+  
+  return reasons;
+}
+
+/**
+ * Get the average sentiment of the customer's most recent messages
+ * @param {object} session - Current session data
+ * @returns {object} Sentiment trend ({ averageScore, latestScore, messageCount })
+ */
+function getSentimentTrend(session) {
+  const scores = session.conversationHistory
+    .filter(msg => msg.role === 'user')
+    .slice(-config.escalationThresholds.sentimentWindow)
+    .map(msg => languageProcessor.analyzeSentiment(msg.content).score);
+  
+  if (scores.length === 0) {
+    return { averageScore: 0, latestScore: 0, messageCount: 0 };
+  }
+  
+  return {
+    averageScore: scores.reduce((total, score) => total + score, 0) / scores.length,
+    latestScore: scores[scores.length - 1],
+    messageCount: scores.length
+  };
 }
 
 /**
@@ -158,7 +259,7 @@ function determinePriority(session) {
     }
     
     // Check conversation length
-    if (session.conversationHistory.length > 10) {
+    if ((session.messageCount || session.conversationHistory.length) > 10) {
       return 'HIGH'; // Long conversation suggests complex issue
     }
     
@@ -189,67 +290,127 @@ function determinePriority(session) {
 }
 
 /**
- * Create notes for human agent
+ * Build the structured handoff packet an agent (or the support system) picks a session up from
  * @param {object} session - Current session data
+ * @returns {object} Handoff packet ({ customer, escalation, orders, sentiment, turns, resolutions, pendingOffer })
+ */
+async function buildHandoffPacket(session) {
+  const customerInfo = session.customerInfo || {};
+  const turns = await turnLog.getTurns(session);
+  const evidence = await evidenceManager.getSessionEvidence(session.sessionId);
+  
+  return {
+    sessionId: session.sessionId,
+    generatedAt: new Date(),
+    customer: {
+      customerId: session.customerId,
+      name: customerInfo.name || null,
+      membershipTier: customerInfo.membershipTier || 'REGULAR',
+      complaintFrequency: customerInfo.complaintFrequency || 0
+    },
+    escalation: {
+      reason: session.escalationReason || null,
+      description: ESCALATION_REASONS[session.escalationReason] || session.escalationReason || null,
+      escalatedAt: session.escalatedAt || null,
+      priority: determinePriority(session)
+    },
+    orders: (session.orderDetails || []).map(order => ({
+      orderId: order.id,
+      restaurantName: order.restaurantName,
+      status: order.status,
+      totalAmount: order.totalAmount
+    })),
+    sentiment: getSentimentTrend(session),
+    turns,
+    evidence: evidence.map(item => ({
+      evidenceId: item.evidenceId,
+      orderId: item.orderId,
+      kind: item.kind,
+      sizeBytes: item.sizeBytes,
+      takenAt: item.takenAt,
+      uploadedAt: item.uploadedAt,
+      flags: item.flags,
+      duplicateOf: item.duplicateOf
+    })),
+    resolutions: session.resolutions || [],
+    pendingOffer: session.pendingOffer
+      ? {
+        offerId: session.pendingOffer.offerId,
+        orderId: session.pendingOffer.orderId,
+        options: session.pendingOffer.options.map(option => ({ type: option.type, amount: option.amount, destination: option.destination })),
+        expiresAt: session.pendingOffer.expiresAt
+      }
+      : null
+  };
+}
+
+/**
+ * Create notes for human agent
+ * @param {object} packet - Handoff packet (see buildHandoffPacket)
  * @returns {string} Formatted notes for human agent
  */
-function createAgentNotes(session) {
+function createAgentNotes(packet) {
   try {
     const notes = [];
     
     // Basic customer info
-    notes.push(`Customer: ${session.customerInfo.name} (${session.customerInfo.membershipTier || 'REGULAR'})`);
-    notes.push(`Customer ID: ${session.customerId}`);
+    notes.push(`Customer: ${packet.customer.name} (${packet.customer.membershipTier})`);
+    notes.push(`Customer ID: ${packet.customer.customerId}`);
+    
+    // Why the customer is waiting for a human
+    if (packet.escalation.reason) {
+      notes.push(`Escalation Reason: ${packet.escalation.description}`);
+    }
+    
+    notes.push(`Priority: ${packet.escalation.priority}`);
     
     // Order info
-    if (session.orderDetails && session.orderDetails.length > 0) {
-      const latestOrder = session.orderDetails[0];
-      notes.push(`Latest Order: #${latestOrder.id} from ${latestOrder.restaurantName}`);
+    if (packet.orders.length > 0) {
+      const latestOrder = packet.orders[0];
+      notes.push(`Latest Order: #${latestOrder.orderId} from ${latestOrder.restaurantName}`);
       notes.push(`Order Status: ${latestOrder.status}`);
       notes.push(`Order Total: ₹${latestOrder.totalAmount.toFixed(2)}`);
     } else {
       notes.push('No order details available');
     }
     
-    // Resolution history
-    if (session.resolutions && session.resolutions.length > 0) {
-      notes.push('\nResolutions Applied:');
-      session.resolutions.forEach(resolution => {
-        notes.push(`- ${resolution.type}: ₹${resolution.amount.toFixed(2)} for Order #${resolution.orderId}`);
-      });
-    }
-    
-    // Detected issues
-    notes.push('\nDetected Issues:');
-    const issues = [];
-    
-    // Analyze conversation history for issues
-    const userMessages = session.conversationHistory
-      .filter(msg => msg.role === 'user')
-      .map(msg => msg.content.toLowerCase());
+    // What Zia understood and decided, turn by turn
+    notes.push('\nWhat Zia Did:');
     
-    if (userMessages.some(msg => msg.includes('wrong') || msg.includes('incorrect'))) {
-      issues.push('Wrong items received');
+    if (packet.turns.length === 0) {
+      notes.push('- Nothing handled yet');
+    } else {
+      packet.turns.forEach((turn, index) => {
+        notes.push(`${index + 1}. ${describeTurn(turn)}`);
+      });
     }
     
-    if (userMessages.some(msg => msg.includes('missing'))) {
-      issues.push('Missing items');
+    // An offer the customer hasn't answered yet
+    if (packet.pendingOffer) {
+      const options = packet.pendingOffer.options.map(formatSolution);
+      notes.push(`\nOpen Offer: ${options.join(' or ')} for Order #${packet.pendingOffer.orderId}`);
     }
     
-    if (userMessages.some(msg => msg.includes('late') || msg.includes('delay'))) {
-      issues.push('Late delivery');
+    // Photos the customer uploaded, and anything suspicious about them
+    if (packet.evidence.length > 0) {
+      notes.push('\nPhoto Evidence:');
+      packet.evidence.forEach(item => {
+        const flags = item.flags.length > 0 ? ` - flagged: ${item.flags.join(', ')}` : '';
+        notes.push(`- ${item.kind} photo for Order #${item.orderId} (${item.evidenceId})${flags}`);
+      });
     }
     
-    if (userMessages.some(msg => msg.includes('refund'))) {
-      issues.push('Refund requested');
+    // Resolution history
+    if (packet.resolutions.length > 0) {
+      notes.push('\nResolutions Applied:');
+      packet.resolutions.forEach(resolution => {
+        notes.push(`- ${resolution.type}: ₹${resolution.amount.toFixed(2)} for Order #${resolution.orderId}`);
+      });
     }
     
-    if (issues.length === 0) {
-      notes.push('- No specific issues detected');
-    } else {
-      issues.forEach(issue => {
-        notes.push(`- ${issue}`);
-      });
+    // How the customer has been feeling lately
+    if (packet.sentiment.messageCount > 0) {
+      notes.push(`\nRecent Sentiment: ${packet.sentiment.averageScore.toFixed(2)} over the last ${packet.sentiment.messageCount} message${packet.sentiment.messageCount !== 1 ? 's' : ''}`);
     }
     
     return notes.join('\n');
@@ -257,13 +418,99 @@ function createAgentNotes(session) {
     logger.error('Error creating agent notes', { error: error.message });
     
     // Return basic notes on error
-    return `Customer: ${session.customerInfo.name}\nCustomer ID: ${session.customerId}\nIssue: Requires human assistance`;
+    return `Customer: ${packet.customer.name}\nCustomer ID: ${packet.customer.customerId}\nIssue: Requires human assistance`;
+  }
+}
+
+/**
+ * Describe one recorded turn for the agent notes
+ * @param {object} turn - Turn record (see turnLog.startTurn)
+ * @returns {string} One-line description
+ */
+function describeTurn(turn) {
+  const subject = turn.orderId ? `${turn.handledIntent} on Order #${turn.orderId}` : turn.handledIntent || turn.detectedIntent.type;
+  const items = turn.entities ? [].concat(turn.entities.missingItems || [], turn.entities.wrongItems || []) : [];
+  const itemText = items.length > 0 ? ` [${items.map(describeItemMention).join(', ')}]` : '';
+  const verification = turn.verification && turn.verification.verified ? ` - verified: ${turn.verification.reason}${describeRisk(turn.verification.risk)}` : '';
+  const decision = turn.decision;
+  
+  switch (turn.outcome) {
+    case turnLog.TURN_OUTCOMES.SLOT_REQUESTED:
+      return `${subject}${itemText}: asked the customer for ${turn.details ? turn.details.slot : 'more details'}`;
+    case turnLog.TURN_OUTCOMES.VERIFICATION_FAILED:
+      return `${subject}${itemText}: refused - ${turn.verification.reason}${describeRisk(turn.verification.risk)}`;
+    case turnLog.TURN_OUTCOMES.ALREADY_RESOLVED:
+      return `${subject}${itemText}: already resolved earlier (${decision ? formatSolution(decision) : 'see ledger'})`;
+    case turnLog.TURN_OUTCOMES.FULLY_COMPENSATED:
+      return `${subject}${itemText}: refused - order already fully compensated`;
+    case turnLog.TURN_OUTCOMES.OFFER_MADE:
+      return `${subject}${itemText}: offered ${turn.offer.options.map(formatSolution).join(' or ')}${verification}`;
+    case turnLog.TURN_OUTCOMES.OFFER_REPEATED:
+      return `${subject}: repeated the open offer`;
+    case turnLog.TURN_OUTCOMES.OFFER_DECLINED:
+      return `${subject}: customer declined the offer`;
+    case turnLog.TURN_OUTCOMES.OFFER_EXPIRED:
+      return `${subject}: customer answered after the offer expired`;
+    case turnLog.TURN_OUTCOMES.RESOLUTION_APPLIED:
+      return `${subject}${itemText}: granted ${formatSolution(turn.resolution.amount !== undefined ? { ...decision, amount: turn.resolution.amount } : decision)} (${decision.reason})${turn.resolution.reference ? ` ref ${turn.resolution.reference}` : ''}`;
+    case turnLog.TURN_OUTCOMES.RESOLUTION_FAILED:
+      return `${subject}${itemText}: ${formatSolution(decision)} failed - ${turn.resolution.error}`;
+    case turnLog.TURN_OUTCOMES.FAILED_CLOSED:
+      return `${subject}${itemText}: ${turn.details.stage.toLowerCase()} failed (${turn.details.error}), failure policy said ${turn.details.action}`;
+    case turnLog.TURN_OUTCOMES.ERROR:
+      return `${subject}: Zia hit an error handling this`;
+    default:
+      return `${subject}: answered`;
   }
 }
 
+/**
+ * Describe an item the customer complained about, with the quantity when they gave one
+ * @param {string|object} mention - Item name, or { name, quantity } mention
+ * @returns {string} Item description
+ */
+function describeItemMention(mention) {
+  if (typeof mention === 'string') {
+    return mention;
+  }
+  
+  return mention.quantity ? `${mention.quantity} x ${mention.name}` : mention.name;
+}
+
+/**
+ * Describe a claim's risk score and what drove it
+ * @param {object} risk - Risk assessment from riskScorer
+ * @returns {string} Risk description, empty when there was no assessment
+ */
+function describeRisk(risk) {
+  if (!risk) {
+    return '';
+  }
+  
+  const factors = risk.factors.map(factor => factor.detail);
+  
+  return ` (risk ${risk.score.toFixed(2)}${factors.length > 0 ? `: ${factors.join('; ')}` : ''})`;
+}
+
+/**
+ * Format a solution type and amount for the agent notes
+ * @param {object} solution - Solution ({ type, amount, destination })
+ * @returns {string} Formatted solution
+ */
+function formatSolution(solution) {
+  const destination = solution.destination ? ` to ${solution.destination}` : '';
+  
+  return `${solution.type} ₹${Number(solution.amount || 0).toFixed(2)}${destination}`;
+}
+
 module.exports = {
+  ESCALATION_REASONS,
   initiateEscalation,
+  queueEscalation,
   shouldAutoEscalate,
+  getAutoEscalationReason,
+  getSentimentTrend,
   determinePriority,
+  buildHandoffPacket,
   createAgentNotes
 };
\ No newline at end of file
@@ -0,0 +1,296 @@
+// modules/escalationQueue.js
+
+const { EventEmitter } = require('events');
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const database = require('./database');
+
+// Where a ticket is in its life
+const TICKET_STATUS = {
+  WAITING: 'WAITING', // Waiting for an agent to claim the session
+  ASSIGNED: 'ASSIGNED', // An agent is handling the session
+  RESOLVED: 'RESOLVED', // The agent handed the session back
+  CANCELLED: 'CANCELLED' // The session ended before the ticket was resolved
+};
+
+// Queue order, most urgent first
+const PRIORITY_RANK = {
+  HIGH: 0,
+  MEDIUM: 1,
+  LOW: 2
+};
+
+// Open tickets by session ID, loaded from storage on first use
+let openTickets = null;
+let loadingTickets = null;
+
+// Emits 'breach' with the ticket when a waiting ticket misses its SLA
+const emitter = new EventEmitter();
+
+/**
+ * Load the open tickets, reading them back from storage after a restart
+ * @returns {object} Open tickets by session ID
+ */
+async function loadOpenTickets() {
+  if (openTickets) {
+    return openTickets;
+  }
+
+  if (!loadingTickets) {
+    loadingTickets = (async () => {
+      const tickets = {};
+
+      try {
+        const storedTickets = await database.getOpenEscalationTickets();
+        storedTickets.forEach(ticket => {
+          tickets[ticket.sessionId] = ticket;
+        });
+      } catch (error) {
+        logger.error('Error loading escalation tickets', { error: error.message });
+      }
+
+      openTickets = tickets;
+      loadingTickets = null;
+
+      return openTickets;
+    })();
+  }
+
+  return loadingTickets;
+}
+
+/**
+ * Put an escalated session in the queue for a human agent
+ * @param {object} session - Session data
+ * @param {string} reason - Why the session was escalated (see escalationManager.ESCALATION_REASONS)
+ * @param {string} priority - Priority level (HIGH, MEDIUM, LOW)
+ * @returns {object} Ticket with its estimated wait time in seconds
+ */
+async function enqueue(session, reason, priority) {
+  const tickets = await loadOpenTickets();
+
+  // A session only ever has one open ticket
+  if (tickets[session.sessionId]) {
+    return withEstimatedWait(tickets[session.sessionId], tickets);
+  }
+
+  const now = new Date();
+  const slaMinutes = config.escalationQueue.slaMinutes[priority] || config.escalationQueue.slaMinutes.MEDIUM;
+  const ticket = {
+    ticketId: `esc_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    sessionId: session.sessionId,
+    customerId: session.customerId,
+    priority,
+    reason,
+    status: TICKET_STATUS.WAITING,
+    createdAt: now,
+    slaDeadline: new Date(now.getTime() + slaMinutes * 60 * 1000),
+    assignedAgentId: null,
+    assignedAt: null,
+    closedAt: null,
+    breachedAt: null
+  };
+
+  tickets[session.sessionId] = ticket;
+  await database.createEscalationTicket(ticket);
+
+  const queuedTicket = withEstimatedWait(ticket, tickets);
+
+  logger.info('Escalation ticket created', {
+    ticketId: ticket.ticketId,
+    sessionId: ticket.sessionId,
+    priority,
+    reason,
+    estimatedWaitSeconds: queuedTicket.estimatedWaitSeconds
+  });
+
+  return queuedTicket;
+}
+
+/**
+ * Get the open ticket for a session
+ * @param {string} sessionId - ID of the session
+ * @returns {object|null} Ticket with its estimated wait time in seconds
+ */
+async function getTicket(sessionId) {
+  const tickets = await loadOpenTickets();
+
+  return tickets[sessionId] ? withEstimatedWait(tickets[sessionId], tickets) : null;
+}
+
+/**
+ * Get every open ticket in the order agents should take them
+ * @returns {array} Tickets with their estimated wait times in seconds
+ */
+async function getOpenTickets() {
+  const tickets = await loadOpenTickets();
+
+  return Object.values(tickets)
+    .sort(compareTickets)
+    .map(ticket => withEstimatedWait(ticket, tickets));
+}
+
+/**
+ * Mark a session's ticket as taken by an agent
+ * @param {string} sessionId - ID of the session
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @returns {object|null} Updated ticket
+ */
+async function assignTicket(sessionId, agent) {
+  const tickets = await loadOpenTickets();
+  const ticket = tickets[sessionId];
+
+  if (!ticket) {
+    return null;
+  }
+
+  Object.assign(ticket, {
+    status: TICKET_STATUS.ASSIGNED,
+    assignedAgentId: agent.agentId,
+    assignedAt: new Date()
+  });
+  await database.updateEscalationTicket(ticket.ticketId, ticket);
+
+  logger.info('Escalation ticket assigned', {
+    ticketId: ticket.ticketId,
+    agentId: agent.agentId,
+    waitSeconds: Math.round((ticket.assignedAt - new Date(ticket.createdAt)) / 1000)
+  });
+
+  return ticket;
+}
+
+/**
+ * Close a session's ticket and take it out of the queue
+ * @param {string} sessionId - ID of the session
+ * @param {string} status - RESOLVED or CANCELLED
+ * @returns {object|null} Closed ticket
+ */
+async function closeTicket(sessionId, status) {
+  const tickets = await loadOpenTickets();
+  const ticket = tickets[sessionId];
+
+  if (!ticket) {
+    return null;
+  }
+
+  Object.assign(ticket, { status, closedAt: new Date() });
+  delete tickets[sessionId];
+  await database.updateEscalationTicket(ticket.ticketId, ticket);
+
+  logger.info('Escalation ticket closed', { ticketId: ticket.ticketId, sessionId, status });
+
+  return ticket;
+}
+
+/**
+ * Flag waiting tickets that have passed their SLA deadline
+ * @param {Date} now - Current time
+ * @returns {array} Tickets that breached on this check
+ */
+async function checkBreaches(now = new Date()) {
+  try {
+    const tickets = await loadOpenTickets();
+    const breachedTickets = Object.values(tickets).filter(ticket =>
+      ticket.status === TICKET_STATUS.WAITING &&
+      !ticket.breachedAt &&
+      now > new Date(ticket.slaDeadline)
+    );
+
+    for (const ticket of breachedTickets) {
+      ticket.breachedAt = now;
+      await database.updateEscalationTicket(ticket.ticketId, ticket);
+
+      logger.warn('Escalation ticket breached its SLA', {
+        ticketId: ticket.ticketId,
+        sessionId: ticket.sessionId,
+        priority: ticket.priority,
+        slaDeadline: ticket.slaDeadline
+      });
+
+      emitter.emit('breach', ticket);
+    }
+
+    return breachedTickets;
+  } catch (error) {
+    logger.error('Error checking escalation SLAs', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Listen for tickets that miss their SLA
+ * @param {function} listener - Called with each breached ticket
+ * @returns {function} Removes the listener
+ */
+function onBreach(listener) {
+  emitter.on('breach', listener);
+
+  return () => emitter.removeListener('breach', listener);
+}
+
+/**
+ * Check SLAs on a timer for as long as the process runs
+ * @returns {object} Interval timer
+ */
+function startBreachMonitor() {
+  const timer = setInterval(checkBreaches, config.escalationQueue.breachCheckSeconds * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Estimate how long a ticket will wait for an agent, from the tickets ahead of it
+ * @param {object} ticket - Ticket
+ * @param {object} tickets - Open tickets by session ID
+ * @returns {object} Ticket with estimatedWaitSeconds (0 once assigned)
+ */
+function withEstimatedWait(ticket, tickets) {
+  if (ticket.status !== TICKET_STATUS.WAITING) {
+    return { ...ticket, estimatedWaitSeconds: 0 };
+  }
+
+  const openTicketList = Object.values(tickets);
+  const agentCount = Math.max(1, config.escalationQueue.availableAgents);
+  const busyAgents = openTicketList.filter(other => other.status === TICKET_STATUS.ASSIGNED).length;
+  const freeAgents = Math.max(0, agentCount - busyAgents);
+  const ticketsAhead = openTicketList.filter(other =>
+    other.status === TICKET_STATUS.WAITING && compareTickets(other, ticket) < 0
+  ).length;
+
+  // A free agent picks the ticket up straight away; otherwise wait for rounds of handled tickets
+  if (ticketsAhead < freeAgents) {
+    return { ...ticket, estimatedWaitSeconds: 0 };
+  }
+
+  const rounds = Math.ceil((ticketsAhead - freeAgents + 1) / agentCount);
+
+  return {
+    ...ticket,
+    estimatedWaitSeconds: rounds * config.escalationQueue.averageHandleMinutes * 60
+  };
+}
+
+/**
+ * Order tickets by priority, then by how long they've been waiting
+ * @param {object} a - Ticket
+ * @param {object} b - Ticket
+ * @returns {number} Sort order
+ */
+function compareTickets(a, b) {
+  return (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]) ||
+    (new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+module.exports = {
+  TICKET_STATUS,
+  enqueue,
+  getTicket,
+  getOpenTickets,
+  assignTicket,
+  closeTicket,
+  checkBreaches,
+  onBreach,
+  startBreachMonitor
+};
\ No newline at end of file
@@ -0,0 +1,207 @@
+// modules/evidenceManager.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { Jimp, compareHashes } = require('jimp');
+const ExifParser = require('exif-parser');
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const database = require('./database');
+
+// What a photo shows
+const EVIDENCE_KINDS = ['FOOD', 'PACKAGE'];
+
+// Problems found with a photo that stop it counting as proof
+const EVIDENCE_FLAGS = {
+  DUPLICATE: 'DUPLICATE', // The same photo was used for a different order
+  TAKEN_BEFORE_ORDER: 'TAKEN_BEFORE_ORDER' // The camera says it was taken before the order was placed
+};
+
+// File extension for each accepted photo format
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+// Directory holding the photos, relative paths resolve from the project root
+const STORAGE_DIRECTORY = path.resolve(__dirname, '..', config.evidence.storageDir);
+
+// Evidence records (only used without persistent storage)
+const demoEvidence = [];
+
+/**
+ * Check, fingerprint and store a photo a customer uploaded for a complaint
+ * @param {object} session - Session data
+ * @param {object} upload - Upload ({ buffer, contentType, kind, orderDetails })
+ * @returns {object} Result ({ success, evidence, error, code })
+ */
+async function saveEvidence(session, upload) {
+  const { buffer, contentType, orderDetails } = upload;
+  const kind = (upload.kind || 'FOOD').toUpperCase();
+
+  if (!EVIDENCE_KINDS.includes(kind)) {
+    return { success: false, code: 'INVALID_REQUEST', error: `kind must be one of ${EVIDENCE_KINDS.join(', ')}` };
+  }
+
+  if (!config.evidence.allowedTypes.includes(contentType)) {
+    return { success: false, code: 'UNSUPPORTED_TYPE', error: `Photos must be one of ${config.evidence.allowedTypes.join(', ')}` };
+  }
+
+  if (!buffer || buffer.length === 0) {
+    return { success: false, code: 'INVALID_REQUEST', error: 'Photo is empty' };
+  }
+
+  const sessionEvidence = await getSessionEvidence(session.sessionId);
+
+  if (sessionEvidence.length >= config.evidence.maxPhotosPerSession) {
+    return { success: false, code: 'LIMIT_REACHED', error: 'No more photos can be added to this conversation' };
+  }
+
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (error) {
+    logger.warn('Uploaded photo could not be decoded', { sessionId: session.sessionId, error: error.message });
+    return { success: false, code: 'INVALID_IMAGE', error: 'The file is not a readable photo' };
+  }
+
+  if (image.mime !== contentType) {
+    return { success: false, code: 'INVALID_IMAGE', error: `The photo is ${image.mime}, not ${contentType}` };
+  }
+
+  const evidenceId = uuidv4();
+  const evidence = {
+    evidenceId,
+    sessionId: session.sessionId,
+    customerId: session.customerId,
+    orderId: orderDetails.id,
+    kind,
+    contentType,
+    filePath: path.join(session.sessionId, `${evidenceId}.${FILE_EXTENSIONS[contentType]}`),
+    sizeBytes: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    perceptualHash: image.pHash(),
+    takenAt: readTakenAt(buffer, contentType),
+    duplicateOf: [],
+    flags: [],
+    uploadedAt: new Date()
+  };
+
+  // A photo reused from a complaint about another order isn't proof of this one
+  const duplicates = await findDuplicates(evidence);
+
+  if (duplicates.length > 0) {
+    evidence.duplicateOf = duplicates.map(duplicate => duplicate.evidenceId);
+    evidence.flags.push(EVIDENCE_FLAGS.DUPLICATE);
+  }
+
+  if (evidence.takenAt && orderDetails.orderedAt && new Date(evidence.takenAt) < new Date(orderDetails.orderedAt)) {
+    evidence.flags.push(EVIDENCE_FLAGS.TAKEN_BEFORE_ORDER);
+  }
+
+  const absolutePath = getEvidenceFilePath(evidence);
+  await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.promises.writeFile(absolutePath, buffer);
+
+  if (!database.isPersistent()) {
+    demoEvidence.push(evidence);
+  } else {
+    await database.addEvidence(evidence);
+  }
+
+  logger.info('Photo evidence stored', {
+    evidenceId,
+    sessionId: session.sessionId,
+    orderId: evidence.orderId,
+    kind,
+    sizeBytes: evidence.sizeBytes,
+    takenAt: evidence.takenAt,
+    flags: evidence.flags
+  });
+
+  return { success: true, evidence };
+}
+
+/**
+ * Get the photos uploaded in a session
+ * @param {string} sessionId - ID of the session
+ * @returns {array} Evidence records, oldest first
+ */
+async function getSessionEvidence(sessionId) {
+  if (!database.isPersistent()) {
+    return demoEvidence.filter(evidence => evidence.sessionId === sessionId);
+  }
+
+  return database.getSessionEvidence(sessionId);
+}
+
+/**
+ * Get the photos uploaded in a session for one order
+ * @param {string} sessionId - ID of the session
+ * @param {string} orderId - ID of the order
+ * @returns {array} Evidence records, oldest first
+ */
+async function getClaimEvidence(sessionId, orderId) {
+  const evidence = await getSessionEvidence(sessionId);
+
+  return evidence.filter(item => item.orderId === orderId);
+}
+
+/**
+ * Get the path of a stored photo on disk
+ * @param {object} evidence - Evidence record
+ * @returns {string} Absolute file path
+ */
+function getEvidenceFilePath(evidence) {
+  return path.join(STORAGE_DIRECTORY, evidence.filePath);
+}
+
+/**
+ * Find earlier photos for other orders that look the same as a new one
+ * @param {object} evidence - New evidence record
+ * @returns {array} Matching evidence records
+ */
+async function findDuplicates(evidence) {
+  const fingerprints = database.isPersistent()
+    ? await database.getEvidenceFingerprints()
+    : demoEvidence;
+
+  return fingerprints.filter(other =>
+    other.orderId !== evidence.orderId &&
+    compareHashes(other.perceptualHash, evidence.perceptualHash) <= config.evidence.duplicateDistance
+  );
+}
+
+/**
+ * Read when a photo was taken from its EXIF data
+ * @param {Buffer} buffer - Photo contents
+ * @param {string} contentType - Photo format
+ * @returns {Date|null} Time the photo was taken, or null when the photo doesn't say
+ */
+function readTakenAt(buffer, contentType) {
+  // Only JPEGs from cameras carry EXIF timestamps
+  if (contentType !== 'image/jpeg') {
+    return null;
+  }
+
+  try {
+    const { tags } = ExifParser.create(buffer).parse();
+    const timestamp = tags.DateTimeOriginal || tags.CreateDate;
+
+    return timestamp ? new Date(timestamp * 1000) : null;
+  } catch (error) {
+    logger.warn('Could not read EXIF data from photo', { error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  EVIDENCE_KINDS,
+  EVIDENCE_FLAGS,
+  saveEvidence,
+  getSessionEvidence,
+  getClaimEvidence,
+  getEvidenceFilePath
+};
\ No newline at end of file
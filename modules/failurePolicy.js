@@ -0,0 +1,110 @@
+// modules/failurePolicy.js
+
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const database = require('./database');
+
+// What happens to a claim that couldn't be checked
+const FAILURE_ACTIONS = {
+  APPROVE: 'APPROVE', // Carry on as if the check passed
+  DENY: 'DENY', // Turn the claim down
+  ESCALATE: 'ESCALATE' // Hand the claim to a human
+};
+
+// Where in handling a claim the error happened
+const FAILURE_STAGES = {
+  VERIFICATION: 'VERIFICATION',
+  ELIGIBILITY: 'ELIGIBILITY',
+  DECISION: 'DECISION'
+};
+
+/**
+ * Decide what to do with a claim after verifying or deciding it threw
+ * @param {string} stage - Where the error happened (see FAILURE_STAGES)
+ * @param {string} issueType - Type of issue being claimed
+ * @param {object} orderDetails - Details of the order, which may be malformed
+ * @param {Error} error - Error that was thrown
+ * @returns {object} Failure ({ stage, issueType, action, orderTotal, error, occurredAt })
+ */
+function evaluateFailure(stage, issueType, orderDetails, error) {
+  const orderTotal = orderDetails && Number.isFinite(orderDetails.totalAmount) ? orderDetails.totalAmount : null;
+  const failure = {
+    stage,
+    issueType,
+    action: getFailureAction(issueType, orderTotal),
+    orderTotal,
+    error: error.message,
+    occurredAt: new Date()
+  };
+
+  logger.warn('Failure policy applied', {
+    stage,
+    issueType,
+    orderId: orderDetails ? orderDetails.id : null,
+    orderTotal,
+    action: failure.action,
+    error: error.message
+  });
+
+  return failure;
+}
+
+/**
+ * Look up the configured action for an issue type and order total
+ * @param {string} issueType - Type of issue being claimed
+ * @param {number|null} orderTotal - Order total, null when it couldn't be read
+ * @returns {string} Action (see FAILURE_ACTIONS)
+ */
+function getFailureAction(issueType, orderTotal) {
+  const bands = config.failurePolicy.rules[issueType] || [];
+
+  // Without a readable total only a band with no amount limit can match
+  const band = bands.find(rule =>
+    rule.maxAmount === undefined || (orderTotal !== null && orderTotal <= rule.maxAmount)
+  );
+
+  return band ? band.action : config.failurePolicy.defaultAction;
+}
+
+/**
+ * Record the outcome of applying the failure policy in the resolution logs
+ * @param {object} session - Session data
+ * @param {object} orderDetails - Details of the order
+ * @param {object} failure - Failure from evaluateFailure
+ */
+async function recordFailure(session, orderDetails, failure) {
+  if (!database.isPersistent()) {
+    return;
+  }
+
+  try {
+    await database.logResolution({
+      sessionId: session.sessionId,
+      customerId: session.customerId,
+      orderId: orderDetails ? orderDetails.id : null,
+      resolutionType: 'FAILURE_POLICY',
+      amount: 0,
+      reason: `${failure.stage} error: ${failure.error}`,
+      agentType: 'AI',
+      // Nothing is paid out by the policy itself; an approved claim logs its own resolution
+      success: false,
+      metadata: {
+        issueType: failure.issueType,
+        stage: failure.stage,
+        action: failure.action,
+        orderTotal: failure.orderTotal,
+        error: failure.error
+      }
+    });
+  } catch (error) {
+    logger.error('Error recording failure policy outcome', { sessionId: session.sessionId, error: error.message });
+  }
+}
+
+module.exports = {
+  FAILURE_ACTIONS,
+  FAILURE_STAGES,
+  evaluateFailure,
+  getFailureAction,
+  recordFailure
+};
\ No newline at end of file
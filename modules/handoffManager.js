@@ -0,0 +1,298 @@
+// modules/handoffManager.js
+
+const logger = require('../utilities/logger');
+const sessionStore = require('./sessionStore');
+const sessionEvents = require('./sessionEvents');
+const escalationManager = require('./escalationManager');
+const escalationQueue = require('./escalationQueue');
+const conversationManager = require('./conversationManager');
+const orderManager = require('./orderManager');
+const resolutionManager = require('./resolutionManager');
+const resolutionLedger = require('./resolutionLedger');
+
+// Solutions a human agent can apply from the console
+const AGENT_SOLUTION_TYPES = ['REFUND', 'CREDIT', 'REDELIVERY'];
+
+// Issues an agent can resolve, each compensated at most once per order
+const AGENT_ISSUE_TYPES = ['WRONG_ORDER', 'MISSING_ITEM', 'LATE_DELIVERY', 'REFUND_REQUEST', 'QUALITY_ISSUE', 'PACKAGING_ISSUE'];
+
+/**
+ * Get the escalated sessions in queue order, most urgent and longest waiting first
+ * @returns {array} Session summaries with their queue tickets
+ */
+async function getQueue() {
+  const sessions = await sessionStore.listEscalatedSessions();
+  const tickets = await escalationQueue.getOpenTickets();
+  const ticketOrder = tickets.map(ticket => ticket.sessionId);
+
+  // Sessions without a ticket (escalated before the queue existed) go last
+  const queuePosition = session => {
+    const position = ticketOrder.indexOf(session.sessionId);
+    return position === -1 ? ticketOrder.length : position;
+  };
+
+  return sessions
+    .sort((a, b) => queuePosition(a) - queuePosition(b))
+    .map(session => ({
+      ...summarizeSession(session),
+      ticket: tickets.find(ticket => ticket.sessionId === session.sessionId) || null
+    }));
+}
+
+/**
+ * Get everything an agent needs to pick up a session
+ * @param {object} session - Session data
+ * @returns {object} Session summary with the handoff packet, agent notes, orders, resolutions and the full history
+ */
+async function getSessionDetails(session) {
+  const handoff = await escalationManager.buildHandoffPacket(session);
+
+  return {
+    ...summarizeSession(session),
+    ticket: await escalationQueue.getTicket(session.sessionId),
+    status: session.status,
+    handoff,
+    notes: escalationManager.createAgentNotes(handoff),
+    orderDetails: session.orderDetails,
+    resolutions: session.resolutions,
+    messages: await sessionStore.getAllMessages(session)
+  };
+}
+
+/**
+ * Get the handoff packet for a session, with the notes rendered from it
+ * @param {object} session - Session data
+ * @returns {object} Handoff ({ handoff, notes })
+ */
+async function getHandoff(session) {
+  const handoff = await escalationManager.buildHandoffPacket(session);
+
+  return { handoff, notes: escalationManager.createAgentNotes(handoff) };
+}
+
+/**
+ * Assign an escalated session to an agent and tell the customer they've joined
+ * @param {object} session - Session data
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @returns {object} Result ({ success, error, code })
+ */
+async function claimSession(session, agent) {
+  if (!session.escalated) {
+    return { success: false, code: 'NOT_ESCALATED', error: 'Session has not been escalated' };
+  }
+
+  if (session.assignedAgent) {
+    if (session.assignedAgent.agentId === agent.agentId) {
+      return { success: true };
+    }
+
+    return {
+      success: false,
+      code: 'ALREADY_CLAIMED',
+      error: `Session is already being handled by ${session.assignedAgent.agentName}`
+    };
+  }
+
+  await sessionStore.assignAgent(session, agent);
+  await escalationQueue.assignTicket(session.sessionId, agent);
+  await sessionStore.addMessage(session, {
+    role: 'system',
+    content: conversationManager.generateAgentJoinedMessage(agent),
+    timestamp: new Date()
+  });
+
+  logger.info('Session claimed by agent', { sessionId: session.sessionId, agentId: agent.agentId });
+
+  return { success: true };
+}
+
+/**
+ * Post an agent's reply into the conversation
+ * @param {object} session - Session data
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @param {string} content - Message text
+ * @returns {object} Result ({ success, message, error, code })
+ */
+async function sendAgentMessage(session, agent, content) {
+  const assignment = checkAssignment(session, agent);
+
+  if (!assignment.success) {
+    return assignment;
+  }
+
+  const message = {
+    role: 'agent',
+    content,
+    agentId: agent.agentId,
+    agentName: session.assignedAgent.agentName,
+    timestamp: new Date()
+  };
+
+  await sessionStore.addMessage(session, message);
+
+  return { success: true, message };
+}
+
+/**
+ * Show or hide the agent typing indicator for the customer
+ * @param {object} session - Session data
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @param {boolean} typing - Whether the agent is typing
+ * @returns {object} Result ({ success, error, code })
+ */
+function setAgentTyping(session, agent, typing) {
+  const assignment = checkAssignment(session, agent);
+
+  if (!assignment.success) {
+    return assignment;
+  }
+
+  sessionEvents.publish(session.sessionId, sessionEvents.EVENT_TYPES.TYPING, { role: 'agent', typing: Boolean(typing) });
+
+  return { success: true };
+}
+
+/**
+ * Apply a resolution on the agent's behalf, capped at what the order can still receive and logged as a human resolution
+ * @param {object} session - Session data
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @param {object} request - Resolution ({ orderId, type, amount, reason, issueType, items })
+ * @returns {object} Result ({ success, solution, resolutionResult, error, code })
+ */
+async function applyAgentResolution(session, agent, request) {
+  const assignment = checkAssignment(session, agent);
+
+  if (!assignment.success) {
+    return assignment;
+  }
+
+  const orderId = request.orderId || session.orderIds[0];
+
+  if (!orderId || !session.orderIds.includes(orderId)) {
+    return { success: false, code: 'INVALID_REQUEST', error: 'Order is not part of this conversation' };
+  }
+
+  if (!AGENT_SOLUTION_TYPES.includes(request.type)) {
+    return { success: false, code: 'INVALID_REQUEST', error: `Solution type must be one of ${AGENT_SOLUTION_TYPES.join(', ')}` };
+  }
+
+  if (!AGENT_ISSUE_TYPES.includes(request.issueType)) {
+    return { success: false, code: 'INVALID_REQUEST', error: `Issue type must be one of ${AGENT_ISSUE_TYPES.join(', ')}` };
+  }
+
+  const requestedAmount = Number(request.amount);
+
+  if (!Number.isFinite(requestedAmount) || requestedAmount <= 0) {
+    return { success: false, code: 'INVALID_REQUEST', error: 'Amount must be a positive number' };
+  }
+
+  const orderDetails = await orderManager.getOrderDetails(orderId);
+  const remainingAmount = await resolutionLedger.getRemainingCompensation(orderDetails);
+
+  if (!(remainingAmount > 0)) {
+    return { success: false, code: 'FULLY_COMPENSATED', error: 'Order has already been fully compensated' };
+  }
+
+  const solution = {
+    type: request.type,
+    amount: Math.min(requestedAmount, remainingAmount),
+    reason: request.reason || `Resolved by ${session.assignedAgent.agentName}`
+  };
+
+  const resolutionResult = await resolutionManager.applySolution(
+    session,
+    solution,
+    orderDetails,
+    request.issueType,
+    request.items || [],
+    session.assignedAgent
+  );
+
+  // The payout itself can still fail, and the agent has to know it didn't go through
+  if (!resolutionResult.success) {
+    return {
+      success: false,
+      code: resolutionResult.fullyCompensated ? 'FULLY_COMPENSATED' : (resolutionResult.code || 'RESOLUTION_FAILED'),
+      error: resolutionResult.error || 'The resolution could not be applied',
+      solution,
+      resolutionResult
+    };
+  }
+
+  return { success: true, solution, resolutionResult };
+}
+
+/**
+ * Release a session back to Zia
+ * @param {object} session - Session data
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @returns {object} Result ({ success, error, code })
+ */
+async function handBack(session, agent) {
+  const assignment = checkAssignment(session, agent);
+
+  if (!assignment.success) {
+    return assignment;
+  }
+
+  const assignedAgent = session.assignedAgent;
+
+  await sessionStore.addMessage(session, {
+    role: 'system',
+    content: conversationManager.generateHandBackMessage(assignedAgent),
+    timestamp: new Date()
+  });
+  await sessionStore.assignAgent(session, null);
+  await sessionStore.setEscalated(session, false);
+  await escalationQueue.closeTicket(session.sessionId, escalationQueue.TICKET_STATUS.RESOLVED);
+
+  logger.info('Session handed back to Zia', { sessionId: session.sessionId, agentId: agent.agentId });
+
+  return { success: true };
+}
+
+/**
+ * Check that an agent is the one handling a session
+ * @param {object} session - Session data
+ * @param {object} agent - Agent ({ agentId, agentName })
+ * @returns {object} Result ({ success, error, code })
+ */
+function checkAssignment(session, agent) {
+  if (!session.assignedAgent || session.assignedAgent.agentId !== agent.agentId) {
+    return { success: false, code: 'NOT_ASSIGNED', error: 'Session is not assigned to this agent' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Build the queue entry for a session
+ * @param {object} session - Session data
+ * @returns {object} Session summary
+ */
+function summarizeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    customerId: session.customerId,
+    customerName: session.customerInfo ? session.customerInfo.name : null,
+    membershipTier: session.customerInfo ? session.customerInfo.membershipTier : null,
+    orderIds: session.orderIds,
+    priority: escalationManager.determinePriority(session),
+    escalatedAt: session.escalatedAt,
+    escalationReason: session.escalationReason || null,
+    assignedAgent: session.assignedAgent || null,
+    messageCount: session.messageCount,
+    lastActivityAt: session.lastActivityAt
+  };
+}
+
+module.exports = {
+  getQueue,
+  getSessionDetails,
+  getHandoff,
+  claimSession,
+  sendAgentMessage,
+  setAgentTyping,
+  applyAgentResolution,
+  handBack
+};
\ No newline at end of file
@@ -0,0 +1,20 @@
+// modules/intentHandlers/creditBalanceHandler.js
+
+const creditsLedger = require('../creditsLedger');
+const conversationManager = require('../conversationManager');
+
+/**
+ * Tell the customer how many Zomato credits they have and when they expire
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+async function respond({ session }) {
+  const balance = await creditsLedger.getBalance(session.customerId);
+
+  return conversationManager.generateCreditBalanceResponse(balance);
+}
+
+module.exports = {
+  intent: 'CREDIT_BALANCE',
+  respond
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// modules/intentHandlers/escalationRequestHandler.js
+
+const sessionStore = require('../sessionStore');
+const escalationManager = require('../escalationManager');
+
+/**
+ * Hand the conversation over to the support team
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+async function respond({ session }) {
+  await sessionStore.setEscalated(session, true, 'CUSTOMER_REQUEST');
+
+  // Puts the session in front of the agents and tells the customer what happens next
+  return escalationManager.initiateEscalation(session, 'CUSTOMER_REQUEST');
+}
+
+module.exports = {
+  intent: 'ESCALATION_REQUEST',
+  respond
+};
\ No newline at end of file
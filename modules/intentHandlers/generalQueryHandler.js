@@ -0,0 +1,14 @@
+// modules/intentHandlers/generalQueryHandler.js
+
+/**
+ * Answer a general query, also used for intents without a handler
+ * @returns {string} Response message
+ */
+function respond() {
+  return "Thank you for your message. How can I assist you with your Zomato order today?";
+}
+
+module.exports = {
+  intent: 'GENERAL_QUERY',
+  respond
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+// modules/intentHandlers/lateDeliveryHandler.js
+
+const decisionEngine = require('../decisionEngine');
+const conversationManager = require('../conversationManager');
+const resolutionManager = require('../resolutionManager');
+
+/**
+ * Verify that the delivery was actually late
+ * @param {object} context - Turn context
+ * @returns {object} Verification result
+ */
+function verify({ orderDetails, session }) {
+  return decisionEngine.verifyLateDeliveryIssue(orderDetails, session.customerInfo);
+}
+
+/**
+ * Decide on compensation for the delay
+ * @param {object} context - Turn context
+ * @returns {object|null} Solution details, or null when no compensation is due
+ */
+async function decide({ orderDetails, entities, session, verification }) {
+  // Compensation is based on the lateness we measured, not what the customer claims
+  const solution = await decisionEngine.decideSolution(
+    'LATE_DELIVERY',
+    orderDetails,
+    session.customerInfo,
+    { ...entities, latenessMinutes: verification.latenessMinutes }
+  );
+
+  // A delay inside the lowest lateness band earns no compensation
+  return solution.type === 'CREDIT' && solution.amount <= 0 ? null : solution;
+}
+
+/**
+ * Build the options offered to the customer, recommended solution first
+ * @param {object} context - Turn context
+ * @returns {array} Solution options
+ */
+function getOptions({ orderDetails, solution, session }) {
+  return decisionEngine.getSolutionOptions('LATE_DELIVERY', orderDetails, session.customerInfo, solution);
+}
+
+/**
+ * Apply the chosen solution
+ * @param {object} context - Turn context
+ * @returns {object} Result of applying the solution
+ */
+function execute({ session, solution, orderDetails }) {
+  return resolutionManager.applySolution(session, solution, orderDetails, 'LATE_DELIVERY', []);
+}
+
+/**
+ * Tell the customer what was done
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+function respond({ solution, resolutionResult, orderDetails }) {
+  if (!solution) {
+    return conversationManager.generateNoCompensationResponse(orderDetails);
+  }
+
+  return conversationManager.generateResolutionResponse(solution, resolutionResult, orderDetails);
+}
+
+module.exports = {
+  intent: 'LATE_DELIVERY',
+  requiresOrder: true,
+  verify,
+  decide,
+  confirm: true,
+  getOptions,
+  execute,
+  respond
+};
\ No newline at end of file
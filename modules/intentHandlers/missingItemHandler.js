@@ -0,0 +1,89 @@
+// modules/intentHandlers/missingItemHandler.js
+
+const decisionEngine = require('../decisionEngine');
+const conversationManager = require('../conversationManager');
+const resolutionManager = require('../resolutionManager');
+const evidenceManager = require('../evidenceManager');
+
+/**
+ * Ask which items are missing when the customer hasn't said
+ * @param {string} slot - Slot being asked for
+ * @param {object} context - Turn context
+ * @returns {string} Prompt
+ */
+function promptForSlot(slot, { orderDetails }) {
+  // We can't value the claim without knowing which items are missing
+  return conversationManager.generateMissingItemsPromptResponse(orderDetails);
+}
+
+/**
+ * Verify the missing item complaint
+ * @param {object} context - Turn context
+ * @returns {object} Verification result
+ */
+async function verify({ orderDetails, entities, session }) {
+  const evidence = await evidenceManager.getClaimEvidence(session.sessionId, orderDetails.id);
+
+  return decisionEngine.verifyMissingItemIssue(orderDetails, entities.missingItems, session.customerInfo, evidence);
+}
+
+/**
+ * Decide how to compensate for the missing items
+ * @param {object} context - Turn context
+ * @returns {object} Solution details
+ */
+async function decide(context) {
+  const { orderDetails, entities, session, verification } = context;
+
+  // Only compensate for items that were actually part of the order, in the quantities missing
+  const solution = await decisionEngine.decideSolution(
+    'MISSING_ITEM',
+    orderDetails,
+    session.customerInfo,
+    { ...entities, missingItems: verification.validMissingItems || entities.missingItems }
+  );
+
+  context.affectedItems = solution.breakdown ? solution.breakdown.lines.map(line => line.name) : [];
+
+  return solution;
+}
+
+/**
+ * Build the options offered to the customer, recommended solution first
+ * @param {object} context - Turn context
+ * @returns {array} Solution options
+ */
+function getOptions({ orderDetails, solution, session }) {
+  return decisionEngine.getSolutionOptions('MISSING_ITEM', orderDetails, session.customerInfo, solution);
+}
+
+/**
+ * Apply the chosen solution
+ * @param {object} context - Turn context
+ * @returns {object} Result of applying the solution
+ */
+function execute({ session, solution, orderDetails, affectedItems }) {
+  return resolutionManager.applySolution(session, solution, orderDetails, 'MISSING_ITEM', affectedItems);
+}
+
+/**
+ * Tell the customer what was done
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+function respond({ solution, resolutionResult, orderDetails }) {
+  return conversationManager.generateResolutionResponse(solution, resolutionResult, orderDetails);
+}
+
+module.exports = {
+  intent: 'MISSING_ITEM',
+  requiresOrder: true,
+  requiredSlots: ['missingItems'],
+  promptForSlot,
+  verify,
+  decide,
+  confirm: true,
+  getOptions,
+  execute,
+  respond
+};
\ No newline at end of file
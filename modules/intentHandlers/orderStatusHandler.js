@@ -0,0 +1,61 @@
+// modules/intentHandlers/orderStatusHandler.js
+
+const orderManager = require('../orderManager');
+const languageProcessor = require('../languageProcessor');
+const conversationManager = require('../conversationManager');
+const dialogueManager = require('../dialogueManager');
+
+/**
+ * Tell the customer where each order they asked about has got to, from its live status
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+async function respond({ intent, session, orderId }) {
+  const referencedIds = getReferencedOrderIds(intent.original, session, orderId);
+
+  // Orders named in the message that aren't the customer's are left out
+  const orders = await Promise.all(referencedIds.map(id => orderManager.getCustomerOrderDetails(id, session.customerId)));
+  const ownOrders = orders.filter(Boolean);
+
+  const orderStatuses = await Promise.all(ownOrders.map(async orderDetails => ({
+    currentStatus: await orderManager.getOrderStatus(orderDetails.id),
+    orderDetails
+  })));
+
+  for (const orderDetails of ownOrders) {
+    await dialogueManager.rememberOrder(session, orderDetails.id);
+  }
+
+  return conversationManager.generateOrderStatusesResponse(orderStatuses);
+}
+
+/**
+ * Work out which orders the customer is asking about
+ *
+ * Orders named in the message win, then every order in the conversation when
+ * they ask about "my orders", then the order the registry resolved.
+ *
+ * @param {string} message - The customer's message
+ * @param {object} session - Session data
+ * @param {string} orderId - Order resolved for the turn
+ * @returns {array} Order IDs
+ */
+function getReferencedOrderIds(message, session, orderId) {
+  const mentioned = languageProcessor.extractOrderIds(message || '');
+
+  if (mentioned.length > 0) {
+    return mentioned;
+  }
+
+  if (languageProcessor.mentionsAllOrders(message || '') && session.orderIds.length > 1) {
+    return session.orderIds;
+  }
+
+  return [orderId];
+}
+
+module.exports = {
+  intent: 'ORDER_STATUS',
+  requiresOrder: true,
+  respond
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+// modules/intentHandlers/refundRequestHandler.js
+
+const decisionEngine = require('../decisionEngine');
+const conversationManager = require('../conversationManager');
+const resolutionManager = require('../resolutionManager');
+const refundTracker = require('../refundTracker');
+const evidenceManager = require('../evidenceManager');
+
+/**
+ * Check whether the order can be refunded
+ * @param {object} context - Turn context
+ * @returns {object} Verification result
+ */
+async function verify({ orderDetails, entities, session }) {
+  const evidence = await evidenceManager.getClaimEvidence(session.sessionId, orderDetails.id);
+  const eligibility = await decisionEngine.checkRefundEligibility(
+    orderDetails,
+    session.customerInfo,
+    entities.reason || 'Customer requested refund',
+    evidence
+  );
+
+  return {
+    verified: eligibility.eligible,
+    reason: eligibility.reason,
+    amount: eligibility.amount,
+    percentage: eligibility.percentage,
+    policy: eligibility.policy,
+    requiresEvidence: eligibility.requiresEvidence,
+    escalationReason: eligibility.escalationReason,
+    risk: eligibility.risk,
+    existingResolution: eligibility.existingResolution,
+    failure: eligibility.failure
+  };
+}
+
+/**
+ * Explain why the refund can't be processed, with where an earlier refund has got to
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+async function reject({ verification, orderDetails }) {
+  const [refund] = await refundTracker.getOrderRefunds(orderDetails.id);
+
+  return conversationManager.generateRefundRejectionResponse(verification.reason, refund || null);
+}
+
+/**
+ * Refund the eligible amount
+ * @param {object} context - Turn context
+ * @returns {object} Solution details
+ */
+function decide({ entities, verification }) {
+  if (verification.existingResolution) {
+    return {
+      type: verification.existingResolution.resolutionType,
+      amount: verification.existingResolution.amount,
+      reason: 'Issue already resolved',
+      existingResolution: verification.existingResolution
+    };
+  }
+
+  return {
+    type: 'REFUND',
+    amount: verification.amount,
+    reason: entities.reason || 'Customer requested refund',
+    policy: verification.policy
+  };
+}
+
+/**
+ * Build the options offered to the customer, recommended solution first
+ * @param {object} context - Turn context
+ * @returns {array} Solution options
+ */
+function getOptions({ orderDetails, solution, session }) {
+  return decisionEngine.getSolutionOptions('REFUND_REQUEST', orderDetails, session.customerInfo, solution);
+}
+
+/**
+ * Apply the chosen solution
+ * @param {object} context - Turn context
+ * @returns {object} Result of applying the solution
+ */
+function execute({ session, solution, orderDetails }) {
+  return resolutionManager.applySolution(session, solution, orderDetails, 'REFUND_REQUEST', []);
+}
+
+/**
+ * Tell the customer what was done
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+function respond({ solution, resolutionResult, orderDetails }) {
+  // Customers who chose credits instead of the refund get the credit confirmation
+  if (solution.type !== 'REFUND') {
+    return conversationManager.generateResolutionResponse(solution, resolutionResult, orderDetails);
+  }
+
+  return conversationManager.generateRefundResponse(resolutionResult, orderDetails);
+}
+
+module.exports = {
+  intent: 'REFUND_REQUEST',
+  requiresOrder: true,
+  verify,
+  reject,
+  decide,
+  confirm: true,
+  getOptions,
+  execute,
+  respond
+};
\ No newline at end of file
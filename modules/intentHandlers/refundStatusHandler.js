@@ -0,0 +1,37 @@
+// modules/intentHandlers/refundStatusHandler.js
+
+const refundTracker = require('../refundTracker');
+const conversationManager = require('../conversationManager');
+const sessionStore = require('../sessionStore');
+const escalationManager = require('../escalationManager');
+
+/**
+ * Tell the customer where their refund has got to, from the tracked refunds
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+async function respond({ session, entities }) {
+  const refunds = await refundTracker.getCustomerRefunds(session.customerId);
+
+  // The order they mentioned (or this conversation's order), else every recent refund
+  const orderRefunds = refunds.filter(refund => refund.orderId === entities.orderId);
+  const relevantRefunds = orderRefunds.length > 0 ? orderRefunds : refunds;
+  const response = conversationManager.generateRefundStatusResponse(relevantRefunds);
+
+  // A failed refund means the customer is still owed money, so a person needs to sort it out
+  const failed = relevantRefunds.some(refund => refund.state === refundTracker.REFUND_STATES.FAILED);
+
+  if (failed && !session.escalated) {
+    await sessionStore.setEscalated(session, true, 'REFUND_FAILED');
+    const escalationMessage = await escalationManager.initiateEscalation(session, 'REFUND_FAILED');
+
+    return `${response}\n\n${escalationMessage}`;
+  }
+
+  return response;
+}
+
+module.exports = {
+  intent: 'REFUND_STATUS',
+  respond
+};
\ No newline at end of file
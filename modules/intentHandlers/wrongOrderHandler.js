@@ -0,0 +1,71 @@
+// modules/intentHandlers/wrongOrderHandler.js
+
+const decisionEngine = require('../decisionEngine');
+const conversationManager = require('../conversationManager');
+const resolutionManager = require('../resolutionManager');
+const evidenceManager = require('../evidenceManager');
+
+/**
+ * Verify the wrong order complaint
+ * @param {object} context - Turn context
+ * @returns {object} Verification result
+ */
+async function verify({ orderDetails, entities, session }) {
+  const evidence = await evidenceManager.getClaimEvidence(session.sessionId, orderDetails.id);
+
+  return decisionEngine.verifyWrongOrderIssue(orderDetails, entities.wrongItems, session.customerInfo, evidence);
+}
+
+/**
+ * Decide how to compensate for the wrong order
+ * @param {object} context - Turn context
+ * @returns {object} Solution details
+ */
+async function decide(context) {
+  const { orderDetails, entities, session } = context;
+
+  const solution = await decisionEngine.decideSolution('WRONG_ORDER', orderDetails, session.customerInfo, entities);
+
+  // The items the breakdown valued, i.e. the ones on the order the customer named
+  context.affectedItems = solution.breakdown ? solution.breakdown.lines.map(line => line.name) : [];
+
+  return solution;
+}
+
+/**
+ * Build the options offered to the customer, recommended solution first
+ * @param {object} context - Turn context
+ * @returns {array} Solution options
+ */
+function getOptions({ orderDetails, solution, session }) {
+  return decisionEngine.getSolutionOptions('WRONG_ORDER', orderDetails, session.customerInfo, solution);
+}
+
+/**
+ * Apply the chosen solution
+ * @param {object} context - Turn context
+ * @returns {object} Result of applying the solution
+ */
+function execute({ session, solution, orderDetails, affectedItems }) {
+  return resolutionManager.applySolution(session, solution, orderDetails, 'WRONG_ORDER', affectedItems);
+}
+
+/**
+ * Tell the customer what was done
+ * @param {object} context - Turn context
+ * @returns {string} Response message
+ */
+function respond({ solution, resolutionResult, orderDetails }) {
+  return conversationManager.generateResolutionResponse(solution, resolutionResult, orderDetails);
+}
+
+module.exports = {
+  intent: 'WRONG_ORDER',
+  requiresOrder: true,
+  verify,
+  decide,
+  confirm: true,
+  getOptions,
+  execute,
+  respond
+};
\ No newline at end of file
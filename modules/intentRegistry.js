@@ -0,0 +1,650 @@
+// modules/intentRegistry.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const orderManager = require('./orderManager');
+const conversationManager = require('./conversationManager');
+const dialogueManager = require('./dialogueManager');
+const languageProcessor = require('./languageProcessor');
+const turnLog = require('./turnLog');
+const sessionStore = require('./sessionStore');
+const escalationManager = require('./escalationManager');
+const failurePolicy = require('./failurePolicy');
+
+// Directory holding one handler file per intent
+const HANDLERS_DIRECTORY = path.join(__dirname, 'intentHandlers');
+
+// Intent used when no handler is registered for the detected intent
+const FALLBACK_INTENT = 'GENERAL_QUERY';
+
+// Slot awaited while the customer uploads a photo for their claim
+const EVIDENCE_SLOT = 'evidence';
+
+// Slot awaited while the customer gives the account for a bank transfer
+const PAYOUT_ACCOUNT_SLOT = 'payoutAccount';
+
+// Registered handlers, keyed by intent type
+const handlers = new Map();
+
+/**
+ * Register a handler for an intent
+ *
+ * A handler is an object with an `intent` type and any of the following steps,
+ * each receiving the turn context ({ intent, session, entities, orderId,
+ * orderDetails, verification, solution, resolutionResult }):
+ * - requiresOrder: load the referenced order into the context before other steps
+ *   (asking the customer for an order number when there isn't one)
+ * - requiredSlots: entities (e.g. missingItems) to collect before verifying,
+ *   asked for over as many turns as it takes
+ * - promptForSlot: build the question for a missing slot
+ * - precheck: return a response to end the turn early, or nothing to continue
+ * - verify: return a verification result ({ verified, reason }), asking the
+ *   customer for a photo when it sets requiresEvidence
+ * - reject: build the response when verification fails
+ * - decide: return the solution to apply, or null when there is nothing to apply
+ * - confirm: offer the solution to the customer and only execute once they accept
+ * - getOptions: return the options to offer, recommended solution first
+ * - execute: apply the solution and return its result
+ * - respond: build the response message (required)
+ *
+ * @param {object} handler - Handler definition
+ */
+function registerHandler(handler) {
+  if (!handler || !handler.intent) {
+    throw new Error('Intent handler must declare an intent');
+  }
+
+  if (typeof handler.respond !== 'function') {
+    throw new Error(`Intent handler for ${handler.intent} must implement respond`);
+  }
+
+  if (handlers.has(handler.intent)) {
+    logger.warn('Replacing existing intent handler', { intent: handler.intent });
+  }
+
+  handlers.set(handler.intent, handler);
+}
+
+/**
+ * Get the handler registered for an intent
+ * @param {string} intentType - Type of intent
+ * @returns {object|null} Handler definition
+ */
+function getHandler(intentType) {
+  return handlers.get(intentType) || null;
+}
+
+/**
+ * Get the intent types that have a registered handler
+ * @returns {array} Registered intent types
+ */
+function getRegisteredIntents() {
+  return Array.from(handlers.keys());
+}
+
+/**
+ * Register every handler file in a directory
+ * @param {string} directory - Directory containing handler modules
+ */
+function loadHandlers(directory) {
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      registerHandler(require(path.join(directory, file)));
+    });
+
+  logger.info('Intent handlers loaded', { intents: getRegisteredIntents() });
+}
+
+/**
+ * Run the registered handler for a detected intent, or resume an intent
+ * that was waiting for more information from the customer, and record
+ * what was decided for the agents who may pick the session up later
+ * @param {object} intent - Detected intent
+ * @param {object} session - Session data
+ * @param {object} entities - Extracted entities
+ * @returns {string} Response message
+ */
+async function handleIntent(intent, session, entities) {
+  const turnRecord = turnLog.startTurn(intent, entities);
+  const response = await runTurn(intent, session, entities, turnRecord);
+
+  await turnLog.recordTurn(session, turnRecord);
+
+  return response;
+}
+
+/**
+ * Work out the response to a message, filling in the turn record on the way
+ * @param {object} intent - Detected intent
+ * @param {object} session - Session data
+ * @param {object} entities - Extracted entities
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string} Response message
+ */
+async function runTurn(intent, session, entities, turnRecord) {
+  const offerResponse = await resolvePendingOffer(intent, session, turnRecord);
+
+  if (offerResponse) {
+    return offerResponse;
+  }
+
+  const turn = await resolvePendingIntent(intent, session, entities);
+
+  return runHandler(turn, session, turnRecord);
+}
+
+/**
+ * Photo evidence was uploaded, so pick up the claim that was waiting for it
+ * @param {object} session - Session data
+ * @param {object} evidence - Stored evidence record (see evidenceManager)
+ * @returns {string|null} Response message, or null when no claim was waiting for a photo
+ */
+async function handleEvidence(session, evidence) {
+  const pending = dialogueManager.getPendingIntent(session);
+
+  if (!pending || pending.awaitingSlot !== EVIDENCE_SLOT) {
+    return null;
+  }
+
+  logger.info('Resuming pending intent', {
+    sessionId: session.sessionId,
+    pendingIntent: pending.pendingIntent,
+    slot: EVIDENCE_SLOT,
+    evidenceId: evidence.evidenceId
+  });
+
+  const intent = { type: pending.pendingIntent, confidence: 1, original: null, resumed: true };
+  const entities = dialogueManager.mergeSlots({ orderId: evidence.orderId }, pending.slots);
+  const turnRecord = turnLog.startTurn(intent, entities);
+  const response = await runHandler({ intent, entities }, session, turnRecord);
+
+  await turnLog.recordTurn(session, turnRecord);
+
+  return response;
+}
+
+/**
+ * Run the handler for an intent through its steps
+ * @param {object} turn - Intent and entities to handle ({ intent, entities })
+ * @param {object} session - Session data
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string} Response message
+ */
+async function runHandler(turn, session, turnRecord) {
+  const handler = getHandler(turn.intent.type) || getHandler(FALLBACK_INTENT);
+
+  const context = {
+    intent: turn.intent,
+    session,
+    entities: turn.entities,
+    orderId: null,
+    orderDetails: null,
+    verification: null,
+    solution: null,
+    offer: null,
+    resolutionResult: null
+  };
+
+  try {
+    if (handler.requiresOrder) {
+      context.orderId = resolveOrderId(session, context.entities);
+
+      if (!context.orderId) {
+        await dialogueManager.awaitSlot(session, handler.intent, context.entities, 'orderId');
+        turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.SLOT_REQUESTED, { slot: 'orderId' });
+        return conversationManager.generateNoOrderFoundResponse();
+      }
+
+      context.orderDetails = await orderManager.getCustomerOrderDetails(context.orderId, session.customerId);
+
+      // Another customer's order gets the same answer as one that doesn't exist
+      if (!context.orderDetails) {
+        const unknownOrderId = context.orderId;
+
+        context.orderId = null;
+        await dialogueManager.awaitSlot(session, handler.intent, { ...context.entities, orderId: null }, 'orderId');
+        turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.SLOT_REQUESTED, { slot: 'orderId' });
+        return conversationManager.generateOrderNotFoundResponse(unknownOrderId);
+      }
+
+      await dialogueManager.rememberOrder(session, context.orderId);
+    }
+
+    const slotPrompt = await fillRequiredSlots(handler, context, turnRecord);
+
+    if (slotPrompt) {
+      return slotPrompt;
+    }
+
+    // Everything the handler needs is known, so nothing is pending any more
+    await dialogueManager.clearDialogueState(session);
+
+    if (handler.precheck) {
+      const earlyResponse = await handler.precheck(context);
+
+      if (earlyResponse) {
+        turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.ANSWERED, { step: 'precheck' });
+        return earlyResponse;
+      }
+    }
+
+    if (handler.verify) {
+      context.verification = await handler.verify(context);
+
+      // Verifying threw, so the failure policy decides whether the claim goes ahead
+      if (context.verification.failure) {
+        const failureResponse = await handleFailure(context.verification.failure, context, turnRecord);
+
+        if (failureResponse) {
+          return failureResponse;
+        }
+      }
+
+      // Wait for a photo, then verify again once it's uploaded
+      if (!context.verification.verified && context.verification.requiresEvidence) {
+        await dialogueManager.awaitSlot(session, handler.intent, context.entities, EVIDENCE_SLOT);
+        turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.SLOT_REQUESTED, { slot: EVIDENCE_SLOT });
+        return conversationManager.generateVerificationFailedResponse(context.verification.reason, context.orderDetails);
+      }
+
+      if (!context.verification.verified) {
+        turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.VERIFICATION_FAILED);
+
+        const rejection = handler.reject
+          ? await handler.reject(context)
+          : conversationManager.generateVerificationFailedResponse(context.verification.reason, context.orderDetails);
+
+        // Risky claims go to a person instead of being turned down outright
+        if (context.verification.escalationReason && !session.escalated) {
+          await sessionStore.setEscalated(session, true, context.verification.escalationReason);
+          const escalationMessage = await escalationManager.initiateEscalation(session, context.verification.escalationReason);
+
+          return `${rejection}\n\n${escalationMessage}`;
+        }
+
+        return rejection;
+      }
+    }
+
+    if (handler.decide) {
+      context.solution = await handler.decide(context);
+    }
+
+    if (context.solution && context.solution.failure) {
+      const failureResponse = await handleFailure(context.solution.failure, context, turnRecord);
+
+      if (failureResponse) {
+        return failureResponse;
+      }
+    }
+
+    // The ledger already covers this issue or the whole order
+    if (context.solution && context.solution.existingResolution) {
+      turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.ALREADY_RESOLVED);
+      return conversationManager.generateExistingResolutionResponse(context.solution.existingResolution, context.orderDetails);
+    }
+
+    if (context.solution && context.solution.type === 'NONE') {
+      turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.FULLY_COMPENSATED);
+      return conversationManager.generateFullyCompensatedResponse(context.orderDetails);
+    }
+
+    // Let the customer choose before anything is applied
+    if (handler.confirm && context.solution) {
+      context.offer = await dialogueManager.createOffer(session, {
+        intent: handler.intent,
+        orderId: context.orderId,
+        entities: context.entities,
+        affectedItems: context.affectedItems || [],
+        options: handler.getOptions ? await handler.getOptions(context) : [context.solution]
+      });
+
+      turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.OFFER_MADE);
+      return conversationManager.generateResolutionOfferResponse(context.offer, context.orderDetails);
+    }
+
+    if (handler.execute && context.solution) {
+      context.resolutionResult = await handler.execute(context);
+    }
+
+    return await respondToResolution(handler, context, turnRecord);
+  } catch (error) {
+    logger.error('Error handling intent', { intent: handler.intent, error: error.message });
+    turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.ERROR, { error: error.message });
+    return conversationManager.generateErrorResponse();
+  }
+}
+
+/**
+ * Record a failure policy outcome and, unless the claim was approved, end the turn
+ * @param {object} failure - Failure from failurePolicy.evaluateFailure
+ * @param {object} context - Turn context
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string|null} Response message, or null when the claim carries on
+ */
+async function handleFailure(failure, context, turnRecord) {
+  const { session } = context;
+
+  await failurePolicy.recordFailure(session, context.orderDetails, failure);
+
+  if (failure.action === failurePolicy.FAILURE_ACTIONS.APPROVE) {
+    return null;
+  }
+
+  turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.FAILED_CLOSED, {
+    stage: failure.stage,
+    action: failure.action,
+    error: failure.error
+  });
+
+  const response = conversationManager.generateFailurePolicyResponse(failure.action);
+
+  if (failure.action === failurePolicy.FAILURE_ACTIONS.ESCALATE && !session.escalated) {
+    await sessionStore.setEscalated(session, true, 'SYSTEM_FAILURE');
+    const escalationMessage = await escalationManager.initiateEscalation(session, 'SYSTEM_FAILURE');
+
+    return `${response}\n\n${escalationMessage}`;
+  }
+
+  return response;
+}
+
+/**
+ * Handle a reply to a resolution offer, if one is pending
+ * @param {object} intent - Detected intent
+ * @param {object} session - Session data
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string|null} Response message, or null when the message isn't about the offer
+ */
+async function resolvePendingOffer(intent, session, turnRecord) {
+  const offer = dialogueManager.getPendingOffer(session);
+
+  if (!offer) {
+    return null;
+  }
+
+  // A chosen bank transfer is waiting for the account to pay into; one that is
+  // only on offer can be picked by giving the account straight away
+  const accountOption = dialogueManager.getAccountOption(offer);
+  const transferIndex = accountOption
+    ? offer.accountOptionIndex
+    : offer.options.findIndex(option => option.destination === 'BANK_TRANSFER');
+  const account = transferIndex >= 0 ? languageProcessor.extractPayoutAccount(intent.original) : null;
+  let choice = languageProcessor.detectOfferChoice(intent.original, offer.options);
+
+  const rejectedOptions = choice.rejectedOptions || [];
+
+  if (account && (accountOption || (!rejectedOptions.includes(transferIndex) &&
+    (choice.optionIndex === null || choice.plainAccept || choice.optionIndex === transferIndex)))) {
+    choice = { optionIndex: transferIndex, declined: false };
+  } else if (accountOption && choice.optionIndex === null && rejectedOptions.length === 0 &&
+    languageProcessor.mentionsPayoutAccount(intent.original)) {
+    // Incomplete details ("account no 1234") aren't a "no" to the offer
+    choice = { optionIndex: null, declined: false };
+  }
+  const answered = choice.declined || choice.optionIndex !== null || rejectedOptions.length > 0;
+  const offerContext = {
+    intent: { type: offer.intent, resumed: true },
+    entities: offer.entities,
+    orderId: offer.orderId,
+    offer
+  };
+
+  if (dialogueManager.isOfferExpired(offer)) {
+    await dialogueManager.clearOffer(session);
+
+    if (!answered) {
+      return null;
+    }
+
+    turnLog.completeTurn(turnRecord, offerContext, turnLog.TURN_OUTCOMES.OFFER_EXPIRED);
+    return conversationManager.generateOfferExpiredResponse();
+  }
+
+  if (choice.declined) {
+    logger.info('Resolution offer declined', { sessionId: session.sessionId, offerId: offer.offerId });
+    await dialogueManager.clearOffer(session);
+    turnLog.completeTurn(turnRecord, offerContext, turnLog.TURN_OUTCOMES.OFFER_DECLINED);
+    return conversationManager.generateOfferDeclinedResponse();
+  }
+
+  // Turning down some of the options leaves the others open, so list them again
+  if (choice.optionIndex === null && rejectedOptions.length > 0) {
+    if (accountOption && rejectedOptions.includes(offer.accountOptionIndex)) {
+      await dialogueManager.awaitPayoutAccount(session, null);
+    }
+
+    const orderDetails = await orderManager.getOrderDetails(offer.orderId);
+    turnLog.completeTurn(turnRecord, offerContext, turnLog.TURN_OUTCOMES.OFFER_REPEATED, { rejectedOptions });
+    return conversationManager.generateRemainingOptionsResponse(offer, orderDetails, rejectedOptions);
+  }
+
+  // While we wait for account details, only naming another option switches to it
+  if (accountOption && !account && (choice.optionIndex === null || choice.plainAccept || choice.optionIndex === offer.accountOptionIndex)) {
+    turnLog.completeTurn(turnRecord, offerContext, turnLog.TURN_OUTCOMES.SLOT_REQUESTED, { slot: PAYOUT_ACCOUNT_SLOT });
+    return conversationManager.generatePayoutAccountRequest(accountOption, true);
+  }
+
+  if (choice.optionIndex !== null) {
+    const option = offer.options[choice.optionIndex];
+
+    // Bank transfers need an account to pay into before anything is applied
+    if (option.destination === 'BANK_TRANSFER' && !account) {
+      await dialogueManager.awaitPayoutAccount(session, choice.optionIndex);
+      turnLog.completeTurn(turnRecord, offerContext, turnLog.TURN_OUTCOMES.SLOT_REQUESTED, { slot: PAYOUT_ACCOUNT_SLOT });
+      return conversationManager.generatePayoutAccountRequest(option, false);
+    }
+
+    await dialogueManager.clearOffer(session);
+    return executeOffer(offer, account && option.destination === 'BANK_TRANSFER' ? { ...option, payoutAccount: account } : option, intent, session, turnRecord);
+  }
+
+  // Anything that isn't another request gets the options again; other
+  // requests are handled normally and the offer stays open
+  if (!getHandler(intent.type) || intent.type === FALLBACK_INTENT) {
+    const orderDetails = await orderManager.getOrderDetails(offer.orderId);
+    turnLog.completeTurn(turnRecord, offerContext, turnLog.TURN_OUTCOMES.OFFER_REPEATED);
+    return conversationManager.generateResolutionOfferResponse(offer, orderDetails);
+  }
+
+  return null;
+}
+
+/**
+ * Apply the option the customer accepted
+ * @param {object} offer - Accepted offer
+ * @param {object} option - Chosen option
+ * @param {object} intent - Detected intent of the accepting message
+ * @param {object} session - Session data
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string} Response message
+ */
+async function executeOffer(offer, option, intent, session, turnRecord) {
+  const handler = getHandler(offer.intent);
+
+  logger.info('Resolution offer accepted', {
+    sessionId: session.sessionId,
+    offerId: offer.offerId,
+    solutionType: option.type,
+    amount: option.amount
+  });
+
+  const context = {
+    intent: { type: offer.intent, confidence: intent.confidence, original: intent.original, resumed: true },
+    session,
+    entities: offer.entities,
+    orderId: offer.orderId,
+    orderDetails: null,
+    affectedItems: offer.affectedItems,
+    verification: null,
+    solution: option,
+    offer,
+    resolutionResult: null
+  };
+
+  try {
+    context.orderDetails = await orderManager.getOrderDetails(offer.orderId);
+    context.resolutionResult = await handler.execute(context);
+
+    return await respondToResolution(handler, context, turnRecord);
+  } catch (error) {
+    logger.error('Error applying accepted offer', { intent: offer.intent, error: error.message });
+    turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.ERROR, { error: error.message });
+    return conversationManager.generateErrorResponse();
+  }
+}
+
+/**
+ * Build the response for a turn, covering repeats the ledger caught at execution time
+ * @param {object} handler - Handler definition
+ * @param {object} context - Turn context
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string} Response message
+ */
+async function respondToResolution(handler, context, turnRecord) {
+  const resolutionResult = context.resolutionResult;
+
+  if (resolutionResult && resolutionResult.duplicate) {
+    turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.ALREADY_RESOLVED);
+    return conversationManager.generateExistingResolutionResponse(resolutionResult.existingResolution, context.orderDetails);
+  }
+
+  if (resolutionResult && resolutionResult.fullyCompensated) {
+    turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.FULLY_COMPENSATED);
+    return conversationManager.generateFullyCompensatedResponse(context.orderDetails);
+  }
+
+  let outcome = turnLog.TURN_OUTCOMES.ANSWERED;
+  if (resolutionResult) {
+    outcome = resolutionResult.success ? turnLog.TURN_OUTCOMES.RESOLUTION_APPLIED : turnLog.TURN_OUTCOMES.RESOLUTION_FAILED;
+  }
+
+  turnLog.completeTurn(turnRecord, context, outcome);
+
+  return handler.respond(context);
+}
+
+/**
+ * Decide whether this message continues an intent that was waiting for a slot
+ * @param {object} intent - Detected intent
+ * @param {object} session - Session data
+ * @param {object} entities - Extracted entities
+ * @returns {object} Intent and entities to handle this turn
+ */
+async function resolvePendingIntent(intent, session, entities) {
+  const pending = dialogueManager.getPendingIntent(session);
+
+  if (!pending) {
+    await dialogueManager.clearDialogueState(session);
+    return { intent, entities };
+  }
+
+  let orderDetails = null;
+  if (pending.awaitingSlot !== 'orderId' && pending.slots.orderId) {
+    orderDetails = await orderManager.getOrderDetails(pending.slots.orderId);
+  }
+
+  const slotValue = dialogueManager.extractSlotValue(pending.awaitingSlot, intent.original, orderDetails);
+  const resumedIntent = {
+    type: pending.pendingIntent,
+    confidence: intent.confidence,
+    original: intent.original,
+    resumed: true
+  };
+
+  // The reply answers the question we asked, whatever it was classified as
+  if (slotValue) {
+    logger.info('Resuming pending intent', {
+      sessionId: session.sessionId,
+      pendingIntent: pending.pendingIntent,
+      slot: pending.awaitingSlot
+    });
+
+    return {
+      intent: resumedIntent,
+      entities: dialogueManager.mergeSlots({ ...entities, [pending.awaitingSlot]: slotValue }, pending.slots)
+    };
+  }
+
+  // An unclear reply gets the question again, up to a limit
+  const detectedType = getHandler(intent.type) ? intent.type : FALLBACK_INTENT;
+
+  // Asking for money another way doesn't get round the photo a claim is waiting for
+  if (pending.awaitingSlot === EVIDENCE_SLOT && getHandler(detectedType).verify) {
+    return {
+      intent: resumedIntent,
+      entities: dialogueManager.mergeSlots(entities, pending.slots)
+    };
+  }
+
+  if ((detectedType === FALLBACK_INTENT || detectedType === pending.pendingIntent) &&
+      pending.attempts < config.dialogue.maxSlotPrompts) {
+    return {
+      intent: resumedIntent,
+      entities: dialogueManager.mergeSlots(entities, pending.slots)
+    };
+  }
+
+  // The customer moved on to something else
+  await dialogueManager.clearDialogueState(session);
+  return { intent, entities };
+}
+
+/**
+ * Fill the handler's required slots from the current message, or ask for the first missing one
+ * @param {object} handler - Handler definition
+ * @param {object} context - Turn context
+ * @param {object} turnRecord - Turn record (see turnLog.startTurn)
+ * @returns {string|null} Prompt for a missing slot, or null when all slots are filled
+ */
+async function fillRequiredSlots(handler, context, turnRecord) {
+  const requiredSlots = handler.requiredSlots || [];
+
+  for (const slot of requiredSlots) {
+    if (dialogueManager.isSlotFilled(context.entities[slot])) {
+      continue;
+    }
+
+    const slotValue = dialogueManager.extractSlotValue(slot, context.intent.original, context.orderDetails);
+
+    if (slotValue) {
+      context.entities[slot] = slotValue;
+      continue;
+    }
+
+    await dialogueManager.awaitSlot(context.session, handler.intent, context.entities, slot);
+    turnLog.completeTurn(turnRecord, context, turnLog.TURN_OUTCOMES.SLOT_REQUESTED, { slot });
+
+    return handler.promptForSlot
+      ? await handler.promptForSlot(slot, context)
+      : conversationManager.generateResponse(context.intent, context.entities, context.session);
+  }
+
+  return null;
+}
+
+/**
+ * Get the order a message refers to, falling back to the session's most recent order
+ * @param {object} session - Session data
+ * @param {object} entities - Extracted entities
+ * @returns {string|null} Order ID
+ */
+function resolveOrderId(session, entities) {
+  return entities.orderId || (session.orderIds.length > 0 ? session.orderIds[0] : null);
+}
+
+// Register the built-in handlers when the module is loaded
+loadHandlers(HANDLERS_DIRECTORY);
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  getRegisteredIntents,
+  loadHandlers,
+  handleIntent,
+  handleEvidence
+};
\ No newline at end of file
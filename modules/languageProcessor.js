@@ -1,9 +1,12 @@
 // modules/languageProcessor.js
 
 const { NlpManager } = require('node-nlp');
-const sentiment = require('sentiment');
+const Sentiment = require('sentiment');
 const logger = require('../utilities/logger');
 
+// The sentiment package exports an analyzer class rather than a function
+const sentimentAnalyzer = new Sentiment();
+
 // Initialize NLP manager
 const manager = new NlpManager({ languages: ['en'], forceNER: true });
 
@@ -49,6 +52,18 @@ function initializeNLP() {
   manager.addDocument('en', 'has my order been picked up yet', 'ORDER_STATUS');
   manager.addDocument('en', 'when will my food arrive', 'ORDER_STATUS');
   
+  manager.addDocument('en', 'what\'s my credit balance', 'CREDIT_BALANCE');
+  manager.addDocument('en', 'how many zomato credits do I have', 'CREDIT_BALANCE');
+  manager.addDocument('en', 'check my wallet balance', 'CREDIT_BALANCE');
+  manager.addDocument('en', 'how much credit is left in my account', 'CREDIT_BALANCE');
+  manager.addDocument('en', 'when do my credits expire', 'CREDIT_BALANCE');
+  
+  manager.addDocument('en', 'where is my refund', 'REFUND_STATUS');
+  manager.addDocument('en', 'I haven\'t received my refund yet', 'REFUND_STATUS');
+  manager.addDocument('en', 'what is the status of my refund', 'REFUND_STATUS');
+  manager.addDocument('en', 'when will I get my refund', 'REFUND_STATUS');
+  manager.addDocument('en', 'has my refund been processed', 'REFUND_STATUS');
+  
   // Add entities
   manager.addNamedEntityText('foodItem', 'burger', ['en'], ['burger', 'hamburger', 'cheeseburger']);
   manager.addNamedEntityText('foodItem', 'pizza', ['en'], ['pizza', 'pie', 'pizza pie']);
@@ -155,10 +170,12 @@ async function extractEntities(message, session) {
       // Extract food items
       if (entity.entity === 'foodItem') {
         // Determine if it's a wrong item or missing item based on context
+        const mention = { name: entity.utteranceText, quantity: extractItemQuantity(message, entity.utteranceText) };
+        
         if (result.intent === 'WRONG_ORDER') {
-          processedEntities.wrongItems.push(entity.utteranceText);
+          processedEntities.wrongItems.push(mention);
         } else if (result.intent === 'MISSING_ITEM') {
-          processedEntities.missingItems.push(entity.utteranceText);
+          processedEntities.missingItems.push(mention);
         }
       }
       
@@ -213,10 +230,10 @@ async function extractEntities(message, session) {
  */
 function analyzeSentiment(message) {
   try {
-    const result = sentiment(message);
+    const result = sentimentAnalyzer.analyze(message);
     
     // Normalize score to range between -1 and 1
-    const normalizedScore = result.score / Math.max(1, result.tokens.length);
+    const normalizedScore = Math.max(-1, Math.min(1, result.score / Math.max(1, result.tokens.length)));
     
     return {
       score: normalizedScore,
@@ -239,8 +256,434 @@ function analyzeSentiment(message) {
   }
 }
 
+/**
+ * Extract an order ID from a short reply such as "it's 48213" or "#48213"
+ * @param {string} message - The message to analyze
+ * @returns {string|null} The order ID, if one was found
+ */
+function extractOrderIdFromReply(message) {
+  // Full order references like "order_67890"
+  const referenceMatch = message.match(/\b(order_\d+)\b/i);
+  if (referenceMatch) {
+    return referenceMatch[1];
+  }
+  
+  // Bare order numbers
+  const numberMatch = message.match(/#?\b(\d{4,})\b/);
+  if (numberMatch) {
+    return numberMatch[1];
+  }
+  
+  return null;
+}
+
+// An order reference: "order_34", "#48213", or a number after "order(s)" ("orders no. 48213")
+const ORDER_REFERENCE_PATTERN = /\b(order_\d+)\b|#(\d+)\b|\borders?\s+(?:(?:no\.?|nos\.?|numbers?|ids?)\s*)?#?(\d+)\b/gi;
+
+// A further order in a list after a reference (", 67890", " and #67890", " & order_35"); bare numbers need
+// four digits, like bare order numbers in replies, so "order 12345 and 2 pizzas" isn't read as two orders
+const ORDER_LIST_ITEM_PATTERN = /\s*(?:,\s*(?:and\s+|or\s+)?|\s+and\s+|\s*&\s*|\s+or\s+)(?:(order_\d+)|#(\d+)|(\d{4,}))\b/y;
+
+/**
+ * Extract every order a message refers to, such as "order_34 and order_29" or "orders 12345, 67890 and 11223"
+ * @param {string} message - The message to analyze
+ * @returns {array} Order IDs, in the order they were mentioned
+ */
+function extractOrderIds(message) {
+  const orderIds = [];
+  const addOrderId = match => {
+    const orderId = match[1] || match[2] || match[3];
+    
+    if (!orderIds.includes(orderId)) {
+      orderIds.push(orderId);
+    }
+  };
+  const referencePattern = new RegExp(ORDER_REFERENCE_PATTERN.source, 'gi');
+  let match;
+  
+  while ((match = referencePattern.exec(message)) !== null) {
+    addOrderId(match);
+    
+    // Follow the list the reference starts, if there is one
+    const listPattern = new RegExp(ORDER_LIST_ITEM_PATTERN.source, 'iy');
+    listPattern.lastIndex = referencePattern.lastIndex;
+    let listMatch;
+    
+    while ((listMatch = listPattern.exec(message)) !== null) {
+      addOrderId(listMatch);
+      referencePattern.lastIndex = listPattern.lastIndex;
+    }
+  }
+  
+  return orderIds;
+}
+
+/**
+ * Check whether a message asks about all of the customer's orders rather than one
+ * @param {string} message - The message to analyze
+ * @returns {boolean} Whether several orders are meant, e.g. "where are my orders"
+ */
+function mentionsAllOrders(message) {
+  return /\b(my|both|all|each|every|the)\s+(of\s+my\s+)?orders\b/i.test(message);
+}
+
+/**
+ * Match the items of an order mentioned in a message
+ * @param {string} message - The message to analyze
+ * @param {array} items - Items of the order
+ * @returns {array} Names of the order items mentioned, as they appear on the order
+ */
+function matchOrderItems(message, items) {
+  if (!items || items.length === 0) {
+    return [];
+  }
+  
+  const messageTokens = tokenizeItemText(message);
+  
+  const candidates = items.map(item => {
+    const itemTokens = tokenizeItemText(item.name.replace(/\(.*?\)/g, ''));
+    const matchedTokens = itemTokens.filter(token => messageTokens.includes(token));
+    
+    return {
+      name: item.name,
+      fullMatch: itemTokens.length > 0 && matchedTokens.length === itemTokens.length,
+      matchedTokens
+    };
+  });
+  
+  // Accept items whose whole name was mentioned ("the garlic breadsticks") and
+  // partial mentions ("the pizza") that point at a single item
+  return candidates
+    .filter(candidate => candidate.fullMatch || candidate.matchedTokens.some(token =>
+      candidates.filter(other => other.matchedTokens.includes(token)).length === 1
+    ))
+    .map(candidate => candidate.name);
+}
+
+/**
+ * Match the items of an order mentioned in a message, with how many of each the customer said
+ * @param {string} message - The message to analyze
+ * @param {array} items - Items of the order
+ * @returns {array} Item mentions ({ name, quantity }), quantity is null when none was given
+ */
+function matchClaimedItems(message, items) {
+  return matchOrderItems(message, items).map(name => ({
+    name,
+    quantity: extractItemQuantity(message, name)
+  }));
+}
+
+// Words that give a quantity ahead of an item ("one of my two soft tacos")
+const QUANTITY_WORDS = {
+  a: 1, an: 1, one: 1, single: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+// Words allowed between a quantity and the item it counts
+const QUANTITY_CONNECTORS = ['of', 'my', 'the', 'our', 'those', 'these', 'out', 'x'];
+
+/**
+ * Find how many of an item the customer is talking about
+ * @param {string} message - The message to analyze
+ * @param {string} itemText - The item as mentioned or as named on the order
+ * @returns {number|null} Quantity, or null when none was given
+ */
+function extractItemQuantity(message, itemText) {
+  const words = message.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const itemTokens = tokenizeItemText(itemText.replace(/\(.*?\)/g, ''));
+  const itemIndex = words.findIndex(word => itemTokens.includes(singularize(word)));
+  
+  // Walk back from the item; in "one of my two tacos" the first number is the one claimed
+  let quantity = null;
+  
+  for (let index = itemIndex - 1; index >= 0; index--) {
+    const word = words[index];
+    const value = /^\d+$/.test(word) ? parseInt(word, 10) : QUANTITY_WORDS[word];
+    
+    if (value) {
+      quantity = value;
+    } else if (!QUANTITY_CONNECTORS.includes(word)) {
+      break;
+    }
+  }
+  
+  return quantity;
+}
+
+/**
+ * Split item text into comparable tokens
+ * @param {string} text - Text to tokenize
+ * @returns {array} Lowercase singular tokens
+ */
+function tokenizeItemText(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2)
+    .map(singularize);
+}
+
+/**
+ * Drop a plural "s" so "tacos" and "taco" compare equal
+ * @param {string} token - Lowercase word
+ * @returns {string} Singular word
+ */
+function singularize(token) {
+  return token.endsWith('s') && token.length > 3 ? token.slice(0, -1) : token;
+}
+
+// Phrases that pick a particular kind of offered solution, most specific first
+const OFFER_TYPE_PATTERNS = {
+  BANK_TRANSFER: /\b(bank transfer|transfer|neft|imps|bank account)\b/,
+  WALLET_REFUND: /\b(wallet|zomato money|instant(ly)?)\b/,
+  REFUND: /\b(refund|money back|cash|card|bank|upi|original payment|source)\b/,
+  CREDIT: /\b(credits?|wallet|zomato cash)\b/,
+  REDELIVERY: /\b(redeliver\w*|re-deliver\w*|resend|send (it )?again|deliver (it )?again|replacement)\b/
+};
+
+const OFFER_ORDINALS = ['first', 'second', 'third'];
+const OFFER_ACCEPT_PATTERN = /\b(yes|yeah|yep|yup|ok|okay|sure|accept|go ahead|please do|sounds good|fine|do it|that works)\b/;
+
+// Replies that turn the whole offer down; a bare "no" only counts on its own or
+// leading the reply ("no, thanks"), so "no problem, go ahead" isn't a decline
+const OFFER_DECLINE_PATTERN = /^\s*(no|nope|nah)\s*([,.!]|$)|\b(no thanks|no thank you|not now|don'?t want|do not want|neither|cancel|none)\b/;
+
+// Words that turn down whatever the rest of their clause names ("not the refund", "I don't want credits")
+const OFFER_NEGATION_PATTERN = /\b(no|not|never|don'?t|doesn'?t|won'?t|neither|nor)\b/;
+
+// Where a reply breaks into sentences, and where a clause starts before each negation
+const OFFER_SENTENCE_BREAK = /[;.!?]|\bbut\b|\binstead\b|\brather\b/;
+const OFFER_NEGATION_BREAK = /(?=\b(?:no|not|never|don'?t|doesn'?t|won'?t|neither|nor)\b)/;
+
+// Words that can sit between the options of a list ("a refund, credits or a redelivery")
+const OFFER_LIST_WORDS = /\b(a|an|the|any|either|or|nor|and|my|to|in|into|of)\b/g;
+
+// Words that name the original payment method, as opposed to refunds in general
+const OFFER_SOURCE_PATTERN = /\b(card|upi|bank|original payment|source)\b/;
+
+// While a bank transfer is on offer, naming an account to pay into picks it ("my upi is ...")
+const OFFER_PAYOUT_PATTERN = /\b(bank transfer|transfer|neft|imps|bank account|upi|bank|account|a\/c|ifsc)\b/;
+
+/**
+ * Work out which offered option, if any, a reply accepts
+ *
+ * Each clause of the reply is read on its own, so an option named after a
+ * negation ("I don't want the refund") is turned down rather than picked,
+ * and "not the refund, credits please" picks the credits.
+ *
+ * @param {string} message - The reply to analyze
+ * @param {array} options - Options offered to the customer (recommended first)
+ * @returns {object} Choice ({ optionIndex, declined, plainAccept, rejectedOptions }), plainAccept when a bare "yes" took the recommended option, rejectedOptions when some options were turned down and none picked
+ */
+function detectOfferChoice(message, options) {
+  const text = message.toLowerCase();
+  const rejected = new Set();
+  const wanted = [];
+  
+  text.split(OFFER_SENTENCE_BREAK).forEach(sentence => {
+    // A negation carries on through a list ("I don't want a refund, credits or a redelivery")
+    let carried = false;
+    
+    sentence.split(',').forEach(part => {
+      part.split(OFFER_NEGATION_BREAK).forEach((clause, index) => {
+        const negated = OFFER_NEGATION_PATTERN.test(clause) || (index === 0 && carried && continuesList(clause));
+        const named = getNamedOptions(clause, options, negated);
+        
+        if (negated) {
+          named.forEach(optionIndex => rejected.add(optionIndex));
+        } else {
+          wanted.push(...named);
+        }
+        
+        carried = negated && named.length > 0;
+      });
+    });
+  });
+  
+  const optionIndex = wanted.find(index => !rejected.has(index));
+  
+  if (optionIndex !== undefined) {
+    return { optionIndex, declined: false };
+  }
+  
+  // Turning down every option is a no; turning down some leaves the others to choose from
+  if (rejected.size > 0) {
+    return { optionIndex: null, declined: rejected.size >= options.length, rejectedOptions: Array.from(rejected) };
+  }
+  
+  if (OFFER_DECLINE_PATTERN.test(text)) {
+    return { optionIndex: null, declined: true };
+  }
+  
+  // A plain "yes" accepts the recommended option
+  if (OFFER_ACCEPT_PATTERN.test(text)) {
+    return { optionIndex: 0, declined: false, plainAccept: true };
+  }
+  
+  return { optionIndex: null, declined: false };
+}
+
+/**
+ * Check whether a clause only carries on a list of options ("credits or a redelivery")
+ * @param {string} clause - Clause of the reply, lower case
+ * @returns {boolean} Whether the clause is nothing but options joined by "or"
+ */
+function continuesList(clause) {
+  if (!/\b(or|nor)\b/.test(clause)) {
+    return false;
+  }
+  
+  const leftover = Object.values(OFFER_TYPE_PATTERNS)
+    .reduce((text, pattern) => text.replace(new RegExp(pattern.source, 'g'), ' '), clause)
+    .replace(OFFER_LIST_WORDS, ' ');
+  
+  return leftover.trim() === '';
+}
+
+/**
+ * Find the offered options a clause of a reply names
+ *
+ * Naming a kind of solution ("refund please") names that option, and so does
+ * its position ("2", "option 2", "the second one"). Words used up by a more
+ * specific kind don't count again, so "refund to my wallet" names the wallet
+ * refund only, not the refund to source or the credits. When a bank transfer
+ * is offered, "upi", "bank" and "account" name it rather than a plain refund.
+ *
+ * @param {string} clause - Clause of the reply, lower case
+ * @param {array} options - Options offered to the customer
+ * @param {boolean} negated - Whether the clause turns options down
+ * @returns {array} Indexes of the options named, most specific first
+ */
+function getNamedOptions(clause, options, negated) {
+  const named = [];
+  let remaining = clause;
+  let destinationNamed = false;
+  const transferOffered = options.some(option => getOfferKind(option) === 'BANK_TRANSFER');
+  
+  Object.keys(OFFER_TYPE_PATTERNS).forEach(kind => {
+    const pattern = kind === 'BANK_TRANSFER' && transferOffered ? OFFER_PAYOUT_PATTERN : OFFER_TYPE_PATTERNS[kind];
+    
+    if (!pattern.test(remaining) || (kind === 'REFUND' && destinationNamed)) {
+      return;
+    }
+    
+    const indexes = getOptionsOfKind(options, kind, negated && !OFFER_SOURCE_PATTERN.test(remaining));
+    
+    if (indexes.length === 0) {
+      return;
+    }
+    
+    destinationNamed = destinationNamed || kind === 'WALLET_REFUND' || kind === 'BANK_TRANSFER';
+    remaining = remaining.replace(new RegExp(pattern.source, 'g'), ' ');
+    indexes.filter(index => !named.includes(index)).forEach(index => named.push(index));
+  });
+  
+  const numberMatch = clause.match(/^\s*#?(\d)\s*$/) || clause.match(/\boption\s*#?(\d)\b/);
+  let positionIndex = numberMatch ? parseInt(numberMatch[1], 10) - 1 : -1;
+  
+  if (positionIndex === -1) {
+    positionIndex = OFFER_ORDINALS.findIndex(ordinal => clause.includes(ordinal));
+  }
+  
+  if (positionIndex >= 0 && positionIndex < options.length && !named.includes(positionIndex)) {
+    named.push(positionIndex);
+  }
+  
+  return named;
+}
+
+/**
+ * Find the offered options of a kind
+ *
+ * A plain "refund" means the refund to source when one is offered. Turned
+ * down without naming where the money goes ("I don't want a refund"), it
+ * means money back of any kind.
+ *
+ * @param {array} options - Options offered to the customer
+ * @param {string} kind - Kind (a key of OFFER_TYPE_PATTERNS)
+ * @param {boolean} anyRefund - Whether a refund of any destination is meant
+ * @returns {array} Indexes of the options
+ */
+function getOptionsOfKind(options, kind, anyRefund) {
+  const indexes = options.map((option, index) => index);
+  const ofKind = indexes.filter(index => getOfferKind(options[index]) === kind);
+  
+  if (kind !== 'REFUND' || (ofKind.length > 0 && !anyRefund)) {
+    return ofKind.slice(0, 1);
+  }
+  
+  const refunds = indexes.filter(index => options[index].type === 'REFUND');
+  
+  return anyRefund ? refunds : refunds.slice(0, 1);
+}
+
+/**
+ * Get the kind of an offered option, telling wallet refunds apart from refunds to source
+ * @param {object} option - Offered option
+ * @returns {string} Kind (a key of OFFER_TYPE_PATTERNS)
+ */
+function getOfferKind(option) {
+  if (option.type === 'REFUND' && option.destination === 'WALLET') {
+    return 'WALLET_REFUND';
+  }
+  
+  if (option.type === 'REFUND' && option.destination === 'BANK_TRANSFER') {
+    return 'BANK_TRANSFER';
+  }
+  
+  return option.type;
+}
+
+// UPI IDs (name@bank, but not an email address), account numbers and IFSC codes
+const UPI_ID_PATTERN = /\b([a-z0-9._-]{2,}@[a-z]{2,})\b(?!\.[a-z])/i;
+const ACCOUNT_NUMBER_PATTERN = /\b(\d{9,18})\b/;
+const IFSC_PATTERN = /\b([a-z]{4}0[a-z0-9]{6})\b/i;
+
+/**
+ * Pull the account a bank transfer should be paid into out of a reply
+ * @param {string} message - The reply to analyze
+ * @returns {object|null} Account ({ type: 'UPI', vpa } or { type: 'BANK_ACCOUNT', accountNumber, ifsc }), null when the reply doesn't give a complete one
+ */
+function extractPayoutAccount(message) {
+  const text = message || '';
+  const upiMatch = text.match(UPI_ID_PATTERN);
+  
+  if (upiMatch) {
+    return { type: 'UPI', vpa: upiMatch[1].toLowerCase() };
+  }
+  
+  // A bank account needs its IFSC code too, or the transfer can't be routed
+  const accountMatch = text.match(ACCOUNT_NUMBER_PATTERN);
+  const ifscMatch = text.match(IFSC_PATTERN);
+  
+  if (accountMatch && ifscMatch) {
+    return { type: 'BANK_ACCOUNT', accountNumber: accountMatch[1], ifsc: ifscMatch[1].toUpperCase() };
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a reply is an attempt at giving account details, even an incomplete one
+ * @param {string} message - The reply to analyze
+ * @returns {boolean} Whether the reply mentions an account, UPI ID or IFSC code
+ */
+function mentionsPayoutAccount(message) {
+  const text = message || '';
+  
+  return ACCOUNT_NUMBER_PATTERN.test(text) || IFSC_PATTERN.test(text) || /@|\b(upi|ifsc|account|a\/c)\b/i.test(text);
+}
+
 module.exports = {
   detectIntent,
   extractEntities,
-  analyzeSentiment
+  analyzeSentiment,
+  extractOrderIdFromReply,
+  extractOrderIds,
+  mentionsAllOrders,
+  matchOrderItems,
+  matchClaimedItems,
+  detectOfferChoice,
+  extractPayoutAccount,
+  mentionsPayoutAccount
 };
\ No newline at end of file
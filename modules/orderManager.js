@@ -44,6 +44,27 @@ async function getOrderDetails(orderId) {
   }
 }
 
+/**
+ * Get an order's details, but only when it belongs to the customer
+ *
+ * Order IDs come from the customer (the start request, their messages, evidence
+ * uploads), so an order they don't own is treated as one that doesn't exist.
+ *
+ * @param {string} orderId - ID of the order
+ * @param {string} customerId - ID of the customer asking about it
+ * @returns {object|null} Order details, or null when the order isn't the customer's
+ */
+async function getCustomerOrderDetails(orderId, customerId) {
+  const orderDetails = await getOrderDetails(orderId);
+  
+  if (!customerId || orderDetails.customerId !== customerId) {
+    logger.warn('Order does not belong to the customer', { orderId, customerId });
+    return null;
+  }
+  
+  return orderDetails;
+}
+
 /**
  * Get the current status of an order
  * @param {string} orderId - ID of the order
@@ -240,6 +261,10 @@ function getMockOrderDetails(orderId) {
   const restaurantIndex = orderIdNum % restaurants.length;
   const restaurantName = restaurants[restaurantIndex];
   
+  // Choose the delivery city
+  const cities = ['Mumbai', 'Delhi', 'Bengaluru', 'Hyderabad', 'Pune'];
+  const city = cities[Math.floor(orderIdNum / statusOptions.length) % cities.length];
+  
   // Generate order items based on the restaurant
   let items = [];
   let totalAmount = 0;
@@ -289,11 +314,24 @@ function getMockOrderDetails(orderId) {
   // Calculate total amount
   totalAmount = items.reduce((total, item) => total + (item.price * item.quantity), 0);
   
-  // Add taxes and delivery fee
+  // Every third order used a promo code: 20% off, up to ₹100
+  const promoCode = orderIdNum % 3 === 0 ? 'ZOMATO20' : null;
+  const discount = promoCode ? Math.min(Math.round(totalAmount * 0.2), 100) : 0;
+  
+  // Add taxes (on the discounted amount) and delivery fee
   const taxRate = 0.05; // 5% tax
-  const taxes = Math.round(totalAmount * taxRate);
+  const taxes = Math.round((totalAmount - discount) * taxRate);
   const deliveryFee = 49;
-  const grandTotal = totalAmount + taxes + deliveryFee;
+  const grandTotal = totalAmount - discount + taxes + deliveryFee;
+  
+  // Choose how the order was paid for; cash on delivery is only paid once the delivery partner collects it
+  const paymentMethods = ['UPI', 'CREDIT_CARD', 'UPI', 'DEBIT_CARD', 'NETBANKING', 'COD', 'UPI'];
+  const paymentMethod = paymentMethods[orderIdNum % paymentMethods.length];
+  let paymentId = `pay_${orderId}_${Date.now()}`;
+  
+  if (paymentMethod === 'COD') {
+    paymentId = status === 'DELIVERED' ? `cod_${orderId}_${Date.now()}` : null;
+  }
   
   return {
     id: orderId,
@@ -303,12 +341,15 @@ function getMockOrderDetails(orderId) {
     status,
     items,
     subtotal: totalAmount,
+    promoCode,
+    discount,
     taxes,
     deliveryFee,
     totalAmount: grandTotal,
-    paymentId: `pay_${orderId}_${Date.now()}`,
-    paymentMethod: 'CREDIT_CARD',
-    deliveryAddress: '123 Customer Street, City',
+    paymentId,
+    paymentMethod,
+    deliveryAddress: `123 Customer Street, ${city}`,
+    city,
     orderedAt,
     estimatedDeliveryTime,
     deliveredAt,
@@ -340,6 +381,7 @@ function getMockRecentOrders(customerId, limit) {
 
 module.exports = {
   getOrderDetails,
+  getCustomerOrderDetails,
   getOrderStatus,
   initiateRedelivery,
   getRecentOrders,
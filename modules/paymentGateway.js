@@ -0,0 +1,259 @@
+// modules/paymentGateway.js
+
+const axios = require('axios');
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+
+// Ways a gateway request can fail
+const GATEWAY_ERRORS = {
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN', // Not sent, the gateway has been failing
+  UNAVAILABLE: 'UNAVAILABLE', // Timed out, unreachable or a server error, even after retries
+  REJECTED: 'REJECTED' // The gateway turned the request down
+};
+
+// Circuit breaker states
+const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED', // Requests go through
+  OPEN: 'OPEN', // Requests fail straight away until the reset period has passed
+  HALF_OPEN: 'HALF_OPEN' // One trial request decides whether to close again
+};
+
+// Circuit breaker for the whole gateway, shared by every request in this process
+const circuit = {
+  state: CIRCUIT_STATES.CLOSED,
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false
+};
+
+/**
+ * Send a request to the payment gateway
+ *
+ * Credentials go in headers, transient failures (timeouts, network errors,
+ * 429 and 5xx responses) are retried with exponential backoff, and the
+ * circuit breaker stops requests while the gateway is down. Requests that
+ * change money should pass an idempotency key, so a retry can't pay twice.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under the gateway base URL
+ * @param {object} options - Request options ({ data, idempotencyKey })
+ * @returns {object} Response body
+ * @throws {Error} Error with a code from GATEWAY_ERRORS (and the HTTP status when there was one)
+ */
+async function request(method, path, { data, idempotencyKey } = {}) {
+  const { maxRetries, retryBaseDelayMs } = config.paymentGateway;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      await wait(retryBaseDelayMs * Math.pow(2, attempt - 1) * (1 + Math.random() * 0.5));
+    }
+
+    const isTrial = admitRequest();
+
+    try {
+      const response = await axios({
+        method,
+        url: `${config.paymentGateway.baseUrl}${path}`,
+        data,
+        timeout: config.paymentGateway.timeoutMs,
+        headers: buildHeaders(idempotencyKey)
+      });
+
+      recordSuccess(isTrial);
+
+      return response.data;
+    } catch (error) {
+      if (!isTransient(error)) {
+        // The gateway answered, so it's up even though it said no
+        recordSuccess(isTrial);
+        throw gatewayError(GATEWAY_ERRORS.REJECTED, getErrorMessage(error), error.response.status);
+      }
+
+      recordFailure(isTrial);
+      lastError = error;
+
+      logger.warn('Payment gateway request failed', {
+        method,
+        path,
+        attempt: attempt + 1,
+        status: error.response ? error.response.status : null,
+        error: error.message
+      });
+
+      if (circuit.state === CIRCUIT_STATES.OPEN) {
+        break;
+      }
+    }
+  }
+
+  throw gatewayError(GATEWAY_ERRORS.UNAVAILABLE, `Payment gateway unavailable: ${lastError.message}`,
+    lastError.response ? lastError.response.status : null);
+}
+
+/**
+ * Check whether a gateway error means the request never got a decision
+ * @param {Error} error - Error thrown by request
+ * @returns {boolean} Whether the gateway was down or the circuit was open
+ */
+function isUnavailable(error) {
+  return error.code === GATEWAY_ERRORS.UNAVAILABLE || error.code === GATEWAY_ERRORS.CIRCUIT_OPEN;
+}
+
+/**
+ * Get the circuit breaker's current state
+ * @returns {object} Circuit state ({ state, consecutiveFailures, openedAt })
+ */
+function getCircuitState() {
+  return {
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt
+  };
+}
+
+/**
+ * Let a request through the circuit breaker, or fail it straight away
+ * @returns {boolean} Whether this is the half-open trial request
+ * @throws {Error} CIRCUIT_OPEN error while the gateway is considered down
+ */
+function admitRequest() {
+  if (circuit.state === CIRCUIT_STATES.OPEN) {
+    const resetAt = circuit.openedAt.getTime() + config.paymentGateway.circuitBreaker.resetSeconds * 1000;
+
+    if (Date.now() < resetAt) {
+      throw gatewayError(GATEWAY_ERRORS.CIRCUIT_OPEN, 'Payment gateway circuit is open');
+    }
+
+    circuit.state = CIRCUIT_STATES.HALF_OPEN;
+    logger.info('Payment gateway circuit half-open, sending a trial request');
+  }
+
+  if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+    if (circuit.trialInFlight) {
+      throw gatewayError(GATEWAY_ERRORS.CIRCUIT_OPEN, 'Payment gateway circuit is open');
+    }
+
+    circuit.trialInFlight = true;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Record a request the gateway answered, closing the circuit
+ * @param {boolean} isTrial - Whether this was the half-open trial request
+ */
+function recordSuccess(isTrial) {
+  if (isTrial) {
+    circuit.trialInFlight = false;
+  }
+
+  if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+    logger.info('Payment gateway circuit closed');
+  }
+
+  circuit.state = CIRCUIT_STATES.CLOSED;
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+}
+
+/**
+ * Record a transient failure, opening the circuit after too many in a row
+ * @param {boolean} isTrial - Whether this was the half-open trial request
+ */
+function recordFailure(isTrial) {
+  if (isTrial) {
+    circuit.trialInFlight = false;
+  }
+
+  circuit.consecutiveFailures++;
+
+  const tripped = circuit.state === CIRCUIT_STATES.HALF_OPEN ||
+    circuit.consecutiveFailures >= config.paymentGateway.circuitBreaker.failureThreshold;
+
+  if (tripped && circuit.state !== CIRCUIT_STATES.OPEN) {
+    circuit.state = CIRCUIT_STATES.OPEN;
+    circuit.openedAt = new Date();
+
+    logger.error('Payment gateway circuit opened', {
+      consecutiveFailures: circuit.consecutiveFailures,
+      resetSeconds: config.paymentGateway.circuitBreaker.resetSeconds
+    });
+  }
+}
+
+/**
+ * Build the headers sent with every gateway request
+ * @param {string} idempotencyKey - Idempotency key, if the request has one
+ * @returns {object} Request headers
+ */
+function buildHeaders(idempotencyKey) {
+  const headers = {
+    'Authorization': `Bearer ${config.paymentGateway.apiKey}`,
+    'Merchant-ID': config.paymentGateway.merchantId
+  };
+
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  return headers;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error from axios
+ * @returns {boolean} Whether the failure was transient
+ */
+function isTransient(error) {
+  if (!error.response) {
+    return true;
+  }
+
+  return error.response.status >= 500 || error.response.status === 429;
+}
+
+/**
+ * Get the message the gateway gave for a rejected request
+ * @param {Error} error - Error from axios
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+  const body = error.response.data;
+
+  return (body && body.message) || error.message;
+}
+
+/**
+ * Create a gateway error
+ * @param {string} code - Error code (see GATEWAY_ERRORS)
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status, if the gateway answered
+ * @returns {Error} Gateway error
+ */
+function gatewayError(code, message, status = null) {
+  const error = new Error(message);
+
+  error.code = code;
+  error.status = status;
+
+  return error;
+}
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves once the time has passed
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  GATEWAY_ERRORS,
+  request,
+  isUnavailable,
+  getCircuitState
+};
\ No newline at end of file
@@ -2,18 +2,178 @@
 
 const logger = require('../utilities/logger');
 const config = require('../config/appConfig');
-const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const resolutionLedger = require('./resolutionLedger');
+const creditsLedger = require('./creditsLedger');
+const paymentGateway = require('./paymentGateway');
+
+// Where a refund can be sent
+const REFUND_DESTINATIONS = {
+  SOURCE: 'SOURCE', // Back to the payment method the order was paid with
+  WALLET: 'WALLET', // Into the customer's Zomato wallet, instantly
+  BANK_TRANSFER: 'BANK_TRANSFER' // Paid out to a bank account or UPI ID the customer gives us
+};
+
+// Payment method of cash on delivery orders, which have nothing to refund to
+const CASH_ON_DELIVERY = 'COD';
+
+// Payment status once the money has been taken (or, for cash on delivery, collected)
+const PAYMENT_COMPLETED = 'COMPLETED';
 
 /**
  * Process a refund for an order
+ *
+ * When a ledger context is given, the refund is recorded in the resolution
+ * ledger, repeats for the same order and issue return the existing resolution,
+ * and the amount is capped at what the order can still receive.
+ *
+ * If the payment gateway is down the refund is accepted as pending, to be
+ * sent again later with the same idempotency key (see refundTracker).
+ * Wallet refunds need the ledger context to know whose wallet to credit, and
+ * bank transfers need the customer's account details on the route.
+ *
  * @param {string} paymentId - ID of the original payment
  * @param {number} amount - Amount to refund
  * @param {string} reason - Reason for the refund
+ * @param {object} ledgerContext - Ledger details ({ orderId, orderTotal, issueType, customerId, sessionId })
+ * @param {object} route - Where to send the refund, from getRefundRoute plus { account } for bank transfers (defaults to the original payment method)
  * @returns {object} Result of the refund process
  */
-async function processRefund(paymentId, amount, reason) {
+async function processRefund(paymentId, amount, reason, ledgerContext, route = getRefundRoute(null)) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    logger.error('Refund rejected, invalid amount', { paymentId, amount });
+    
+    return { success: false, error: 'Invalid refund amount', escalate: true };
+  }
+  
+  // One key per resolution, so retries and resends can never refund the same issue twice
+  const idempotencyKey = ledgerContext
+    ? `refund_${ledgerContext.orderId}_${ledgerContext.issueType}`
+    : `refund_${uuidv4()}`;
+  
+  const sendRefund = async refundAmount => {
+    let result;
+    
+    switch (route.destination) {
+      case REFUND_DESTINATIONS.WALLET:
+        result = await executeWalletRefund(ledgerContext.customerId, refundAmount, reason, idempotencyKey, ledgerContext);
+        break;
+        
+      case REFUND_DESTINATIONS.BANK_TRANSFER:
+        result = await executeBankTransfer(route.account, refundAmount, reason, idempotencyKey, route.maxDays);
+        break;
+        
+      default:
+        // Cash on delivery orders have no payment to send a refund back to
+        result = paymentId
+          ? await executeRefund(paymentId, refundAmount, reason, idempotencyKey, route.maxDays)
+          : { success: false, error: 'The order has no online payment to refund', escalate: true };
+    }
+    
+    return { ...result, destination: route.destination, paymentMethod: route.paymentMethod, maxDays: route.maxDays };
+  };
+  
+  if (ledgerContext) {
+    return resolutionLedger.grantOnce(
+      { ...ledgerContext, resolutionType: 'REFUND' },
+      amount,
+      sendRefund
+    );
+  }
+  
+  return sendRefund(amount);
+}
+
+/**
+ * Work out where a refund for an order goes and how long it takes to arrive
+ *
+ * Refunds go back to the original payment method unless the customer chose
+ * their Zomato wallet or a bank transfer. Cash on delivery orders have no
+ * payment to refund to, so their refunds go to the wallet unless the customer
+ * asked for a bank transfer.
+ *
+ * @param {string} paymentMethod - Payment method of the order (UPI, CREDIT_CARD, DEBIT_CARD, NETBANKING, COD)
+ * @param {string} destination - Requested destination (see REFUND_DESTINATIONS)
+ * @returns {object} Refund route ({ destination, paymentMethod, minDays, maxDays })
+ */
+function getRefundRoute(paymentMethod, destination = REFUND_DESTINATIONS.SOURCE) {
+  if (destination === REFUND_DESTINATIONS.BANK_TRANSFER) {
+    return {
+      destination,
+      paymentMethod,
+      minDays: config.refunds.bankTransferTimeline.minDays,
+      maxDays: config.refunds.bankTransferTimeline.maxDays
+    };
+  }
+  
+  if (destination === REFUND_DESTINATIONS.WALLET || paymentMethod === CASH_ON_DELIVERY) {
+    return { destination: REFUND_DESTINATIONS.WALLET, paymentMethod, minDays: 0, maxDays: 0 };
+  }
+  
+  // Methods without a timeline of their own get the default one
+  const timeline = config.refunds.sourceTimelines[paymentMethod] || config.refunds.sourceTimelines.default;
+  
+  return {
+    destination: REFUND_DESTINATIONS.SOURCE,
+    paymentMethod,
+    minDays: timeline.minDays,
+    maxDays: timeline.maxDays
+  };
+}
+
+/**
+ * Get the destinations a refund for an order can be sent to, original payment method first
+ * @param {string} paymentMethod - Payment method of the order
+ * @returns {array} Destinations (see REFUND_DESTINATIONS)
+ */
+function getRefundDestinations(paymentMethod) {
+  return paymentMethod === CASH_ON_DELIVERY
+    ? [REFUND_DESTINATIONS.WALLET, REFUND_DESTINATIONS.BANK_TRANSFER]
+    : [REFUND_DESTINATIONS.SOURCE, REFUND_DESTINATIONS.WALLET];
+}
+
+/**
+ * Check whether the customer has actually paid for an order
+ *
+ * Prepaid orders are paid before they're placed. Cash on delivery orders are
+ * only paid once the delivery partner has collected the cash, which is
+ * recorded as a payment against the order.
+ *
+ * @param {object} orderDetails - Order details
+ * @returns {boolean} Whether payment was collected
+ * @throws {Error} When the payment status can't be checked
+ */
+async function isPaymentCollected(orderDetails) {
+  if (orderDetails.paymentMethod !== CASH_ON_DELIVERY) {
+    return true;
+  }
+  
+  // No collection has been recorded against the order yet
+  if (!orderDetails.paymentId) {
+    return false;
+  }
+  
+  const paymentStatus = await checkPaymentStatus(orderDetails.paymentId);
+  
+  if (paymentStatus.status === 'UNKNOWN') {
+    throw new Error(paymentStatus.error);
+  }
+  
+  return paymentStatus.status === PAYMENT_COMPLETED;
+}
+
+/**
+ * Send a refund to the payment gateway
+ * @param {string} paymentId - ID of the original payment
+ * @param {number} amount - Amount to refund
+ * @param {string} reason - Reason for the refund
+ * @param {string} idempotencyKey - Key the gateway uses to recognise a resent refund
+ * @param {number} creditDays - Days the refund takes to reach the payment method, when the gateway doesn't say
+ * @returns {object} Result of the refund process (pending when the gateway couldn't be reached)
+ */
+async function executeRefund(paymentId, amount, reason, idempotencyKey, creditDays = config.refunds.defaultCreditDays) {
   try {
-    logger.info('Processing refund', { paymentId, amount, reason });
+    logger.info('Processing refund', { paymentId, amount, reason, idempotencyKey });
     
     // Check if we're in demo mode
     if (config.demoMode) {
@@ -23,72 +183,210 @@ async function processRefund(paymentId, amount, reason) {
       return {
         success: true,
         transactionId: `ref_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        idempotencyKey,
         amount,
         timestamp: new Date(),
-        estimatedCreditDays: 3
+        estimatedCreditDays: creditDays
       };
     }
     
-    // In production, call the payment gateway API
-    // This is a mock implementation - would be replaced with actual payment gateway integration
-    try {
-      // API call to payment gateway
-      const response = await axios.post(`${config.paymentGateway.baseUrl}/refunds`, {
-        paymentId,
-        amount,
-        reason,
-        merchantId: config.paymentGateway.merchantId,
-        apiKey: config.paymentGateway.apiKey
-      });
-      
-      logger.info('Refund processed successfully', { 
-        paymentId, 
-        amount, 
-        transactionId: response.data.transactionId 
-      });
+    const data = await paymentGateway.request('post', '/refunds', {
+      data: { paymentId, amount, reason },
+      idempotencyKey
+    });
+    
+    logger.info('Refund processed successfully', { 
+      paymentId, 
+      amount, 
+      transactionId: data.transactionId 
+    });
+    
+    return {
+      success: true,
+      transactionId: data.transactionId,
+      idempotencyKey,
+      amount,
+      timestamp: new Date(),
+      estimatedCreditDays: data.estimatedDays || creditDays
+    };
+  } catch (error) {
+    // The gateway never decided, so the refund waits in the queue instead of failing
+    if (paymentGateway.isUnavailable(error)) {
+      logger.warn('Payment gateway unavailable, refund queued', { paymentId, amount, idempotencyKey, error: error.message });
       
       return {
         success: true,
-        transactionId: response.data.transactionId,
+        pending: true,
+        transactionId: idempotencyKey,
+        idempotencyKey,
         amount,
         timestamp: new Date(),
-        estimatedCreditDays: response.data.estimatedDays || 5
+        estimatedCreditDays: creditDays
       };
-    } catch (apiError) {
-      logger.error('Payment gateway API error', {
-        error: apiError.message,
-        paymentId,
-        amount
+    }
+    
+    logger.error('Payment gateway rejected refund', {
+      error: error.message,
+      status: error.status,
+      paymentId,
+      amount
+    });
+    
+    return {
+      success: false,
+      error: error.message,
+      escalate: true
+    };
+  }
+}
+
+/**
+ * Refund an amount into the customer's Zomato wallet
+ *
+ * Sent through the payment gateway client like refunds to source, so it's
+ * queued while the gateway is down. Once paid, the refund is recorded in the
+ * credits ledger so it shows in the customer's wallet balance.
+ *
+ * @param {string} customerId - ID of the customer
+ * @param {number} amount - Amount to refund
+ * @param {string} reason - Reason for the refund
+ * @param {string} idempotencyKey - Key the gateway uses to recognise a resent refund
+ * @param {object} source - What the refund is for ({ orderId, issueType, sessionId })
+ * @returns {object} Result of the refund process (pending when the gateway couldn't be reached)
+ */
+async function executeWalletRefund(customerId, amount, reason, idempotencyKey, source = {}) {
+  let transactionId;
+  
+  try {
+    logger.info('Processing wallet refund', { customerId, amount, reason, idempotencyKey });
+    
+    // Check if we're in demo mode
+    if (config.demoMode) {
+      transactionId = `wref_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    } else {
+      const data = await paymentGateway.request('post', '/wallet/refunds', {
+        data: { customerId, amount, reason },
+        idempotencyKey
       });
       
-      // Check if we should auto-escalate based on error type
-      if (apiError.response && apiError.response.status >= 500) {
-        // Server error from payment gateway - auto-escalate
-        return {
-          success: false,
-          error: 'Payment gateway unavailable',
-          escalate: true
-        };
-      }
+      transactionId = data.transactionId;
+    }
+  } catch (error) {
+    // The gateway never decided, so the refund waits in the queue instead of failing
+    if (paymentGateway.isUnavailable(error)) {
+      logger.warn('Payment gateway unavailable, wallet refund queued', { customerId, amount, idempotencyKey, error: error.message });
       
-      // Client error from payment gateway
       return {
-        success: false,
-        error: apiError.response ? apiError.response.data.message : apiError.message,
-        escalate: false
+        success: true,
+        pending: true,
+        transactionId: idempotencyKey,
+        idempotencyKey,
+        amount,
+        timestamp: new Date(),
+        estimatedCreditDays: 0
+      };
+    }
+    
+    logger.error('Error processing wallet refund', { error: error.message, status: error.status, customerId, amount });
+    
+    return {
+      success: false,
+      error: 'Unable to refund to the Zomato wallet',
+      escalate: true
+    };
+  }
+  
+  // The money has been paid, so a failed ledger write is reconciled later rather than failing the refund
+  const recorded = await creditsLedger.recordWalletRefund(customerId, amount, reason, idempotencyKey, source);
+  
+  return {
+    success: true,
+    transactionId,
+    idempotencyKey,
+    amount,
+    timestamp: new Date(),
+    estimatedCreditDays: 0,
+    needsReconciliation: !recorded
+  };
+}
+
+/**
+ * Pay a refund out to a bank account or UPI ID the customer gave us
+ *
+ * Account details are only held for this request, so unlike refunds to
+ * source a payout isn't queued while the gateway is down; it fails and the
+ * support team follows up.
+ *
+ * @param {object} account - Account details ({ type: 'UPI', vpa } or { type: 'BANK_ACCOUNT', accountNumber, ifsc })
+ * @param {number} amount - Amount to pay out
+ * @param {string} reason - Reason for the refund
+ * @param {string} idempotencyKey - Key the gateway uses to recognise a resent payout
+ * @param {number} creditDays - Days the transfer takes to arrive, when the gateway doesn't say
+ * @returns {object} Result of the refund process
+ */
+async function executeBankTransfer(account, amount, reason, idempotencyKey, creditDays) {
+  const accountDisplay = account ? maskAccount(account) : null;
+  
+  try {
+    logger.info('Processing bank transfer refund', { account: accountDisplay, amount, reason, idempotencyKey });
+    
+    if (!account) {
+      throw new Error('No account details to pay the refund to');
+    }
+    
+    // Check if we're in demo mode
+    if (config.demoMode) {
+      return {
+        success: true,
+        transactionId: `payout_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        idempotencyKey,
+        amount,
+        accountDisplay,
+        timestamp: new Date(),
+        estimatedCreditDays: creditDays
       };
     }
+    
+    const data = await paymentGateway.request('post', '/payouts', {
+      data: { amount, reason, beneficiary: account },
+      idempotencyKey
+    });
+    
+    return {
+      success: true,
+      transactionId: data.transactionId,
+      idempotencyKey,
+      amount,
+      accountDisplay,
+      timestamp: new Date(),
+      estimatedCreditDays: data.estimatedDays || creditDays
+    };
   } catch (error) {
-    logger.error('Error processing refund', { error: error.message });
+    logger.error('Error processing bank transfer refund', { error: error.message, account: accountDisplay, amount });
     
     return {
       success: false,
-      error: 'Internal server error',
+      error: 'Unable to send the bank transfer',
       escalate: true
     };
   }
 }
 
+/**
+ * Hide most of an account so it can be logged and read back to the customer
+ * @param {object} account - Account details
+ * @returns {string} Masked account, e.g. "account ending 4321"
+ */
+function maskAccount(account) {
+  if (account.type === 'UPI') {
+    const [name, handle] = account.vpa.split('@');
+    
+    return `UPI ID ${name.slice(0, 2)}***@${handle}`;
+  }
+  
+  return `account ending ${account.accountNumber.slice(-4)}`;
+}
+
 /**
  * Check payment status
  * @param {string} paymentId - ID of the payment
@@ -98,32 +396,23 @@ async function checkPaymentStatus(paymentId) {
   try {
     logger.info('Checking payment status', { paymentId });
     
-    // Demo mode
+    // Demo mode: cash on delivery collections are recorded with a cod_ payment ID
     if (config.demoMode) {
       return {
-        status: 'COMPLETED',
-        method: 'CREDIT_CARD',
+        status: PAYMENT_COMPLETED,
+        method: paymentId.startsWith('cod_') ? CASH_ON_DELIVERY : 'CREDIT_CARD',
         amount: 450.00,
         timestamp: new Date(Date.now() - 24 * 60 * 60 * 1000) // 24 hours ago
       };
     }
     
-    // Real implementation would call the payment gateway API
-    const response = await axios.get(
-      `${config.paymentGateway.baseUrl}/payments/${paymentId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${config.paymentGateway.apiKey}`,
-          'Merchant-ID': config.paymentGateway.merchantId
-        }
-      }
-    );
+    const data = await paymentGateway.request('get', `/payments/${paymentId}`);
     
     return {
-      status: response.data.status,
-      method: response.data.method,
-      amount: response.data.amount,
-      timestamp: new Date(response.data.timestamp)
+      status: data.status,
+      method: data.method,
+      amount: data.amount,
+      timestamp: new Date(data.timestamp)
     };
   } catch (error) {
     logger.error('Error checking payment status', { error: error.message });
@@ -136,54 +425,101 @@ async function checkPaymentStatus(paymentId) {
 }
 
 /**
- * Process Zomato credits
- * @param {string} customerId - ID of the customer
- * @param {number} amount - Amount to add as credits
- * @param {string} reason - Reason for the credits
- * @returns {object} Result of the credit process
+ * Check how far a refund has got at the payment gateway
+ * @param {string} transactionId - Refund transaction ID from processRefund
+ * @param {Date|string} initiatedAt - When the refund was sent (used by the demo gateway)
+ * @param {string} destination - Where the refund went (bank transfers are tracked as payouts)
+ * @returns {object} Gateway status ({ status, settledAt, failureReason })
  */
-async function processCredits(customerId, amount, reason) {
+async function checkRefundStatus(transactionId, initiatedAt, destination = REFUND_DESTINATIONS.SOURCE) {
   try {
-    logger.info('Processing Zomato credits', { customerId, amount, reason });
+    logger.debug('Checking refund status', { transactionId });
     
-    // Demo mode
+    // Demo mode: refunds move through the gateway on a fixed timetable
     if (config.demoMode) {
+      const minutesSinceRefund = (Date.now() - new Date(initiatedAt).getTime()) / (60 * 1000);
+      
+      if (minutesSinceRefund >= config.refunds.demoSettlementMinutes) {
+        return {
+          status: 'SUCCESS',
+          settledAt: new Date(new Date(initiatedAt).getTime() + config.refunds.demoSettlementMinutes * 60 * 1000)
+        };
+      }
+      
       return {
-        success: true,
-        creditId: `zc_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-        amount,
-        timestamp: new Date(),
-        expiryDate: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000) // 90 days from now
+        status: minutesSinceRefund >= config.refunds.demoProcessingMinutes ? 'PROCESSING' : 'PENDING'
       };
     }
     
-    // Real implementation would call the Zomato credits API
-    const response = await axios.post(`${config.apiBaseUrl}/customers/${customerId}/credits`, {
-      amount,
-      reason,
-      expiryDays: 90,
-      apiKey: config.internalApiKey
-    });
+    const resource = destination === REFUND_DESTINATIONS.BANK_TRANSFER ? 'payouts' : 'refunds';
+    const data = await paymentGateway.request('get', `/${resource}/${transactionId}`);
     
     return {
-      success: true,
-      creditId: response.data.creditId,
-      amount,
-      timestamp: new Date(),
-      expiryDate: new Date(response.data.expiryDate)
+      status: data.status,
+      settledAt: data.settledAt ? new Date(data.settledAt) : null,
+      failureReason: data.failureReason || null
     };
   } catch (error) {
-    logger.error('Error processing Zomato credits', { error: error.message });
+    logger.error('Error checking refund status', { error: error.message, transactionId });
     
     return {
-      success: false,
-      error: 'Unable to add Zomato credits'
+      status: 'UNKNOWN',
+      error: 'Unable to retrieve refund status'
     };
   }
 }
 
+/**
+ * Process Zomato credits
+ *
+ * Ledger handling is the same as for processRefund.
+ *
+ * @param {string} customerId - ID of the customer
+ * @param {number} amount - Amount to add as credits
+ * @param {string} reason - Reason for the credits
+ * @param {object} ledgerContext - Ledger details ({ orderId, orderTotal, issueType, sessionId })
+ * @returns {object} Result of the credit process
+ */
+async function processCredits(customerId, amount, reason, ledgerContext) {
+  if (ledgerContext) {
+    return resolutionLedger.grantOnce(
+      { ...ledgerContext, customerId, resolutionType: 'CREDIT' },
+      amount,
+      cappedAmount => executeCredits(customerId, cappedAmount, reason, ledgerContext)
+    );
+  }
+  
+  return executeCredits(customerId, amount, reason);
+}
+
+/**
+ * Add Zomato credits to the customer's wallet
+ * @param {string} customerId - ID of the customer
+ * @param {number} amount - Amount to add as credits
+ * @param {string} reason - Reason for the credits
+ * @param {object} source - Order and issue the credits are for ({ orderId, issueType, sessionId })
+ * @returns {object} Result of the credit process
+ */
+async function executeCredits(customerId, amount, reason, source = {}) {
+  logger.info('Processing Zomato credits', { customerId, amount, reason });
+  
+  // The credits ledger issues the credits and tracks their balance and expiry
+  return creditsLedger.grantCredits(customerId, amount, reason, {
+    orderId: source.orderId,
+    issueType: source.issueType,
+    sessionId: source.sessionId
+  });
+}
+
 module.exports = {
+  REFUND_DESTINATIONS,
   processRefund,
+  getRefundRoute,
+  getRefundDestinations,
+  isPaymentCollected,
+  executeRefund,
+  executeWalletRefund,
   checkPaymentStatus,
+  checkRefundStatus,
   processCredits
 };
\ No newline at end of file
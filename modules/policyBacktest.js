@@ -0,0 +1,282 @@
+// modules/policyBacktest.js
+
+const path = require('path');
+const logger = require('../utilities/logger');
+const clock = require('../utilities/clock');
+const config = require('../config/appConfig');
+const database = require('./database');
+const decisionEngine = require('./decisionEngine');
+const policyEngine = require('./policyEngine');
+const orderManager = require('./orderManager');
+const customerManager = require('./customerManager');
+const evidenceManager = require('./evidenceManager');
+
+// Issue types whose claims can be replayed
+const CLAIM_ISSUE_TYPES = ['WRONG_ORDER', 'MISSING_ITEM', 'LATE_DELIVERY', 'REFUND_REQUEST'];
+
+// Entity holding the affected items for each issue type, for claims only found in the logs
+const ITEM_ENTITIES = {
+  WRONG_ORDER: 'wrongItems',
+  MISSING_ITEM: 'missingItems'
+};
+
+/**
+ * Put an alternate policy in force for this process
+ * @param {object} options - Alternate policy ({ rulesFile, configOverrides })
+ * @returns {object} Policy being tested ({ version, rulesFile, configOverrides })
+ */
+function applyAlternatePolicy({ rulesFile, configOverrides }) {
+  if (configOverrides) {
+    mergeOverrides(config, configOverrides, 'config');
+  }
+
+  const policy = rulesFile ? policyEngine.loadRules(path.resolve(rulesFile)) : policyEngine.getPolicy();
+
+  // loadRules keeps the previous document when the new one is invalid, which would test the wrong rules
+  if (!policy || (rulesFile && policy.rulesFile !== path.resolve(rulesFile))) {
+    throw new Error(`Could not load policy rules from ${rulesFile || config.policy.rulesFile}`);
+  }
+
+  return {
+    version: policy.version,
+    rulesFile: policy.rulesFile,
+    configOverrides: configOverrides || null
+  };
+}
+
+/**
+ * Replay every claim made in a period under the policy in force and compare it with what was granted
+ * @param {object} period - Period to replay ({ startDate, endDate })
+ * @returns {object} Backtest report ({ period, policyVersion, totals, byIssueType, claims, skipped })
+ */
+async function runBacktest({ startDate, endDate }) {
+  const claims = await loadClaims(startDate, endDate);
+  const results = [];
+  const skipped = [];
+
+  // Simulated payouts per order, so the order total caps the replay like the ledger capped the real claims
+  const orderPayouts = new Map();
+
+  logger.info('Replaying claims', { claims: claims.length, startDate, endDate });
+
+  for (const claim of claims) {
+    try {
+      const result = await replay(claim, orderPayouts.get(claim.orderId) || 0);
+
+      orderPayouts.set(claim.orderId, (orderPayouts.get(claim.orderId) || 0) + result.simulated.payout);
+      results.push(result);
+    } catch (error) {
+      logger.warn('Could not replay claim', { orderId: claim.orderId, issueType: claim.issueType, error: error.message });
+      skipped.push({ orderId: claim.orderId, issueType: claim.issueType, error: error.message });
+    }
+  }
+
+  const byIssueType = {};
+
+  CLAIM_ISSUE_TYPES.forEach(issueType => {
+    const issueResults = results.filter(result => result.issueType === issueType);
+
+    if (issueResults.length > 0) {
+      byIssueType[issueType] = summarize(issueResults);
+    }
+  });
+
+  return {
+    period: { startDate, endDate },
+    policyVersion: policyEngine.getPolicy().version,
+    totals: summarize(results),
+    byIssueType,
+    claims: results,
+    skipped
+  };
+}
+
+/**
+ * Gather the claims made in a period from the recorded turns and the resolution logs
+ *
+ * A claim is one issue on one order, however many conversations it came up in,
+ * matching the resolution ledger's one-resolution-per-issue rule.
+ *
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @returns {array} Claims ({ orderId, issueType, sessionId, customerId, claimedAt, entities, actual })
+ */
+async function loadClaims(startDate, endDate) {
+  const [turns, logs] = await Promise.all([
+    database.getTurnsBetween(startDate, endDate),
+    database.getResolutionLogs(startDate, endDate)
+  ]);
+  const claims = new Map();
+
+  const getClaim = (orderId, issueType, sessionId, claimedAt) => {
+    const key = `${orderId}:${issueType}`;
+
+    if (!claims.has(key)) {
+      claims.set(key, {
+        orderId,
+        issueType,
+        sessionId,
+        customerId: null,
+        claimedAt: new Date(claimedAt),
+        entities: null,
+        actual: { approved: false, payout: 0, resolutions: [] }
+      });
+    }
+
+    return claims.get(key);
+  };
+
+  // Only turns that got as far as checking the claim count, not ones still asking for details
+  turns
+    .filter(turn => CLAIM_ISSUE_TYPES.includes(turn.handledIntent) && turn.orderId && turn.verification)
+    .forEach(turn => {
+      const claim = getClaim(turn.orderId, turn.handledIntent, turn.sessionId, turn.timestamp);
+
+      if (!claim.entities) {
+        claim.entities = turn.entities || {};
+      }
+    });
+
+  logs
+    .filter(log => log.metadata && CLAIM_ISSUE_TYPES.includes(log.metadata.issueType) && log.resolution_type !== 'FAILURE_POLICY')
+    .forEach(log => {
+      const issueType = log.metadata.issueType;
+      const claim = getClaim(log.order_id, issueType, log.session_id, log.created_at);
+
+      claim.customerId = claim.customerId || log.customer_id;
+
+      // Resolutions applied by an agent may not have a turn to take the items from
+      if (!claim.entities) {
+        claim.entities = ITEM_ENTITIES[issueType] ? { [ITEM_ENTITIES[issueType]]: log.metadata.items || [] } : {};
+      }
+
+      if (log.success) {
+        claim.actual.approved = true;
+        claim.actual.payout += log.amount || 0;
+        claim.actual.resolutions.push({
+          type: log.resolution_type,
+          amount: log.amount,
+          agentType: log.agent_type,
+          policyRuleId: log.metadata.policyRuleId || null
+        });
+      }
+    });
+
+  return Array.from(claims.values()).sort((a, b) => a.claimedAt - b.claimedAt);
+}
+
+/**
+ * Replay one claim as of when it was made
+ * @param {object} claim - Claim from loadClaims
+ * @param {number} orderPayout - Amount already granted on the order earlier in the replay
+ * @returns {object} Claim result ({ orderId, issueType, claimedAt, actual, simulated, payoutDifference })
+ */
+async function replay(claim, orderPayout) {
+  const orderDetails = await orderManager.getOrderDetails(claim.orderId);
+  const customerId = claim.customerId || await getSessionCustomerId(claim.sessionId) || orderDetails.customerId;
+  const customerInfo = await customerManager.getCustomerInfo(customerId);
+  const evidence = claim.sessionId ? await evidenceManager.getClaimEvidence(claim.sessionId, claim.orderId) : [];
+
+  const outcome = await clock.runAt(claim.claimedAt, () =>
+    decisionEngine.replayClaim(claim.issueType, orderDetails, customerInfo, claim.entities || {}, evidence,
+      orderDetails.totalAmount - orderPayout)
+  );
+  const simulatedPayout = outcome.approved ? outcome.solution.amount : 0;
+
+  return {
+    orderId: claim.orderId,
+    issueType: claim.issueType,
+    customerId,
+    claimedAt: claim.claimedAt,
+    actual: claim.actual,
+    simulated: {
+      approved: outcome.approved,
+      payout: simulatedPayout,
+      type: outcome.solution ? outcome.solution.type : null,
+      ruleId: outcome.solution && outcome.solution.policy ? outcome.solution.policy.ruleId : null,
+      reason: outcome.reason,
+      escalationReason: outcome.escalationReason || null
+    },
+    payoutDifference: roundAmount(simulatedPayout - claim.actual.payout)
+  };
+}
+
+/**
+ * Get the customer a session belonged to
+ * @param {string} sessionId - ID of the session
+ * @returns {string|null} Customer ID
+ */
+async function getSessionCustomerId(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await database.getSession(sessionId);
+
+  return session ? session.customerId : null;
+}
+
+/**
+ * Add up approval rates and payouts for a set of claim results
+ * @param {array} results - Claim results from replay
+ * @returns {object} Summary ({ claims, actual, simulated, payoutDifference, newlyApproved, newlyDenied })
+ */
+function summarize(results) {
+  const tally = side => {
+    const approved = results.filter(result => result[side].approved).length;
+
+    return {
+      approved,
+      approvalRate: results.length > 0 ? roundAmount(approved / results.length) : 0,
+      payout: roundAmount(results.reduce((total, result) => total + result[side].payout, 0))
+    };
+  };
+
+  const actual = tally('actual');
+  const simulated = tally('simulated');
+
+  return {
+    claims: results.length,
+    actual,
+    simulated,
+    payoutDifference: roundAmount(simulated.payout - actual.payout),
+    newlyApproved: results.filter(result => result.simulated.approved && !result.actual.approved).length,
+    newlyDenied: results.filter(result => !result.simulated.approved && result.actual.approved).length
+  };
+}
+
+/**
+ * Copy override values onto the config, refusing keys the config doesn't have
+ * @param {object} target - Config object (or section) being changed
+ * @param {object} overrides - Values to change
+ * @param {string} label - Path of the section, for errors
+ */
+function mergeOverrides(target, overrides, label) {
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!(key in target)) {
+      throw new Error(`Unknown config setting ${label}.${key}`);
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      mergeOverrides(target[key], value, `${label}.${key}`);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * Round an amount or rate to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  CLAIM_ISSUE_TYPES,
+  applyAlternatePolicy,
+  runBacktest
+};
\ No newline at end of file
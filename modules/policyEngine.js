@@ -0,0 +1,287 @@
+// modules/policyEngine.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+
+// Rule sets in the policy document
+const RULE_SETS = {
+  COMPENSATION: 'compensation', // What to offer for an issue (decideSolution)
+  REFUND: 'refund' // How much of an order to refund (checkRefundEligibility)
+};
+
+// Facts a rule can put conditions on
+const POLICY_FACTS = [
+  'issueType', // WRONG_ORDER, MISSING_ITEM, LATE_DELIVERY, REFUND_REQUEST
+  'membershipTier', // REGULAR, PRO, PRO_PLUS
+  'latenessMinutes', // Measured delivery delay
+  'orderValue', // Order total
+  'affectedAmount', // Value of the items the issue is about
+  'deliveryFee', // Delivery fee charged on the order
+  'city', // City the order was delivered to
+  'orderHour', // Hour of the day the order was placed (0-23)
+  'currentHour', // Hour of the day now (0-23)
+  'dayOfWeek', // Day of the week now (0 is Sunday)
+  'daysSinceOrder', // Days since the order was placed
+  'minutesSinceDelivery', // Minutes since the order was delivered
+  'paymentMethod', // UPI, CREDIT_CARD, DEBIT_CARD, NETBANKING, COD
+  'redeliveryPossible' // Whether the restaurant can still make a redelivery
+];
+
+// Comparisons allowed in a condition object, e.g. { "gt": 30, "lte": 60 }
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  in: (value, expected) => expected.includes(value),
+  notIn: (value, expected) => !expected.includes(value)
+};
+
+// Solutions a compensation rule can give
+const SOLUTION_TYPES = ['REFUND', 'CREDIT', 'REDELIVERY'];
+
+// Facts an amount can be calculated from
+const AMOUNT_BASES = ['affectedAmount', 'orderValue', 'deliveryFee'];
+
+// Path of the policy document, relative paths resolve from the project root
+const RULES_PATH = path.resolve(__dirname, '..', config.policy.rulesFile);
+
+// Policy document currently in force ({ version, loadedAt, rulesFile, document })
+let currentPolicy = null;
+
+/**
+ * Read and check the policy document, keeping the previous one if the new one is invalid
+ * @param {string} rulesPath - Policy document to load, defaults to the configured rules file
+ * @returns {object|null} Policy in force ({ version, loadedAt, rulesFile, document })
+ */
+function loadRules(rulesPath = RULES_PATH) {
+  try {
+    const document = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    validateDocument(document);
+
+    const previousVersion = currentPolicy ? currentPolicy.version : null;
+    currentPolicy = { version: document.version, loadedAt: new Date(), rulesFile: rulesPath, document };
+
+    logger.info('Compensation policy loaded', {
+      version: document.version,
+      previousVersion,
+      compensationRules: document.compensation.length,
+      refundRules: document.refund.length
+    });
+  } catch (error) {
+    logger.error('Error loading compensation policy, keeping the previous version', {
+      error: error.message,
+      rulesFile: rulesPath,
+      version: currentPolicy ? currentPolicy.version : null
+    });
+  }
+
+  return currentPolicy;
+}
+
+/**
+ * Get the policy in force, loading it on first use
+ * @returns {object|null} Policy in force ({ version, loadedAt, rulesFile, document })
+ */
+function getPolicy() {
+  return currentPolicy || loadRules();
+}
+
+/**
+ * Reload the policy document whenever the file changes
+ */
+function watchRules() {
+  const watcher = fs.watchFile(RULES_PATH, { interval: config.policy.reloadCheckSeconds * 1000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      loadRules();
+    }
+  });
+
+  // Watching shouldn't keep the process alive on its own
+  watcher.unref();
+}
+
+/**
+ * Find the first rule in a rule set whose conditions all match the facts
+ * @param {string} ruleSet - Rule set to check (see RULE_SETS)
+ * @param {object} facts - Facts about the claim (see POLICY_FACTS)
+ * @returns {object} Evaluation ({ version, rule, trace }), rule is null when nothing matched
+ */
+function evaluate(ruleSet, facts) {
+  const policy = getPolicy();
+
+  if (!policy) {
+    throw new Error('No compensation policy is loaded');
+  }
+
+  // Why each earlier rule was skipped, for dry runs
+  const trace = [];
+
+  for (const rule of policy.document[ruleSet]) {
+    const failedCondition = findFailedCondition(rule.when, facts);
+
+    if (!failedCondition) {
+      return { version: policy.version, rule, trace };
+    }
+
+    trace.push({ ruleId: rule.id, failedCondition });
+  }
+
+  return { version: policy.version, rule: null, trace };
+}
+
+/**
+ * Calculate an amount from a rule's amount definition
+ * @param {object} spec - Amount definition ({ base, rate, max, fallback })
+ * @param {object} facts - Facts about the claim
+ * @returns {number} Amount
+ */
+function calculateAmount(spec, facts) {
+  const baseValue = typeof spec.base === 'number' ? spec.base : facts[spec.base];
+  const base = Number.isFinite(baseValue) && baseValue > 0 ? baseValue : (spec.fallback || 0);
+  const amount = base * (spec.rate !== undefined ? spec.rate : 1);
+
+  return spec.max !== undefined ? Math.min(amount, spec.max) : amount;
+}
+
+/**
+ * Fill {fact} placeholders in a rule's text, rounding numbers
+ * @param {string} template - Text with placeholders
+ * @param {object} facts - Facts about the claim
+ * @returns {string} Text
+ */
+function formatTemplate(template, facts) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, fact) => {
+    const value = facts[fact];
+
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+
+    return typeof value === 'number' ? String(Math.round(value)) : String(value);
+  });
+}
+
+/**
+ * Describe the first condition of a rule the facts don't meet
+ * @param {object} conditions - Conditions by fact name
+ * @param {object} facts - Facts about the claim
+ * @returns {string|null} Failed condition, or null when every condition matches
+ */
+function findFailedCondition(conditions, facts) {
+  for (const [fact, expected] of Object.entries(conditions || {})) {
+    if (!matchesCondition(facts[fact], expected)) {
+      return `${fact} ${JSON.stringify(expected)} (was ${JSON.stringify(facts[fact])})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check one fact against its condition
+ * @param {*} value - Value of the fact
+ * @param {*} expected - Condition: a value, a list of values, or an object of operators
+ * @returns {boolean} Whether the condition is met
+ */
+function matchesCondition(value, expected) {
+  if (Array.isArray(expected)) {
+    return expected.includes(value);
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    // A missing fact never meets a comparison
+    if (value === undefined || value === null) {
+      return false;
+    }
+
+    return Object.entries(expected).every(([operator, operand]) => OPERATORS[operator](value, operand));
+  }
+
+  return value === expected;
+}
+
+/**
+ * Check a policy document before it's put in force
+ * @param {object} document - Parsed policy document
+ */
+function validateDocument(document) {
+  if (!document || typeof document.version !== 'string' || !document.version) {
+    throw new Error('Policy document must have a version');
+  }
+
+  Object.values(RULE_SETS).forEach(ruleSet => {
+    if (!Array.isArray(document[ruleSet])) {
+      throw new Error(`Policy document must have a ${ruleSet} rule list`);
+    }
+
+    const ids = new Set();
+
+    document[ruleSet].forEach((rule, index) => {
+      const label = `${ruleSet} rule ${rule.id || index}`;
+
+      if (!rule.id || ids.has(rule.id)) {
+        throw new Error(`${label} needs a unique id`);
+      }
+      ids.add(rule.id);
+
+      Object.entries(rule.when || {}).forEach(([fact, expected]) => {
+        if (!POLICY_FACTS.includes(fact)) {
+          throw new Error(`${label} has a condition on unknown fact ${fact}`);
+        }
+
+        if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+          Object.keys(expected).forEach(operator => {
+            if (!OPERATORS[operator]) {
+              throw new Error(`${label} uses unknown operator ${operator}`);
+            }
+          });
+        }
+      });
+
+      if (!rule.then) {
+        throw new Error(`${label} has no outcome`);
+      }
+
+      if (ruleSet === RULE_SETS.COMPENSATION) {
+        if (!SOLUTION_TYPES.includes(rule.then.type) || typeof rule.then.reason !== 'string') {
+          throw new Error(`${label} needs a type (${SOLUTION_TYPES.join(', ')}) and a reason`);
+        }
+
+        validateAmount(label, rule.then.amount);
+
+        if (rule.then.bonus) {
+          validateAmount(`${label} bonus`, rule.then.bonus);
+        }
+      } else if (!Number.isFinite(rule.then.percentage) || rule.then.percentage < 0 || rule.then.percentage > 100) {
+        throw new Error(`${label} needs a percentage between 0 and 100`);
+      }
+    });
+  });
+}
+
+/**
+ * Check an amount definition in a compensation rule
+ * @param {string} label - Rule being checked, for errors
+ * @param {object} spec - Amount definition ({ base, rate, max, fallback })
+ */
+function validateAmount(label, spec) {
+  if (!spec || !(typeof spec.base === 'number' || AMOUNT_BASES.includes(spec.base))) {
+    throw new Error(`${label} needs an amount based on a number or one of ${AMOUNT_BASES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  RULE_SETS,
+  POLICY_FACTS,
+  loadRules,
+  getPolicy,
+  watchRules,
+  evaluate,
+  calculateAmount,
+  formatTemplate
+};
\ No newline at end of file
@@ -0,0 +1,191 @@
+// modules/refundCalculator.js
+
+const config = require('../config/appConfig');
+const languageProcessor = require('./languageProcessor');
+
+/**
+ * Turn item mentions into { name, quantity } pairs
+ *
+ * Mentions are the customer's words, either as plain names (older turns and
+ * logs) or with the quantity they said, e.g. { name: 'soft tacos', quantity: 1 }.
+ * A null quantity means the whole line.
+ *
+ * @param {array} mentions - Item mentions
+ * @returns {array} Mentions ({ name, quantity })
+ */
+function normalizeItemMentions(mentions) {
+  return (mentions || [])
+    .filter(mention => mention && (typeof mention === 'string' || mention.name))
+    .map(mention => (typeof mention === 'string'
+      ? { name: mention, quantity: null }
+      : { name: mention.name, quantity: Number.isInteger(mention.quantity) && mention.quantity > 0 ? mention.quantity : null }));
+}
+
+/**
+ * Find the order item a mention refers to
+ *
+ * The item's full name wins, then its name without the size ("Sprite" for
+ * "Sprite (Large)"), then a partial mention that points at a single item
+ * ("the pizza" when only one pizza was ordered). Anything ambiguous is unmatched.
+ *
+ * @param {array} items - Items of the order
+ * @param {string} mentionName - Item name mentioned by the customer
+ * @returns {object|null} Order item
+ */
+function findOrderItem(items, mentionName) {
+  const mention = normalizeName(mentionName);
+
+  const exactMatch = items.find(item => normalizeName(item.name) === mention) ||
+    items.find(item => normalizeName(stripSize(item.name)) === mention);
+
+  if (exactMatch) {
+    return exactMatch;
+  }
+
+  const partialMatches = languageProcessor.matchOrderItems(mentionName, items);
+
+  return partialMatches.length === 1 ? items.find(item => item.name === partialMatches[0]) : null;
+}
+
+/**
+ * Match item mentions against the order, capping each at the quantity ordered
+ * @param {object} orderDetails - Details of the order
+ * @param {array} mentions - Item mentions (see normalizeItemMentions)
+ * @returns {object} Claim items ({ items: [{ name, quantity }], unmatched: [names] })
+ */
+function resolveClaimItems(orderDetails, mentions) {
+  const orderItems = orderDetails.items || [];
+  const claimed = new Map();
+  const unmatched = [];
+
+  normalizeItemMentions(mentions).forEach(mention => {
+    const item = findOrderItem(orderItems, mention.name);
+
+    if (!item) {
+      unmatched.push(mention.name);
+      return;
+    }
+
+    // Two mentions of the same item add up, but never past what was ordered
+    const previous = claimed.has(item.name) ? claimed.get(item.name) : 0;
+    const quantity = mention.quantity === null ? item.quantity : previous + mention.quantity;
+
+    claimed.set(item.name, Math.min(quantity, item.quantity));
+  });
+
+  return {
+    items: Array.from(claimed.entries()).map(([name, quantity]) => ({ name, quantity })),
+    unmatched
+  };
+}
+
+/**
+ * Work out what the affected items cost the customer, line by line
+ *
+ * Each line gets its share of the promo discount, the taxes and (when
+ * configured) the delivery fee, in proportion to its value in the order
+ * subtotal, so refunding every item gives back exactly the order total.
+ *
+ * @param {object} orderDetails - Details of the order
+ * @param {array} claimItems - Claimed items ({ name, quantity }) from resolveClaimItems
+ * @returns {object} Breakdown ({ lines, itemAmount, discount, taxes, deliveryFee, total })
+ */
+function calculateItemRefund(orderDetails, claimItems) {
+  const orderItems = orderDetails.items || [];
+  const subtotal = Number.isFinite(orderDetails.subtotal)
+    ? orderDetails.subtotal
+    : orderItems.reduce((total, item) => total + item.price * item.quantity, 0);
+  const discount = orderDetails.discount || 0;
+  const taxes = orderDetails.taxes || 0;
+  const deliveryFee = config.itemRefunds.apportionDeliveryFee ? (orderDetails.deliveryFee || 0) : 0;
+
+  const lines = claimItems
+    .map(claimItem => {
+      const item = orderItems.find(orderItem => orderItem.name === claimItem.name);
+
+      if (!item || subtotal <= 0) {
+        return null;
+      }
+
+      const itemAmount = item.price * claimItem.quantity;
+      const share = itemAmount / subtotal;
+      const line = {
+        name: item.name,
+        quantity: claimItem.quantity,
+        unitPrice: item.price,
+        itemAmount,
+        discount: roundAmount(discount * share),
+        taxes: roundAmount(taxes * share),
+        deliveryFee: roundAmount(deliveryFee * share)
+      };
+
+      line.total = roundAmount(line.itemAmount - line.discount + line.taxes + line.deliveryFee);
+
+      return line;
+    })
+    .filter(Boolean);
+
+  const sum = field => roundAmount(lines.reduce((total, line) => total + line[field], 0));
+
+  // Claiming the whole order gives back exactly what was charged, so rounding goes on the last line
+  const wholeOrder = lines.length > 0 && orderItems.every(item =>
+    claimItems.some(claimItem => claimItem.name === item.name && claimItem.quantity === item.quantity)
+  );
+
+  if (wholeOrder) {
+    const lastLine = lines[lines.length - 1];
+
+    [['discount', discount], ['taxes', taxes], ['deliveryFee', deliveryFee]].forEach(([field, charged]) => {
+      lastLine[field] = roundAmount(lastLine[field] + charged - sum(field));
+    });
+
+    lastLine.total = roundAmount(lastLine.itemAmount - lastLine.discount + lastLine.taxes + lastLine.deliveryFee);
+  }
+
+  return {
+    lines,
+    itemAmount: sum('itemAmount'),
+    discount: sum('discount'),
+    taxes: sum('taxes'),
+    deliveryFee: sum('deliveryFee'),
+    total: sum('total')
+  };
+}
+
+/**
+ * Compare item names ignoring case, punctuation and plurals
+ * @param {string} name - Item name
+ * @returns {string} Comparable name
+ */
+function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(token => (token.endsWith('s') && token.length > 3 ? token.slice(0, -1) : token))
+    .join(' ');
+}
+
+/**
+ * Remove the size or variant in brackets from an item name
+ * @param {string} name - Item name, e.g. "Sprite (Large)"
+ * @returns {string} Name without the size
+ */
+function stripSize(name) {
+  return name.replace(/\(.*?\)/g, '').trim();
+}
+
+/**
+ * Round an amount to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  normalizeItemMentions,
+  resolveClaimItems,
+  calculateItemRefund
+};
\ No newline at end of file
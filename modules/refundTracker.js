@@ -0,0 +1,427 @@
+// modules/refundTracker.js
+
+const logger = require('../utilities/logger');
+const clock = require('../utilities/clock');
+const config = require('../config/appConfig');
+const database = require('./database');
+const paymentProcessor = require('./paymentProcessor');
+const resolutionLedger = require('./resolutionLedger');
+const sessionStore = require('./sessionStore');
+const escalationManager = require('./escalationManager');
+const conversationManager = require('./conversationManager');
+
+// Where a refund is between being sent and reaching the customer
+const REFUND_STATES = {
+  QUEUED: 'QUEUED', // Waiting to be sent, the payment gateway couldn't be reached
+  INITIATED: 'INITIATED', // Accepted by the payment gateway
+  PROCESSING: 'PROCESSING', // Passed on to the customer's bank or card network
+  SETTLED: 'SETTLED', // Credited to the customer
+  FAILED: 'FAILED' // Rejected or returned, so the customer hasn't been paid
+};
+
+// Refund state for each status the payment gateway reports
+const GATEWAY_STATES = {
+  PENDING: REFUND_STATES.INITIATED,
+  INITIATED: REFUND_STATES.INITIATED,
+  PROCESSING: REFUND_STATES.PROCESSING,
+  SUCCESS: REFUND_STATES.SETTLED,
+  SETTLED: REFUND_STATES.SETTLED,
+  FAILED: REFUND_STATES.FAILED,
+  REJECTED: REFUND_STATES.FAILED,
+  REVERSED: REFUND_STATES.FAILED
+};
+
+// How far along each state is, so a stale gateway answer never moves a refund backwards
+const STATE_ORDER = {
+  QUEUED: -1,
+  INITIATED: 0,
+  PROCESSING: 1,
+  SETTLED: 2,
+  FAILED: 2
+};
+
+// Refunds by ID (only used without persistent storage)
+const demoRefunds = {};
+
+/**
+ * Start tracking a refund the payment gateway accepted, or one waiting to be sent
+ *
+ * A pending refund (the gateway couldn't be reached) is queued and sent again
+ * by processQueuedRefunds with the same idempotency key. Wallet refunds are
+ * credited straight away, so they start out settled.
+ *
+ * @param {object} refund - Refund details ({ refundId, orderId, customerId, sessionId, paymentId, issueType, amount, reason, idempotencyKey, pending, destination, paymentMethod, maxDays, estimatedCreditDays })
+ * @returns {object} Tracked refund
+ */
+async function recordRefund(refund) {
+  const now = clock.now();
+  const toWallet = refund.destination === 'WALLET';
+  const state = getInitialState(refund);
+  const estimatedCreditDays = toWallet ? 0 : (refund.estimatedCreditDays || config.refunds.defaultCreditDays);
+  const trackedRefund = {
+    refundId: refund.refundId,
+    orderId: refund.orderId,
+    customerId: refund.customerId,
+    sessionId: refund.sessionId || null,
+    paymentId: refund.paymentId || null,
+    issueType: refund.issueType || null,
+    amount: refund.amount,
+    destination: refund.destination || 'SOURCE',
+    paymentMethod: refund.paymentMethod || null,
+    maxDays: refund.maxDays === undefined ? null : refund.maxDays,
+    reason: refund.reason || null,
+    idempotencyKey: refund.idempotencyKey || null,
+    gatewayRefundId: refund.pending ? null : refund.refundId,
+    attempts: 0,
+    lastError: null,
+    state,
+    estimatedCreditDays,
+    expectedBy: new Date(now.getTime() + estimatedCreditDays * 24 * 60 * 60 * 1000),
+    failureReason: null,
+    history: [{ state, at: now }],
+    createdAt: now,
+    updatedAt: now,
+    settledAt: state === REFUND_STATES.SETTLED ? now : null
+  };
+
+  if (!database.isPersistent()) {
+    demoRefunds[trackedRefund.refundId] = trackedRefund;
+  } else {
+    await database.addRefund(trackedRefund);
+  }
+
+  logger.info('Refund tracking started', {
+    refundId: trackedRefund.refundId,
+    orderId: trackedRefund.orderId,
+    amount: trackedRefund.amount,
+    state
+  });
+
+  return trackedRefund;
+}
+
+/**
+ * Get the refunds made to a customer, newest first
+ * @param {string} customerId - ID of the customer
+ * @returns {array} Tracked refunds
+ */
+async function getCustomerRefunds(customerId) {
+  const refunds = !database.isPersistent()
+    ? Object.values(demoRefunds).filter(refund => refund.customerId === customerId)
+    : await database.getCustomerRefunds(customerId);
+
+  return refunds.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Get the refunds made for an order, newest first
+ * @param {string} orderId - ID of the order
+ * @returns {array} Tracked refunds
+ */
+async function getOrderRefunds(orderId) {
+  const refunds = !database.isPersistent()
+    ? Object.values(demoRefunds).filter(refund => refund.orderId === orderId)
+    : await database.getOrderRefunds(orderId);
+
+  return refunds.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Ask the payment gateway where a refund has got to and record any change
+ * @param {object} refund - Tracked refund
+ * @returns {object} Refund, updated when its state changed
+ */
+async function reconcileRefund(refund) {
+  // Queued refunds haven't reached the gateway yet, so there's nothing to ask about
+  if (refund.state === REFUND_STATES.QUEUED) {
+    return refund;
+  }
+
+  const gatewayStatus = await paymentProcessor.checkRefundStatus(refund.gatewayRefundId || refund.refundId, refund.createdAt, refund.destination);
+  const state = GATEWAY_STATES[gatewayStatus.status];
+
+  // Unknown answers (including a gateway that couldn't be reached) leave the refund as it is
+  if (!state || STATE_ORDER[state] <= STATE_ORDER[refund.state]) {
+    return refund;
+  }
+
+  const now = clock.now();
+  const updateData = {
+    state,
+    failureReason: state === REFUND_STATES.FAILED ? (gatewayStatus.failureReason || 'Refund failed at the payment gateway') : null,
+    settledAt: state === REFUND_STATES.SETTLED ? (gatewayStatus.settledAt || now) : null,
+    history: [...refund.history, { state, at: now }],
+    updatedAt: now
+  };
+
+  await saveUpdate(refund.refundId, updateData);
+
+  if (state === REFUND_STATES.FAILED) {
+    logger.error('Refund failed at the payment gateway', {
+      refundId: refund.refundId,
+      orderId: refund.orderId,
+      customerId: refund.customerId,
+      failureReason: updateData.failureReason
+    });
+
+    await followUpFailedRefund({ ...refund, ...updateData });
+  } else {
+    logger.info('Refund state changed', { refundId: refund.refundId, from: refund.state, to: state });
+  }
+
+  return { ...refund, ...updateData };
+}
+
+/**
+ * Bring every refund that hasn't settled or failed up to date with the payment gateway
+ * @returns {object} Summary ({ checked, updated, settled, failed })
+ */
+async function reconcileRefunds() {
+  const openRefunds = !database.isPersistent()
+    ? Object.values(demoRefunds).filter(refund => isOpen(refund))
+    : await database.getOpenRefunds();
+
+  const summary = { checked: openRefunds.length, updated: 0, settled: 0, failed: 0 };
+
+  for (const refund of openRefunds) {
+    try {
+      const reconciled = await reconcileRefund(refund);
+
+      if (reconciled.state !== refund.state) {
+        summary.updated++;
+        summary.settled += reconciled.state === REFUND_STATES.SETTLED ? 1 : 0;
+        summary.failed += reconciled.state === REFUND_STATES.FAILED ? 1 : 0;
+      }
+    } catch (error) {
+      logger.error('Error reconciling refund', { refundId: refund.refundId, error: error.message });
+    }
+  }
+
+  if (summary.updated > 0) {
+    logger.info('Refunds reconciled', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Send queued refunds to the payment gateway again
+ *
+ * Each refund keeps the idempotency key it was first sent with, so one the
+ * gateway did receive before going down is never paid twice. Sending stops
+ * at the first refund that is still pending, since the gateway is still down.
+ *
+ * @returns {object} Summary ({ queued, sent, failed, pending })
+ */
+async function processQueuedRefunds() {
+  const queuedRefunds = !database.isPersistent()
+    ? Object.values(demoRefunds).filter(refund => refund.state === REFUND_STATES.QUEUED)
+    : await database.getQueuedRefunds();
+
+  const summary = { queued: queuedRefunds.length, sent: 0, failed: 0, pending: 0 };
+
+  for (const refund of queuedRefunds.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))) {
+    try {
+      const result = await sendQueuedRefund(refund);
+
+      if (result.pending) {
+        summary.pending = queuedRefunds.length - summary.sent - summary.failed;
+        break;
+      }
+
+      summary.sent += result.success ? 1 : 0;
+      summary.failed += result.success ? 0 : 1;
+    } catch (error) {
+      logger.error('Error sending queued refund', { refundId: refund.refundId, error: error.message });
+    }
+  }
+
+  if (summary.sent > 0 || summary.failed > 0) {
+    logger.info('Queued refunds processed', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Send queued refunds on a timer for as long as the process runs
+ * @returns {object} Interval timer
+ */
+function startQueueJob() {
+  const timer = setInterval(() => {
+    processQueuedRefunds().catch(error => {
+      logger.error('Error processing queued refunds', { error: error.message });
+    });
+  }, config.refunds.queueRetrySeconds * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Reconcile refunds on a timer for as long as the process runs
+ * @returns {object} Interval timer
+ */
+function startReconcileJob() {
+  const timer = setInterval(() => {
+    reconcileRefunds().catch(error => {
+      logger.error('Error reconciling refunds', { error: error.message });
+    });
+  }, config.refunds.reconcileMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Check whether a refund can still change state
+ * @param {object} refund - Tracked refund
+ * @returns {boolean} Whether the refund is still on its way
+ */
+function isOpen(refund) {
+  return refund.state === REFUND_STATES.INITIATED || refund.state === REFUND_STATES.PROCESSING;
+}
+
+/**
+ * Work out the state a new refund starts in
+ * @param {object} refund - Refund details passed to recordRefund
+ * @returns {string} Refund state
+ */
+function getInitialState(refund) {
+  if (refund.pending) {
+    return REFUND_STATES.QUEUED;
+  }
+
+  return refund.destination === 'WALLET' ? REFUND_STATES.SETTLED : REFUND_STATES.INITIATED;
+}
+
+/**
+ * Send one queued refund and record the outcome
+ * @param {object} refund - Queued refund
+ * @returns {object} Result from paymentProcessor.executeRefund or executeWalletRefund
+ */
+async function sendQueuedRefund(refund) {
+  const toWallet = refund.destination === 'WALLET';
+
+  // Refunds queued before their route's timeline was saved fall back to the default
+  const creditDays = refund.maxDays || config.refunds.defaultCreditDays;
+  const result = toWallet
+    ? await paymentProcessor.executeWalletRefund(refund.customerId, refund.amount, refund.reason, refund.idempotencyKey, refund)
+    : await paymentProcessor.executeRefund(refund.paymentId, refund.amount, refund.reason, refund.idempotencyKey, creditDays);
+  const now = clock.now();
+  const attempts = (refund.attempts || 0) + 1;
+
+  if (result.pending) {
+    await saveUpdate(refund.refundId, { attempts, lastError: 'Payment gateway unavailable', updatedAt: now });
+    return result;
+  }
+
+  if (!result.success) {
+    const updateData = {
+      state: REFUND_STATES.FAILED,
+      attempts,
+      lastError: result.error,
+      failureReason: result.error || 'Refund rejected by the payment gateway',
+      history: [...refund.history, { state: REFUND_STATES.FAILED, at: now }],
+      updatedAt: now
+    };
+
+    await saveUpdate(refund.refundId, updateData);
+
+    logger.error('Queued refund rejected by the payment gateway', {
+      refundId: refund.refundId,
+      orderId: refund.orderId,
+      customerId: refund.customerId,
+      error: result.error
+    });
+
+    await followUpFailedRefund({ ...refund, ...updateData });
+
+    return result;
+  }
+
+  // The customer's timeline starts from when the gateway accepted the refund;
+  // wallet refunds are credited as soon as it does
+  const estimatedCreditDays = toWallet ? 0 : (result.estimatedCreditDays || refund.estimatedCreditDays);
+  const state = toWallet ? REFUND_STATES.SETTLED : REFUND_STATES.INITIATED;
+
+  await saveUpdate(refund.refundId, {
+    state,
+    gatewayRefundId: result.transactionId,
+    attempts,
+    lastError: null,
+    estimatedCreditDays,
+    expectedBy: new Date(now.getTime() + estimatedCreditDays * 24 * 60 * 60 * 1000),
+    settledAt: toWallet ? now : null,
+    history: [...refund.history, { state, at: now }],
+    updatedAt: now
+  });
+
+  logger.info('Queued refund sent', { refundId: refund.refundId, gatewayRefundId: result.transactionId, attempts });
+
+  return result;
+}
+
+/**
+ * Pass a failed refund on to the support team, since the customer still hasn't been paid
+ *
+ * The refund is released from the order's ledger so an agent can resolve the
+ * issue again, and the customer's session is told and escalated. The refund
+ * has already been marked as failed, so a follow-up error is only logged.
+ *
+ * @param {object} refund - Failed refund
+ */
+async function followUpFailedRefund(refund) {
+  try {
+    await resolutionLedger.releaseResolution(refund.orderId, refund.issueType, refund.refundId);
+
+    const session = refund.sessionId ? await sessionStore.getSession(refund.sessionId) : null;
+
+    if (!session) {
+      logger.warn('Failed refund has no session to escalate', { refundId: refund.refundId, orderId: refund.orderId });
+      return;
+    }
+
+    let message = conversationManager.generateRefundStatusResponse([refund]);
+
+    if (!session.escalated) {
+      await sessionStore.setEscalated(session, true, 'REFUND_FAILED');
+      message = `${message}\n\n${await escalationManager.initiateEscalation(session, 'REFUND_FAILED')}`;
+    }
+
+    await sessionStore.addMessage(session, {
+      role: 'assistant',
+      content: message,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error following up failed refund', { refundId: refund.refundId, error: error.message });
+  }
+}
+
+/**
+ * Store changes to a tracked refund
+ * @param {string} refundId - ID of the refund
+ * @param {object} updateData - Refund fields to change
+ */
+async function saveUpdate(refundId, updateData) {
+  if (!database.isPersistent()) {
+    demoRefunds[refundId] = { ...demoRefunds[refundId], ...updateData };
+    return;
+  }
+
+  await database.updateRefund(refundId, updateData);
+}
+
+module.exports = {
+  REFUND_STATES,
+  recordRefund,
+  getCustomerRefunds,
+  getOrderRefunds,
+  reconcileRefund,
+  reconcileRefunds,
+  processQueuedRefunds,
+  startReconcileJob,
+  startQueueJob,
+  isOpen
+};
\ No newline at end of file
@@ -0,0 +1,448 @@
+// modules/resolutionLedger.js
+
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const database = require('./database');
+
+// Ledger entries by order ID (only used without persistent storage)
+const demoLedger = {};
+
+// Entries for resolutions that were paid out but couldn't be saved, held here
+// only when they couldn't be queued in storage either (or there is no storage)
+const heldEntries = [];
+
+// Pending work per order, so checks and writes for one order never interleave
+const orderLocks = {};
+
+/**
+ * Get every compensation granted on an order
+ *
+ * Includes resolutions waiting to be reconciled, since they were paid out and
+ * must count against repeats and the order-total cap as much as recorded ones.
+ *
+ * @param {string} orderId - ID of the order
+ * @returns {array} Ledger entries, oldest first
+ */
+async function getOrderLedger(orderId) {
+  const queued = (await getQueuedEntries()).concat(heldEntries).filter(entry => entry.orderId === orderId);
+
+  return (await getRecordedEntries(orderId)).concat(queued);
+}
+
+/**
+ * Find the resolution already granted for an issue on an order
+ * @param {string} orderId - ID of the order
+ * @param {string} issueType - Type of issue
+ * @returns {object|null} Existing ledger entry
+ */
+async function findResolution(orderId, issueType) {
+  const entries = await getOrderLedger(orderId);
+
+  return entries.find(entry => entry.issueType === issueType) || null;
+}
+
+/**
+ * Get the total compensation already granted on an order
+ * @param {string} orderId - ID of the order
+ * @returns {number} Total amount
+ */
+async function getCompensatedAmount(orderId) {
+  const entries = await getOrderLedger(orderId);
+
+  return entries.reduce((total, entry) => total + (entry.amount || 0), 0);
+}
+
+/**
+ * Get how much more compensation an order can receive
+ * @param {object} orderDetails - Details of the order
+ * @returns {number} Remaining amount (never negative)
+ */
+async function getRemainingCompensation(orderDetails) {
+  const compensatedAmount = await getCompensatedAmount(orderDetails.id);
+
+  return Math.max(0, orderDetails.totalAmount - compensatedAmount);
+}
+
+/**
+ * Record a granted resolution against an order
+ * @param {object} entry - Ledger entry ({ orderId, issueType, resolutionType, amount, customerId, sessionId, transactionId })
+ * @returns {object} Stored entry
+ */
+async function recordResolution(entry) {
+  // An amount that isn't a number would switch off the order-total cap for good
+  if (!isValidAmount(entry.amount)) {
+    throw new Error(`Invalid ledger amount: ${entry.amount}`);
+  }
+
+  const ledgerEntry = {
+    entryId: createEntryId(),
+    ...entry,
+    createdAt: new Date()
+  };
+
+  if (!database.isPersistent()) {
+    demoLedger[entry.orderId] = [...(demoLedger[entry.orderId] || []), ledgerEntry];
+  } else {
+    await database.addResolutionLedgerEntry(ledgerEntry);
+  }
+
+  logger.info('Resolution recorded in ledger', {
+    orderId: entry.orderId,
+    issueType: entry.issueType,
+    resolutionType: entry.resolutionType,
+    amount: entry.amount
+  });
+
+  return ledgerEntry;
+}
+
+/**
+ * Take a refund that never reached the customer out of an order's ledger
+ *
+ * The order no longer counts the refund as compensation, and the issue can be
+ * resolved again by the support team the failure is passed to.
+ *
+ * @param {string} orderId - ID of the order
+ * @param {string} issueType - Type of issue the refund was for
+ * @param {string} transactionId - Transaction ID the refund was recorded with
+ * @returns {object|null} Released ledger entry, or null when there was none
+ */
+async function releaseResolution(orderId, issueType, transactionId) {
+  return withOrderLock(orderId, async () => {
+    const entries = await getOrderLedger(orderId);
+    const entry = entries.find(existing => existing.issueType === issueType && existing.transactionId === transactionId);
+
+    if (!entry) {
+      return null;
+    }
+
+    await removeEntry(entry);
+
+    logger.warn('Resolution released from ledger', {
+      orderId,
+      issueType,
+      resolutionType: entry.resolutionType,
+      amount: entry.amount,
+      transactionId
+    });
+
+    return entry;
+  });
+}
+
+/**
+ * Run a compensation step for an order at most once per issue
+ *
+ * Returns the existing entry instead of running the step when the issue was
+ * already resolved, and caps the amount at what the order can still receive.
+ * Amounts and order totals that aren't positive numbers are refused outright.
+ *
+ * @param {object} ledgerContext - { orderId, orderTotal, issueType, resolutionType, customerId, sessionId }
+ * @param {number} amount - Requested amount
+ * @param {function} grant - Called with the capped amount, returns the payment result
+ * @returns {object} Payment result, with duplicate and existingResolution set on repeats and
+ * needsReconciliation set when the payment went out but couldn't be recorded
+ */
+async function grantOnce(ledgerContext, amount, grant) {
+  if (!isValidAmount(amount) || !isValidAmount(ledgerContext.orderTotal)) {
+    logger.error('Compensation refused, invalid amount', {
+      orderId: ledgerContext.orderId,
+      issueType: ledgerContext.issueType,
+      amount,
+      orderTotal: ledgerContext.orderTotal
+    });
+
+    return {
+      success: false,
+      error: 'Invalid compensation amount',
+      escalate: true
+    };
+  }
+
+  return withOrderLock(ledgerContext.orderId, async () => {
+    const existing = await findResolution(ledgerContext.orderId, ledgerContext.issueType);
+
+    if (existing) {
+      logger.warn('Repeat resolution blocked by ledger', {
+        orderId: ledgerContext.orderId,
+        issueType: ledgerContext.issueType,
+        existingEntryId: existing.entryId
+      });
+
+      return {
+        success: true,
+        duplicate: true,
+        existingResolution: existing,
+        transactionId: existing.transactionId,
+        amount: existing.amount
+      };
+    }
+
+    const compensatedAmount = await getCompensatedAmount(ledgerContext.orderId);
+    const cappedAmount = Math.min(amount, Math.max(0, ledgerContext.orderTotal - compensatedAmount));
+
+    if (cappedAmount <= 0) {
+      return {
+        success: false,
+        fullyCompensated: true,
+        error: 'Order has already been fully compensated',
+        escalate: false
+      };
+    }
+
+    const result = await grant(cappedAmount);
+
+    if (!result.success) {
+      return result;
+    }
+
+    // The customer has been paid by now, so a failed write is reconciled
+    // later rather than reported as a failed resolution
+    const recorded = await recordOrQueue({
+      orderId: ledgerContext.orderId,
+      issueType: ledgerContext.issueType,
+      resolutionType: ledgerContext.resolutionType,
+      amount: cappedAmount,
+      customerId: ledgerContext.customerId,
+      sessionId: ledgerContext.sessionId,
+      transactionId: result.transactionId || result.creditId || result.newOrderId
+    });
+
+    return recorded ? result : { ...result, needsReconciliation: true };
+  });
+}
+
+/**
+ * Record resolutions that were paid out but failed to save
+ *
+ * Entries queued in storage are read back from there, so they are recorded
+ * even after a restart or by another instance.
+ *
+ * @returns {object} Summary ({ pending, recorded })
+ */
+async function reconcileResolutions() {
+  const queued = await getQueuedEntries();
+  let recorded = 0;
+
+  for (const entry of queued) {
+    const saved = await withOrderLock(entry.orderId, async () => {
+      try {
+        await storeEntry(entry);
+      } catch (error) {
+        return false;
+      }
+
+      await database.removeUnrecordedResolution(entry.entryId);
+
+      return true;
+    });
+
+    recorded += saved ? 1 : 0;
+  }
+
+  const held = heldEntries.splice(0, heldEntries.length);
+
+  for (const entry of held) {
+    const saved = await withOrderLock(entry.orderId, () => recordOrQueue(entry));
+
+    recorded += saved ? 1 : 0;
+  }
+
+  const pending = (await getQueuedEntries()).length + heldEntries.length;
+
+  if (recorded > 0) {
+    logger.info('Reconciled resolution ledger entries', { recorded, pending });
+  }
+
+  return { pending, recorded };
+}
+
+/**
+ * Record unsaved resolutions on a timer for as long as the process runs
+ * @returns {object} Interval timer
+ */
+function startReconcileJob() {
+  const timer = setInterval(() => {
+    reconcileResolutions().catch(error => {
+      logger.error('Error reconciling resolution ledger entries', { error: error.message });
+    });
+  }, config.resolutionLedger.reconcileMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Get the compensation recorded in the ledger itself for an order
+ * @param {string} orderId - ID of the order
+ * @returns {array} Ledger entries, oldest first
+ */
+async function getRecordedEntries(orderId) {
+  if (!database.isPersistent()) {
+    return demoLedger[orderId] || [];
+  }
+
+  return database.getResolutionLedgerEntries(orderId);
+}
+
+/**
+ * Record a resolution that has already been paid out, queueing it for
+ * reconciliation when the write fails
+ * @param {object} entry - Ledger entry ({ orderId, issueType, resolutionType, amount, customerId, sessionId, transactionId })
+ * @returns {boolean} Whether the entry was recorded
+ */
+async function recordOrQueue(entry) {
+  try {
+    await storeEntry(entry);
+
+    return true;
+  } catch (error) {
+    logger.error('Error recording resolution, queued for reconciliation', {
+      error: error.message,
+      orderId: entry.orderId,
+      issueType: entry.issueType,
+      amount: entry.amount,
+      transactionId: entry.transactionId
+    });
+
+    await queueEntry(entry);
+
+    return false;
+  }
+}
+
+/**
+ * Record a paid-out resolution, unless its issue is already in the ledger
+ *
+ * Another instance can record the same issue while this one is waiting to be
+ * reconciled; the customer has then been paid twice, which is logged for the
+ * support team rather than retried for ever.
+ *
+ * @param {object} entry - Ledger entry
+ */
+async function storeEntry(entry) {
+  const entries = await getRecordedEntries(entry.orderId);
+  const existing = entries.find(recorded => recorded.issueType === entry.issueType);
+
+  if (!existing) {
+    await recordResolution(entry);
+    return;
+  }
+
+  if (existing.transactionId !== entry.transactionId) {
+    logger.error('Issue was paid out twice', {
+      orderId: entry.orderId,
+      issueType: entry.issueType,
+      recordedTransactionId: existing.transactionId,
+      unrecordedTransactionId: entry.transactionId,
+      amount: entry.amount
+    });
+  }
+}
+
+/**
+ * Queue a resolution that failed to save for reconcileResolutions, holding it
+ * in memory when it can't be queued in storage either
+ * @param {object} entry - Ledger entry
+ */
+async function queueEntry(entry) {
+  const queuedEntry = {
+    entryId: entry.entryId || createEntryId(),
+    ...entry,
+    createdAt: entry.createdAt || new Date()
+  };
+
+  if (!database.isPersistent()) {
+    heldEntries.push(queuedEntry);
+    return;
+  }
+
+  try {
+    await database.addUnrecordedResolution(queuedEntry);
+  } catch (error) {
+    heldEntries.push(queuedEntry);
+  }
+}
+
+/**
+ * Get the resolutions queued in storage for reconciliation
+ * @returns {array} Ledger entries, oldest first
+ */
+async function getQueuedEntries() {
+  if (!database.isPersistent()) {
+    return [];
+  }
+
+  return database.getUnrecordedResolutions();
+}
+
+/**
+ * Remove an entry from the ledger, or from the reconciliation queue while it is waiting there
+ * @param {object} entry - Ledger entry
+ */
+async function removeEntry(entry) {
+  const heldIndex = heldEntries.indexOf(entry);
+
+  if (heldIndex >= 0) {
+    heldEntries.splice(heldIndex, 1);
+    return;
+  }
+
+  if (!database.isPersistent()) {
+    demoLedger[entry.orderId] = (demoLedger[entry.orderId] || []).filter(existing => existing !== entry);
+    return;
+  }
+
+  await database.removeResolutionLedgerEntry(entry.entryId);
+  await database.removeUnrecordedResolution(entry.entryId);
+}
+
+/**
+ * Create an ID for a ledger entry
+ * @returns {string} Entry ID
+ */
+function createEntryId() {
+  return `ledger_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+}
+
+/**
+ * Check that an amount is a positive number
+ * @param {*} amount - Amount to check
+ * @returns {boolean} Whether it can be granted or recorded
+ */
+function isValidAmount(amount) {
+  return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+}
+
+/**
+ * Serialize work for one order within this process
+ * @param {string} orderId - ID of the order
+ * @param {function} task - Async work to run
+ * @returns {*} Result of the task
+ */
+async function withOrderLock(orderId, task) {
+  const previous = orderLocks[orderId] || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+
+  orderLocks[orderId] = current;
+
+  try {
+    return await current;
+  } finally {
+    if (orderLocks[orderId] === current) {
+      delete orderLocks[orderId];
+    }
+  }
+}
+
+module.exports = {
+  getOrderLedger,
+  findResolution,
+  getCompensatedAmount,
+  getRemainingCompensation,
+  recordResolution,
+  releaseResolution,
+  grantOnce,
+  reconcileResolutions,
+  startReconcileJob
+};
\ No newline at end of file
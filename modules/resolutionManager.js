@@ -0,0 +1,279 @@
+// modules/resolutionManager.js
+
+const logger = require('../utilities/logger');
+const database = require('./database');
+const paymentProcessor = require('./paymentProcessor');
+const customerManager = require('./customerManager');
+const orderManager = require('./orderManager');
+const restaurantManager = require('./restaurantManager');
+const resolutionLedger = require('./resolutionLedger');
+const creditsLedger = require('./creditsLedger');
+const refundTracker = require('./refundTracker');
+const sessionStore = require('./sessionStore');
+const escalationManager = require('./escalationManager');
+
+/**
+ * Execute a decided solution and record the outcome
+ * @param {object} session - Session data
+ * @param {object} solution - Solution from decisionEngine
+ * @param {object} orderDetails - Order details
+ * @param {string} issueType - Type of issue being resolved
+ * @param {array} items - Affected item names
+ * @param {object} agent - Human agent applying the solution ({ agentId, agentName }), null for Zia
+ * @returns {object} Result of applying the solution
+ */
+async function applySolution(session, solution, orderDetails, issueType, items, agent = null) {
+  let resolutionResult;
+
+  logger.info('Applying solution', {
+    sessionId: session.sessionId,
+    orderId: orderDetails.id,
+    issueType,
+    solutionType: solution.type,
+    amount: solution.amount,
+    agentId: agent ? agent.agentId : null
+  });
+
+  // Every payout goes through the resolution ledger, so repeats are caught across sessions
+  const ledgerContext = {
+    orderId: orderDetails.id,
+    orderTotal: orderDetails.totalAmount,
+    issueType,
+    customerId: session.customerId,
+    sessionId: session.sessionId
+  };
+
+  switch (solution.type) {
+    case 'REFUND':
+      resolutionResult = await paymentProcessor.processRefund(
+        orderDetails.paymentId,
+        solution.amount,
+        solution.reason,
+        ledgerContext,
+        {
+          ...paymentProcessor.getRefundRoute(orderDetails.paymentMethod, solution.destination),
+          account: solution.payoutAccount
+        }
+      );
+      break;
+
+    case 'CREDIT':
+      resolutionResult = await paymentProcessor.processCredits(
+        session.customerId,
+        solution.amount,
+        solution.reason,
+        ledgerContext
+      );
+      break;
+
+    case 'REDELIVERY':
+      resolutionResult = await resolutionLedger.grantOnce(
+        { ...ledgerContext, resolutionType: 'REDELIVERY' },
+        solution.amount,
+        () => orderManager.initiateRedelivery(
+          orderDetails.id,
+          items && items.length > 0 ? items : orderDetails.items.map(item => item.name)
+        )
+      );
+      break;
+
+    default:
+      resolutionResult = {
+        success: false,
+        error: `Unsupported solution type: ${solution.type}`
+      };
+  }
+
+  // A repeat has nothing new to record or report
+  if (resolutionResult.duplicate || resolutionResult.fullyCompensated) {
+    return resolutionResult;
+  }
+
+  // The ledger may have capped the amount actually paid out
+  if (resolutionResult.success && resolutionResult.amount !== undefined) {
+    solution.amount = resolutionResult.amount;
+  }
+
+  await recordResolution(session, solution, resolutionResult, orderDetails, issueType, items, agent);
+
+  if (resolutionResult.success && solution.type === 'REFUND') {
+    await trackRefund(session, resolutionResult, orderDetails, issueType, solution.reason);
+  }
+
+  if (resolutionResult.success) {
+    await restaurantManager.reportIssue(orderDetails.restaurantId, issueType, items, orderDetails.id);
+    await customerManager.updateComplaintHistory(session.customerId, orderDetails.id, issueType, true);
+  } else {
+    // The failure responses promise a follow-up from the support team
+    await sessionStore.setEscalated(session, true, 'RESOLUTION_FAILED');
+    await escalationManager.queueEscalation(session, 'RESOLUTION_FAILED');
+  }
+
+  return resolutionResult;
+}
+
+/**
+ * Start tracking a refund until the customer has been paid
+ *
+ * The refund has already gone out (or been queued to go out), so a tracking
+ * failure is logged rather than treated as a failed resolution.
+ *
+ * @param {object} session - Session data
+ * @param {object} refundResult - Result from paymentProcessor.processRefund
+ * @param {object} orderDetails - Order details
+ * @param {string} issueType - Type of issue being resolved
+ * @param {string} reason - Reason for the refund, needed to send a queued refund again
+ */
+async function trackRefund(session, refundResult, orderDetails, issueType, reason) {
+  try {
+    await refundTracker.recordRefund({
+      refundId: refundResult.transactionId,
+      orderId: orderDetails.id,
+      customerId: session.customerId,
+      sessionId: session.sessionId,
+      paymentId: orderDetails.paymentId,
+      issueType,
+      amount: refundResult.amount,
+      reason,
+      idempotencyKey: refundResult.idempotencyKey,
+      pending: refundResult.pending,
+      destination: refundResult.destination,
+      paymentMethod: refundResult.paymentMethod,
+      maxDays: refundResult.maxDays,
+      estimatedCreditDays: refundResult.estimatedCreditDays
+    });
+  } catch (error) {
+    logger.error('Error starting refund tracking', {
+      error: error.message,
+      orderId: orderDetails.id,
+      transactionId: refundResult.transactionId
+    });
+  }
+}
+
+/**
+ * Overturn a resolution, clawing back the credits it granted
+ *
+ * The resolution stays in the resolution ledger, so the same issue can't be
+ * claimed again once it has been overturned.
+ *
+ * @param {string} orderId - ID of the order
+ * @param {string} issueType - Type of issue the resolution was for
+ * @param {object} agent - Agent overturning the resolution ({ agentId, agentName })
+ * @param {string} reason - Why the resolution was overturned
+ * @returns {object} Result ({ success, resolution, reversal, error, code })
+ */
+async function reverseResolution(orderId, issueType, agent, reason) {
+  const resolution = await resolutionLedger.findResolution(orderId, issueType);
+
+  if (!resolution) {
+    return { success: false, code: 'NOT_FOUND', error: `No resolution recorded for ${issueType} on order ${orderId}` };
+  }
+
+  // Refunds and redeliveries have already left our hands
+  if (resolution.resolutionType !== 'CREDIT') {
+    return {
+      success: false,
+      code: 'NOT_REVERSIBLE',
+      error: `${resolution.resolutionType} resolutions can't be reversed, only credits can be clawed back`
+    };
+  }
+
+  const reversal = await creditsLedger.reverseCredits(resolution.customerId, resolution.transactionId, reason, {
+    orderId,
+    issueType,
+    sessionId: resolution.sessionId
+  });
+
+  if (!reversal.success) {
+    return reversal;
+  }
+
+  logger.info('Resolution overturned', {
+    orderId,
+    issueType,
+    agentId: agent.agentId,
+    reversedAmount: reversal.reversedAmount
+  });
+
+  if (database.isPersistent()) {
+    // A negative amount, so payout totals read from the logs drop by what was recovered
+    await database.logResolution({
+      sessionId: resolution.sessionId,
+      customerId: resolution.customerId,
+      orderId,
+      resolutionType: 'CREDIT_REVERSAL',
+      amount: -reversal.reversedAmount,
+      reason,
+      agentType: 'HUMAN',
+      success: true,
+      metadata: {
+        issueType,
+        agentId: agent.agentId,
+        transactionId: resolution.transactionId,
+        unrecoveredAmount: reversal.unrecoveredAmount
+      }
+    });
+  }
+
+  return { success: true, resolution, reversal };
+}
+
+/**
+ * Record a resolution on the session and in the resolution logs
+ * @param {object} session - Session data
+ * @param {object} solution - Solution that was applied
+ * @param {object} resolutionResult - Result of applying the solution
+ * @param {object} orderDetails - Order details
+ * @param {string} issueType - Type of issue being resolved
+ * @param {array} items - Affected item names
+ * @param {object} agent - Human agent who applied the solution, null for Zia
+ */
+async function recordResolution(session, solution, resolutionResult, orderDetails, issueType, items, agent) {
+  const resolution = {
+    type: solution.type,
+    orderId: orderDetails.id,
+    amount: solution.amount,
+    timestamp: new Date(),
+    success: resolutionResult.success
+  };
+
+  if (resolutionResult.success) {
+    session.resolutions.push(resolution);
+
+    if (database.isPersistent()) {
+      await database.addResolutionToSession(session.sessionId, resolution);
+    }
+  }
+
+  if (database.isPersistent()) {
+    // Log resolution for analytics
+    await database.logResolution({
+      sessionId: session.sessionId,
+      customerId: session.customerId,
+      orderId: orderDetails.id,
+      resolutionType: solution.type,
+      amount: solution.amount,
+      reason: solution.reason,
+      agentType: agent ? 'HUMAN' : 'AI',
+      success: resolutionResult.success,
+      metadata: {
+        restaurantId: orderDetails.restaurantId,
+        issueType,
+        items,
+        agentId: agent ? agent.agentId : null,
+        breakdown: solution.breakdown || null,
+        policyVersion: solution.policy ? solution.policy.version : null,
+        policyRuleId: solution.policy ? solution.policy.ruleId : null,
+        destination: solution.destination || null,
+        transactionId: resolutionResult.transactionId || resolutionResult.creditId || resolutionResult.newOrderId,
+        error: resolutionResult.error
+      }
+    });
+  }
+}
+
+module.exports = {
+  applySolution,
+  reverseResolution
+};
\ No newline at end of file
@@ -0,0 +1,161 @@
+// modules/riskScorer.js
+
+const logger = require('../utilities/logger');
+const clock = require('../utilities/clock');
+const config = require('../config/appConfig');
+const database = require('./database');
+const customerManager = require('./customerManager');
+
+// What to do with a claim at each risk level
+const RISK_ACTIONS = {
+  ALLOW: 'ALLOW', // Verify the claim as usual
+  REQUIRE_PROOF: 'REQUIRE_PROOF', // Ask for evidence before approving
+  ESCALATE: 'ESCALATE' // Hand the claim to a human
+};
+
+/**
+ * Score how likely a claim is to be abuse, from the customer's history
+ * @param {object} customerInfo - Customer information
+ * @param {object} orderDetails - Details of the order the claim is about
+ * @returns {object} Risk assessment ({ score, level, action, factors })
+ */
+async function assessClaimRisk(customerInfo, orderDetails) {
+  const weights = config.riskScoring.weights;
+  const now = clock.now();
+  const since = new Date(now.getTime() - config.riskScoring.lookbackDays * 24 * 60 * 60 * 1000);
+  const factors = [];
+
+  const [complaints, resolutions] = await Promise.all([
+    customerManager.getComplaintHistory(customerInfo.id),
+    getResolutionHistory(customerInfo.id)
+  ]);
+
+  // Score from the customer service, if it sent one
+  if (customerInfo.fraudRiskScore > 0) {
+    addFactor(factors, 'EXTERNAL_SCORE', weights.externalScore * Math.min(1, customerInfo.fraudRiskScore),
+      `Customer service risk score ${customerInfo.fraudRiskScore}`);
+  }
+
+  // Complaints raised recently, relative to the frequency we consider excessive
+  const recentComplaints = complaints.filter(complaint => isWithin(complaint.timestamp, since, now));
+
+  if (recentComplaints.length > 0) {
+    addFactor(factors, 'COMPLAINT_FREQUENCY',
+      weights.complaintFrequency * Math.min(1, recentComplaints.length / config.thresholds.complaintFrequency),
+      `${recentComplaints.length} complaint${recentComplaints.length !== 1 ? 's' : ''} in the last ${config.riskScoring.lookbackDays} days`);
+  }
+
+  // Compensation already paid out recently
+  const recentResolutions = resolutions.filter(resolution =>
+    resolution.success && isWithin(resolution.created_at, since, now)
+  );
+  const recentCompensation = recentResolutions.reduce((total, resolution) => total + (resolution.amount || 0), 0);
+
+  if (recentCompensation > 0) {
+    addFactor(factors, 'RECENT_COMPENSATION',
+      weights.recentCompensation * Math.min(1, recentCompensation / config.riskScoring.compensationLimit),
+      `₹${recentCompensation.toFixed(2)} compensation in the last ${config.riskScoring.lookbackDays} days`);
+  }
+
+  // Repeated claims against the same restaurant
+  const restaurantClaims = recentResolutions.filter(resolution =>
+    resolution.metadata && resolution.metadata.restaurantId === orderDetails.restaurantId
+  ).length;
+
+  if (restaurantClaims >= config.riskScoring.restaurantClaimLimit) {
+    addFactor(factors, 'RESTAURANT_PATTERN', weights.restaurantPattern,
+      `${restaurantClaims} resolved claims against ${orderDetails.restaurantName} in the last ${config.riskScoring.lookbackDays} days`);
+  }
+
+  // New accounts haven't built up any trust yet
+  if (customerInfo.joinedDate) {
+    const accountAgeDays = (now - new Date(customerInfo.joinedDate)) / (1000 * 60 * 60 * 24);
+
+    if (accountAgeDays < config.riskScoring.newAccountDays) {
+      addFactor(factors, 'NEW_ACCOUNT', weights.newAccount,
+        `Account is ${Math.floor(accountAgeDays)} day${Math.floor(accountAgeDays) !== 1 ? 's' : ''} old`);
+    }
+  }
+
+  const score = Math.min(1, factors.reduce((total, factor) => total + factor.contribution, 0));
+  const assessment = {
+    score: Math.round(score * 100) / 100,
+    ...classifyScore(score),
+    factors
+  };
+
+  logger.info('Claim risk assessed', {
+    customerId: customerInfo.id,
+    orderId: orderDetails.id,
+    score: assessment.score,
+    action: assessment.action,
+    factors: factors.map(factor => factor.factor)
+  });
+
+  return assessment;
+}
+
+/**
+ * Get the customer's recent resolutions, treating a storage failure as no history
+ * @param {string} customerId - ID of the customer
+ * @returns {array} Resolution log rows, newest first
+ */
+async function getResolutionHistory(customerId) {
+  try {
+    return await database.getCustomerResolutionHistory(customerId, config.riskScoring.historyLimit);
+  } catch (error) {
+    logger.error('Error loading resolution history for risk scoring', { error: error.message, customerId });
+    return [];
+  }
+}
+
+/**
+ * Turn a score into a risk level and the action to take
+ * @param {number} score - Risk score
+ * @returns {object} Level and action ({ level, action })
+ */
+function classifyScore(score) {
+  if (score >= config.riskScoring.escalateScore) {
+    return { level: 'HIGH', action: RISK_ACTIONS.ESCALATE };
+  }
+
+  if (score >= config.riskScoring.proofScore) {
+    return { level: 'MEDIUM', action: RISK_ACTIONS.REQUIRE_PROOF };
+  }
+
+  return { level: 'LOW', action: RISK_ACTIONS.ALLOW };
+}
+
+/**
+ * Check that a history entry falls inside the lookback window, ignoring anything
+ * after the claim (a replayed claim mustn't count its own resolution)
+ * @param {Date|string} timestamp - When the entry was recorded
+ * @param {Date} since - Start of the lookback window
+ * @param {Date} now - Time the claim is checked at
+ * @returns {boolean} Whether the entry counts
+ */
+function isWithin(timestamp, since, now) {
+  const time = new Date(timestamp);
+
+  return time >= since && time <= now;
+}
+
+/**
+ * Add a factor that contributed to the score
+ * @param {array} factors - Contributing factors
+ * @param {string} factor - Factor code
+ * @param {number} contribution - Amount added to the score
+ * @param {string} detail - What was found
+ */
+function addFactor(factors, factor, contribution, detail) {
+  factors.push({
+    factor,
+    contribution: Math.round(contribution * 100) / 100,
+    detail
+  });
+}
+
+module.exports = {
+  RISK_ACTIONS,
+  assessClaimRisk
+};
\ No newline at end of file
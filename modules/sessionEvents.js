@@ -0,0 +1,61 @@
+// modules/sessionEvents.js
+
+const { EventEmitter } = require('events');
+const logger = require('../utilities/logger');
+
+// Events pushed to clients listening on a session
+const EVENT_TYPES = {
+  MESSAGE: 'message', // A message was added to the conversation
+  TYPING: 'typing', // Someone started or stopped composing a reply
+  ESCALATION: 'escalation', // The session was escalated or handed back
+  SESSION: 'session' // The session ended
+};
+
+// One emitter for all sessions, with the session ID as the event name
+const emitter = new EventEmitter();
+
+// Every open stream adds a listener, so the default limit of 10 is far too low
+emitter.setMaxListeners(0);
+
+/**
+ * Listen to events on a session
+ * @param {string} sessionId - ID of the session
+ * @param {function} listener - Called with each event ({ type, data })
+ * @returns {function} Removes the listener
+ */
+function subscribe(sessionId, listener) {
+  emitter.on(sessionId, listener);
+
+  return () => emitter.removeListener(sessionId, listener);
+}
+
+/**
+ * Push an event to everyone listening on a session
+ * @param {string} sessionId - ID of the session
+ * @param {string} type - Type of event (see EVENT_TYPES)
+ * @param {object} data - Event payload
+ */
+function publish(sessionId, type, data) {
+  try {
+    emitter.emit(sessionId, { type, data });
+  } catch (error) {
+    // A broken listener shouldn't fail the request that triggered the event
+    logger.error('Error publishing session event', { sessionId, type, error: error.message });
+  }
+}
+
+/**
+ * Count the clients listening on a session
+ * @param {string} sessionId - ID of the session
+ * @returns {number} Number of listeners
+ */
+function getListenerCount(sessionId) {
+  return emitter.listenerCount(sessionId);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  subscribe,
+  publish,
+  getListenerCount
+};
\ No newline at end of file
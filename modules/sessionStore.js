@@ -0,0 +1,404 @@
+// modules/sessionStore.js
+
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+const database = require('./database');
+const sessionEvents = require('./sessionEvents');
+const escalationQueue = require('./escalationQueue');
+
+// Session statuses
+const SESSION_STATUS = {
+  ACTIVE: 'active',
+  ENDED: 'ended'
+};
+
+// Why a session ended
+const END_REASONS = {
+  CUSTOMER: 'customer',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Sessions kept in this process, used when storage isn't persistent
+ */
+const memoryBackend = {
+  sessions: {},
+
+  async create(sessionData) {
+    this.sessions[sessionData.sessionId] = sessionData;
+  },
+
+  async get(sessionId) {
+    return this.sessions[sessionId] || null;
+  },
+
+  async listEscalated() {
+    return Object.values(this.sessions).filter(session =>
+      session.escalated && session.status === SESSION_STATUS.ACTIVE
+    );
+  },
+
+  async addMessage(session, message) {
+    message.id = session.conversationHistory.length + 1;
+    session.conversationHistory.push(message);
+  },
+
+  async getMessages(session, { limit, before }) {
+    const messages = session.conversationHistory.filter(message => !before || message.id < before);
+
+    return {
+      messages: messages.slice(-limit),
+      hasMore: messages.length > limit
+    };
+  },
+
+  async markEnded(session) {
+    // The session object is the stored copy, so its fields are already updated
+  },
+
+  async sweep(now) {
+    const retentionMs = config.sessions.archiveRetentionMinutes * 60 * 1000;
+    let expiredCount = 0;
+    let droppedCount = 0;
+
+    for (const session of Object.values(this.sessions)) {
+      if (session.status === SESSION_STATUS.ACTIVE && isIdle(session, now)) {
+        await endSession(session, END_REASONS.EXPIRED);
+        expiredCount++;
+      } else if (session.status !== SESSION_STATUS.ACTIVE && now - new Date(session.endedAt) > retentionMs) {
+        delete this.sessions[session.sessionId];
+        droppedCount++;
+      }
+    }
+
+    return { expiredCount, droppedCount };
+  }
+};
+
+/**
+ * Sessions kept in the configured storage adapter
+ */
+const databaseBackend = {
+  async create(sessionData) {
+    await database.createSession(sessionData);
+  },
+
+  async get(sessionId) {
+    return database.getSession(sessionId);
+  },
+
+  async listEscalated() {
+    const sessionIds = await database.getEscalatedSessionIds();
+    const sessions = await Promise.all(sessionIds.map(sessionId => database.getSession(sessionId)));
+
+    return sessions.filter(Boolean);
+  },
+
+  async addMessage(session, message) {
+    const { id } = await database.addMessageToSession(session.sessionId, message);
+
+    // Only the most recent messages are kept on the loaded session
+    message.id = id;
+    session.conversationHistory = [...session.conversationHistory, message].slice(-config.sessions.historyWindow);
+  },
+
+  async getMessages(session, { limit, before }) {
+    return database.getSessionMessages(session.sessionId, { limit, before });
+  },
+
+  async markEnded(session) {
+    await database.updateSession(session.sessionId, {
+      status: session.status,
+      endedAt: session.endedAt,
+      endReason: session.endReason
+    });
+  },
+
+  async sweep() {
+    // Stored sessions are expired when they're next loaded
+    return { expiredCount: 0, droppedCount: 0 };
+  }
+};
+
+/**
+ * Get the backend for the configured storage
+ * @returns {object} Session backend
+ */
+function getBackend() {
+  return database.isPersistent() ? databaseBackend : memoryBackend;
+}
+
+/**
+ * Store a new session
+ * @param {object} sessionData - Session data
+ * @returns {object} Stored session
+ */
+async function createSession(sessionData) {
+  const session = {
+    ...sessionData,
+    status: SESSION_STATUS.ACTIVE,
+    lastActivityAt: sessionData.lastActivityAt || new Date(),
+    messageCount: 0,
+    escalatedAt: null,
+    escalationReason: null,
+    assignedAgent: null,
+    endedAt: null,
+    endReason: null
+  };
+
+  await getBackend().create(session);
+
+  return session;
+}
+
+/**
+ * Load a session, ending it first if it has been idle for too long
+ * @param {string} sessionId - ID of the session
+ * @returns {object|null} Session data, or null when it doesn't exist
+ */
+async function getSession(sessionId) {
+  const session = await getBackend().get(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  if (isActive(session) && isIdle(session, new Date())) {
+    await endSession(session, END_REASONS.EXPIRED);
+  }
+
+  return session;
+}
+
+/**
+ * Check whether a session can still take messages
+ * @param {object} session - Session data
+ * @returns {boolean} Whether the session is active
+ */
+function isActive(session) {
+  return session.status === SESSION_STATUS.ACTIVE;
+}
+
+/**
+ * Add a message to a session's conversation history, mark the session as active
+ * now and push the message to anyone streaming the session
+ * @param {object} session - Session data
+ * @param {object} message - Message ({ role, content, timestamp }), role is user, assistant, agent or system
+ */
+async function addMessage(session, message) {
+  session.lastActivityAt = new Date();
+  await getBackend().addMessage(session, message);
+  session.messageCount++;
+
+  sessionEvents.publish(session.sessionId, sessionEvents.EVENT_TYPES.MESSAGE, message);
+}
+
+/**
+ * Get every message in a session, oldest first
+ * @param {object} session - Session data
+ * @returns {array} Messages
+ */
+async function getAllMessages(session) {
+  const pages = [];
+  let before = null;
+
+  do {
+    const page = await getMessages(session, { limit: config.sessions.maxMessagePageSize, before });
+
+    pages.unshift(page.messages);
+    before = page.nextCursor;
+  } while (before);
+
+  return [].concat(...pages);
+}
+
+/**
+ * Escalate a session to the support team, or hand it back
+ *
+ * Handing a session back records why it was escalated, so the same reason
+ * doesn't escalate it again (see escalationManager.getAutoEscalationReason).
+ *
+ * @param {object} session - Session data
+ * @param {boolean} escalated - Whether the session is escalated
+ * @param {string} reason - Why the session was escalated (see escalationManager.ESCALATION_REASONS)
+ */
+async function setEscalated(session, escalated, reason = null) {
+  if (session.escalated === escalated) {
+    return;
+  }
+
+  const handledReasons = session.handledEscalationReasons || [];
+
+  if (!escalated && session.escalationReason && !handledReasons.includes(session.escalationReason)) {
+    session.handledEscalationReasons = [...handledReasons, session.escalationReason];
+  }
+
+  session.escalated = escalated;
+  session.escalatedAt = escalated ? new Date() : null;
+  session.escalationReason = escalated ? reason : null;
+
+  if (database.isPersistent()) {
+    await database.updateSession(session.sessionId, {
+      escalated,
+      escalatedAt: session.escalatedAt,
+      escalationReason: session.escalationReason,
+      handledEscalationReasons: session.handledEscalationReasons
+    });
+  }
+
+  publishEscalation(session);
+}
+
+/**
+ * Record which human agent is handling a session
+ * @param {object} session - Session data
+ * @param {object|null} agent - Agent ({ agentId, agentName }), or null to release the session
+ */
+async function assignAgent(session, agent) {
+  session.assignedAgent = agent ? { ...agent, assignedAt: new Date() } : null;
+
+  if (database.isPersistent()) {
+    await database.updateSession(session.sessionId, { assignedAgent: session.assignedAgent });
+  }
+
+  publishEscalation(session);
+}
+
+/**
+ * Get the active sessions waiting for or being handled by a human agent
+ * @returns {array} Escalated sessions
+ */
+async function listEscalatedSessions() {
+  return getBackend().listEscalated();
+}
+
+/**
+ * Tell clients streaming a session who is handling it
+ * @param {object} session - Session data
+ */
+function publishEscalation(session) {
+  sessionEvents.publish(session.sessionId, sessionEvents.EVENT_TYPES.ESCALATION, {
+    escalated: session.escalated,
+    reason: session.escalationReason || null,
+    assignedAgent: session.assignedAgent || null
+  });
+}
+
+/**
+ * Get a page of a session's messages, oldest first
+ * @param {object} session - Session data
+ * @param {object} options - Paging options ({ limit, before }), where before is a message ID
+ * @returns {object} Page ({ messages, hasMore, nextCursor })
+ */
+async function getMessages(session, { limit = config.sessions.messagePageSize, before = null } = {}) {
+  const pageSize = Math.min(Math.max(1, limit), config.sessions.maxMessagePageSize);
+  const page = await getBackend().getMessages(session, { limit: pageSize, before });
+
+  return {
+    messages: page.messages,
+    hasMore: page.hasMore,
+    // Pass as `before` to get the page of older messages
+    nextCursor: page.hasMore && page.messages.length > 0 ? page.messages[0].id : null
+  };
+}
+
+/**
+ * End a session and archive a summary of it
+ *
+ * Ended sessions keep their history and resolutions, whichever backend holds them,
+ * but no longer accept messages.
+ *
+ * @param {object} session - Session data
+ * @param {string} reason - Why the session ended (see END_REASONS)
+ * @returns {object} Ended session
+ */
+async function endSession(session, reason = END_REASONS.CUSTOMER) {
+  if (!isActive(session)) {
+    return session;
+  }
+
+  session.status = SESSION_STATUS.ENDED;
+  session.endedAt = new Date();
+  session.endReason = reason;
+
+  await getBackend().markEnded(session);
+
+  // Nobody is left to help once the customer has gone
+  await escalationQueue.closeTicket(session.sessionId, escalationQueue.TICKET_STATUS.CANCELLED);
+
+  sessionEvents.publish(session.sessionId, sessionEvents.EVENT_TYPES.SESSION, {
+    status: session.status,
+    reason
+  });
+
+  // Archive session data for analytics
+  logger.info('Session ended', {
+    sessionId: session.sessionId,
+    reason,
+    duration: session.endedAt - new Date(session.createdAt),
+    messageCount: session.messageCount,
+    resolutionsApplied: session.resolutions.length,
+    wasEscalated: session.escalated
+  });
+
+  return session;
+}
+
+/**
+ * Expire idle sessions and drop old ended ones from memory
+ * @returns {object} Counts ({ expiredCount, droppedCount })
+ */
+async function sweepExpiredSessions() {
+  try {
+    const result = await getBackend().sweep(new Date());
+
+    if (result.expiredCount > 0 || result.droppedCount > 0) {
+      logger.info('Session sweep completed', result);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error sweeping expired sessions', { error: error.message });
+    return { expiredCount: 0, droppedCount: 0 };
+  }
+}
+
+/**
+ * Sweep expired sessions on a timer that doesn't keep the process alive
+ * @returns {object} Interval timer
+ */
+function startExpirySweep() {
+  const timer = setInterval(sweepExpiredSessions, config.sessions.sweepIntervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Check whether a session has gone without activity for longer than the idle TTL
+ * @param {object} session - Session data
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the session is idle
+ */
+function isIdle(session, now) {
+  const idleMinutes = (now - new Date(session.lastActivityAt)) / (1000 * 60);
+
+  return idleMinutes > config.sessions.idleTtlMinutes;
+}
+
+module.exports = {
+  SESSION_STATUS,
+  END_REASONS,
+  createSession,
+  getSession,
+  isActive,
+  addMessage,
+  getMessages,
+  getAllMessages,
+  setEscalated,
+  assignAgent,
+  listEscalatedSessions,
+  endSession,
+  sweepExpiredSessions,
+  startExpirySweep
+};
\ No newline at end of file
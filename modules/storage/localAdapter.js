@@ -0,0 +1,618 @@
+// modules/storage/localAdapter.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utilities/logger');
+const config = require('../../config/appConfig');
+const rowMappers = require('./rowMappers');
+
+// Each table is kept in its own JSON file under the data directory
+const TABLE_FILES = {
+  sessions: 'sessions.json',
+  sessionMessages: 'session_messages.json',
+  sessionResolutions: 'session_resolutions.json',
+  sessionTurns: 'session_turns.json',
+  claimEvidence: 'claim_evidence.json',
+  resolutionLogs: 'resolution_logs.json',
+  resolutionLedger: 'resolution_ledger.json',
+  unrecordedResolutions: 'unrecorded_resolutions.json',
+  creditLedger: 'credit_ledger.json',
+  unrecordedCreditEntries: 'unrecorded_credit_entries.json',
+  refunds: 'refunds.json',
+  escalationTickets: 'escalation_tickets.json'
+};
+
+// Directory holding the table files, relative paths resolve from the project root
+const DATA_DIRECTORY = path.resolve(__dirname, '..', '..', config.storage.localDataDir);
+
+// Tables loaded into memory on first use
+let tables = null;
+
+// Pending file write, so writes never interleave
+let writeQueue = Promise.resolve();
+
+/**
+ * Create the data directory and load existing tables
+ * @returns {boolean} Whether the local store is usable
+ */
+async function initialize() {
+  logger.info('Opening local data store', { directory: DATA_DIRECTORY });
+  loadTables();
+  return true;
+}
+
+// Session operations
+async function createSession(sessionData) {
+  const { sessions } = loadTables();
+
+  sessions[sessionData.sessionId] = rowMappers.sessionToRow(sessionData);
+  await saveTable('sessions');
+
+  return { id: sessionData.sessionId };
+}
+
+async function getSession(sessionId) {
+  const { sessions } = loadTables();
+  const row = sessions[sessionId];
+
+  if (!row) {
+    return null;
+  }
+
+  const session = rowMappers.rowToSession(row);
+  const history = await getSessionMessages(sessionId, { limit: config.sessions.historyWindow });
+
+  session.conversationHistory = history.messages;
+  session.messageCount = await countSessionMessages(sessionId);
+  session.resolutions = await getSessionResolutions(sessionId);
+
+  return session;
+}
+
+async function updateSession(sessionId, updateData) {
+  const row = getSessionRow(sessionId);
+
+  Object.assign(row, rowMappers.sessionUpdateToRow(updateData));
+  await saveTable('sessions');
+
+  return true;
+}
+
+async function getEscalatedSessionIds() {
+  const { sessions } = loadTables();
+
+  return Object.values(sessions)
+    .filter(row => row.escalated && row.status === 'active')
+    .map(row => row.session_id);
+}
+
+// Message operations
+async function addMessageToSession(sessionId, message) {
+  const row = getSessionRow(sessionId);
+  const messageRow = appendRow('sessionMessages', rowMappers.messageToRow(sessionId, message));
+
+  row.last_activity_at = new Date().toISOString();
+  await Promise.all([saveTable('sessionMessages'), saveTable('sessions')]);
+
+  return { id: messageRow.id };
+}
+
+async function getSessionMessages(sessionId, { limit, before } = {}) {
+  const { sessionMessages } = loadTables();
+  const rows = sessionMessages.filter(row =>
+    row.session_id === sessionId && (!before || row.id < before)
+  );
+
+  return {
+    messages: rows.slice(-limit).map(rowMappers.rowToMessage),
+    hasMore: rows.length > limit
+  };
+}
+
+async function countSessionMessages(sessionId) {
+  const { sessionMessages } = loadTables();
+
+  return sessionMessages.filter(row => row.session_id === sessionId).length;
+}
+
+// Session resolution operations
+async function addResolutionToSession(sessionId, resolution) {
+  const row = getSessionRow(sessionId);
+  const resolutionRow = appendRow('sessionResolutions', rowMappers.resolutionToRow(sessionId, resolution));
+
+  row.last_activity_at = new Date().toISOString();
+  await Promise.all([saveTable('sessionResolutions'), saveTable('sessions')]);
+
+  return { id: resolutionRow.id };
+}
+
+async function getSessionResolutions(sessionId) {
+  const { sessionResolutions } = loadTables();
+
+  return sessionResolutions
+    .filter(row => row.session_id === sessionId)
+    .map(rowMappers.rowToResolution);
+}
+
+// Turn record operations
+async function addSessionTurn(sessionId, turn) {
+  const turnRow = appendRow('sessionTurns', rowMappers.turnToRow(sessionId, turn));
+
+  await saveTable('sessionTurns');
+
+  return { id: turnRow.id };
+}
+
+async function getSessionTurns(sessionId) {
+  const { sessionTurns } = loadTables();
+
+  return sessionTurns
+    .filter(row => row.session_id === sessionId)
+    .map(rowMappers.rowToTurn);
+}
+
+async function getTurnsBetween(startDate, endDate) {
+  const { sessionTurns } = loadTables();
+
+  return sessionTurns
+    .filter(row => isBetween(row.created_at, startDate, endDate))
+    .map(row => ({ ...rowMappers.rowToTurn(row), sessionId: row.session_id }));
+}
+
+// Photo evidence operations
+async function addEvidence(evidence) {
+  const { claimEvidence } = loadTables();
+
+  claimEvidence.push(rowMappers.evidenceToRow(evidence));
+  await saveTable('claimEvidence');
+
+  return { id: evidence.evidenceId };
+}
+
+async function getSessionEvidence(sessionId) {
+  const { claimEvidence } = loadTables();
+
+  return claimEvidence
+    .filter(row => row.session_id === sessionId)
+    .map(rowMappers.rowToEvidence);
+}
+
+async function getEvidenceFingerprints() {
+  const { claimEvidence } = loadTables();
+
+  return claimEvidence.map(rowMappers.rowToEvidence);
+}
+
+// Resolution logging
+async function logResolution(resolutionData) {
+  const { resolutionLogs } = loadTables();
+  const row = {
+    id: `res_log_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    ...rowMappers.resolutionLogToRow(resolutionData)
+  };
+
+  resolutionLogs.push(row);
+  await saveTable('resolutionLogs');
+
+  return { id: row.id };
+}
+
+// Resolution ledger operations
+async function getResolutionLedgerEntries(orderId) {
+  const { resolutionLedger } = loadTables();
+
+  return resolutionLedger
+    .filter(row => row.order_id === orderId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(rowMappers.rowToLedgerEntry);
+}
+
+async function addResolutionLedgerEntry(entry) {
+  const { resolutionLedger } = loadTables();
+
+  // Same rule as the (order_id, issue_type) unique constraint in Supabase (see supabase/migrations)
+  const duplicate = resolutionLedger.some(row =>
+    row.order_id === entry.orderId && row.issue_type === entry.issueType
+  );
+
+  if (duplicate) {
+    throw new Error(`Resolution ledger already has an entry for ${entry.issueType} on order ${entry.orderId}`);
+  }
+
+  resolutionLedger.push(rowMappers.ledgerEntryToRow(entry));
+  await saveTable('resolutionLedger');
+
+  return { id: entry.entryId };
+}
+
+async function removeResolutionLedgerEntry(entryId) {
+  const { resolutionLedger } = loadTables();
+  const index = resolutionLedger.findIndex(row => row.entry_id === entryId);
+
+  if (index >= 0) {
+    resolutionLedger.splice(index, 1);
+    await saveTable('resolutionLedger');
+  }
+
+  return true;
+}
+
+// Resolutions paid out but waiting to be recorded in the ledger
+async function addUnrecordedResolution(entry) {
+  const { unrecordedResolutions } = loadTables();
+
+  unrecordedResolutions.push(rowMappers.ledgerEntryToRow(entry));
+  await saveTable('unrecordedResolutions');
+
+  return { id: entry.entryId };
+}
+
+async function getUnrecordedResolutions() {
+  const { unrecordedResolutions } = loadTables();
+
+  return unrecordedResolutions.map(rowMappers.rowToLedgerEntry);
+}
+
+async function removeUnrecordedResolution(entryId) {
+  const { unrecordedResolutions } = loadTables();
+  const index = unrecordedResolutions.findIndex(row => row.entry_id === entryId);
+
+  if (index >= 0) {
+    unrecordedResolutions.splice(index, 1);
+    await saveTable('unrecordedResolutions');
+  }
+
+  return true;
+}
+
+// Credits ledger operations
+async function getCreditLedgerEntries(customerId) {
+  const { creditLedger } = loadTables();
+
+  return creditLedger
+    .filter(row => row.customer_id === customerId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(rowMappers.rowToCreditEntry);
+}
+
+async function getExpiredCreditGrants(asOf) {
+  const { creditLedger } = loadTables();
+
+  return creditLedger
+    .filter(row => row.type === 'GRANT' && row.remaining_amount > 0 && new Date(row.expires_at) <= asOf)
+    .map(rowMappers.rowToCreditEntry);
+}
+
+async function addCreditLedgerEntry(entry) {
+  const { creditLedger } = loadTables();
+
+  creditLedger.push(rowMappers.creditEntryToRow(entry));
+  await saveTable('creditLedger');
+
+  return { id: entry.entryId };
+}
+
+async function updateCreditGrant(creditId, updateData) {
+  const { creditLedger } = loadTables();
+  const row = creditLedger.find(entry => entry.type === 'GRANT' && entry.credit_id === creditId);
+
+  if (!row) {
+    throw new Error(`Credits grant not found: ${creditId}`);
+  }
+
+  Object.assign(row, rowMappers.creditGrantUpdateToRow(updateData));
+  await saveTable('creditLedger');
+
+  return true;
+}
+
+// Credits ledger entries waiting to be written again
+async function addUnrecordedCreditEntry(entry) {
+  const { unrecordedCreditEntries } = loadTables();
+
+  unrecordedCreditEntries.push(rowMappers.creditEntryToRow(entry));
+  await saveTable('unrecordedCreditEntries');
+
+  return { id: entry.entryId };
+}
+
+async function getUnrecordedCreditEntries() {
+  const { unrecordedCreditEntries } = loadTables();
+
+  return unrecordedCreditEntries.map(rowMappers.rowToCreditEntry);
+}
+
+async function removeUnrecordedCreditEntry(entryId) {
+  const { unrecordedCreditEntries } = loadTables();
+  const index = unrecordedCreditEntries.findIndex(row => row.entry_id === entryId);
+
+  if (index >= 0) {
+    unrecordedCreditEntries.splice(index, 1);
+    await saveTable('unrecordedCreditEntries');
+  }
+
+  return true;
+}
+
+// Refund tracking operations
+async function addRefund(refund) {
+  const { refunds } = loadTables();
+
+  refunds.push(rowMappers.refundToRow(refund));
+  await saveTable('refunds');
+
+  return { id: refund.refundId };
+}
+
+async function updateRefund(refundId, updateData) {
+  const { refunds } = loadTables();
+  const row = refunds.find(refund => refund.refund_id === refundId);
+
+  if (!row) {
+    throw new Error(`Refund not found: ${refundId}`);
+  }
+
+  Object.assign(row, rowMappers.refundUpdateToRow(updateData));
+  await saveTable('refunds');
+
+  return true;
+}
+
+async function getCustomerRefunds(customerId) {
+  const { refunds } = loadTables();
+
+  return refunds
+    .filter(row => row.customer_id === customerId)
+    .map(rowMappers.rowToRefund);
+}
+
+async function getOrderRefunds(orderId) {
+  const { refunds } = loadTables();
+
+  return refunds
+    .filter(row => row.order_id === orderId)
+    .map(rowMappers.rowToRefund);
+}
+
+async function getOpenRefunds() {
+  const { refunds } = loadTables();
+
+  return refunds
+    .filter(row => row.state === 'INITIATED' || row.state === 'PROCESSING')
+    .map(rowMappers.rowToRefund);
+}
+
+async function getQueuedRefunds() {
+  const { refunds } = loadTables();
+
+  return refunds
+    .filter(row => row.state === 'QUEUED')
+    .map(rowMappers.rowToRefund);
+}
+
+// Escalation queue operations
+async function createEscalationTicket(ticket) {
+  const { escalationTickets } = loadTables();
+
+  escalationTickets.push(rowMappers.ticketToRow(ticket));
+  await saveTable('escalationTickets');
+
+  return { id: ticket.ticketId };
+}
+
+async function updateEscalationTicket(ticketId, updateData) {
+  const { escalationTickets } = loadTables();
+  const row = escalationTickets.find(ticket => ticket.ticket_id === ticketId);
+
+  if (!row) {
+    throw new Error(`Escalation ticket not found: ${ticketId}`);
+  }
+
+  Object.assign(row, rowMappers.ticketUpdateToRow(updateData));
+  await saveTable('escalationTickets');
+
+  return true;
+}
+
+async function getOpenEscalationTickets() {
+  const { escalationTickets } = loadTables();
+
+  return escalationTickets
+    .filter(row => row.status === 'WAITING' || row.status === 'ASSIGNED')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(rowMappers.rowToTicket);
+}
+
+// Analytics operations
+async function getCustomerResolutionHistory(customerId, limit) {
+  const { resolutionLogs } = loadTables();
+
+  return resolutionLogs
+    .filter(row => row.customer_id === customerId)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit);
+}
+
+async function getResolutionLogs(startDate, endDate) {
+  const { resolutionLogs } = loadTables();
+
+  return resolutionLogs
+    .filter(row => isBetween(row.created_at, startDate, endDate))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+async function getRestaurantResolutionStats(restaurantId, startDate, endDate) {
+  const { resolutionLogs } = loadTables();
+
+  const rows = resolutionLogs.filter(row => {
+    const createdAt = new Date(row.created_at);
+
+    return row.metadata && row.metadata.restaurantId === restaurantId &&
+      createdAt >= startDate && createdAt <= endDate;
+  });
+
+  return rowMappers.summarizeResolutionStats(rows);
+}
+
+/**
+ * Check that a row's timestamp falls inside a period
+ * @param {string} timestamp - Row timestamp
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @returns {boolean} Whether the row is in the period
+ */
+function isBetween(timestamp, startDate, endDate) {
+  const createdAt = new Date(timestamp);
+
+  return createdAt >= startDate && createdAt <= endDate;
+}
+
+/**
+ * Get the stored row for a session
+ * @param {string} sessionId - ID of the session
+ * @returns {object} Session row
+ */
+function getSessionRow(sessionId) {
+  const { sessions } = loadTables();
+  const row = sessions[sessionId];
+
+  if (!row) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+
+  return row;
+}
+
+/**
+ * Append a row to an append-only table, giving it the next ID in the table
+ * @param {string} tableName - Name of the table
+ * @param {object} row - Row to append
+ * @returns {object} Stored row
+ */
+function appendRow(tableName, row) {
+  const table = loadTables()[tableName];
+  const lastRow = table[table.length - 1];
+  const storedRow = { id: lastRow ? lastRow.id + 1 : 1, ...row };
+
+  table.push(storedRow);
+
+  return storedRow;
+}
+
+/**
+ * Load every table from disk the first time the store is used
+ * @returns {object} Tables ({ sessions, sessionMessages, sessionResolutions, sessionTurns, claimEvidence, resolutionLogs, resolutionLedger, unrecordedResolutions, creditLedger, unrecordedCreditEntries, refunds, escalationTickets })
+ */
+function loadTables() {
+  if (tables) {
+    return tables;
+  }
+
+  fs.mkdirSync(DATA_DIRECTORY, { recursive: true });
+
+  tables = {
+    sessions: readTableFile(TABLE_FILES.sessions, {}),
+    sessionMessages: readTableFile(TABLE_FILES.sessionMessages, []),
+    sessionResolutions: readTableFile(TABLE_FILES.sessionResolutions, []),
+    sessionTurns: readTableFile(TABLE_FILES.sessionTurns, []),
+    claimEvidence: readTableFile(TABLE_FILES.claimEvidence, []),
+    resolutionLogs: readTableFile(TABLE_FILES.resolutionLogs, []),
+    resolutionLedger: readTableFile(TABLE_FILES.resolutionLedger, []),
+    unrecordedResolutions: readTableFile(TABLE_FILES.unrecordedResolutions, []),
+    creditLedger: readTableFile(TABLE_FILES.creditLedger, []),
+    unrecordedCreditEntries: readTableFile(TABLE_FILES.unrecordedCreditEntries, []),
+    refunds: readTableFile(TABLE_FILES.refunds, []),
+    escalationTickets: readTableFile(TABLE_FILES.escalationTickets, [])
+  };
+
+  return tables;
+}
+
+/**
+ * Read a table file, falling back to an empty table
+ * @param {string} fileName - Table file name
+ * @param {object|array} emptyTable - Value used when the file doesn't exist
+ * @returns {object|array} Table contents
+ */
+function readTableFile(fileName, emptyTable) {
+  const filePath = path.join(DATA_DIRECTORY, fileName);
+
+  if (!fs.existsSync(filePath)) {
+    return emptyTable;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error('Error reading local table file', { file: fileName, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Write a table to disk after any earlier writes finish
+ *
+ * The table is written to a temporary file and renamed into place, so a crash
+ * mid-write leaves the previous version intact.
+ *
+ * @param {string} tableName - Name of the table
+ */
+async function saveTable(tableName) {
+  const filePath = path.join(DATA_DIRECTORY, TABLE_FILES[tableName]);
+  const write = async () => {
+    const contents = JSON.stringify(tables[tableName], null, 2);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.writeFile(tempPath, contents, 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  writeQueue = writeQueue.catch(() => {}).then(write);
+
+  return writeQueue;
+}
+
+module.exports = {
+  initialize,
+  createSession,
+  getSession,
+  updateSession,
+  getEscalatedSessionIds,
+  addMessageToSession,
+  getSessionMessages,
+  countSessionMessages,
+  addResolutionToSession,
+  addSessionTurn,
+  getSessionTurns,
+  getTurnsBetween,
+  addEvidence,
+  getSessionEvidence,
+  getEvidenceFingerprints,
+  getSessionResolutions,
+  logResolution,
+  getResolutionLedgerEntries,
+  addResolutionLedgerEntry,
+  removeResolutionLedgerEntry,
+  addUnrecordedResolution,
+  getUnrecordedResolutions,
+  removeUnrecordedResolution,
+  getCreditLedgerEntries,
+  getExpiredCreditGrants,
+  addCreditLedgerEntry,
+  updateCreditGrant,
+  addUnrecordedCreditEntry,
+  getUnrecordedCreditEntries,
+  removeUnrecordedCreditEntry,
+  addRefund,
+  updateRefund,
+  getCustomerRefunds,
+  getOrderRefunds,
+  getOpenRefunds,
+  getQueuedRefunds,
+  createEscalationTicket,
+  updateEscalationTicket,
+  getOpenEscalationTickets,
+  getCustomerResolutionHistory,
+  getResolutionLogs,
+  getRestaurantResolutionStats
+};
\ No newline at end of file
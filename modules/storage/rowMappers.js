@@ -0,0 +1,624 @@
+// modules/storage/rowMappers.js
+
+/**
+ * Convert a new session to a sessions table row
+ * @param {object} sessionData - Session data
+ * @returns {object} Session row
+ */
+function sessionToRow(sessionData) {
+  return {
+    session_id: sessionData.sessionId,
+    customer_id: sessionData.customerId,
+    customer_info: sessionData.customerInfo,
+    order_ids: sessionData.orderIds,
+    order_details: sessionData.orderDetails,
+    created_at: new Date().toISOString(),
+    last_activity_at: new Date().toISOString(),
+    status: 'active',
+    escalated: false,
+    escalated_at: null,
+    escalation_reason: null,
+    assigned_agent: null,
+    handled_escalation_reasons: sessionData.handledEscalationReasons || [],
+    dialogue_state: sessionData.dialogueState || null,
+    pending_offer: sessionData.pendingOffer || null,
+    ended_at: null,
+    end_reason: null
+  };
+}
+
+/**
+ * Convert a sessions table row to session data
+ *
+ * Messages and resolutions live in their own tables, so the adapter fills in
+ * conversationHistory, messageCount and resolutions.
+ *
+ * @param {object} row - Session row
+ * @returns {object} Session data
+ */
+function rowToSession(row) {
+  return {
+    sessionId: row.session_id,
+    customerId: row.customer_id,
+    customerInfo: row.customer_info,
+    orderIds: row.order_ids,
+    orderDetails: row.order_details,
+    conversationHistory: [],
+    messageCount: 0,
+    createdAt: row.created_at,
+    lastActivityAt: row.last_activity_at,
+    status: row.status,
+    escalated: row.escalated,
+    escalatedAt: row.escalated_at || null,
+    escalationReason: row.escalation_reason || null,
+    assignedAgent: row.assigned_agent || null,
+    handledEscalationReasons: row.handled_escalation_reasons || [],
+    resolutions: [],
+    dialogueState: row.dialogue_state || null,
+    pendingOffer: row.pending_offer || null,
+    endedAt: row.ended_at || null,
+    endReason: row.end_reason || null
+  };
+}
+
+/**
+ * Convert session updates to sessions table columns
+ * @param {object} updateData - Fields to update
+ * @returns {object} Column updates
+ */
+function sessionUpdateToRow(updateData) {
+  const rowUpdate = {};
+  
+  if (updateData.status) {
+    rowUpdate.status = updateData.status;
+  }
+  
+  if (updateData.escalated !== undefined) {
+    rowUpdate.escalated = updateData.escalated;
+  }
+  
+  if (updateData.escalatedAt !== undefined) {
+    rowUpdate.escalated_at = updateData.escalatedAt ? new Date(updateData.escalatedAt).toISOString() : null;
+  }
+  
+  if (updateData.escalationReason !== undefined) {
+    rowUpdate.escalation_reason = updateData.escalationReason;
+  }
+  
+  if (updateData.assignedAgent !== undefined) {
+    rowUpdate.assigned_agent = updateData.assignedAgent;
+  }
+  
+  if (updateData.handledEscalationReasons) {
+    rowUpdate.handled_escalation_reasons = updateData.handledEscalationReasons;
+  }
+  
+  if (updateData.orderIds) {
+    rowUpdate.order_ids = updateData.orderIds;
+  }
+  
+  if (updateData.dialogueState !== undefined) {
+    rowUpdate.dialogue_state = updateData.dialogueState;
+  }
+  
+  if (updateData.pendingOffer !== undefined) {
+    rowUpdate.pending_offer = updateData.pendingOffer;
+  }
+  
+  if (updateData.endedAt) {
+    rowUpdate.ended_at = new Date(updateData.endedAt).toISOString();
+  }
+  
+  if (updateData.endReason) {
+    rowUpdate.end_reason = updateData.endReason;
+  }
+  
+  // Always update last activity time
+  rowUpdate.last_activity_at = new Date().toISOString();
+  
+  return rowUpdate;
+}
+
+/**
+ * Convert a conversation message to a session_messages table row
+ * @param {string} sessionId - ID of the session
+ * @param {object} message - Message ({ role, content, timestamp })
+ * @returns {object} Message row
+ */
+function messageToRow(sessionId, message) {
+  return {
+    session_id: sessionId,
+    role: message.role,
+    content: message.content,
+    created_at: new Date(message.timestamp || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Convert a session_messages table row to a conversation message
+ * @param {object} row - Message row
+ * @returns {object} Message
+ */
+function rowToMessage(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    timestamp: row.created_at
+  };
+}
+
+/**
+ * Convert a session resolution to a session_resolutions table row
+ * @param {string} sessionId - ID of the session
+ * @param {object} resolution - Resolution ({ type, orderId, amount, timestamp, success })
+ * @returns {object} Resolution row
+ */
+function resolutionToRow(sessionId, resolution) {
+  return {
+    session_id: sessionId,
+    resolution_type: resolution.type,
+    order_id: resolution.orderId,
+    amount: resolution.amount,
+    success: resolution.success,
+    created_at: new Date(resolution.timestamp || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Convert a session_resolutions table row to a session resolution
+ * @param {object} row - Resolution row
+ * @returns {object} Resolution
+ */
+function rowToResolution(row) {
+  return {
+    id: row.id,
+    type: row.resolution_type,
+    orderId: row.order_id,
+    amount: row.amount,
+    timestamp: row.created_at,
+    success: row.success
+  };
+}
+
+/**
+ * Convert a turn record to a session_turns table row
+ * @param {string} sessionId - ID of the session
+ * @param {object} turn - Turn record (see turnLog.startTurn)
+ * @returns {object} Turn row
+ */
+function turnToRow(sessionId, turn) {
+  return {
+    session_id: sessionId,
+    handled_intent: turn.handledIntent,
+    outcome: turn.outcome,
+    order_id: turn.orderId,
+    record: turn,
+    created_at: new Date(turn.timestamp || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Convert a session_turns table row to a turn record
+ * @param {object} row - Turn row
+ * @returns {object} Turn record
+ */
+function rowToTurn(row) {
+  return {
+    ...row.record,
+    id: row.id,
+    timestamp: row.created_at
+  };
+}
+
+/**
+ * Convert a photo evidence record to a claim_evidence table row
+ * @param {object} evidence - Evidence record
+ * @returns {object} Evidence row
+ */
+function evidenceToRow(evidence) {
+  return {
+    evidence_id: evidence.evidenceId,
+    session_id: evidence.sessionId,
+    customer_id: evidence.customerId,
+    order_id: evidence.orderId,
+    kind: evidence.kind,
+    content_type: evidence.contentType,
+    file_path: evidence.filePath,
+    size_bytes: evidence.sizeBytes,
+    sha256: evidence.sha256,
+    perceptual_hash: evidence.perceptualHash,
+    taken_at: evidence.takenAt ? new Date(evidence.takenAt).toISOString() : null,
+    duplicate_of: evidence.duplicateOf,
+    flags: evidence.flags,
+    created_at: new Date(evidence.uploadedAt || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Convert a claim_evidence table row to a photo evidence record
+ * @param {object} row - Evidence row
+ * @returns {object} Evidence record
+ */
+function rowToEvidence(row) {
+  return {
+    evidenceId: row.evidence_id,
+    sessionId: row.session_id,
+    customerId: row.customer_id,
+    orderId: row.order_id,
+    kind: row.kind,
+    contentType: row.content_type,
+    filePath: row.file_path,
+    sizeBytes: row.size_bytes,
+    sha256: row.sha256,
+    perceptualHash: row.perceptual_hash,
+    takenAt: row.taken_at,
+    duplicateOf: row.duplicate_of || [],
+    flags: row.flags || [],
+    uploadedAt: row.created_at
+  };
+}
+
+/**
+ * Convert a resolution log to a resolution_logs table row
+ * @param {object} resolutionData - Resolution log data
+ * @returns {object} Resolution log row
+ */
+function resolutionLogToRow(resolutionData) {
+  return {
+    session_id: resolutionData.sessionId,
+    customer_id: resolutionData.customerId,
+    order_id: resolutionData.orderId,
+    resolution_type: resolutionData.resolutionType,
+    amount: resolutionData.amount,
+    reason: resolutionData.reason,
+    agent_type: resolutionData.agentType || 'AI',
+    created_at: new Date().toISOString(),
+    success: resolutionData.success,
+    metadata: resolutionData.metadata
+  };
+}
+
+/**
+ * Convert a ledger entry to a resolution_ledger table row
+ * @param {object} entry - Ledger entry
+ * @returns {object} Ledger row
+ */
+function ledgerEntryToRow(entry) {
+  return {
+    entry_id: entry.entryId,
+    order_id: entry.orderId,
+    issue_type: entry.issueType,
+    resolution_type: entry.resolutionType,
+    amount: entry.amount,
+    customer_id: entry.customerId,
+    session_id: entry.sessionId,
+    transaction_id: entry.transactionId,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Convert a resolution_ledger table row to a ledger entry
+ * @param {object} row - Ledger row
+ * @returns {object} Ledger entry
+ */
+function rowToLedgerEntry(row) {
+  return {
+    entryId: row.entry_id,
+    orderId: row.order_id,
+    issueType: row.issue_type,
+    resolutionType: row.resolution_type,
+    amount: row.amount,
+    customerId: row.customer_id,
+    sessionId: row.session_id,
+    transactionId: row.transaction_id,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Convert a credits ledger entry to a credit_ledger table row
+ * @param {object} entry - Credits ledger entry
+ * @returns {object} Credits ledger row
+ */
+function creditEntryToRow(entry) {
+  return {
+    entry_id: entry.entryId,
+    customer_id: entry.customerId,
+    credit_id: entry.creditId,
+    type: entry.type,
+    amount: entry.amount,
+    remaining_amount: entry.remainingAmount,
+    reason: entry.reason,
+    order_id: entry.orderId,
+    issue_type: entry.issueType,
+    session_id: entry.sessionId,
+    expires_at: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+    created_at: new Date(entry.createdAt || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Convert a credit_ledger table row to a credits ledger entry
+ * @param {object} row - Credits ledger row
+ * @returns {object} Credits ledger entry
+ */
+function rowToCreditEntry(row) {
+  return {
+    entryId: row.entry_id,
+    customerId: row.customer_id,
+    creditId: row.credit_id,
+    type: row.type,
+    amount: row.amount,
+    remainingAmount: row.remaining_amount,
+    reason: row.reason,
+    orderId: row.order_id,
+    issueType: row.issue_type,
+    sessionId: row.session_id,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Convert changes to a credits grant to credit_ledger column updates
+ * @param {object} updateData - Grant fields to change
+ * @returns {object} Column updates
+ */
+function creditGrantUpdateToRow(updateData) {
+  const rowUpdate = {};
+  
+  if (updateData.remainingAmount !== undefined) {
+    rowUpdate.remaining_amount = updateData.remainingAmount;
+  }
+  
+  return rowUpdate;
+}
+
+/**
+ * Convert a tracked refund to a refunds table row
+ * @param {object} refund - Tracked refund
+ * @returns {object} Refund row
+ */
+function refundToRow(refund) {
+  return {
+    refund_id: refund.refundId,
+    order_id: refund.orderId,
+    customer_id: refund.customerId,
+    session_id: refund.sessionId,
+    payment_id: refund.paymentId,
+    issue_type: refund.issueType,
+    amount: refund.amount,
+    destination: refund.destination,
+    payment_method: refund.paymentMethod,
+    max_days: refund.maxDays,
+    reason: refund.reason,
+    idempotency_key: refund.idempotencyKey,
+    gateway_refund_id: refund.gatewayRefundId,
+    attempts: refund.attempts,
+    last_error: refund.lastError,
+    state: refund.state,
+    estimated_credit_days: refund.estimatedCreditDays,
+    expected_by: new Date(refund.expectedBy).toISOString(),
+    failure_reason: refund.failureReason,
+    history: refund.history,
+    created_at: new Date(refund.createdAt).toISOString(),
+    updated_at: new Date(refund.updatedAt).toISOString(),
+    settled_at: refund.settledAt ? new Date(refund.settledAt).toISOString() : null
+  };
+}
+
+/**
+ * Convert a refunds table row to a tracked refund
+ * @param {object} row - Refund row
+ * @returns {object} Tracked refund
+ */
+function rowToRefund(row) {
+  return {
+    refundId: row.refund_id,
+    orderId: row.order_id,
+    customerId: row.customer_id,
+    sessionId: row.session_id,
+    paymentId: row.payment_id,
+    issueType: row.issue_type,
+    amount: row.amount,
+    destination: row.destination || 'SOURCE',
+    paymentMethod: row.payment_method,
+    maxDays: row.max_days === undefined ? null : row.max_days,
+    reason: row.reason,
+    idempotencyKey: row.idempotency_key,
+    gatewayRefundId: row.gateway_refund_id,
+    attempts: row.attempts || 0,
+    lastError: row.last_error,
+    state: row.state,
+    estimatedCreditDays: row.estimated_credit_days,
+    expectedBy: row.expected_by,
+    failureReason: row.failure_reason,
+    history: row.history || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    settledAt: row.settled_at
+  };
+}
+
+/**
+ * Convert changes to a tracked refund to refunds column updates
+ * @param {object} updateData - Refund fields to change
+ * @returns {object} Column updates
+ */
+function refundUpdateToRow(updateData) {
+  const rowUpdate = {};
+  
+  if (updateData.state) {
+    rowUpdate.state = updateData.state;
+  }
+  
+  if (updateData.failureReason !== undefined) {
+    rowUpdate.failure_reason = updateData.failureReason;
+  }
+  
+  if (updateData.gatewayRefundId) {
+    rowUpdate.gateway_refund_id = updateData.gatewayRefundId;
+  }
+  
+  if (updateData.attempts !== undefined) {
+    rowUpdate.attempts = updateData.attempts;
+  }
+  
+  if (updateData.lastError !== undefined) {
+    rowUpdate.last_error = updateData.lastError;
+  }
+  
+  if (updateData.estimatedCreditDays) {
+    rowUpdate.estimated_credit_days = updateData.estimatedCreditDays;
+  }
+  
+  if (updateData.expectedBy) {
+    rowUpdate.expected_by = new Date(updateData.expectedBy).toISOString();
+  }
+  
+  if (updateData.history) {
+    rowUpdate.history = updateData.history;
+  }
+  
+  if (updateData.updatedAt) {
+    rowUpdate.updated_at = new Date(updateData.updatedAt).toISOString();
+  }
+  
+  if (updateData.settledAt) {
+    rowUpdate.settled_at = new Date(updateData.settledAt).toISOString();
+  }
+  
+  return rowUpdate;
+}
+
+/**
+ * Convert an escalation ticket to an escalation_tickets table row
+ * @param {object} ticket - Escalation ticket
+ * @returns {object} Ticket row
+ */
+function ticketToRow(ticket) {
+  return {
+    ticket_id: ticket.ticketId,
+    session_id: ticket.sessionId,
+    customer_id: ticket.customerId,
+    priority: ticket.priority,
+    reason: ticket.reason,
+    status: ticket.status,
+    created_at: new Date(ticket.createdAt).toISOString(),
+    sla_deadline: new Date(ticket.slaDeadline).toISOString(),
+    assigned_agent_id: ticket.assignedAgentId || null,
+    assigned_at: null,
+    closed_at: null,
+    breached_at: null
+  };
+}
+
+/**
+ * Convert an escalation_tickets table row to an escalation ticket
+ * @param {object} row - Ticket row
+ * @returns {object} Escalation ticket
+ */
+function rowToTicket(row) {
+  return {
+    ticketId: row.ticket_id,
+    sessionId: row.session_id,
+    customerId: row.customer_id,
+    priority: row.priority,
+    reason: row.reason,
+    status: row.status,
+    createdAt: row.created_at,
+    slaDeadline: row.sla_deadline,
+    assignedAgentId: row.assigned_agent_id || null,
+    assignedAt: row.assigned_at || null,
+    closedAt: row.closed_at || null,
+    breachedAt: row.breached_at || null
+  };
+}
+
+/**
+ * Convert escalation ticket updates to escalation_tickets table columns
+ * @param {object} updateData - Fields to update
+ * @returns {object} Column updates
+ */
+function ticketUpdateToRow(updateData) {
+  const rowUpdate = {};
+  
+  if (updateData.status) {
+    rowUpdate.status = updateData.status;
+  }
+  
+  if (updateData.assignedAgentId !== undefined) {
+    rowUpdate.assigned_agent_id = updateData.assignedAgentId;
+  }
+  
+  if (updateData.assignedAt) {
+    rowUpdate.assigned_at = new Date(updateData.assignedAt).toISOString();
+  }
+  
+  if (updateData.closedAt) {
+    rowUpdate.closed_at = new Date(updateData.closedAt).toISOString();
+  }
+  
+  if (updateData.breachedAt) {
+    rowUpdate.breached_at = new Date(updateData.breachedAt).toISOString();
+  }
+  
+  return rowUpdate;
+}
+
+/**
+ * Summarize resolution log rows for a restaurant
+ * @param {array} rows - Resolution log rows
+ * @returns {object} Resolution stats
+ */
+function summarizeResolutionStats(rows) {
+  const result = {
+    totalResolutions: rows.length,
+    refundCount: 0,
+    redeliveryCount: 0,
+    creditCount: 0,
+    totalRefundAmount: 0
+  };
+  
+  rows.forEach(item => {
+    if (item.resolution_type === 'REFUND') {
+      result.refundCount++;
+      result.totalRefundAmount += item.amount || 0;
+    } else if (item.resolution_type === 'REDELIVERY') {
+      result.redeliveryCount++;
+    } else if (item.resolution_type === 'CREDIT') {
+      result.creditCount++;
+    }
+  });
+  
+  return result;
+}
+
+module.exports = {
+  sessionToRow,
+  rowToSession,
+  sessionUpdateToRow,
+  messageToRow,
+  rowToMessage,
+  resolutionToRow,
+  rowToResolution,
+  turnToRow,
+  rowToTurn,
+  evidenceToRow,
+  rowToEvidence,
+  resolutionLogToRow,
+  ledgerEntryToRow,
+  rowToLedgerEntry,
+  creditEntryToRow,
+  rowToCreditEntry,
+  creditGrantUpdateToRow,
+  refundToRow,
+  rowToRefund,
+  refundUpdateToRow,
+  ticketToRow,
+  rowToTicket,
+  ticketUpdateToRow,
+  summarizeResolutionStats
+};
\ No newline at end of file
@@ -0,0 +1,706 @@
+// modules/storage/supabaseAdapter.js
+
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../../utilities/logger');
+const config = require('../../config/appConfig');
+const rowMappers = require('./rowMappers');
+
+// Initialize Supabase client
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.apiKey
+);
+
+/**
+ * Check the Supabase connection
+ * @returns {boolean} Whether Supabase is reachable
+ */
+async function initialize() {
+  logger.info('Checking Supabase connection');
+  const { error } = await supabase.from('sessions').select('count');
+  
+  if (error) {
+    logger.error('Error connecting to Supabase', { error: error.message });
+    return false;
+  }
+  
+  logger.info('Connected to Supabase successfully');
+  return true;
+}
+
+// Session operations
+async function createSession(sessionData) {
+  const { error } = await supabase
+    .from('sessions')
+    .insert([rowMappers.sessionToRow(sessionData)]);
+  
+  if (error) {
+    logger.error('Error creating session in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: sessionData.sessionId };
+}
+
+async function getSession(sessionId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('session_id', sessionId)
+    .single();
+  
+  if (error) {
+    logger.error('Error retrieving session from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  if (!data) {
+    return null;
+  }
+  
+  const session = rowMappers.rowToSession(data);
+  const [history, messageCount, resolutions] = await Promise.all([
+    getSessionMessages(sessionId, { limit: config.sessions.historyWindow }),
+    countSessionMessages(sessionId),
+    getSessionResolutions(sessionId)
+  ]);
+  
+  session.conversationHistory = history.messages;
+  session.messageCount = messageCount;
+  session.resolutions = resolutions;
+  
+  return session;
+}
+
+async function updateSession(sessionId, updateData) {
+  const { error } = await supabase
+    .from('sessions')
+    .update(rowMappers.sessionUpdateToRow(updateData))
+    .eq('session_id', sessionId);
+  
+  if (error) {
+    logger.error('Error updating session in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+async function getEscalatedSessionIds() {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('session_id')
+    .eq('escalated', true)
+    .eq('status', 'active');
+  
+  if (error) {
+    logger.error('Error retrieving escalated sessions from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(row => row.session_id);
+}
+
+// Message operations
+async function addMessageToSession(sessionId, message) {
+  // Each message is its own row, so concurrent messages on a session never overwrite each other
+  const { data, error } = await supabase
+    .from('session_messages')
+    .insert([rowMappers.messageToRow(sessionId, message)])
+    .select('id')
+    .single();
+  
+  if (error) {
+    logger.error('Error adding message to session', { error: error.message });
+    throw error;
+  }
+  
+  await updateSession(sessionId, {});
+  
+  return { id: data.id };
+}
+
+async function getSessionMessages(sessionId, { limit, before } = {}) {
+  // Newest first so the limit keeps the most recent page, then flipped back to chronological order
+  let query = supabase
+    .from('session_messages')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+  
+  if (before) {
+    query = query.lt('id', before);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) {
+    logger.error('Error retrieving session messages from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return {
+    messages: data.slice(0, limit).reverse().map(rowMappers.rowToMessage),
+    hasMore: data.length > limit
+  };
+}
+
+async function countSessionMessages(sessionId) {
+  const { count, error } = await supabase
+    .from('session_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('session_id', sessionId);
+  
+  if (error) {
+    logger.error('Error counting session messages in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return count;
+}
+
+// Session resolution operations
+async function addResolutionToSession(sessionId, resolution) {
+  const { data, error } = await supabase
+    .from('session_resolutions')
+    .insert([rowMappers.resolutionToRow(sessionId, resolution)])
+    .select('id')
+    .single();
+  
+  if (error) {
+    logger.error('Error adding resolution to session', { error: error.message });
+    throw error;
+  }
+  
+  await updateSession(sessionId, {});
+  
+  return { id: data.id };
+}
+
+async function getSessionResolutions(sessionId) {
+  const { data, error } = await supabase
+    .from('session_resolutions')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('id', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving session resolutions from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToResolution);
+}
+
+// Turn record operations
+async function addSessionTurn(sessionId, turn) {
+  const { data, error } = await supabase
+    .from('session_turns')
+    .insert([rowMappers.turnToRow(sessionId, turn)])
+    .select('id')
+    .single();
+  
+  if (error) {
+    logger.error('Error adding turn to session', { error: error.message });
+    throw error;
+  }
+  
+  return { id: data.id };
+}
+
+async function getSessionTurns(sessionId) {
+  const { data, error } = await supabase
+    .from('session_turns')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('id', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving session turns from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToTurn);
+}
+
+async function getTurnsBetween(startDate, endDate) {
+  const { data, error } = await supabase
+    .from('session_turns')
+    .select('*')
+    .gte('created_at', startDate.toISOString())
+    .lte('created_at', endDate.toISOString())
+    .order('id', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving turns for period from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(row => ({ ...rowMappers.rowToTurn(row), sessionId: row.session_id }));
+}
+
+// Photo evidence operations
+async function addEvidence(evidence) {
+  const { error } = await supabase
+    .from('claim_evidence')
+    .insert([rowMappers.evidenceToRow(evidence)]);
+  
+  if (error) {
+    logger.error('Error adding evidence in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: evidence.evidenceId };
+}
+
+async function getSessionEvidence(sessionId) {
+  const { data, error } = await supabase
+    .from('claim_evidence')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving session evidence from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToEvidence);
+}
+
+async function getEvidenceFingerprints() {
+  const { data, error } = await supabase
+    .from('claim_evidence')
+    .select('evidence_id, session_id, customer_id, order_id, perceptual_hash');
+  
+  if (error) {
+    logger.error('Error retrieving evidence fingerprints from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToEvidence);
+}
+
+// Resolution logging
+async function logResolution(resolutionData) {
+  const { data, error } = await supabase
+    .from('resolution_logs')
+    .insert([rowMappers.resolutionLogToRow(resolutionData)]);
+  
+  if (error) {
+    logger.error('Error logging resolution in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: data[0].id };
+}
+
+// Resolution ledger operations
+async function getResolutionLedgerEntries(orderId) {
+  const { data, error } = await supabase
+    .from('resolution_ledger')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving resolution ledger from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToLedgerEntry);
+}
+
+async function addResolutionLedgerEntry(entry) {
+  // The (order_id, issue_type) unique constraint rejects a second entry for the same issue
+  const { error } = await supabase
+    .from('resolution_ledger')
+    .insert([rowMappers.ledgerEntryToRow(entry)]);
+  
+  if (error) {
+    logger.error('Error adding resolution ledger entry in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: entry.entryId };
+}
+
+async function removeResolutionLedgerEntry(entryId) {
+  const { error } = await supabase
+    .from('resolution_ledger')
+    .delete()
+    .eq('entry_id', entryId);
+  
+  if (error) {
+    logger.error('Error removing resolution ledger entry from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+// Resolutions paid out but waiting to be recorded in the ledger
+async function addUnrecordedResolution(entry) {
+  const { error } = await supabase
+    .from('unrecorded_resolutions')
+    .insert([rowMappers.ledgerEntryToRow(entry)]);
+  
+  if (error) {
+    logger.error('Error queueing resolution ledger entry in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: entry.entryId };
+}
+
+async function getUnrecordedResolutions() {
+  const { data, error } = await supabase
+    .from('unrecorded_resolutions')
+    .select('*')
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving queued resolution ledger entries from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToLedgerEntry);
+}
+
+async function removeUnrecordedResolution(entryId) {
+  const { error } = await supabase
+    .from('unrecorded_resolutions')
+    .delete()
+    .eq('entry_id', entryId);
+  
+  if (error) {
+    logger.error('Error removing queued resolution ledger entry from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+// Credits ledger operations
+async function getCreditLedgerEntries(customerId) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('*')
+    .eq('customer_id', customerId)
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving credits ledger from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToCreditEntry);
+}
+
+async function getExpiredCreditGrants(asOf) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('*')
+    .eq('type', 'GRANT')
+    .gt('remaining_amount', 0)
+    .lte('expires_at', asOf.toISOString());
+  
+  if (error) {
+    logger.error('Error retrieving expired credits from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToCreditEntry);
+}
+
+async function addCreditLedgerEntry(entry) {
+  const { error } = await supabase
+    .from('credit_ledger')
+    .insert([rowMappers.creditEntryToRow(entry)]);
+  
+  if (error) {
+    logger.error('Error adding credits ledger entry in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: entry.entryId };
+}
+
+async function updateCreditGrant(creditId, updateData) {
+  const { error } = await supabase
+    .from('credit_ledger')
+    .update(rowMappers.creditGrantUpdateToRow(updateData))
+    .eq('type', 'GRANT')
+    .eq('credit_id', creditId);
+  
+  if (error) {
+    logger.error('Error updating credits grant in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+// Credits ledger entries waiting to be written again
+async function addUnrecordedCreditEntry(entry) {
+  const { error } = await supabase
+    .from('unrecorded_credit_entries')
+    .insert([rowMappers.creditEntryToRow(entry)]);
+  
+  if (error) {
+    logger.error('Error queueing credits ledger entry in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: entry.entryId };
+}
+
+async function getUnrecordedCreditEntries() {
+  const { data, error } = await supabase
+    .from('unrecorded_credit_entries')
+    .select('*')
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving queued credits ledger entries from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToCreditEntry);
+}
+
+async function removeUnrecordedCreditEntry(entryId) {
+  const { error } = await supabase
+    .from('unrecorded_credit_entries')
+    .delete()
+    .eq('entry_id', entryId);
+  
+  if (error) {
+    logger.error('Error removing queued credits ledger entry from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+// Refund tracking operations
+async function addRefund(refund) {
+  const { error } = await supabase
+    .from('refunds')
+    .insert([rowMappers.refundToRow(refund)]);
+  
+  if (error) {
+    logger.error('Error adding refund in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: refund.refundId };
+}
+
+async function updateRefund(refundId, updateData) {
+  const { error } = await supabase
+    .from('refunds')
+    .update(rowMappers.refundUpdateToRow(updateData))
+    .eq('refund_id', refundId);
+  
+  if (error) {
+    logger.error('Error updating refund in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+async function getCustomerRefunds(customerId) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('customer_id', customerId);
+  
+  if (error) {
+    logger.error('Error retrieving customer refunds from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToRefund);
+}
+
+async function getOrderRefunds(orderId) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('order_id', orderId);
+  
+  if (error) {
+    logger.error('Error retrieving order refunds from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToRefund);
+}
+
+async function getOpenRefunds() {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .in('state', ['INITIATED', 'PROCESSING']);
+  
+  if (error) {
+    logger.error('Error retrieving open refunds from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToRefund);
+}
+
+async function getQueuedRefunds() {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('state', 'QUEUED');
+  
+  if (error) {
+    logger.error('Error retrieving queued refunds from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToRefund);
+}
+
+// Escalation queue operations
+async function createEscalationTicket(ticket) {
+  const { error } = await supabase
+    .from('escalation_tickets')
+    .insert([rowMappers.ticketToRow(ticket)]);
+  
+  if (error) {
+    logger.error('Error creating escalation ticket in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return { id: ticket.ticketId };
+}
+
+async function updateEscalationTicket(ticketId, updateData) {
+  const { error } = await supabase
+    .from('escalation_tickets')
+    .update(rowMappers.ticketUpdateToRow(updateData))
+    .eq('ticket_id', ticketId);
+  
+  if (error) {
+    logger.error('Error updating escalation ticket in Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return true;
+}
+
+async function getOpenEscalationTickets() {
+  const { data, error } = await supabase
+    .from('escalation_tickets')
+    .select('*')
+    .in('status', ['WAITING', 'ASSIGNED'])
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving escalation tickets from Supabase', { error: error.message });
+    throw error;
+  }
+  
+  return data.map(rowMappers.rowToTicket);
+}
+
+// Analytics operations
+async function getCustomerResolutionHistory(customerId, limit) {
+  const { data, error } = await supabase
+    .from('resolution_logs')
+    .select('*')
+    .eq('customer_id', customerId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  
+  if (error) {
+    logger.error('Error retrieving customer resolution history', { error: error.message });
+    throw error;
+  }
+  
+  return data;
+}
+
+async function getResolutionLogs(startDate, endDate) {
+  const { data, error } = await supabase
+    .from('resolution_logs')
+    .select('*')
+    .gte('created_at', startDate.toISOString())
+    .lte('created_at', endDate.toISOString())
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    logger.error('Error retrieving resolution logs', { error: error.message });
+    throw error;
+  }
+  
+  return data;
+}
+
+async function getRestaurantResolutionStats(restaurantId, startDate, endDate) {
+  const { data, error } = await supabase
+    .from('resolution_logs')
+    .select('resolution_type, amount')
+    .eq('metadata->restaurantId', restaurantId)
+    .gte('created_at', startDate.toISOString())
+    .lte('created_at', endDate.toISOString());
+  
+  if (error) {
+    logger.error('Error retrieving restaurant resolution stats', { error: error.message });
+    throw error;
+  }
+  
+  return rowMappers.summarizeResolutionStats(data);
+}
+
+module.exports = {
+  initialize,
+  createSession,
+  getSession,
+  updateSession,
+  getEscalatedSessionIds,
+  addMessageToSession,
+  getSessionMessages,
+  countSessionMessages,
+  addResolutionToSession,
+  addSessionTurn,
+  getSessionTurns,
+  getTurnsBetween,
+  addEvidence,
+  getSessionEvidence,
+  getEvidenceFingerprints,
+  getSessionResolutions,
+  logResolution,
+  getResolutionLedgerEntries,
+  addResolutionLedgerEntry,
+  removeResolutionLedgerEntry,
+  addUnrecordedResolution,
+  getUnrecordedResolutions,
+  removeUnrecordedResolution,
+  getCreditLedgerEntries,
+  getExpiredCreditGrants,
+  addCreditLedgerEntry,
+  updateCreditGrant,
+  addUnrecordedCreditEntry,
+  getUnrecordedCreditEntries,
+  removeUnrecordedCreditEntry,
+  addRefund,
+  updateRefund,
+  getCustomerRefunds,
+  getOrderRefunds,
+  getOpenRefunds,
+  getQueuedRefunds,
+  createEscalationTicket,
+  updateEscalationTicket,
+  getOpenEscalationTickets,
+  getCustomerResolutionHistory,
+  getResolutionLogs,
+  getRestaurantResolutionStats
+};
\ No newline at end of file
@@ -0,0 +1,166 @@
+// modules/turnLog.js
+
+const logger = require('../utilities/logger');
+const database = require('./database');
+
+// How a turn ended
+const TURN_OUTCOMES = {
+  SLOT_REQUESTED: 'SLOT_REQUESTED', // Zia asked for missing information
+  ANSWERED: 'ANSWERED', // Zia answered without deciding on a resolution
+  VERIFICATION_FAILED: 'VERIFICATION_FAILED', // The complaint could not be verified
+  ALREADY_RESOLVED: 'ALREADY_RESOLVED', // The ledger already covers the issue
+  FULLY_COMPENSATED: 'FULLY_COMPENSATED', // The order has no compensation left
+  OFFER_MADE: 'OFFER_MADE', // Resolution options were offered to the customer
+  OFFER_REPEATED: 'OFFER_REPEATED', // The pending offer was shown again
+  OFFER_DECLINED: 'OFFER_DECLINED', // The customer turned the offer down
+  OFFER_EXPIRED: 'OFFER_EXPIRED', // The customer answered an offer that had expired
+  RESOLUTION_APPLIED: 'RESOLUTION_APPLIED', // A resolution was executed successfully
+  RESOLUTION_FAILED: 'RESOLUTION_FAILED', // Executing the resolution failed
+  FAILED_CLOSED: 'FAILED_CLOSED', // Checking the claim threw and the failure policy denied or escalated it
+  ERROR: 'ERROR' // The handler threw
+};
+
+/**
+ * Start the record of a turn from what the language processor detected
+ * @param {object} intent - Detected intent
+ * @param {object} entities - Extracted entities
+ * @returns {object} Turn record
+ */
+function startTurn(intent, entities) {
+  return {
+    timestamp: new Date(),
+    message: intent.original,
+    detectedIntent: { type: intent.type, confidence: intent.confidence },
+    handledIntent: null,
+    resumed: false,
+    entities,
+    orderId: null,
+    verification: null,
+    decision: null,
+    offer: null,
+    resolution: null,
+    outcome: null,
+    details: null
+  };
+}
+
+/**
+ * Fill in a turn record from the handler context once the turn has finished
+ * @param {object} turn - Turn record
+ * @param {object} context - Turn context ({ intent, entities, orderId, verification, solution, offer, resolutionResult })
+ * @param {string} outcome - How the turn ended (see TURN_OUTCOMES)
+ * @param {object} details - Anything else worth keeping (e.g. the slot asked for)
+ * @returns {object} Turn record
+ */
+function completeTurn(turn, context, outcome, details = null) {
+  Object.assign(turn, {
+    handledIntent: context.intent.type,
+    resumed: Boolean(context.intent.resumed),
+    entities: context.entities,
+    orderId: context.orderId || null,
+    verification: context.verification || null,
+    decision: summarizeSolution(context.solution),
+    offer: summarizeOffer(context.offer),
+    resolution: summarizeResolutionResult(context.resolutionResult),
+    outcome,
+    details
+  });
+
+  return turn;
+}
+
+/**
+ * Save a finished turn against its session
+ * @param {object} session - Session data
+ * @param {object} turn - Turn record
+ */
+async function recordTurn(session, turn) {
+  try {
+    if (!database.isPersistent()) {
+      session.turns = [...(session.turns || []), turn];
+      return;
+    }
+
+    await database.addSessionTurn(session.sessionId, turn);
+  } catch (error) {
+    // Losing a turn record shouldn't fail the customer's message
+    logger.error('Error recording turn', { sessionId: session.sessionId, error: error.message });
+  }
+}
+
+/**
+ * Get the recorded turns for a session
+ * @param {object} session - Session data
+ * @returns {array} Turn records, oldest first
+ */
+async function getTurns(session) {
+  if (!database.isPersistent()) {
+    return session.turns || [];
+  }
+
+  return database.getSessionTurns(session.sessionId);
+}
+
+/**
+ * Keep the parts of a solution that explain the decision
+ * @param {object} solution - Solution details
+ * @returns {object|null} Decision summary
+ */
+function summarizeSolution(solution) {
+  if (!solution) {
+    return null;
+  }
+
+  return {
+    type: solution.type,
+    amount: solution.amount,
+    destination: solution.destination || null,
+    reason: solution.reason,
+    remainingCompensation: solution.remainingCompensation,
+    breakdown: solution.breakdown || null,
+    policy: solution.policy || null
+  };
+}
+
+/**
+ * Keep the options a customer was offered
+ * @param {object} offer - Resolution offer
+ * @returns {object|null} Offer summary
+ */
+function summarizeOffer(offer) {
+  if (!offer) {
+    return null;
+  }
+
+  return {
+    offerId: offer.offerId,
+    options: offer.options.map(option => ({ type: option.type, amount: option.amount, destination: option.destination })),
+    expiresAt: offer.expiresAt
+  };
+}
+
+/**
+ * Keep the parts of a resolution result an agent needs
+ * @param {object} resolutionResult - Result of applying a solution
+ * @returns {object|null} Resolution summary
+ */
+function summarizeResolutionResult(resolutionResult) {
+  if (!resolutionResult) {
+    return null;
+  }
+
+  return {
+    success: Boolean(resolutionResult.success),
+    amount: resolutionResult.amount,
+    reference: resolutionResult.transactionId || resolutionResult.creditId || resolutionResult.newOrderId || null,
+    error: resolutionResult.error || null
+  };
+}
+
+module.exports = {
+  TURN_OUTCOMES,
+  startTurn,
+  completeTurn,
+  recordTurn,
+  getTurns
+};
\ No newline at end of file
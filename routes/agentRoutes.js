@@ -0,0 +1,269 @@
+// routes/agentRoutes.js
+
+const crypto = require('crypto');
+const express = require('express');
+const sessionStore = require('../modules/sessionStore');
+const handoffManager = require('../modules/handoffManager');
+const evidenceManager = require('../modules/evidenceManager');
+const policyEngine = require('../modules/policyEngine');
+const decisionEngine = require('../modules/decisionEngine');
+const orderManager = require('../modules/orderManager');
+const customerManager = require('../modules/customerManager');
+const resolutionManager = require('../modules/resolutionManager');
+const creditsLedger = require('../modules/creditsLedger');
+const logger = require('../utilities/logger');
+const config = require('../config/appConfig');
+
+const router = express.Router();
+
+// HTTP status for each failure code
+const ERROR_STATUS = {
+  NOT_ESCALATED: 409,
+  ALREADY_CLAIMED: 409,
+  FULLY_COMPENSATED: 409,
+  NOT_ASSIGNED: 403,
+  INVALID_REQUEST: 400,
+  NOT_FOUND: 404,
+  NOT_REVERSIBLE: 409,
+  ALREADY_REVERSED: 409,
+  REVERSAL_FAILED: 502,
+  RESOLUTION_FAILED: 502
+};
+
+// Issue types the compensation policy can be dry-run for
+const POLICY_ISSUE_TYPES = ['WRONG_ORDER', 'MISSING_ITEM', 'LATE_DELIVERY', 'REFUND_REQUEST'];
+
+/**
+ * Identify the agent making the request from the bearer token in the Authorization header
+ */
+function requireAgent(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const agent = match ? findAgentByToken(match[1]) : null;
+
+  if (!agent) {
+    return res.status(401).json({ error: 'A valid agent token is required' });
+  }
+
+  req.agent = {
+    agentId: agent.agentId,
+    agentName: agent.agentName || agent.agentId
+  };
+
+  next();
+}
+
+/**
+ * Find the configured agent a token belongs to
+ * @param {string} token - Token sent by the caller
+ * @returns {object|null} Agent ({ token, agentId, agentName })
+ */
+function findAgentByToken(token) {
+  const given = Buffer.from(token);
+
+  // Compared in constant time so response timing doesn't reveal how much of a token matched
+  return getAgentTokens().find(agent => {
+    const expected = Buffer.from(String(agent.token || ''));
+    return expected.length > 0 && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }) || null;
+}
+
+/**
+ * Get the agent tokens in force, falling back to the demo token only in demo mode
+ * @returns {array} Agents ({ token, agentId, agentName })
+ */
+function getAgentTokens() {
+  if (config.agents.apiTokens.length > 0 || !config.demoMode) {
+    return config.agents.apiTokens;
+  }
+
+  return config.agents.demoApiTokens;
+}
+
+/**
+ * Load the session named in the URL, rejecting sessions that have ended
+ */
+async function loadSession(req, res, next) {
+  try {
+    const session = await sessionStore.getSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    req.conversation = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reject changes to sessions that have ended
+ */
+function requireActiveSession(req, res, next) {
+  if (!sessionStore.isActive(req.conversation)) {
+    return res.status(410).json({ error: 'Session has ended', reason: req.conversation.endReason });
+  }
+
+  next();
+}
+
+/**
+ * Send a result, mapping failures to an HTTP status
+ * @param {object} res - Express response
+ * @param {object} result - Handoff or reversal result ({ success, error, code })
+ */
+function sendResult(res, result) {
+  if (!result.success) {
+    return res.status(ERROR_STATUS[result.code] || 400).json({ error: result.error, code: result.code });
+  }
+
+  res.json(result);
+}
+
+router.use(requireAgent);
+
+router.get('/me', (req, res) => {
+  res.json(req.agent);
+});
+
+router.get('/sessions', async (req, res, next) => {
+  try {
+    res.json({ sessions: await handoffManager.getQueue() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/sessions/:sessionId', loadSession, async (req, res, next) => {
+  try {
+    res.json(await handoffManager.getSessionDetails(req.conversation));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/sessions/:sessionId/handoff', loadSession, async (req, res, next) => {
+  try {
+    res.json(await handoffManager.getHandoff(req.conversation));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/sessions/:sessionId/evidence/:evidenceId', loadSession, async (req, res, next) => {
+  try {
+    const evidence = await evidenceManager.getSessionEvidence(req.conversation.sessionId);
+    const photo = evidence.find(item => item.evidenceId === req.params.evidenceId);
+
+    if (!photo) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    res.type(photo.contentType).sendFile(evidenceManager.getEvidenceFilePath(photo));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/sessions/:sessionId/claim', loadSession, requireActiveSession, async (req, res, next) => {
+  try {
+    sendResult(res, await handoffManager.claimSession(req.conversation, req.agent));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/sessions/:sessionId/messages', loadSession, requireActiveSession, async (req, res, next) => {
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+    if (!content) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    sendResult(res, await handoffManager.sendAgentMessage(req.conversation, req.agent, content));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/sessions/:sessionId/typing', loadSession, requireActiveSession, (req, res) => {
+  sendResult(res, handoffManager.setAgentTyping(req.conversation, req.agent, req.body.typing));
+});
+
+router.post('/sessions/:sessionId/resolutions', loadSession, requireActiveSession, async (req, res, next) => {
+  try {
+    sendResult(res, await handoffManager.applyAgentResolution(req.conversation, req.agent, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/sessions/:sessionId/handback', loadSession, requireActiveSession, async (req, res, next) => {
+  try {
+    sendResult(res, await handoffManager.handBack(req.conversation, req.agent));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/policy', (req, res) => {
+  const policy = policyEngine.getPolicy();
+
+  if (!policy) {
+    return res.status(503).json({ error: 'No compensation policy is loaded' });
+  }
+
+  res.json(policy);
+});
+
+router.post('/policy/dry-run', async (req, res, next) => {
+  try {
+    const { issueType, orderId, customerId, entities = {} } = req.body;
+
+    if (!POLICY_ISSUE_TYPES.includes(issueType) || !orderId) {
+      return res.status(400).json({ error: `orderId and an issueType (${POLICY_ISSUE_TYPES.join(', ')}) are required` });
+    }
+
+    const orderDetails = await orderManager.getOrderDetails(orderId);
+    const customerInfo = await customerManager.getCustomerInfo(customerId || orderDetails.customerId);
+
+    res.json(await decisionEngine.dryRunPolicy(issueType, orderDetails, customerInfo, entities));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/orders/:orderId/resolutions/:issueType/reversal', async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    sendResult(res, await resolutionManager.reverseResolution(req.params.orderId, req.params.issueType, req.agent, reason));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/customers/:customerId/credits', async (req, res, next) => {
+  try {
+    res.json(await creditsLedger.getBalance(req.params.customerId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Same error shape as the conversation endpoints
+router.use((error, req, res, next) => {
+  logger.error('Error handling agent request', { path: req.path, error: error.message });
+  res.status(500).json({
+    error: 'Failed to handle agent request',
+    details: error.message
+  });
+});
+
+module.exports = router;
\ No newline at end of file
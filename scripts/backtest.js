@@ -0,0 +1,185 @@
+// scripts/backtest.js
+//
+// Replay stored claims under an alternate compensation policy and report the cost impact.
+//
+//   npm run backtest -- [--since 2026-09-01] [--until 2026-09-30] [--rules path/to/rules.json]
+//                       [--config path/to/overrides.json] [--json]
+//
+// --rules      Alternate policy document (same format as config/compensationRules.json)
+// --config     JSON file of app config values to change, e.g. {"thresholds": {"refundEligibilityDays": 5}}
+// --since      Start of the period to replay (default: 30 days ago)
+// --until      End of the period to replay (default: now)
+// --json       Print the full report, with every claim, as JSON
+
+// Keep module logging out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const database = require('../modules/database');
+const policyBacktest = require('../modules/policyBacktest');
+
+// Default period replayed when --since isn't given
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+// Changed claims listed in the text report
+const CHANGED_CLAIMS_SHOWN = 20;
+
+/**
+ * Read the command line options
+ * @param {array} args - Arguments after the script name
+ * @returns {object} Options ({ since, until, rules, config, json })
+ */
+function parseArgs(args) {
+  const options = { json: false };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (arg === '--json') {
+      options.json = true;
+    } else if (['--since', '--until', '--rules', '--config'].includes(arg) && args[index + 1]) {
+      options[arg.slice(2)] = args[++index];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse a date option
+ * @param {string} value - Date given on the command line
+ * @param {Date} fallback - Date used when the option wasn't given
+ * @returns {Date} Date
+ */
+function parseDate(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return date;
+}
+
+/**
+ * Format an amount as rupees
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount) {
+  return `₹${amount.toFixed(2)}`;
+}
+
+/**
+ * Format a payout difference with its sign
+ * @param {number} amount - Difference
+ * @returns {string} Formatted difference
+ */
+function formatDifference(amount) {
+  return `${amount >= 0 ? '+' : '-'}${formatAmount(Math.abs(amount))}`;
+}
+
+/**
+ * Print the report as text
+ * @param {object} report - Backtest report from policyBacktest.runBacktest
+ * @param {object} policy - Policy that was tested
+ */
+function printReport(report, policy) {
+  const lines = [
+    `Policy backtest: ${report.period.startDate.toISOString()} to ${report.period.endDate.toISOString()}`,
+    `Policy version: ${policy.version} (${policy.rulesFile})`
+  ];
+
+  if (policy.configOverrides) {
+    lines.push(`Config overrides: ${JSON.stringify(policy.configOverrides)}`);
+  }
+
+  lines.push('');
+  lines.push(['Issue type'.padEnd(16), 'Claims'.padStart(7), 'Approved (actual -> sim)'.padStart(26),
+    'Payout actual'.padStart(16), 'Payout sim'.padStart(16), 'Difference'.padStart(16)].join(' '));
+
+  const rows = [...Object.entries(report.byIssueType), ['TOTAL', report.totals]];
+
+  rows.forEach(([issueType, summary]) => {
+    const approval = `${Math.round(summary.actual.approvalRate * 100)}% -> ${Math.round(summary.simulated.approvalRate * 100)}%`;
+
+    lines.push([
+      issueType.padEnd(16),
+      String(summary.claims).padStart(7),
+      approval.padStart(26),
+      formatAmount(summary.actual.payout).padStart(16),
+      formatAmount(summary.simulated.payout).padStart(16),
+      formatDifference(summary.payoutDifference).padStart(16)
+    ].join(' '));
+  });
+
+  lines.push('');
+  lines.push(`Newly approved: ${report.totals.newlyApproved}, newly denied: ${report.totals.newlyDenied}`);
+
+  // Biggest changes first
+  const changed = report.claims
+    .filter(claim => claim.payoutDifference !== 0 || claim.simulated.approved !== claim.actual.approved)
+    .sort((a, b) => Math.abs(b.payoutDifference) - Math.abs(a.payoutDifference));
+
+  if (changed.length > 0) {
+    lines.push('');
+    lines.push(`Changed claims (${Math.min(changed.length, CHANGED_CLAIMS_SHOWN)} of ${changed.length}):`);
+
+    changed.slice(0, CHANGED_CLAIMS_SHOWN).forEach(claim => {
+      const simulated = claim.simulated.approved
+        ? `${claim.simulated.type} ${formatAmount(claim.simulated.payout)} (${claim.simulated.ruleId || 'no rule'})`
+        : `denied: ${claim.simulated.reason}`;
+
+      lines.push(`  ${claim.orderId} ${claim.issueType}: actual ${formatAmount(claim.actual.payout)}, simulated ${simulated}, ${formatDifference(claim.payoutDifference)}`);
+    });
+  }
+
+  if (report.skipped.length > 0) {
+    lines.push('');
+    lines.push(`Skipped ${report.skipped.length} claim(s) that could not be replayed:`);
+    report.skipped.forEach(claim => lines.push(`  ${claim.orderId} ${claim.issueType}: ${claim.error}`));
+  }
+
+  console.log(lines.join('\n'));
+}
+
+/**
+ * Run the backtest from the command line
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const endDate = parseDate(options.until, new Date());
+  const startDate = parseDate(options.since, new Date(endDate.getTime() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000));
+
+  if (!database.isPersistent()) {
+    throw new Error('No stored history to replay; set STORAGE_ADAPTER=local or turn off demoMode to read from Supabase');
+  }
+
+  if (!await database.initializeDatabase()) {
+    throw new Error('Could not open the database');
+  }
+
+  const policy = policyBacktest.applyAlternatePolicy({
+    rulesFile: options.rules,
+    configOverrides: options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : null
+  });
+
+  const report = await policyBacktest.runBacktest({ startDate, endDate });
+
+  if (options.json) {
+    console.log(JSON.stringify({ policy, ...report }, null, 2));
+  } else {
+    printReport(report, policy);
+  }
+}
+
+main().catch(error => {
+  console.error(`Backtest failed: ${error.message}`);
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+-- supabase/migrations/20261019000000_support_tables.sql
+--
+-- Tables used by the Supabase storage adapter (modules/storage/supabaseAdapter.js)
+-- beyond the original sessions and resolution_logs tables. Column names
+-- follow modules/storage/rowMappers.js.
+
+-- Session state that used to live only in memory
+alter table sessions add column if not exists escalated_at timestamptz;
+alter table sessions add column if not exists escalation_reason text;
+alter table sessions add column if not exists assigned_agent jsonb;
+alter table sessions add column if not exists dialogue_state jsonb;
+alter table sessions add column if not exists pending_offer jsonb;
+alter table sessions add column if not exists ended_at timestamptz;
+alter table sessions add column if not exists end_reason text;
+
+create table if not exists session_messages (
+  id bigint generated always as identity primary key,
+  session_id text not null,
+  role text not null,
+  content text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists session_messages_session_id_idx on session_messages (session_id, id);
+
+create table if not exists session_resolutions (
+  id bigint generated always as identity primary key,
+  session_id text not null,
+  resolution_type text not null,
+  order_id text,
+  amount numeric(12, 2),
+  success boolean,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists session_resolutions_session_id_idx on session_resolutions (session_id, id);
+
+create table if not exists session_turns (
+  id bigint generated always as identity primary key,
+  session_id text not null,
+  handled_intent text,
+  outcome text,
+  order_id text,
+  record jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists session_turns_session_id_idx on session_turns (session_id, id);
+create index if not exists session_turns_created_at_idx on session_turns (created_at);
+
+create table if not exists claim_evidence (
+  evidence_id text primary key,
+  session_id text not null,
+  customer_id text not null,
+  order_id text not null,
+  kind text,
+  content_type text,
+  file_path text,
+  size_bytes integer,
+  sha256 text,
+  perceptual_hash text,
+  taken_at timestamptz,
+  duplicate_of jsonb not null default '[]',
+  flags jsonb not null default '[]',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists claim_evidence_session_id_idx on claim_evidence (session_id);
+create index if not exists claim_evidence_customer_id_idx on claim_evidence (customer_id);
+
+-- One entry per issue on an order. resolutionLedger.grantOnce only locks
+-- within one process, so the unique constraint is what keeps a second
+-- server from recording the same issue again
+create table if not exists resolution_ledger (
+  entry_id text primary key,
+  order_id text not null,
+  issue_type text not null,
+  resolution_type text not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  customer_id text,
+  session_id text,
+  transaction_id text,
+  created_at timestamptz not null default now(),
+  constraint resolution_ledger_order_issue_key unique (order_id, issue_type)
+);
+
+create table if not exists credit_ledger (
+  entry_id text primary key,
+  customer_id text not null,
+  credit_id text not null,
+  type text not null check (type in ('GRANT', 'EXPIRY', 'REVERSAL', 'REFUND')),
+  amount numeric(12, 2) not null,
+  remaining_amount numeric(12, 2),
+  reason text,
+  order_id text,
+  issue_type text,
+  session_id text,
+  expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_customer_id_idx on credit_ledger (customer_id, created_at);
+create index if not exists credit_ledger_credit_id_idx on credit_ledger (credit_id);
+
+create table if not exists refunds (
+  refund_id text primary key,
+  order_id text not null,
+  customer_id text not null,
+  session_id text,
+  payment_id text,
+  issue_type text,
+  amount numeric(12, 2) not null,
+  destination text not null default 'SOURCE',
+  payment_method text,
+  max_days integer,
+  reason text,
+  idempotency_key text,
+  gateway_refund_id text,
+  attempts integer not null default 0,
+  last_error text,
+  state text not null,
+  estimated_credit_days integer,
+  expected_by timestamptz,
+  failure_reason text,
+  history jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  settled_at timestamptz
+);
+
+create index if not exists refunds_customer_id_idx on refunds (customer_id);
+create index if not exists refunds_order_id_idx on refunds (order_id);
+create index if not exists refunds_state_idx on refunds (state);
+
+create table if not exists escalation_tickets (
+  ticket_id text primary key,
+  session_id text not null,
+  customer_id text,
+  priority text not null,
+  reason text,
+  status text not null,
+  created_at timestamptz not null default now(),
+  sla_deadline timestamptz not null,
+  assigned_agent_id text,
+  assigned_at timestamptz,
+  closed_at timestamptz,
+  breached_at timestamptz
+);
+
+create index if not exists escalation_tickets_status_idx on escalation_tickets (status, created_at);
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- supabase/migrations/20261019120000_handled_escalation_reasons.sql
+--
+-- Escalation reasons an agent dealt with before handing a session back to
+-- Zia, so the same reason doesn't escalate the session again
+-- (modules/escalationManager.js getAutoEscalationReason).
+
+alter table sessions add column if not exists handled_escalation_reasons jsonb not null default '[]'::jsonb;
\ No newline at end of file
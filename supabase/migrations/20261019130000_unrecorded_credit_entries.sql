@@ -0,0 +1,22 @@
+-- supabase/migrations/20261019130000_unrecorded_credit_entries.sql
+--
+-- Credits ledger entries for money that was issued or paid but couldn't be
+-- saved, kept until the reconcile job writes them to credit_ledger
+-- (modules/creditsLedger.js reconcileEntries).
+
+create table if not exists unrecorded_credit_entries (
+  entry_id text primary key,
+  customer_id text not null,
+  credit_id text not null,
+  type text not null check (type in ('GRANT', 'REFUND')),
+  amount numeric(12, 2) not null,
+  remaining_amount numeric(12, 2),
+  reason text,
+  order_id text,
+  issue_type text,
+  session_id text,
+  expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists unrecorded_credit_entries_created_at_idx on unrecorded_credit_entries (created_at);
\ No newline at end of file
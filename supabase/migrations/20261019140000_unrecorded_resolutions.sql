@@ -0,0 +1,20 @@
+-- supabase/migrations/20261019140000_unrecorded_resolutions.sql
+--
+-- Resolutions that were paid out but couldn't be saved to resolution_ledger,
+-- kept until the reconcile job writes them there
+-- (modules/resolutionLedger.js reconcileResolutions). No unique constraint, so
+-- a payment is always kept even when its issue was recorded in the meantime.
+
+create table if not exists unrecorded_resolutions (
+  entry_id text primary key,
+  order_id text not null,
+  issue_type text not null,
+  resolution_type text not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  customer_id text,
+  session_id text,
+  transaction_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists unrecorded_resolutions_order_id_idx on unrecorded_resolutions (order_id);
\ No newline at end of file
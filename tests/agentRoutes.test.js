@@ -0,0 +1,164 @@
+// tests/agentRoutes.test.js
+
+const express = require('express');
+const request = require('supertest');
+const agentRoutes = require('../routes/agentRoutes');
+const sessionStore = require('../modules/sessionStore');
+const orderManager = require('../modules/orderManager');
+const paymentProcessor = require('../modules/paymentProcessor');
+const resolutionLedger = require('../modules/resolutionLedger');
+const config = require('../config/appConfig');
+
+const app = express();
+app.use(express.json());
+app.use('/api/agent', agentRoutes);
+
+const AGENT_TOKEN = 'Bearer demo_agent_token';
+
+const originalDemoMode = config.demoMode;
+
+afterEach(() => {
+  config.demoMode = originalDemoMode;
+  jest.restoreAllMocks();
+});
+
+/**
+ * Create an escalated session for an order
+ * @param {string} orderId - ID of the order
+ * @returns {object} Session data
+ */
+async function createEscalatedSession(orderId) {
+  const session = await sessionStore.createSession({
+    sessionId: `test_session_${orderId}`,
+    customerId: 'cust_12345',
+    customerInfo: { id: 'cust_12345', name: 'Test Customer', membershipTier: 'REGULAR' },
+    orderIds: [orderId],
+    orderDetails: [],
+    conversationHistory: [],
+    createdAt: new Date(),
+    lastActivityAt: new Date(),
+    escalated: false,
+    resolutions: [],
+    dialogueState: null,
+    pendingOffer: null
+  });
+
+  await sessionStore.setEscalated(session, true, 'CUSTOMER_REQUEST');
+
+  return session;
+}
+
+describe('agent API authentication', () => {
+  test('rejects requests without a token', async () => {
+    const response = await request(app).get('/api/agent/sessions');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('ignores a self-declared agent id', async () => {
+    const response = await request(app).get('/api/agent/sessions').set('X-Agent-Id', 'agent_1');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('rejects unknown tokens', async () => {
+    const response = await request(app).get('/api/agent/me').set('Authorization', 'Bearer not_a_real_token');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('identifies the agent from a configured token', async () => {
+    const response = await request(app).get('/api/agent/me').set('Authorization', AGENT_TOKEN);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ agentId: 'agent_1', agentName: 'Priya' });
+  });
+
+  test('the demo token only works in demo mode', async () => {
+    config.demoMode = false;
+
+    const response = await request(app).get('/api/agent/me').set('Authorization', AGENT_TOKEN);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('protects reversals and credit balances too', async () => {
+    const reversal = await request(app)
+      .post('/api/agent/orders/order_34/resolutions/WRONG_ORDER/reversal')
+      .send({ reason: 'Overturned' });
+    const credits = await request(app).get('/api/agent/customers/cust_12345/credits');
+
+    expect(reversal.status).toBe(401);
+    expect(credits.status).toBe(401);
+  });
+});
+
+describe('agent resolutions', () => {
+  test('rejects issue types outside the known list', async () => {
+    const session = await createEscalatedSession('order_29');
+
+    await request(app).post(`/api/agent/sessions/${session.sessionId}/claim`).set('Authorization', AGENT_TOKEN);
+
+    const response = await request(app)
+      .post(`/api/agent/sessions/${session.sessionId}/resolutions`)
+      .set('Authorization', AGENT_TOKEN)
+      .send({ type: 'REFUND', amount: 100, issueType: 'WHATEVER' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_REQUEST');
+  });
+
+  test('caps the amount at what the order can still receive', async () => {
+    const session = await createEscalatedSession('order_33');
+    const orderDetails = await orderManager.getOrderDetails('order_33');
+
+    await request(app).post(`/api/agent/sessions/${session.sessionId}/claim`).set('Authorization', AGENT_TOKEN);
+
+    const response = await request(app)
+      .post(`/api/agent/sessions/${session.sessionId}/resolutions`)
+      .set('Authorization', AGENT_TOKEN)
+      .send({ type: 'CREDIT', amount: orderDetails.totalAmount * 10, issueType: 'QUALITY_ISSUE' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.solution.amount).toBe(orderDetails.totalAmount);
+    expect(await resolutionLedger.getRemainingCompensation(orderDetails)).toBe(0);
+  });
+
+  test('refuses further compensation once the order is fully compensated', async () => {
+    const session = await sessionStore.getSession('test_session_order_33');
+
+    const response = await request(app)
+      .post(`/api/agent/sessions/${session.sessionId}/resolutions`)
+      .set('Authorization', AGENT_TOKEN)
+      .send({ type: 'REFUND', amount: 50, issueType: 'PACKAGING_ISSUE' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('FULLY_COMPENSATED');
+  });
+
+  test('a payout that fails is reported as a failure, not a success', async () => {
+    const session = await createEscalatedSession('order_37');
+    jest.spyOn(paymentProcessor, 'processCredits').mockResolvedValue({ success: false, error: 'Unable to add Zomato credits' });
+
+    await request(app).post(`/api/agent/sessions/${session.sessionId}/claim`).set('Authorization', AGENT_TOKEN);
+
+    const response = await request(app)
+      .post(`/api/agent/sessions/${session.sessionId}/resolutions`)
+      .set('Authorization', AGENT_TOKEN)
+      .send({ type: 'CREDIT', amount: 100, issueType: 'QUALITY_ISSUE' });
+
+    expect(response.status).toBe(502);
+    expect(response.body).toEqual({ error: 'Unable to add Zomato credits', code: 'RESOLUTION_FAILED' });
+  });
+
+  test('only the agent handling the session can resolve it', async () => {
+    const session = await createEscalatedSession('order_31');
+
+    const response = await request(app)
+      .post(`/api/agent/sessions/${session.sessionId}/resolutions`)
+      .set('Authorization', AGENT_TOKEN)
+      .send({ type: 'REFUND', amount: 100, issueType: 'WRONG_ORDER' });
+
+    expect(response.status).toBe(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+// tests/autoEscalation.test.js
+
+const escalationManager = require('../modules/escalationManager');
+const sessionStore = require('../modules/sessionStore');
+
+/**
+ * Build a session with the given customer messages, each followed by a reply from Zia
+ * @param {array} messages - Customer messages
+ * @param {object} overrides - Session fields to replace
+ * @returns {object} Session data
+ */
+function session(messages, overrides = {}) {
+  const conversationHistory = [];
+
+  for (const content of messages) {
+    conversationHistory.push({ role: 'user', content });
+    conversationHistory.push({ role: 'assistant', content: 'Let me check that for you.' });
+  }
+
+  return {
+    sessionId: 'session_auto',
+    customerInfo: { name: 'Test Customer', membershipTier: 'REGULAR' },
+    orderDetails: [{ orderId: 'order_1', totalAmount: 400 }],
+    conversationHistory,
+    messageCount: conversationHistory.length,
+    resolutions: [],
+    ...overrides
+  };
+}
+
+describe('long conversations', () => {
+  test('only customer messages count towards the limit', () => {
+    const messages = Array.from({ length: 10 }, (_, index) => `Where is my order ${index}`);
+
+    expect(escalationManager.getAutoEscalationReason(session(messages))).toBeNull();
+  });
+
+  test('escalate once the customer has sent more messages than the limit', () => {
+    const messages = Array.from({ length: 11 }, (_, index) => `Where is my order ${index}`);
+
+    expect(escalationManager.getAutoEscalationReason(session(messages))).toBe('LONG_CONVERSATION');
+  });
+});
+
+describe('PRO_PLUS customers', () => {
+  const proPlus = { customerInfo: { name: 'Test Customer', membershipTier: 'PRO_PLUS' } };
+
+  test('are not escalated just for their tier', () => {
+    expect(escalationManager.getAutoEscalationReason(session(['Where is my order?'], proPlus))).toBeNull();
+  });
+
+  test('are escalated at the first sign of frustration', () => {
+    const messages = ['Where is my order?', 'Are you a bot?'];
+
+    expect(escalationManager.getAutoEscalationReason(session(messages, proPlus))).toBe('PREMIUM_CUSTOMER');
+    expect(escalationManager.getAutoEscalationReason(session(messages))).toBeNull();
+  });
+});
+
+describe('resolution turns', () => {
+  const frustrated = ['Are you a bot?', 'Can I speak to a person?'];
+
+  test('a turn that made an offer is not interrupted', () => {
+    expect(escalationManager.getAutoEscalationReason(session(frustrated), { offerMade: true })).toBeNull();
+  });
+
+  test('a turn that applied a resolution is not interrupted', () => {
+    expect(escalationManager.getAutoEscalationReason(session(frustrated), { resolutionApplied: true })).toBeNull();
+  });
+
+  test('the next turn is checked as usual', () => {
+    expect(escalationManager.getAutoEscalationReason(session(frustrated))).toBe('CUSTOMER_FRUSTRATION');
+  });
+});
+
+describe('high-value orders', () => {
+  const highValue = { orderDetails: [{ orderId: 'order_1', totalAmount: 1500 }] };
+
+  test('are only escalated when Zia offers or pays out compensation', () => {
+    expect(escalationManager.getAutoEscalationReason(session(['Where is my order?'], highValue))).toBeNull();
+    expect(escalationManager.getAutoEscalationReason(session(['I want a refund'], highValue), { offerMade: true })).toBe('HIGH_VALUE_ORDER');
+    expect(escalationManager.getAutoEscalationReason(session(['Credits please'], highValue), { resolutionApplied: true })).toBe('HIGH_VALUE_ORDER');
+  });
+});
+
+describe('sessions handed back by an agent', () => {
+  test('are not escalated again for a reason the agent dealt with', () => {
+    const handled = { orderDetails: [{ orderId: 'order_1', totalAmount: 1500 }], handledEscalationReasons: ['HIGH_VALUE_ORDER'] };
+
+    expect(escalationManager.getAutoEscalationReason(session(['I want a refund'], handled), { offerMade: true })).toBeNull();
+  });
+
+  test('are still escalated for a reason the agent has not seen', () => {
+    const handled = { handledEscalationReasons: ['CUSTOMER_FRUSTRATION'] };
+    const messages = [...Array.from({ length: 10 }, (_, index) => `Where is my order ${index}`), 'Are you a bot?', 'Can I speak to a person?'];
+
+    expect(escalationManager.getAutoEscalationReason(session(messages, handled))).toBe('LONG_CONVERSATION');
+  });
+
+  test('handing back records the reason the session was escalated for', async () => {
+    const handedBack = await sessionStore.createSession(session(['I want a refund'], {
+      sessionId: 'session_handed_back',
+      orderDetails: [{ orderId: 'order_1', totalAmount: 1500 }]
+    }));
+
+    await sessionStore.setEscalated(handedBack, true, 'HIGH_VALUE_ORDER');
+    await sessionStore.setEscalated(handedBack, false);
+
+    expect(handedBack.handledEscalationReasons).toEqual(['HIGH_VALUE_ORDER']);
+    expect(escalationManager.getAutoEscalationReason(handedBack, { offerMade: true })).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+// tests/conversationReplay.test.js
+
+const customerManager = require('../modules/customerManager');
+const dialogueManager = require('../modules/dialogueManager');
+const evidenceManager = require('../modules/evidenceManager');
+const intentRegistry = require('../modules/intentRegistry');
+const orderManager = require('../modules/orderManager');
+const refundTracker = require('../modules/refundTracker');
+const resolutionLedger = require('../modules/resolutionLedger');
+const riskScorer = require('../modules/riskScorer');
+const sessionStore = require('../modules/sessionStore');
+
+// A photo uploaded for the claim, with nothing wrong found with it
+const PHOTO = { evidenceId: 'photo_1', flags: [] };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Have the customer upload a photo for every order in the conversation
+ */
+function photoUploaded() {
+  jest.spyOn(evidenceManager, 'getClaimEvidence').mockResolvedValue([PHOTO]);
+}
+
+/**
+ * Start a conversation about one order, as the start endpoint does
+ * @param {string} sessionId - ID of the session
+ * @param {string|null} orderId - ID of the order, or null to start without one
+ * @param {string} customerId - ID of the customer
+ * @returns {object} Session data
+ */
+async function startConversation(sessionId, orderId, customerId = 'cust_12345') {
+  return sessionStore.createSession({
+    sessionId,
+    customerId,
+    customerInfo: await customerManager.getCustomerInfo(customerId),
+    orderIds: orderId ? [orderId] : [],
+    orderDetails: orderId ? [await orderManager.getOrderDetails(orderId)] : [],
+    conversationHistory: [],
+    createdAt: new Date(),
+    lastActivityAt: new Date(),
+    escalated: false,
+    resolutions: [],
+    dialogueState: null,
+    pendingOffer: null
+  });
+}
+
+/**
+ * Send a customer message, with the intent the NLP model gives it
+ * @param {object} session - Session data
+ * @param {string} message - Customer message
+ * @param {string} intentType - Detected intent
+ * @param {object} extracted - Entities the NLP model finds in it
+ * @returns {string} Zia's reply
+ */
+async function say(session, message, intentType, extracted = {}) {
+  await sessionStore.addMessage(session, { role: 'user', content: message, timestamp: new Date() });
+
+  const entities = { orderId: null, wrongItems: [], missingItems: [], issues: [], reason: null, ...extracted };
+
+  return intentRegistry.handleIntent({ type: intentType, confidence: 1, original: message }, session, entities);
+}
+
+describe('cash on delivery refunds', () => {
+  test('giving a UPI ID while the bank transfer is on offer pays it there, not into the wallet', async () => {
+    const session = await startConversation('replay_cod_upi', 'order_19');
+    photoUploaded();
+
+    const offer = await say(session, 'I want a refund', 'REFUND_REQUEST');
+    const reply = await say(session, 'my upi is priya@okhdfc', 'LATE_DELIVERY');
+    const refunds = await refundTracker.getOrderRefunds('order_19');
+
+    expect(offer).toMatch(/Zomato wallet[\s\S]*bank transfer[\s\S]*credits/);
+    expect(reply).toMatch(/bank transfer to your UPI ID pr\*\*\*@okhdfc/);
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0]).toMatchObject({ destination: 'BANK_TRANSFER', amount: 832 });
+  });
+});
+
+describe('photo evidence', () => {
+  test.each([
+    'bank transfer please',
+    "no, I don't want a refund, credits please"
+  ])('"%s" while a photo is awaited asks for the photo again', async message => {
+    const session = await startConversation(`replay_photo_${message.length}`, 'order_34');
+
+    const request = await say(session, 'I got the wrong order', 'WRONG_ORDER');
+    const reply = await say(session, message, 'REFUND_REQUEST');
+
+    expect(request).toMatch(/need a photo/);
+    expect(reply).toBe(request);
+    expect(session.pendingOffer).toBeNull();
+    expect(dialogueManager.getPendingIntent(session)).toMatchObject({ pendingIntent: 'WRONG_ORDER', awaitingSlot: 'evidence' });
+  });
+
+  test('a refund worth a photo is only offered once one is uploaded', async () => {
+    const session = await startConversation('replay_photo_refund', 'order_44');
+
+    const request = await say(session, 'I want a refund', 'REFUND_REQUEST');
+
+    photoUploaded();
+    const offer = await intentRegistry.handleEvidence(session, { ...PHOTO, orderId: 'order_44' });
+
+    expect(request).toMatch(/need a photo/);
+    expect(offer).toMatch(/Here's what I can do for you/);
+    expect(session.pendingOffer).not.toBeNull();
+  });
+});
+
+describe('risky refunds', () => {
+  test('a high-risk customer asking for a plain refund is handed to a person', async () => {
+    const session = await startConversation('replay_risky_refund', 'order_29');
+    photoUploaded();
+    jest.spyOn(riskScorer, 'assessClaimRisk').mockResolvedValue({ score: 0.9, level: 'HIGH', action: riskScorer.RISK_ACTIONS.ESCALATE, factors: [] });
+
+    await say(session, 'I want a refund', 'REFUND_REQUEST');
+
+    expect(session).toMatchObject({ escalated: true, escalationReason: 'HIGH_RISK_CLAIM', pendingOffer: null });
+    expect(await refundTracker.getOrderRefunds('order_29')).toHaveLength(0);
+  });
+});
+
+describe('refunds after earlier compensation', () => {
+  test('a partial refund for a missing item leaves the rest of the order to refund', async () => {
+    const session = await startConversation('replay_partial_refund', 'order_34');
+    photoUploaded();
+    await resolutionLedger.recordResolution({ orderId: 'order_34', issueType: 'MISSING_ITEM', resolutionType: 'REFUND', amount: 129, customerId: 'cust_12345', sessionId: 'replay_earlier' });
+
+    const offer = await say(session, 'I want a refund', 'REFUND_REQUEST');
+
+    expect(offer).not.toMatch(/already been refunded/);
+    expect(offer).toMatch(/₹515\.00/);
+  });
+
+  test('an order refunded in full is turned down as already refunded', async () => {
+    const session = await startConversation('replay_full_refund', 'order_9');
+    photoUploaded();
+    await resolutionLedger.recordResolution({ orderId: 'order_9', issueType: 'WRONG_ORDER', resolutionType: 'REFUND', amount: 579, customerId: 'cust_12345', sessionId: 'replay_earlier' });
+
+    const reply = await say(session, 'I want a refund', 'REFUND_REQUEST');
+
+    expect(reply).toMatch(/everything you paid for this order has already been refunded/);
+  });
+});
+
+describe('accepting an offer', () => {
+  test('"no problem, go ahead" takes the recommended option', async () => {
+    const session = await startConversation('replay_no_problem', 'order_24');
+    photoUploaded();
+
+    await say(session, 'I want a refund', 'REFUND_REQUEST');
+    const reply = await say(session, 'no problem, go ahead', 'GENERAL_QUERY');
+
+    expect(reply).not.toMatch(/I haven't applied anything/);
+    expect(session.pendingOffer).toBeNull();
+    expect(await refundTracker.getOrderRefunds('order_24')).toHaveLength(1);
+  });
+});
+
+describe('orders that belong to someone else', () => {
+  test('only the customer\'s own orders are found', async () => {
+    expect(await orderManager.getCustomerOrderDetails('order_14', 'cust_12345')).toMatchObject({ id: 'order_14' });
+    expect(await orderManager.getCustomerOrderDetails('order_14', 'cust_67890')).toBeNull();
+  });
+
+  test('a refund can\'t be claimed on another customer\'s order', async () => {
+    const session = await startConversation('replay_not_theirs', null, 'cust_67890');
+    photoUploaded();
+
+    const reply = await say(session, 'I want a refund for order_14', 'REFUND_REQUEST', { orderId: 'order_14' });
+
+    expect(reply).toMatch(/couldn't find order #order_14 on your account/);
+    expect(session.orderIds).toEqual([]);
+    expect(session.dialogueState).toMatchObject({ pendingIntent: 'REFUND_REQUEST', awaitingSlot: 'orderId', slots: {} });
+    expect(session.pendingOffer).toBeNull();
+    expect(await refundTracker.getOrderRefunds('order_14')).toEqual([]);
+  });
+
+  test('another customer\'s order is left out of a status answer', async () => {
+    const session = await startConversation('replay_status_not_theirs', 'order_4');
+    jest.spyOn(orderManager, 'getCustomerOrderDetails').mockImplementation(async (orderId, customerId) => (
+      orderId === 'order_39' ? null : orderManager.getOrderDetails(orderId, customerId)
+    ));
+
+    const reply = await say(session, 'where are order_4 and order_39', 'ORDER_STATUS', { orderId: 'order_4' });
+
+    expect(reply).toMatch(/order #order_4/);
+    expect(reply).not.toMatch(/order_39/);
+    expect(session.orderIds).toEqual(['order_4']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+// tests/creditsLedger.test.js
+
+const database = require('../modules/database');
+const creditsLedger = require('../modules/creditsLedger');
+
+/**
+ * Use a stored ledger whose writes fail until the returned store is told to accept them
+ * @param {object} db - Database module to mock
+ * @param {object} store - Stored entries to start from
+ * @returns {object} Store ({ entries, backlog, accept })
+ */
+function failingStore(db = database, store = { entries: [], backlog: [], failing: true }) {
+  jest.spyOn(db, 'isPersistent').mockReturnValue(true);
+  jest.spyOn(db, 'getCreditLedgerEntries').mockImplementation(async customerId =>
+    store.entries.filter(entry => entry.customerId === customerId)
+  );
+  jest.spyOn(db, 'addCreditLedgerEntry').mockImplementation(async entry => {
+    if (store.failing) {
+      throw new Error('Database unavailable');
+    }
+
+    store.entries.push(entry);
+  });
+  jest.spyOn(db, 'addUnrecordedCreditEntry').mockImplementation(async entry => {
+    store.backlog.push(entry);
+  });
+  jest.spyOn(db, 'getUnrecordedCreditEntries').mockImplementation(async () => [...store.backlog]);
+  jest.spyOn(db, 'removeUnrecordedCreditEntry').mockImplementation(async entryId => {
+    store.backlog = store.backlog.filter(entry => entry.entryId !== entryId);
+  });
+
+  store.accept = () => {
+    store.failing = false;
+  };
+
+  return store;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ledger write failures', () => {
+  test('issued credits are reported as granted and reconciled once the ledger is back', async () => {
+    const store = failingStore();
+
+    const result = await creditsLedger.grantCredits('ledger_cust_1', 150, 'Wrong order', { orderId: 'ledger_order_1' });
+
+    expect(result).toMatchObject({ success: true, amount: 150, needsReconciliation: true });
+    expect(store.entries).toHaveLength(0);
+
+    store.accept();
+    const summary = await creditsLedger.reconcileEntries();
+
+    expect(summary).toEqual({ pending: 0, recorded: 1 });
+    expect(store.entries[0]).toMatchObject({ type: 'GRANT', creditId: result.creditId, amount: 150 });
+    expect(store.backlog).toHaveLength(0);
+  });
+
+  test('queued entries are kept in storage and reconciled after a restart', async () => {
+    const store = failingStore();
+
+    const result = await creditsLedger.grantCredits('ledger_cust_4', 120, 'Missing item', { orderId: 'ledger_order_4' });
+
+    expect(store.backlog).toEqual([expect.objectContaining({ type: 'GRANT', creditId: result.creditId, amount: 120 })]);
+
+    let restarted;
+    jest.isolateModules(() => {
+      failingStore(require('../modules/database'), store);
+      restarted = require('../modules/creditsLedger');
+    });
+    store.accept();
+
+    expect(await restarted.reconcileEntries()).toEqual({ pending: 0, recorded: 1 });
+    expect(store.entries).toEqual([expect.objectContaining({ creditId: result.creditId, amount: 120 })]);
+    expect(store.backlog).toHaveLength(0);
+  });
+
+  test('an entry already in the ledger is not written again', async () => {
+    const store = failingStore();
+
+    await creditsLedger.grantCredits('ledger_cust_5', 80, 'Late delivery', { orderId: 'ledger_order_5' });
+    store.accept();
+    store.entries.push(...store.backlog);
+
+    expect(await creditsLedger.reconcileEntries()).toEqual({ pending: 0, recorded: 1 });
+    expect(store.entries).toHaveLength(1);
+  });
+
+  test('entries stay queued while the ledger is still failing', async () => {
+    const store = failingStore();
+
+    await creditsLedger.recordWalletRefund('ledger_cust_2', 90, 'Late delivery', 'refund_ledger_order_2_LATE_DELIVERY');
+
+    expect(await creditsLedger.reconcileEntries()).toEqual({ pending: 1, recorded: 0 });
+
+    store.accept();
+
+    expect(await creditsLedger.reconcileEntries()).toEqual({ pending: 0, recorded: 1 });
+  });
+
+  test('a wallet refund is only recorded once', async () => {
+    const store = failingStore();
+    store.accept();
+
+    await creditsLedger.recordWalletRefund('ledger_cust_3', 60, 'Missing item', 'refund_ledger_order_3_MISSING_ITEM');
+    await creditsLedger.recordWalletRefund('ledger_cust_3', 60, 'Missing item', 'refund_ledger_order_3_MISSING_ITEM');
+
+    expect(store.entries).toHaveLength(1);
+  });
+});
\ No newline at end of file
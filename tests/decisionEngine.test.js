@@ -0,0 +1,168 @@
+// tests/decisionEngine.test.js
+
+const decisionEngine = require('../modules/decisionEngine');
+const orderManager = require('../modules/orderManager');
+const paymentProcessor = require('../modules/paymentProcessor');
+const failurePolicy = require('../modules/failurePolicy');
+const riskScorer = require('../modules/riskScorer');
+const resolutionLedger = require('../modules/resolutionLedger');
+
+const CUSTOMER = { id: 'cust_12345', name: 'Test Customer', membershipTier: 'REGULAR', accountCreatedAt: new Date('2023-01-01') };
+
+// A photo uploaded for the claim, with nothing wrong found with it
+const PHOTO = { evidenceId: 'photo_1', flags: [] };
+
+/**
+ * Load a mock order and break some of its fields
+ * @param {string} orderId - ID of the mock order
+ * @param {object} changes - Fields to overwrite
+ * @returns {object} Order details
+ */
+async function getOrder(orderId, changes = {}) {
+  return { ...(await orderManager.getOrderDetails(orderId)), ...changes };
+}
+
+describe('malformed order payloads', () => {
+  test.each([
+    ['missing', undefined],
+    ['non-numeric', 'abc'],
+    ['zero', 0],
+    ['negative', -50],
+    ['infinite', Infinity]
+  ])('a total that is %s never makes a refund eligible', async (label, totalAmount) => {
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_34', { totalAmount }), CUSTOMER, 'Bad food');
+
+    expect(eligibility.eligible).toBe(false);
+    expect(eligibility.failure.action).toBe(failurePolicy.FAILURE_ACTIONS.DENY);
+    expect(eligibility.amount).toBeUndefined();
+  });
+
+  test('a malformed total goes to the failure policy instead of deciding an amount', async () => {
+    const solution = await decisionEngine.decideSolution('WRONG_ORDER', await getOrder('order_34', { totalAmount: 'abc' }), CUSTOMER, {});
+
+    expect(solution.type).toBe('NONE');
+    expect(solution.amount).toBe(0);
+    expect(solution.failure.action).toBe(failurePolicy.FAILURE_ACTIONS.ESCALATE);
+  });
+
+  test('items without prices or quantities are rejected', async () => {
+    const order = await getOrder('order_34', { items: [{ name: 'Pizza', price: 'free', quantity: 1 }] });
+    const verification = await decisionEngine.verifyMissingItemIssue(order, ['Pizza'], CUSTOMER);
+
+    expect(verification.verified).toBe(false);
+    expect(verification.failure.error).toMatch(/items/);
+  });
+
+  test('a garbage delivery time fails late delivery verification', async () => {
+    const verification = await decisionEngine.verifyLateDeliveryIssue(await getOrder('order_34', { deliveredAt: 'yesterday-ish' }), CUSTOMER);
+
+    expect(verification.verified).toBe(false);
+    expect(verification.failure.action).toBe(failurePolicy.FAILURE_ACTIONS.ESCALATE);
+    expect(verification.latenessMinutes).toBe(0);
+  });
+
+  test('a missing estimated delivery time fails late delivery verification', async () => {
+    const verification = await decisionEngine.verifyLateDeliveryIssue(await getOrder('order_34', { estimatedDeliveryTime: null }), CUSTOMER);
+
+    expect(verification.verified).toBe(false);
+    expect(verification.failure.error).toMatch(/estimatedDeliveryTime/);
+  });
+
+  test('a garbage order time fails refund eligibility', async () => {
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_34', { orderedAt: 'not a date' }), CUSTOMER, 'Bad food');
+
+    expect(eligibility.eligible).toBe(false);
+    expect(eligibility.failure.error).toMatch(/orderedAt/);
+  });
+
+  test('a well-formed order is still refunded', async () => {
+    const order = await getOrder('order_44');
+    const eligibility = await decisionEngine.checkRefundEligibility(order, CUSTOMER, 'Bad food', [PHOTO]);
+
+    expect(eligibility.eligible).toBe(true);
+    expect(Number.isFinite(eligibility.amount)).toBe(true);
+    expect(eligibility.amount).toBeGreaterThan(0);
+    expect(eligibility.amount).toBeLessThanOrEqual(order.totalAmount);
+  });
+
+  test('refunds of amounts that are not positive numbers fail', async () => {
+    const result = await paymentProcessor.processRefund('pay_123', NaN, 'Test');
+
+    expect(result.success).toBe(false);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refund evidence', () => {
+  test('a refund worth a photo is not eligible until one is uploaded', async () => {
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_44'), CUSTOMER, 'Bad food');
+
+    expect(eligibility).toMatchObject({ eligible: false, reason: 'Photo evidence required', requiresEvidence: true });
+  });
+
+  test('a photo reused from another claim is escalated', async () => {
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_44'), CUSTOMER, 'Bad food', [{ ...PHOTO, flags: ['DUPLICATE'] }]);
+
+    expect(eligibility).toMatchObject({ eligible: false, escalationReason: 'DUPLICATE_EVIDENCE' });
+  });
+});
+
+describe('refund risk', () => {
+  test('a high-risk customer\'s refund goes to a person, photo or not', async () => {
+    jest.spyOn(riskScorer, 'assessClaimRisk').mockResolvedValue({ score: 0.9, level: 'HIGH', action: riskScorer.RISK_ACTIONS.ESCALATE, factors: [] });
+
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_44'), CUSTOMER, 'Bad food', [PHOTO]);
+
+    expect(eligibility).toMatchObject({ eligible: false, escalationReason: 'HIGH_RISK_CLAIM', risk: { level: 'HIGH' } });
+  });
+});
+
+describe('refunds after earlier compensation', () => {
+  /**
+   * Record compensation already granted on an order
+   * @param {string} orderId - ID of the order
+   * @param {string} issueType - Issue it was granted for
+   * @param {string} resolutionType - REFUND or CREDIT
+   * @param {number} amount - Amount granted
+   */
+  function granted(orderId, issueType, resolutionType, amount) {
+    return resolutionLedger.recordResolution({ orderId, issueType, resolutionType, amount, customerId: CUSTOMER.id, sessionId: 'session_earlier' });
+  }
+
+  test('a partial refund for another issue leaves the rest of the order to refund', async () => {
+    await granted('partial_order_1', 'MISSING_ITEM', 'REFUND', 129);
+
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_34', { id: 'partial_order_1' }), CUSTOMER, 'Bad food', [PHOTO]);
+
+    expect(eligibility).toMatchObject({ eligible: true, amount: 515 });
+  });
+
+  test('an order refunded in full has nothing left to refund', async () => {
+    await granted('partial_order_2', 'MISSING_ITEM', 'REFUND', 200);
+    await granted('partial_order_2', 'WRONG_ORDER', 'REFUND', 444);
+
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_34', { id: 'partial_order_2' }), CUSTOMER, 'Bad food', [PHOTO]);
+
+    expect(eligibility).toMatchObject({ eligible: false, reason: 'Order has already been refunded' });
+  });
+
+  test('an order covered partly by credits is fully compensated, not refunded', async () => {
+    await granted('partial_order_3', 'MISSING_ITEM', 'REFUND', 200);
+    await granted('partial_order_3', 'LATE_DELIVERY', 'CREDIT', 444);
+
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_34', { id: 'partial_order_3' }), CUSTOMER, 'Bad food', [PHOTO]);
+
+    expect(eligibility).toMatchObject({ eligible: false, reason: 'Order has already been fully compensated' });
+  });
+
+  test('asking again for the same refund gets the one already granted', async () => {
+    await granted('partial_order_4', 'REFUND_REQUEST', 'REFUND', 322);
+
+    const eligibility = await decisionEngine.checkRefundEligibility(await getOrder('order_34', { id: 'partial_order_4' }), CUSTOMER, 'Bad food');
+
+    expect(eligibility).toMatchObject({ eligible: true, amount: 322, existingResolution: { issueType: 'REFUND_REQUEST' } });
+  });
+});
\ No newline at end of file
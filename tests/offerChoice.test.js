@@ -0,0 +1,157 @@
+// tests/offerChoice.test.js
+
+const languageProcessor = require('../modules/languageProcessor');
+
+// A refund offer as decideSolution and getSolutionOptions build it, recommended option first
+const OPTIONS = [
+  { type: 'REFUND', amount: 250, destination: 'SOURCE' },
+  { type: 'CREDIT', amount: 275 },
+  { type: 'REDELIVERY', amount: 250 }
+];
+
+/**
+ * Detect the choice a reply makes from the offer above
+ * @param {string} message - Customer's reply
+ * @returns {object} Choice
+ */
+function choose(message) {
+  return languageProcessor.detectOfferChoice(message, OPTIONS);
+}
+
+describe('accepting an offer', () => {
+  test.each([
+    ['yes', 0],
+    ['ok go ahead', 0],
+    ['refund please', 0],
+    ['I will take the credits', 1],
+    ['please redeliver it', 2],
+    ['2', 1],
+    ['option 3', 2],
+    ['the second one', 1]
+  ])('"%s" picks option %i', (message, optionIndex) => {
+    expect(choose(message)).toMatchObject({ optionIndex, declined: false });
+  });
+
+  test.each([
+    'no problem, go ahead',
+    'no worries, yes',
+    'No problem. Sure'
+  ])('"%s" accepts the recommended option rather than declining', message => {
+    expect(choose(message)).toMatchObject({ optionIndex: 0, declined: false, plainAccept: true });
+  });
+
+  test('a bare yes is marked as a plain accept', () => {
+    expect(choose('yes').plainAccept).toBe(true);
+    expect(choose('credits please').plainAccept).toBeUndefined();
+  });
+});
+
+describe('declining an offer', () => {
+  test.each([
+    'no',
+    'nope',
+    'no thanks, not now',
+    'No, thank you',
+    "I don't want any of these",
+    'none of these'
+  ])('"%s" declines', message => {
+    expect(choose(message)).toMatchObject({ optionIndex: null, declined: true });
+  });
+
+  test('"no" inside a reply that isn\'t turning anything down is not a decline', () => {
+    expect(choose('no problem')).toMatchObject({ optionIndex: null, declined: false });
+  });
+
+  test('turning down every option by name declines', () => {
+    expect(choose("I don't want a refund, credits or a redelivery")).toMatchObject({ optionIndex: null, declined: true });
+    expect(choose('neither the refund nor the credits nor a redelivery')).toMatchObject({ optionIndex: null, declined: true });
+  });
+});
+
+describe('negated options', () => {
+  test.each([
+    ['I do not want the refund', [0]],
+    ["I don't want credits", [1]],
+    ['no redelivery please', [2]],
+    ['not the second one', [1]]
+  ])('"%s" turns down options %j without picking one', (message, rejectedOptions) => {
+    expect(choose(message)).toMatchObject({ optionIndex: null, declined: false, rejectedOptions });
+  });
+
+  test.each([
+    ['I do not want the refund, give me credits instead', 1],
+    ['not the refund, credits please', 1],
+    ['credits, not a refund', 1],
+    ["I don't want the refund but a redelivery would be good", 2],
+    ['no, 2', 1]
+  ])('"%s" picks option %i', (message, optionIndex) => {
+    expect(choose(message)).toMatchObject({ optionIndex, declined: false });
+  });
+
+  test('an option named in both a positive and a negated clause is not picked', () => {
+    expect(choose("refund, actually no, I don't want the refund").optionIndex).toBeNull();
+  });
+});
+
+describe('refund destinations', () => {
+  // A card payment's refund offer: back to the card, to the wallet, or credits
+  const DESTINATION_OPTIONS = [
+    { type: 'REFUND', amount: 654, destination: 'SOURCE' },
+    { type: 'REFUND', amount: 654, destination: 'WALLET' },
+    { type: 'CREDIT', amount: 719.4 }
+  ];
+
+  // A cash on delivery refund offer: wallet, bank transfer or credits
+  const CASH_OPTIONS = [
+    { type: 'REFUND', amount: 832, destination: 'WALLET' },
+    { type: 'REFUND', amount: 832, destination: 'BANK_TRANSFER' },
+    { type: 'CREDIT', amount: 915.2 }
+  ];
+
+  test.each([
+    ['refund please', 0],
+    ['back to my card', 0],
+    ['refund to my wallet', 1],
+    ['put it in my wallet', 1],
+    ['credits', 2]
+  ])('"%s" picks option %i', (message, optionIndex) => {
+    expect(languageProcessor.detectOfferChoice(message, DESTINATION_OPTIONS)).toMatchObject({ optionIndex });
+  });
+
+  test("turning down the wallet doesn't pay into it, or turn down the credits", () => {
+    expect(languageProcessor.detectOfferChoice("I don't want my money in the wallet", DESTINATION_OPTIONS))
+      .toMatchObject({ optionIndex: null, declined: false, rejectedOptions: [1] });
+  });
+
+  test('turning down the wallet in favour of the card picks the card', () => {
+    expect(languageProcessor.detectOfferChoice("I don't want it in the wallet, refund it to my card", DESTINATION_OPTIONS))
+      .toMatchObject({ optionIndex: 0 });
+    expect(languageProcessor.detectOfferChoice('not to the wallet, back to my card please', DESTINATION_OPTIONS))
+      .toMatchObject({ optionIndex: 0 });
+  });
+
+  test('turning down the card refund leaves the wallet and credits', () => {
+    expect(languageProcessor.detectOfferChoice("I don't want the refund to my card", DESTINATION_OPTIONS))
+      .toMatchObject({ optionIndex: null, rejectedOptions: [0] });
+  });
+
+  test('turning down a refund turns down every refund destination', () => {
+    expect(languageProcessor.detectOfferChoice("I don't want a refund", DESTINATION_OPTIONS))
+      .toMatchObject({ optionIndex: null, declined: false, rejectedOptions: [0, 1] });
+  });
+
+  test('cash on delivery replies pick the wallet or the bank transfer', () => {
+    expect(languageProcessor.detectOfferChoice('refund please', CASH_OPTIONS)).toMatchObject({ optionIndex: 0 });
+    expect(languageProcessor.detectOfferChoice('bank transfer', CASH_OPTIONS)).toMatchObject({ optionIndex: 1 });
+    expect(languageProcessor.detectOfferChoice('not the wallet, a bank transfer', CASH_OPTIONS)).toMatchObject({ optionIndex: 1 });
+    expect(languageProcessor.detectOfferChoice("I don't want a bank transfer", CASH_OPTIONS))
+      .toMatchObject({ optionIndex: null, rejectedOptions: [1] });
+  });
+
+  test('naming an account to pay into picks the bank transfer, not the wallet', () => {
+    expect(languageProcessor.detectOfferChoice('my upi is priya@okhdfc', CASH_OPTIONS)).toMatchObject({ optionIndex: 1 });
+    expect(languageProcessor.detectOfferChoice('to my bank please', CASH_OPTIONS)).toMatchObject({ optionIndex: 1 });
+    expect(languageProcessor.detectOfferChoice('send it to my account', CASH_OPTIONS)).toMatchObject({ optionIndex: 1 });
+    expect(languageProcessor.detectOfferChoice('upi', DESTINATION_OPTIONS)).toMatchObject({ optionIndex: 0 });
+  });
+});
\ No newline at end of file
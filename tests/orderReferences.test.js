@@ -0,0 +1,47 @@
+// tests/orderReferences.test.js
+
+const languageProcessor = require('../modules/languageProcessor');
+
+describe('extractOrderIds', () => {
+  test.each([
+    ['where is order_34', ['order_34']],
+    ['track order_33 and order_32', ['order_33', 'order_32']],
+    ["what's the status of #48213", ['48213']],
+    ['#48213 and #48217 please', ['48213', '48217']],
+    ['where is order 12345', ['12345']],
+    ['where is order #12345', ['12345']],
+    ['status of orders 12345 and 67890', ['12345', '67890']],
+    ['order 12345 and 67890', ['12345', '67890']],
+    ['orders 12345, 67890 and 11223', ['12345', '67890', '11223']],
+    ['orders 12345, 67890, and 11223?', ['12345', '67890', '11223']],
+    ['order no. 12345 or 67890', ['12345', '67890']],
+    ['order numbers 12345 & 67890', ['12345', '67890']],
+    ['order_34, order_29 and #48213', ['order_34', 'order_29', '48213']],
+    ['order 12345 and order 12345 again', ['12345']]
+  ])('"%s" refers to %j', (message, orderIds) => {
+    expect(languageProcessor.extractOrderIds(message)).toEqual(orderIds);
+  });
+
+  test.each([
+    'where is my order',
+    'I ordered 2 pizzas',
+    'my order is 20 minutes late'
+  ])('"%s" refers to no order', message => {
+    expect(languageProcessor.extractOrderIds(message)).toEqual([]);
+  });
+
+  test('small numbers after an order are not read as more orders', () => {
+    expect(languageProcessor.extractOrderIds('order 12345 and 2 pizzas were missing')).toEqual(['12345']);
+  });
+});
+
+describe('mentionsAllOrders', () => {
+  test.each([
+    ['where are my orders', true],
+    ['what about both orders', true],
+    ['status of all of my orders', true],
+    ['where is my order', false]
+  ])('"%s" is %p', (message, expected) => {
+    expect(languageProcessor.mentionsAllOrders(message)).toBe(expected);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,155 @@
+// tests/paymentGateway.test.js
+
+jest.mock('axios');
+
+let axios;
+let config;
+let paymentGateway;
+
+/**
+ * An axios error for a response from the gateway
+ * @param {number} status - HTTP status
+ * @param {object} data - Response body
+ * @returns {Error} Error with a response
+ */
+function responseError(status, data = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+/**
+ * An axios error for a request that never got an answer
+ * @returns {Error} Error without a response
+ */
+function networkError() {
+  return Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+beforeEach(() => {
+  // Every test starts with a closed circuit
+  jest.resetModules();
+  axios = require('axios');
+  config = require('../config/appConfig');
+  paymentGateway = require('../modules/paymentGateway');
+
+  config.paymentGateway.retryBaseDelayMs = 1;
+});
+
+describe('requests', () => {
+  test('credentials and the idempotency key are sent as headers', async () => {
+    axios.mockResolvedValue({ data: { transactionId: 'txn_1' } });
+
+    const data = await paymentGateway.request('post', '/refunds', { data: { amount: 100 }, idempotencyKey: 'refund_order_1_WRONG_ORDER' });
+
+    expect(data).toEqual({ transactionId: 'txn_1' });
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'post',
+      url: `${config.paymentGateway.baseUrl}/refunds`,
+      data: { amount: 100 },
+      timeout: config.paymentGateway.timeoutMs,
+      headers: {
+        'Authorization': `Bearer ${config.paymentGateway.apiKey}`,
+        'Merchant-ID': config.paymentGateway.merchantId,
+        'Idempotency-Key': 'refund_order_1_WRONG_ORDER'
+      }
+    }));
+  });
+
+  test('requests without a key send no idempotency header', async () => {
+    axios.mockResolvedValue({ data: { status: 'SUCCESS' } });
+
+    await paymentGateway.request('get', '/refunds/txn_1');
+
+    expect(axios.mock.calls[0][0].headers).not.toHaveProperty('Idempotency-Key');
+  });
+});
+
+describe('retries', () => {
+  test('transient failures are retried with the same idempotency key', async () => {
+    axios
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(responseError(503))
+      .mockResolvedValueOnce({ data: { transactionId: 'txn_2' } });
+
+    const data = await paymentGateway.request('post', '/refunds', { idempotencyKey: 'refund_order_2_MISSING_ITEM' });
+
+    expect(data.transactionId).toBe('txn_2');
+    expect(axios).toHaveBeenCalledTimes(3);
+    expect(axios.mock.calls.map(([options]) => options.headers['Idempotency-Key']))
+      .toEqual(Array(3).fill('refund_order_2_MISSING_ITEM'));
+  });
+
+  test('a gateway still failing after every retry is unavailable', async () => {
+    axios.mockRejectedValue(responseError(500));
+
+    const error = await paymentGateway.request('post', '/refunds').catch(caught => caught);
+
+    expect(axios).toHaveBeenCalledTimes(config.paymentGateway.maxRetries + 1);
+    expect(error).toMatchObject({ code: 'UNAVAILABLE', status: 500 });
+    expect(paymentGateway.isUnavailable(error)).toBe(true);
+  });
+
+  test('rejections are not retried and carry the gateway\'s message', async () => {
+    axios.mockRejectedValue(responseError(422, { message: 'Refund exceeds payment' }));
+
+    const error = await paymentGateway.request('post', '/refunds').catch(caught => caught);
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(error).toMatchObject({ code: 'REJECTED', status: 422, message: 'Refund exceeds payment' });
+    expect(paymentGateway.isUnavailable(error)).toBe(false);
+  });
+});
+
+describe('circuit breaker', () => {
+  /**
+   * Fail enough requests in a row to open the circuit
+   */
+  async function tripCircuit() {
+    axios.mockRejectedValue(networkError());
+    config.paymentGateway.maxRetries = 0;
+
+    for (let i = 0; i < config.paymentGateway.circuitBreaker.failureThreshold; i++) {
+      await paymentGateway.request('post', '/refunds').catch(() => {});
+    }
+  }
+
+  test('opens after too many failures in a row and stops sending requests', async () => {
+    await tripCircuit();
+    axios.mockClear();
+
+    const error = await paymentGateway.request('post', '/refunds').catch(caught => caught);
+
+    expect(paymentGateway.getCircuitState().state).toBe('OPEN');
+    expect(error.code).toBe('CIRCUIT_OPEN');
+    expect(paymentGateway.isUnavailable(error)).toBe(true);
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('a successful trial request after the reset period closes it', async () => {
+    await tripCircuit();
+    config.paymentGateway.circuitBreaker.resetSeconds = 0;
+    axios.mockResolvedValue({ data: { transactionId: 'txn_3' } });
+
+    await paymentGateway.request('post', '/refunds');
+
+    expect(paymentGateway.getCircuitState()).toMatchObject({ state: 'CLOSED', consecutiveFailures: 0 });
+  });
+
+  test('a failed trial request opens it again', async () => {
+    await tripCircuit();
+    config.paymentGateway.circuitBreaker.resetSeconds = 0;
+
+    await paymentGateway.request('post', '/refunds').catch(() => {});
+
+    expect(paymentGateway.getCircuitState().state).toBe('OPEN');
+  });
+
+  test('a rejection counts as the gateway being up', async () => {
+    axios.mockRejectedValueOnce(networkError()).mockRejectedValueOnce(responseError(400));
+    config.paymentGateway.maxRetries = 0;
+
+    await paymentGateway.request('post', '/refunds').catch(() => {});
+    await paymentGateway.request('post', '/refunds').catch(() => {});
+
+    expect(paymentGateway.getCircuitState()).toMatchObject({ state: 'CLOSED', consecutiveFailures: 0 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,178 @@
+// tests/policyEngine.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const policyEngine = require('../modules/policyEngine');
+
+const { RULE_SETS } = policyEngine;
+
+// Policy documents written for these tests
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+
+/**
+ * Build a policy document with one refund rule and the given compensation rules
+ * @param {string} version - Policy version
+ * @param {array} compensation - Compensation rules
+ * @returns {object} Policy document
+ */
+function policyDocument(version, compensation) {
+  return {
+    version,
+    compensation,
+    refund: [{ id: 'full-refund', when: {}, then: { percentage: 100 } }]
+  };
+}
+
+/**
+ * Write a policy document and load it
+ * @param {object} document - Policy document (or raw text)
+ * @returns {object|null} Policy in force
+ */
+function loadDocument(document) {
+  const rulesPath = path.join(tempDir, `rules_${Date.now()}_${Math.random()}.json`);
+
+  fs.writeFileSync(rulesPath, typeof document === 'string' ? document : JSON.stringify(document));
+
+  return policyEngine.loadRules(rulesPath);
+}
+
+const RULES = [
+  {
+    id: 'late-premium',
+    when: { issueType: 'LATE_DELIVERY', membershipTier: ['PRO', 'PRO_PLUS'], latenessMinutes: { gt: 30 } },
+    then: { type: 'CREDIT', amount: { base: 'orderValue', rate: 0.5, max: 200 }, reason: 'Late by {latenessMinutes} minutes' }
+  },
+  {
+    id: 'late-any',
+    when: { issueType: 'LATE_DELIVERY', latenessMinutes: { gt: 30, lte: 90 } },
+    then: { type: 'CREDIT', amount: { base: 'deliveryFee', fallback: 40 }, reason: 'Late delivery' }
+  },
+  {
+    id: 'not-cod',
+    when: { paymentMethod: { notIn: ['COD'] } },
+    then: { type: 'REFUND', amount: { base: 'affectedAmount' }, reason: 'Refund' }
+  }
+];
+
+beforeEach(() => {
+  loadDocument(policyDocument('test-1', RULES));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('rule evaluation', () => {
+  test('the first rule whose conditions all match is applied', () => {
+    const evaluation = policyEngine.evaluate(RULE_SETS.COMPENSATION, {
+      issueType: 'LATE_DELIVERY',
+      membershipTier: 'PRO',
+      latenessMinutes: 45
+    });
+
+    expect(evaluation).toMatchObject({ version: 'test-1', rule: { id: 'late-premium' }, trace: [] });
+  });
+
+  test('skipped rules are traced with the condition that failed', () => {
+    const evaluation = policyEngine.evaluate(RULE_SETS.COMPENSATION, {
+      issueType: 'LATE_DELIVERY',
+      membershipTier: 'REGULAR',
+      latenessMinutes: 45
+    });
+
+    expect(evaluation.rule.id).toBe('late-any');
+    expect(evaluation.trace).toEqual([
+      { ruleId: 'late-premium', failedCondition: 'membershipTier ["PRO","PRO_PLUS"] (was "REGULAR")' }
+    ]);
+  });
+
+  test('every operator in a condition has to hold', () => {
+    const evaluation = policyEngine.evaluate(RULE_SETS.COMPENSATION, {
+      issueType: 'LATE_DELIVERY',
+      membershipTier: 'REGULAR',
+      latenessMinutes: 120,
+      paymentMethod: 'COD'
+    });
+
+    expect(evaluation.rule).toBeNull();
+    expect(evaluation.trace.map(entry => entry.ruleId)).toEqual(['late-premium', 'late-any', 'not-cod']);
+  });
+
+  test('a missing fact never meets a comparison', () => {
+    const evaluation = policyEngine.evaluate(RULE_SETS.COMPENSATION, { issueType: 'LATE_DELIVERY', membershipTier: 'PRO' });
+
+    expect(evaluation.rule).toBeNull();
+  });
+
+  test('amounts apply the rate and the cap', () => {
+    const spec = RULES[0].then.amount;
+
+    expect(policyEngine.calculateAmount(spec, { orderValue: 300 })).toBe(150);
+    expect(policyEngine.calculateAmount(spec, { orderValue: 1000 })).toBe(200);
+  });
+
+  test('amounts fall back when the base fact is missing or zero', () => {
+    const spec = RULES[1].then.amount;
+
+    expect(policyEngine.calculateAmount(spec, { deliveryFee: 0 })).toBe(40);
+    expect(policyEngine.calculateAmount(spec, {})).toBe(40);
+    expect(policyEngine.calculateAmount(spec, { deliveryFee: 25 })).toBe(25);
+  });
+
+  test('rule text is filled in with rounded facts', () => {
+    expect(policyEngine.formatTemplate(RULES[0].then.reason, { latenessMinutes: 44.6 })).toBe('Late by 45 minutes');
+    expect(policyEngine.formatTemplate('Late by {latenessMinutes} minutes', {})).toBe('Late by {latenessMinutes} minutes');
+  });
+});
+
+describe('loading and hot reload', () => {
+  test('a valid document replaces the policy in force', () => {
+    const policy = loadDocument(policyDocument('test-2', [RULES[2]]));
+
+    expect(policy.version).toBe('test-2');
+    expect(policyEngine.evaluate(RULE_SETS.COMPENSATION, { paymentMethod: 'UPI' })).toMatchObject({ version: 'test-2', rule: { id: 'not-cod' } });
+  });
+
+  test.each([
+    ['unreadable JSON', '{ "version": '],
+    ['no version', policyDocument('', RULES)],
+    ['an unknown fact', policyDocument('bad', [{ ...RULES[2], when: { weather: 'RAIN' } }])],
+    ['an unknown operator', policyDocument('bad', [{ ...RULES[2], when: { orderValue: { between: [1, 2] } } }])],
+    ['a duplicate rule id', policyDocument('bad', [RULES[2], RULES[2]])],
+    ['an unknown solution type', policyDocument('bad', [{ ...RULES[2], then: { ...RULES[2].then, type: 'VOUCHER' } }])],
+    ['an amount with no base', policyDocument('bad', [{ ...RULES[2], then: { ...RULES[2].then, amount: { rate: 1 } } }])],
+    ['a refund percentage over 100', { ...policyDocument('bad', RULES), refund: [{ id: 'too-much', then: { percentage: 150 } }] }]
+  ])('a document with %s is refused and the previous policy kept', (label, document) => {
+    const policy = loadDocument(document);
+
+    expect(policy.version).toBe('test-1');
+    expect(policyEngine.getPolicy().version).toBe('test-1');
+  });
+
+  test('the rules file is reloaded when it changes', () => {
+    let onChange;
+    const configuredPath = path.resolve(__dirname, '..', require('../config/appConfig').policy.rulesFile);
+    const readFileSync = fs.readFileSync;
+
+    jest.spyOn(fs, 'watchFile').mockImplementation((file, options, listener) => {
+      onChange = listener;
+      return { unref: () => {} };
+    });
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => (
+      file === configuredPath ? JSON.stringify(policyDocument('test-reloaded', RULES)) : readFileSync(file, ...rest)
+    ));
+
+    policyEngine.watchRules();
+
+    onChange({ mtimeMs: 1 }, { mtimeMs: 1 });
+    expect(policyEngine.getPolicy().version).toBe('test-1');
+
+    onChange({ mtimeMs: 2 }, { mtimeMs: 1 });
+    expect(policyEngine.getPolicy().version).toBe('test-reloaded');
+  });
+});
\ No newline at end of file
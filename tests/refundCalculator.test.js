@@ -0,0 +1,115 @@
+// tests/refundCalculator.test.js
+
+const config = require('../config/appConfig');
+const refundCalculator = require('../modules/refundCalculator');
+
+// Subtotal 550, charged 550 - 55 + 27.5 + 40 = 562.5
+const ORDER = {
+  items: [
+    { name: 'Chicken Burger', price: 200, quantity: 2 },
+    { name: 'Fries', price: 100, quantity: 1 },
+    { name: 'Sprite (Large)', price: 50, quantity: 1 }
+  ],
+  subtotal: 550,
+  discount: 55,
+  taxes: 27.5,
+  deliveryFee: 40,
+  totalAmount: 562.5
+};
+
+// Three equal lines, so taxes and fees don't split evenly into paise
+const THIRDS_ORDER = {
+  items: [
+    { name: 'Paneer Tikka', price: 100, quantity: 1 },
+    { name: 'Dal Makhani', price: 100, quantity: 1 },
+    { name: 'Butter Naan', price: 100, quantity: 1 }
+  ],
+  discount: 0,
+  taxes: 10,
+  deliveryFee: 20,
+  totalAmount: 330
+};
+
+const originalApportionDeliveryFee = config.itemRefunds.apportionDeliveryFee;
+
+afterEach(() => {
+  config.itemRefunds.apportionDeliveryFee = originalApportionDeliveryFee;
+});
+
+describe('claimed items', () => {
+  test('mentions are matched by name, ignoring plurals and sizes', () => {
+    const claim = refundCalculator.resolveClaimItems(ORDER, [
+      { name: 'chicken burgers', quantity: 1 },
+      'sprite',
+      'garlic bread'
+    ]);
+
+    expect(claim).toEqual({
+      items: [{ name: 'Chicken Burger', quantity: 1 }, { name: 'Sprite (Large)', quantity: 1 }],
+      unmatched: ['garlic bread']
+    });
+  });
+
+  test('repeated mentions add up but never pass the quantity ordered', () => {
+    const claim = refundCalculator.resolveClaimItems(ORDER, [
+      { name: 'chicken burger', quantity: 1 },
+      { name: 'chicken burger', quantity: 2 }
+    ]);
+
+    expect(claim.items).toEqual([{ name: 'Chicken Burger', quantity: 2 }]);
+  });
+
+  test('a mention without a quantity means the whole line', () => {
+    expect(refundCalculator.resolveClaimItems(ORDER, ['chicken burger']).items).toEqual([{ name: 'Chicken Burger', quantity: 2 }]);
+  });
+});
+
+describe('refund breakdown', () => {
+  test('each line gets its share of the discount, taxes and delivery fee', () => {
+    const breakdown = refundCalculator.calculateItemRefund(ORDER, [{ name: 'Fries', quantity: 1 }]);
+
+    expect(breakdown.lines).toEqual([{
+      name: 'Fries',
+      quantity: 1,
+      unitPrice: 100,
+      itemAmount: 100,
+      discount: 10,
+      taxes: 5,
+      deliveryFee: 7.27,
+      total: 102.27
+    }]);
+    expect(breakdown).toMatchObject({ itemAmount: 100, discount: 10, taxes: 5, deliveryFee: 7.27, total: 102.27 });
+  });
+
+  test('the delivery fee is left out when it is not apportioned', () => {
+    config.itemRefunds.apportionDeliveryFee = false;
+
+    const breakdown = refundCalculator.calculateItemRefund(ORDER, [{ name: 'Fries', quantity: 1 }]);
+
+    expect(breakdown).toMatchObject({ deliveryFee: 0, total: 95 });
+  });
+
+  test('amounts are rounded to paise', () => {
+    const breakdown = refundCalculator.calculateItemRefund(THIRDS_ORDER, [{ name: 'Dal Makhani', quantity: 1 }]);
+
+    expect(breakdown).toMatchObject({ taxes: 3.33, deliveryFee: 6.67, total: 110 });
+  });
+
+  test('claiming the whole order gives back exactly what was charged', () => {
+    const breakdown = refundCalculator.calculateItemRefund(THIRDS_ORDER, THIRDS_ORDER.items.map(item => ({ name: item.name, quantity: item.quantity })));
+
+    expect(breakdown).toMatchObject({ taxes: 10, deliveryFee: 20, total: 330 });
+    expect(breakdown.lines.map(line => line.taxes)).toEqual([3.33, 3.33, 3.34]);
+  });
+
+  test('claiming every line of a discounted order matches the order total', () => {
+    const breakdown = refundCalculator.calculateItemRefund(ORDER, ORDER.items.map(item => ({ name: item.name, quantity: item.quantity })));
+
+    expect(breakdown.total).toBe(ORDER.totalAmount);
+  });
+
+  test('items that are not on the order are left out', () => {
+    expect(refundCalculator.calculateItemRefund(ORDER, [{ name: 'Garlic Bread', quantity: 1 }]))
+      .toEqual({ lines: [], itemAmount: 0, discount: 0, taxes: 0, deliveryFee: 0, total: 0 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,216 @@
+// tests/refundTracker.test.js
+
+const escalationQueue = require('../modules/escalationQueue');
+const paymentProcessor = require('../modules/paymentProcessor');
+const refundTracker = require('../modules/refundTracker');
+const resolutionLedger = require('../modules/resolutionLedger');
+const sessionStore = require('../modules/sessionStore');
+
+const { REFUND_STATES } = refundTracker;
+
+/**
+ * Start tracking a refund on a test order
+ * @param {string} refundId - ID of the refund
+ * @param {object} overrides - Refund details to replace
+ * @returns {object} Tracked refund
+ */
+function track(refundId, overrides = {}) {
+  return refundTracker.recordRefund({
+    refundId,
+    orderId: `order_${refundId}`,
+    customerId: 'tracker_cust',
+    paymentId: `pay_${refundId}`,
+    issueType: 'WRONG_ORDER',
+    amount: 300,
+    reason: 'Wrong order',
+    idempotencyKey: `refund_order_${refundId}_WRONG_ORDER`,
+    destination: 'SOURCE',
+    paymentMethod: 'UPI',
+    estimatedCreditDays: 3,
+    ...overrides
+  });
+}
+
+/**
+ * Make the payment gateway report a status for every refund
+ * @param {object} status - Status result ({ status, settledAt, failureReason })
+ */
+function gatewayReports(status) {
+  jest.spyOn(paymentProcessor, 'checkRefundStatus').mockResolvedValue(status);
+}
+
+/**
+ * Start a session whose refund was granted and recorded in the order's ledger
+ * @param {string} refundId - ID of the refund
+ * @returns {object} Session data
+ */
+async function refundedSession(refundId) {
+  const session = await sessionStore.createSession({
+    sessionId: `session_${refundId}`,
+    customerId: 'tracker_cust',
+    customerInfo: { name: 'Rahul Sharma', membershipTier: 'REGULAR' },
+    orderIds: [`order_${refundId}`],
+    orderDetails: [],
+    conversationHistory: [],
+    escalated: false,
+    resolutions: []
+  });
+
+  await resolutionLedger.recordResolution({
+    orderId: `order_${refundId}`,
+    issueType: 'WRONG_ORDER',
+    resolutionType: 'REFUND',
+    amount: 300,
+    customerId: 'tracker_cust',
+    sessionId: session.sessionId,
+    transactionId: refundId
+  });
+
+  return session;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('starting state', () => {
+  test('refunds accepted by the gateway start out initiated', async () => {
+    expect((await track('start_1')).state).toBe(REFUND_STATES.INITIATED);
+  });
+
+  test('wallet refunds start out settled', async () => {
+    const refund = await track('start_2', { destination: 'WALLET' });
+
+    expect(refund).toMatchObject({ state: REFUND_STATES.SETTLED, estimatedCreditDays: 0 });
+    expect(refund.settledAt).not.toBeNull();
+  });
+
+  test('refunds the gateway never received start out queued', async () => {
+    expect((await track('start_3', { pending: true })).state).toBe(REFUND_STATES.QUEUED);
+  });
+});
+
+describe('reconciling with the gateway', () => {
+  test('a refund moves forward through processing to settled', async () => {
+    const refund = await track('reconcile_1');
+
+    gatewayReports({ status: 'PROCESSING' });
+    const processing = await refundTracker.reconcileRefund(refund);
+
+    gatewayReports({ status: 'SUCCESS', settledAt: new Date('2026-01-05T00:00:00Z') });
+    const settled = await refundTracker.reconcileRefund(processing);
+
+    expect(processing.state).toBe(REFUND_STATES.PROCESSING);
+    expect(settled.state).toBe(REFUND_STATES.SETTLED);
+    expect(settled.history.map(entry => entry.state)).toEqual(['INITIATED', 'PROCESSING', 'SETTLED']);
+  });
+
+  test('a stale answer never moves a refund backwards', async () => {
+    gatewayReports({ status: 'PROCESSING' });
+    const processing = await refundTracker.reconcileRefund(await track('reconcile_2'));
+
+    gatewayReports({ status: 'PENDING' });
+
+    expect((await refundTracker.reconcileRefund(processing)).state).toBe(REFUND_STATES.PROCESSING);
+  });
+
+  test('a failed refund keeps the reason the gateway gave', async () => {
+    gatewayReports({ status: 'REVERSED', failureReason: 'Account closed' });
+
+    const failed = await refundTracker.reconcileRefund(await track('reconcile_3'));
+
+    expect(failed).toMatchObject({ state: REFUND_STATES.FAILED, failureReason: 'Account closed' });
+  });
+
+  test('an unknown answer leaves the refund as it is', async () => {
+    const refund = await track('reconcile_4');
+
+    gatewayReports({ status: 'UNKNOWN', error: 'Unable to retrieve refund status' });
+
+    expect(await refundTracker.reconcileRefund(refund)).toBe(refund);
+  });
+});
+
+describe('sending queued refunds', () => {
+  test('a queued refund is sent with its key and its route\'s timeline', async () => {
+    await track('queue_1', { pending: true, maxDays: 7, estimatedCreditDays: 7 });
+    const executeRefund = jest.spyOn(paymentProcessor, 'executeRefund')
+      .mockImplementation(async (paymentId, amount, reason, idempotencyKey, creditDays) => ({
+        success: true,
+        transactionId: 'gw_queue_1',
+        estimatedCreditDays: creditDays
+      }));
+
+    await refundTracker.processQueuedRefunds();
+    const [refund] = await refundTracker.getOrderRefunds('order_queue_1');
+
+    expect(executeRefund).toHaveBeenCalledWith('pay_queue_1', 300, 'Wrong order', 'refund_order_queue_1_WRONG_ORDER', 7);
+    expect(refund).toMatchObject({ state: REFUND_STATES.INITIATED, gatewayRefundId: 'gw_queue_1', estimatedCreditDays: 7, attempts: 1 });
+  });
+
+  test('a queued refund stays queued while the gateway is still down', async () => {
+    await track('queue_2', { pending: true });
+    jest.spyOn(paymentProcessor, 'executeRefund').mockResolvedValue({ success: true, pending: true });
+
+    await refundTracker.processQueuedRefunds();
+    const [refund] = await refundTracker.getOrderRefunds('order_queue_2');
+
+    expect(refund).toMatchObject({ state: REFUND_STATES.QUEUED, attempts: 1, lastError: 'Payment gateway unavailable' });
+  });
+
+  test('a queued refund the gateway rejects fails', async () => {
+    await track('queue_3', { pending: true });
+    jest.spyOn(paymentProcessor, 'executeRefund').mockResolvedValue({ success: false, error: 'Payment not found', escalate: true });
+
+    await refundTracker.processQueuedRefunds();
+    const [refund] = await refundTracker.getOrderRefunds('order_queue_3');
+
+    expect(refund).toMatchObject({ state: REFUND_STATES.FAILED, failureReason: 'Payment not found' });
+  });
+});
+
+describe('failed refunds', () => {
+  test('a queued refund the gateway rejects is released from the ledger and passed to the support team', async () => {
+    const session = await refundedSession('failed_1');
+    await track('failed_1', { pending: true, sessionId: session.sessionId });
+    jest.spyOn(paymentProcessor, 'executeRefund').mockResolvedValue({ success: false, error: 'Payment not found', escalate: true });
+
+    await refundTracker.processQueuedRefunds();
+    const { messages } = await sessionStore.getMessages(session);
+
+    expect(await resolutionLedger.findResolution('order_failed_1', 'WRONG_ORDER')).toBeNull();
+    expect(session).toMatchObject({ escalated: true, escalationReason: 'REFUND_FAILED' });
+    expect(await escalationQueue.getTicket(session.sessionId)).toMatchObject({ reason: 'REFUND_FAILED', status: 'WAITING' });
+    expect(messages[messages.length - 1].content).toMatch(/couldn't be completed by the payment gateway \(Payment not found\)[\s\S]*support team/);
+  });
+
+  test('a refund that fails after it was sent is followed up the same way', async () => {
+    const session = await refundedSession('failed_2');
+    const refund = await track('failed_2', { sessionId: session.sessionId });
+    gatewayReports({ status: 'REVERSED', failureReason: 'Account closed' });
+
+    await refundTracker.reconcileRefund(refund);
+
+    expect(await resolutionLedger.findResolution('order_failed_2', 'WRONG_ORDER')).toBeNull();
+    expect(await escalationQueue.getTicket(session.sessionId)).toMatchObject({ reason: 'REFUND_FAILED' });
+  });
+
+  test('other resolutions on the order stay in the ledger', async () => {
+    await refundedSession('failed_3');
+    await resolutionLedger.recordResolution({
+      orderId: 'order_failed_3',
+      issueType: 'LATE_DELIVERY',
+      resolutionType: 'CREDIT',
+      amount: 50,
+      customerId: 'tracker_cust',
+      transactionId: 'zc_failed_3'
+    });
+    await track('failed_3', { pending: true });
+    jest.spyOn(paymentProcessor, 'executeRefund').mockResolvedValue({ success: false, error: 'Payment not found' });
+
+    await refundTracker.processQueuedRefunds();
+    const ledger = await resolutionLedger.getOrderLedger('order_failed_3');
+
+    expect(ledger.map(entry => entry.issueType)).toEqual(['LATE_DELIVERY']);
+  });
+});
\ No newline at end of file
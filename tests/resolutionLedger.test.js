@@ -0,0 +1,194 @@
+// tests/resolutionLedger.test.js
+
+const database = require('../modules/database');
+const resolutionLedger = require('../modules/resolutionLedger');
+
+/**
+ * Build the ledger context for a claim on a test order
+ * @param {string} orderId - ID of the order
+ * @param {string} issueType - Type of issue
+ * @param {number} orderTotal - Order total
+ * @returns {object} Ledger context
+ */
+function context(orderId, issueType, orderTotal = 500) {
+  return { orderId, orderTotal, issueType, resolutionType: 'CREDIT', customerId: 'cust_12345', sessionId: 'session_1' };
+}
+
+/**
+ * A grant step that succeeds and remembers the amounts it was called with
+ * @returns {function} Grant step
+ */
+function recordingGrant() {
+  return jest.fn(async amount => ({ success: true, transactionId: `txn_${amount}`, amount }));
+}
+
+/**
+ * Use a stored ledger whose writes fail until the returned store is told to accept them
+ * @returns {object} Store ({ entries, backlog, accept })
+ */
+function failingStore() {
+  const store = { entries: [], backlog: [], failing: true };
+
+  jest.spyOn(database, 'isPersistent').mockReturnValue(true);
+  jest.spyOn(database, 'getResolutionLedgerEntries').mockImplementation(async orderId =>
+    store.entries.filter(entry => entry.orderId === orderId)
+  );
+  jest.spyOn(database, 'addResolutionLedgerEntry').mockImplementation(async entry => {
+    if (store.failing) {
+      throw new Error('Database unavailable');
+    }
+
+    store.entries.push(entry);
+  });
+  jest.spyOn(database, 'addUnrecordedResolution').mockImplementation(async entry => {
+    store.backlog.push(entry);
+  });
+  jest.spyOn(database, 'getUnrecordedResolutions').mockImplementation(async () => [...store.backlog]);
+  jest.spyOn(database, 'removeUnrecordedResolution').mockImplementation(async entryId => {
+    store.backlog = store.backlog.filter(entry => entry.entryId !== entryId);
+  });
+
+  store.accept = () => {
+    store.failing = false;
+  };
+
+  return store;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('per-issue dedupe', () => {
+  test('the same issue on an order is only compensated once', async () => {
+    const grant = recordingGrant();
+
+    const first = await resolutionLedger.grantOnce(context('ledger_order_1', 'WRONG_ORDER'), 200, grant);
+    const repeat = await resolutionLedger.grantOnce(context('ledger_order_1', 'WRONG_ORDER'), 200, grant);
+
+    expect(first.success).toBe(true);
+    expect(repeat).toMatchObject({ success: true, duplicate: true, transactionId: 'txn_200', amount: 200 });
+    expect(grant).toHaveBeenCalledTimes(1);
+  });
+
+  test('concurrent claims for the same issue are only granted once', async () => {
+    const grant = recordingGrant();
+
+    const results = await Promise.all([
+      resolutionLedger.grantOnce(context('ledger_order_2', 'MISSING_ITEM'), 100, grant),
+      resolutionLedger.grantOnce(context('ledger_order_2', 'MISSING_ITEM'), 100, grant)
+    ]);
+
+    expect(grant).toHaveBeenCalledTimes(1);
+    expect(results.filter(result => result.duplicate)).toHaveLength(1);
+  });
+
+  test('failed grants are not recorded, so the issue can be tried again', async () => {
+    const failing = jest.fn(async () => ({ success: false, error: 'Gateway said no' }));
+
+    await resolutionLedger.grantOnce(context('ledger_order_3', 'LATE_DELIVERY'), 100, failing);
+
+    expect(await resolutionLedger.findResolution('ledger_order_3', 'LATE_DELIVERY')).toBeNull();
+  });
+});
+
+describe('order total cap', () => {
+  test('different issues add up to no more than the order total', async () => {
+    const grant = recordingGrant();
+
+    await resolutionLedger.grantOnce(context('ledger_order_4', 'WRONG_ORDER'), 400, grant);
+    const second = await resolutionLedger.grantOnce(context('ledger_order_4', 'LATE_DELIVERY'), 300, grant);
+
+    expect(grant).toHaveBeenLastCalledWith(100);
+    expect(second.amount).toBe(100);
+    expect(await resolutionLedger.getCompensatedAmount('ledger_order_4')).toBe(500);
+  });
+
+  test('a fully compensated order gets nothing more', async () => {
+    const grant = recordingGrant();
+    const result = await resolutionLedger.grantOnce(context('ledger_order_4', 'REFUND_REQUEST'), 50, grant);
+
+    expect(result).toMatchObject({ success: false, fullyCompensated: true });
+    expect(grant).not.toHaveBeenCalled();
+  });
+
+  test('remaining compensation never goes negative', async () => {
+    expect(await resolutionLedger.getRemainingCompensation({ id: 'ledger_order_4', totalAmount: 500 })).toBe(0);
+    expect(await resolutionLedger.getRemainingCompensation({ id: 'ledger_order_4', totalAmount: 300 })).toBe(0);
+  });
+});
+
+describe('invalid amounts', () => {
+  test.each([NaN, Infinity, -10, 0, '100', undefined])('%p is refused without granting or recording', async amount => {
+    const grant = recordingGrant();
+    const result = await resolutionLedger.grantOnce(context('ledger_order_5', 'WRONG_ORDER'), amount, grant);
+
+    expect(result).toMatchObject({ success: false, escalate: true });
+    expect(grant).not.toHaveBeenCalled();
+    expect(await resolutionLedger.getOrderLedger('ledger_order_5')).toEqual([]);
+  });
+
+  test('an order total that is not a number is refused', async () => {
+    const grant = recordingGrant();
+    const result = await resolutionLedger.grantOnce(context('ledger_order_6', 'WRONG_ORDER', NaN), 100, grant);
+
+    expect(result.success).toBe(false);
+    expect(grant).not.toHaveBeenCalled();
+  });
+
+  test('the cap still holds after an invalid amount was refused', async () => {
+    const grant = recordingGrant();
+
+    await resolutionLedger.grantOnce(context('ledger_order_7', 'WRONG_ORDER'), NaN, grant);
+    await resolutionLedger.grantOnce(context('ledger_order_7', 'MISSING_ITEM'), 450, grant);
+    const over = await resolutionLedger.grantOnce(context('ledger_order_7', 'LATE_DELIVERY'), 450, grant);
+
+    expect(over.amount).toBe(50);
+    expect(await resolutionLedger.getCompensatedAmount('ledger_order_7')).toBe(500);
+  });
+
+  test('recording an entry without a valid amount throws', async () => {
+    await expect(resolutionLedger.recordResolution({ ...context('ledger_order_8', 'WRONG_ORDER'), amount: NaN }))
+      .rejects.toThrow('Invalid ledger amount');
+  });
+});
+
+describe('ledger write failures', () => {
+  test('a payment that could not be recorded is still reported as made and reconciled later', async () => {
+    const store = failingStore();
+    const grant = recordingGrant();
+
+    const result = await resolutionLedger.grantOnce(context('ledger_order_9', 'WRONG_ORDER'), 200, grant);
+
+    expect(result).toMatchObject({ success: true, transactionId: 'txn_200', amount: 200, needsReconciliation: true });
+    expect(store.backlog).toEqual([expect.objectContaining({ orderId: 'ledger_order_9', issueType: 'WRONG_ORDER', transactionId: 'txn_200' })]);
+
+    store.accept();
+
+    expect(await resolutionLedger.reconcileResolutions()).toEqual({ pending: 0, recorded: 1 });
+    expect(store.entries).toEqual([expect.objectContaining({ issueType: 'WRONG_ORDER', amount: 200, transactionId: 'txn_200' })]);
+    expect(store.backlog).toHaveLength(0);
+  });
+
+  test('a payment waiting to be recorded still blocks repeats and counts against the cap', async () => {
+    failingStore();
+    const grant = recordingGrant();
+
+    await resolutionLedger.grantOnce(context('ledger_order_10', 'WRONG_ORDER'), 400, grant);
+    const repeat = await resolutionLedger.grantOnce(context('ledger_order_10', 'WRONG_ORDER'), 400, grant);
+    const other = await resolutionLedger.grantOnce(context('ledger_order_10', 'LATE_DELIVERY'), 300, grant);
+
+    expect(repeat).toMatchObject({ duplicate: true, transactionId: 'txn_400' });
+    expect(other.amount).toBe(100);
+    expect(grant).toHaveBeenCalledTimes(2);
+  });
+
+  test('payments stay queued while the ledger is still failing', async () => {
+    const store = failingStore();
+
+    await resolutionLedger.grantOnce(context('ledger_order_11', 'MISSING_ITEM'), 100, recordingGrant());
+
+    expect(await resolutionLedger.reconcileResolutions()).toEqual({ pending: 1, recorded: 0 });
+    expect(store.backlog).toHaveLength(1);
+  });
+});
\ No newline at end of file
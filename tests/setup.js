@@ -0,0 +1,4 @@
+// tests/setup.js
+
+// Keep test output to errors unless a run asks for more
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
\ No newline at end of file
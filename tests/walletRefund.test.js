@@ -0,0 +1,120 @@
+// tests/walletRefund.test.js
+
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../config/appConfig');
+const database = require('../modules/database');
+const paymentProcessor = require('../modules/paymentProcessor');
+const creditsLedger = require('../modules/creditsLedger');
+const refundTracker = require('../modules/refundTracker');
+
+const WALLET_ROUTE = paymentProcessor.getRefundRoute('UPI', paymentProcessor.REFUND_DESTINATIONS.WALLET);
+
+/**
+ * Build the ledger context for a wallet refund on a test order
+ * @param {string} orderId - ID of the order
+ * @param {string} customerId - ID of the customer
+ * @returns {object} Ledger context
+ */
+function context(orderId, customerId) {
+  return { orderId, orderTotal: 500, issueType: 'WRONG_ORDER', customerId, sessionId: 'session_1' };
+}
+
+/**
+ * A network error of the kind the gateway client retries
+ * @returns {Error} Error without a response
+ */
+function networkError() {
+  const error = new Error('connect ECONNREFUSED');
+  error.code = 'ECONNREFUSED';
+  return error;
+}
+
+const originalDemoMode = config.demoMode;
+const originalRetryDelay = config.paymentGateway.retryBaseDelayMs;
+
+beforeEach(() => {
+  axios.mockReset();
+  config.paymentGateway.retryBaseDelayMs = 1;
+
+  // Leaving demo mode talks to the (mocked) gateway, but storage stays in memory
+  jest.spyOn(database, 'isPersistent').mockReturnValue(false);
+});
+
+afterEach(() => {
+  config.demoMode = originalDemoMode;
+  config.paymentGateway.retryBaseDelayMs = originalRetryDelay;
+  jest.restoreAllMocks();
+});
+
+describe('wallet refunds', () => {
+  test('a wallet refund shows in the wallet balance', async () => {
+    const result = await paymentProcessor.processRefund(null, 250, 'Wrong order', context('wallet_order_1', 'wallet_cust_1'), WALLET_ROUTE);
+    const balance = await creditsLedger.getBalance('wallet_cust_1');
+
+    expect(result).toMatchObject({ success: true, destination: 'WALLET', amount: 250 });
+    expect(balance.balance).toBe(250);
+    expect(balance.refundedAmount).toBe(250);
+    expect(balance.credits[0]).toMatchObject({ orderId: 'wallet_order_1', expiresAt: null });
+    expect(balance.expiringSoon.amount).toBe(0);
+  });
+
+  test('wallet refunds go through the payment gateway with the idempotency key', async () => {
+    config.demoMode = false;
+    axios.mockResolvedValue({ data: { transactionId: 'gw_wallet_1' } });
+
+    const result = await paymentProcessor.processRefund(null, 120, 'Missing fries', context('wallet_order_2', 'wallet_cust_2'), WALLET_ROUTE);
+
+    expect(result).toMatchObject({ success: true, transactionId: 'gw_wallet_1' });
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'post',
+      url: `${config.paymentGateway.baseUrl}/wallet/refunds`,
+      data: { customerId: 'wallet_cust_2', amount: 120, reason: 'Missing fries' },
+      headers: expect.objectContaining({ 'Idempotency-Key': 'refund_wallet_order_2_WRONG_ORDER' })
+    }));
+    expect((await creditsLedger.getBalance('wallet_cust_2')).balance).toBe(120);
+  });
+
+  test('a rejected wallet refund is escalated and not credited', async () => {
+    config.demoMode = false;
+    axios.mockRejectedValue(Object.assign(new Error('Bad request'), { response: { status: 400, data: {} } }));
+
+    const result = await paymentProcessor.processRefund(null, 80, 'Cold food', context('wallet_order_3', 'wallet_cust_3'), WALLET_ROUTE);
+
+    expect(result).toMatchObject({ success: false, escalate: true });
+    expect((await creditsLedger.getBalance('wallet_cust_3')).balance).toBe(0);
+  });
+
+  test('a wallet refund queued while the gateway is down is credited once it is sent', async () => {
+    config.demoMode = false;
+    axios.mockRejectedValue(networkError());
+
+    const result = await paymentProcessor.processRefund(null, 90, 'Late delivery', context('wallet_order_4', 'wallet_cust_4'), WALLET_ROUTE);
+
+    expect(result).toMatchObject({ success: true, pending: true });
+    expect((await creditsLedger.getBalance('wallet_cust_4')).balance).toBe(0);
+
+    await refundTracker.recordRefund({
+      refundId: result.transactionId,
+      orderId: 'wallet_order_4',
+      customerId: 'wallet_cust_4',
+      issueType: 'WRONG_ORDER',
+      amount: 90,
+      reason: 'Late delivery',
+      idempotencyKey: result.idempotencyKey,
+      pending: true,
+      destination: 'WALLET'
+    });
+
+    axios.mockReset();
+    axios.mockResolvedValue({ data: { transactionId: 'gw_wallet_4' } });
+
+    const summary = await refundTracker.processQueuedRefunds();
+    const [refund] = await refundTracker.getCustomerRefunds('wallet_cust_4');
+
+    expect(summary).toMatchObject({ sent: 1, failed: 0 });
+    expect(refund).toMatchObject({ state: 'SETTLED', gatewayRefundId: 'gw_wallet_4' });
+    expect((await creditsLedger.getBalance('wallet_cust_4')).balance).toBe(90);
+  });
+});
\ No newline at end of file
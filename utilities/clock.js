@@ -0,0 +1,31 @@
+// utilities/clock.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Time pinned for the work running inside runAt, e.g. a claim being replayed
+const pinnedTime = new AsyncLocalStorage();
+
+/**
+ * Get the current time, or the pinned time when called inside runAt
+ * @returns {Date} Current time
+ */
+function now() {
+  const time = pinnedTime.getStore();
+
+  return time ? new Date(time) : new Date();
+}
+
+/**
+ * Run a function as if it were a given time, so time-based checks see that time
+ * @param {Date|string} time - Time to pin
+ * @param {function} fn - Function to run, may be async
+ * @returns {*} What the function returns
+ */
+function runAt(time, fn) {
+  return pinnedTime.run(new Date(time).getTime(), fn);
+}
+
+module.exports = {
+  now,
+  runAt
+};
\ No newline at end of file